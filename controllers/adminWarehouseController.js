@@ -0,0 +1,262 @@
+import prisma from '../models/prismaClient.js';
+import { sanitizeForJSON } from '../utils/serialize.js';
+import { validateWarehousePayload } from '../utils/warehouseValidation.js';
+import { invalidateWarehouseCache } from '../utils/cache.js';
+import { PHOTO_SELECT } from '../utils/warehousePhotos.js';
+import { deleteStoredPhotos } from '../utils/photoStorage.js';
+import { REVIEW_STATUS, REVIEW_ACTION, REVIEW_INCLUDE, reviewSnapshot } from '../utils/warehouseReview.js';
+
+// Prisma error code for "record to update/delete not found"
+const RECORD_NOT_FOUND = 'P2025';
+
+const warehouseInclude = {
+  warehouseData: true,
+  warehousePhotos: PHOTO_SELECT
+};
+
+function parseWarehouseId(id) {
+  const warehouseId = parseInt(id);
+  return !id || isNaN(warehouseId) ? null : warehouseId;
+}
+
+/**
+ * Nested write that approves a warehouse an admin is making public. Nothing goes
+ * live without reviewStatus `approved` and an `approved` review event holding the
+ * published content.
+ * @param {Object} warehouse - Content being published, in the shape reviewSnapshot expects
+ * @param {string} reviewerEmail - Admin publishing it
+ * @returns {Object} Warehouse update data
+ */
+function approvalData(warehouse, reviewerEmail) {
+  return {
+    reviewStatus: REVIEW_STATUS.APPROVED,
+    reviews: {
+      create: { action: REVIEW_ACTION.APPROVED, reviewerEmail, snapshot: reviewSnapshot(warehouse) }
+    }
+  };
+}
+
+/**
+ * Write a validated warehouse payload (shared by PUT and PATCH)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} partial - Whether missing fields are left untouched
+ */
+async function writeWarehouse(req, res, partial) {
+  const warehouseId = parseWarehouseId(req.params.id);
+  if (warehouseId === null) {
+    return res.status(400).json({ error: 'Invalid warehouse ID format' });
+  }
+
+  if (!req.body) {
+    return res.status(400).json({ error: 'Missing request body (expected JSON)' });
+  }
+
+  const { fields, warehouse, warehouseData, photos } = validateWarehousePayload(req.body, { partial });
+  if (fields.length > 0) {
+    return res.status(400).json({ error: 'Missing or invalid fields', fields });
+  }
+
+  const existing = await prisma.warehouse.findUnique({
+    where: { id: warehouseId },
+    include: REVIEW_INCLUDE
+  });
+  if (!existing) {
+    return res.status(404).json({ error: 'Warehouse not found' });
+  }
+
+  const data = { ...warehouse };
+
+  // Writing a warehouse that is, or becomes, visible publishes the written content,
+  // so it is recorded as approved. Hidden warehouses keep their review state and
+  // their edits show up in the review diff.
+  if (warehouse.visibility ?? existing.visibility) {
+    Object.assign(data, approvalData({
+      ...existing,
+      ...warehouse,
+      warehouseData: { ...existing.warehouseData, ...warehouseData },
+      warehousePhotos: photos || existing.warehousePhotos
+    }, req.user.email));
+  }
+
+  if (warehouseData) {
+    data.warehouseData = {
+      upsert: { create: warehouseData, update: warehouseData }
+    };
+  }
+  if (photos) {
+    // A photos array in the body replaces the whole photo list
+    data.warehousePhotos = { deleteMany: {}, create: photos };
+  }
+
+  const updated = await prisma.warehouse.update({
+    where: { id: warehouseId },
+    data,
+    include: warehouseInclude
+  });
+
+  await invalidateWarehouseCache();
+
+  console.log(`[ADMIN] Warehouse ${warehouseId} ${partial ? 'patched' : 'updated'} by ${req.user.email}`);
+  res.status(200).json(sanitizeForJSON(updated));
+}
+
+export async function getWarehouse(req, res) {
+  try {
+    const warehouseId = parseWarehouseId(req.params.id);
+    if (warehouseId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    // Admins can see warehouses regardless of visibility
+    const warehouse = await prisma.warehouse.findUnique({
+      where: { id: warehouseId },
+      include: warehouseInclude
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    res.status(200).json(sanitizeForJSON(warehouse));
+  } catch (error) {
+    console.error('Error fetching warehouse for admin:', error);
+    res.status(500).json({ error: 'An error occurred while fetching warehouse details' });
+  }
+}
+
+export async function createWarehouse(req, res) {
+  try {
+    if (!req.body) {
+      return res.status(400).json({ error: 'Missing request body (expected JSON)' });
+    }
+
+    const { fields, warehouse, warehouseData, photos } = validateWarehousePayload(req.body);
+    if (fields.length > 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields });
+    }
+
+    const data = { ...warehouse, uploadedBy: warehouse.uploadedBy || req.user.email };
+
+    // Hidden warehouses enter the review queue; creating one visible counts as approving it
+    const approved = warehouse.visibility === true;
+    const review = {
+      action: approved ? REVIEW_ACTION.APPROVED : REVIEW_ACTION.SUBMITTED,
+      reviewerEmail: req.user.email,
+      snapshot: reviewSnapshot({ ...data, warehouseData, warehousePhotos: photos })
+    };
+
+    const created = await prisma.warehouse.create({
+      data: {
+        ...data,
+        reviewStatus: approved ? REVIEW_STATUS.APPROVED : REVIEW_STATUS.PENDING,
+        reviews: { create: review },
+        ...(warehouseData && { warehouseData: { create: warehouseData } }),
+        ...(photos?.length > 0 && { warehousePhotos: { create: photos } })
+      },
+      include: warehouseInclude
+    });
+
+    await invalidateWarehouseCache();
+
+    console.log(`[ADMIN] Warehouse ${created.id} created by ${req.user.email}`);
+    res.status(201).json(sanitizeForJSON(created));
+  } catch (error) {
+    console.error('Error creating warehouse:', error);
+    res.status(500).json({ error: 'Failed to create warehouse' });
+  }
+}
+
+export async function updateWarehouse(req, res) {
+  try {
+    await writeWarehouse(req, res, false);
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    console.error('Error updating warehouse:', error);
+    res.status(500).json({ error: 'Failed to update warehouse' });
+  }
+}
+
+export async function patchWarehouse(req, res) {
+  try {
+    await writeWarehouse(req, res, true);
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    console.error('Error patching warehouse:', error);
+    res.status(500).json({ error: 'Failed to update warehouse' });
+  }
+}
+
+export async function deleteWarehouse(req, res) {
+  try {
+    const warehouseId = parseWarehouseId(req.params.id);
+    if (warehouseId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    // WarehouseData and WarehousePhoto rows are removed by the ON DELETE CASCADE relations
+    const deleted = await prisma.warehouse.delete({
+      where: { id: warehouseId },
+      select: { warehousePhotos: { select: { storageKey: true } } }
+    });
+
+    await invalidateWarehouseCache();
+    await deleteStoredPhotos(deleted.warehousePhotos.map(photo => photo.storageKey));
+
+    console.log(`[ADMIN] Warehouse ${warehouseId} deleted by ${req.user.email}`);
+    res.status(204).send();
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    console.error('Error deleting warehouse:', error);
+    res.status(500).json({ error: 'Failed to delete warehouse' });
+  }
+}
+
+export async function setWarehouseVisibility(req, res) {
+  try {
+    const warehouseId = parseWarehouseId(req.params.id);
+    if (warehouseId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    const requested = req.body?.visibility;
+    if (requested !== undefined && typeof requested !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid `visibility` (expected boolean)' });
+    }
+
+    const existing = await prisma.warehouse.findUnique({
+      where: { id: warehouseId },
+      include: REVIEW_INCLUDE
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    // Without an explicit value the endpoint toggles the current visibility
+    const visibility = requested !== undefined ? requested : !existing.visibility;
+
+    // Publishing approves the current content; hiding leaves the review state alone
+    const publishing = visibility && (!existing.visibility || existing.reviewStatus !== REVIEW_STATUS.APPROVED);
+
+    const updated = await prisma.warehouse.update({
+      where: { id: warehouseId },
+      data: { visibility, ...(publishing && approvalData(existing, req.user.email)) },
+      select: { id: true, visibility: true, reviewStatus: true }
+    });
+
+    await invalidateWarehouseCache();
+
+    console.log(`[ADMIN] Warehouse ${warehouseId} visibility set to ${visibility} by ${req.user.email}`);
+    res.status(200).json(sanitizeForJSON(updated));
+  } catch (error) {
+    console.error('Error updating warehouse visibility:', error);
+    res.status(500).json({ error: 'Failed to update warehouse visibility' });
+  }
+}
@@ -1,7 +1,23 @@
 import prisma from '../models/prismaClient.js';
 import { isValidPhoneNumber } from '../utils/phone.js';
 import { sanitizeForJSON } from '../utils/serialize.js';
-import notificationService from '../utils/notificationService.js';
+import { NOTIFICATION_TYPE, outboxEntryFor, triggerOutboxDelivery } from '../utils/notificationOutbox.js';
+import { parseMultiValue, parsePagination, buildPagination, parseDateRange } from '../utils/query.js';
+import {
+  LEAD_STATUSES,
+  LEAD_ACTIONS,
+  isValidLeadStatus,
+  canTransition,
+  getNextStatuses,
+  isAssignableEmail,
+} from '../utils/leadPipeline.js';
+
+// Prisma error code for "record to update/delete not found"
+const RECORD_NOT_FOUND = 'P2025';
+
+function parseRequestId(id) {
+  return typeof id === 'string' && /^\d+$/.test(id) ? BigInt(id) : null;
+}
 
 export async function createCustomerRequest(req, res) {
   try {
@@ -35,17 +51,13 @@ export async function createCustomerRequest(req, res) {
         company_name: company_name.trim(),
         preferred_location: preferred_location.trim(),
         additional_requirements: additional_requirements.trim(),
+        // Written in the same statement, so the notification survives a crash or outage
+        notifications: outboxEntryFor(NOTIFICATION_TYPE.CUSTOMER_REQUEST),
       },
     });
 
-    // Send notification asynchronously - don't wait for completion or let failures affect response
-    setImmediate(async () => {
-      try {
-        await notificationService.sendCustomerRequestNotification(created);
-      } catch (error) {
-        console.error(`Failed to send customer request notification for ID ${created.id}:`, error);
-      }
-    });
+    // Deliver now instead of waiting for the next outbox poll; failures are retried from the outbox
+    triggerOutboxDelivery();
 
     res.status(201).json(sanitizeForJSON(created));
   } catch (error) {
@@ -53,3 +65,254 @@ export async function createCustomerRequest(req, res) {
     res.status(500).json({ error: 'Failed to create customer request' });
   }
 }
+
+/**
+ * List customer requests (leads) for the admin dashboard
+ * @query page, pageSize - Pagination
+ * @query status - One or more lead statuses (comma-separated or repeated)
+ * @query assignedTo - Assignee email, or `unassigned`
+ * @query from, to - Inclusive `created_at` date range
+ * @query q - Case-insensitive search over name, phone, company and location
+ */
+export async function listCustomerRequests(req, res) {
+  try {
+    const { page, pageSize, skip } = parsePagination(req.query);
+    const where = {};
+
+    const statuses = parseMultiValue(req.query.status);
+    if (statuses) {
+      const invalid = statuses.filter(status => !isValidLeadStatus(status));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Invalid `status`', allowed: LEAD_STATUSES });
+      }
+      where.status = { in: statuses };
+    }
+
+    if (req.query.assignedTo === 'unassigned') {
+      where.assigned_to = null;
+    } else if (req.query.assignedTo) {
+      where.assigned_to = { equals: req.query.assignedTo, mode: 'insensitive' };
+    }
+
+    const { filter: created_at, invalid } = parseDateRange(req.query.from, req.query.to);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid date range', fields: invalid });
+    }
+    if (created_at) where.created_at = created_at;
+
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (search) {
+      where.OR = [
+        { full_name: { contains: search, mode: 'insensitive' } },
+        { phone_number: { contains: search } },
+        { company_name: { contains: search, mode: 'insensitive' } },
+        { preferred_location: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+
+    const [requests, totalItems] = await prisma.$transaction([
+      prisma.customer_request.findMany({
+        skip,
+        take: pageSize,
+        where,
+        orderBy: { created_at: 'desc' },
+      }),
+      prisma.customer_request.count({ where }),
+    ]);
+
+    res.status(200).json(sanitizeForJSON({
+      data: requests,
+      pagination: buildPagination(totalItems, page, pageSize),
+    }));
+  } catch (error) {
+    console.error('Error listing customer requests:', error);
+    res.status(500).json({ error: 'Failed to fetch customer requests' });
+  }
+}
+
+export async function getCustomerRequestById(req, res) {
+  try {
+    const requestId = parseRequestId(req.params.id);
+    if (requestId === null) {
+      return res.status(400).json({ error: 'Invalid customer request ID format' });
+    }
+
+    const lead = await prisma.customer_request.findUnique({
+      where: { id: requestId },
+      include: {
+        notes: { orderBy: { created_at: 'desc' } },
+        activity: { orderBy: { created_at: 'desc' } },
+      },
+    });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Customer request not found' });
+    }
+
+    res.status(200).json(sanitizeForJSON({ ...lead, nextStatuses: getNextStatuses(lead.status) }));
+  } catch (error) {
+    console.error('Error fetching customer request:', error);
+    res.status(500).json({ error: 'Failed to fetch customer request' });
+  }
+}
+
+/**
+ * Move a lead to a new status, optionally attaching a note, and record the change
+ * @body status - Target status
+ * @body note - Optional note explaining the transition
+ */
+export async function updateCustomerRequestStatus(req, res) {
+  try {
+    const requestId = parseRequestId(req.params.id);
+    if (requestId === null) {
+      return res.status(400).json({ error: 'Invalid customer request ID format' });
+    }
+
+    const { status, note } = req.body || {};
+    if (!isValidLeadStatus(status)) {
+      return res.status(400).json({ error: 'Invalid or missing `status`', allowed: LEAD_STATUSES });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.trim().length === 0)) {
+      return res.status(400).json({ error: 'Invalid `note`' });
+    }
+
+    const lead = await prisma.customer_request.findUnique({
+      where: { id: requestId },
+      select: { id: true, status: true },
+    });
+    if (!lead) {
+      return res.status(404).json({ error: 'Customer request not found' });
+    }
+
+    if (!canTransition(lead.status, status)) {
+      return res.status(409).json({
+        error: `Cannot move lead from "${lead.status}" to "${status}"`,
+        allowed: getNextStatuses(lead.status),
+      });
+    }
+
+    const actor = req.user.email;
+    const operations = [
+      // Matching on the previous status guards against concurrent transitions
+      prisma.customer_request.update({
+        where: { id: requestId, status: lead.status },
+        data: { status, status_updated_at: new Date() },
+      }),
+      prisma.customer_request_activity.create({
+        data: {
+          customer_request_id: requestId,
+          actor_email: actor,
+          action: LEAD_ACTIONS.STATUS_CHANGED,
+          from_value: lead.status,
+          to_value: status,
+        },
+      }),
+    ];
+    if (note) {
+      operations.push(prisma.customer_request_note.create({
+        data: { customer_request_id: requestId, author_email: actor, body: note.trim() },
+      }));
+    }
+
+    const [updated] = await prisma.$transaction(operations);
+
+    console.log(`[LEADS] Customer request ${requestId} moved ${lead.status} -> ${status} by ${actor}`);
+    res.status(200).json(sanitizeForJSON(updated));
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(409).json({ error: 'Lead status changed concurrently, please reload and retry' });
+    }
+    console.error('Error updating customer request status:', error);
+    res.status(500).json({ error: 'Failed to update customer request status' });
+  }
+}
+
+/**
+ * Assign a lead to an admin user
+ * @body assignedTo - Admin email; defaults to the caller, `null` unassigns
+ */
+export async function assignCustomerRequest(req, res) {
+  try {
+    const requestId = parseRequestId(req.params.id);
+    if (requestId === null) {
+      return res.status(400).json({ error: 'Invalid customer request ID format' });
+    }
+
+    const body = req.body || {};
+    const assignee = body.assignedTo === undefined ? req.user.email : body.assignedTo;
+    if (assignee !== null && !isAssignableEmail(assignee)) {
+      return res.status(400).json({ error: 'Invalid `assignedTo` (expected an admin email or null)' });
+    }
+    const assignedTo = assignee === null ? null : assignee.trim().toLowerCase();
+
+    const lead = await prisma.customer_request.findUnique({
+      where: { id: requestId },
+      select: { id: true, assigned_to: true },
+    });
+    if (!lead) {
+      return res.status(404).json({ error: 'Customer request not found' });
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.customer_request.update({
+        where: { id: requestId },
+        data: { assigned_to: assignedTo },
+      }),
+      prisma.customer_request_activity.create({
+        data: {
+          customer_request_id: requestId,
+          actor_email: req.user.email,
+          action: LEAD_ACTIONS.ASSIGNED,
+          from_value: lead.assigned_to,
+          to_value: assignedTo,
+        },
+      }),
+    ]);
+
+    console.log(`[LEADS] Customer request ${requestId} assigned to ${assignedTo || 'nobody'} by ${req.user.email}`);
+    res.status(200).json(sanitizeForJSON(updated));
+  } catch (error) {
+    console.error('Error assigning customer request:', error);
+    res.status(500).json({ error: 'Failed to assign customer request' });
+  }
+}
+
+export async function addCustomerRequestNote(req, res) {
+  try {
+    const requestId = parseRequestId(req.params.id);
+    if (requestId === null) {
+      return res.status(400).json({ error: 'Invalid customer request ID format' });
+    }
+
+    const { body } = req.body || {};
+    if (!body || typeof body !== 'string' || body.trim().length === 0) {
+      return res.status(400).json({ error: 'Invalid or missing `body`' });
+    }
+
+    const lead = await prisma.customer_request.findUnique({
+      where: { id: requestId },
+      select: { id: true },
+    });
+    if (!lead) {
+      return res.status(404).json({ error: 'Customer request not found' });
+    }
+
+    const [created] = await prisma.$transaction([
+      prisma.customer_request_note.create({
+        data: { customer_request_id: requestId, author_email: req.user.email, body: body.trim() },
+      }),
+      prisma.customer_request_activity.create({
+        data: {
+          customer_request_id: requestId,
+          actor_email: req.user.email,
+          action: LEAD_ACTIONS.NOTE_ADDED,
+        },
+      }),
+    ]);
+
+    res.status(201).json(sanitizeForJSON(created));
+  } catch (error) {
+    console.error('Error adding customer request note:', error);
+    res.status(500).json({ error: 'Failed to add note' });
+  }
+}
@@ -1,7 +1,8 @@
 import prisma from '../models/prismaClient.js';
 import { isValidPhoneNumber } from '../utils/phone.js';
 import { sanitizeForJSON } from '../utils/serialize.js';
-import notificationService from '../utils/notificationService.js';
+import { NOTIFICATION_TYPE, outboxEntryFor, triggerOutboxDelivery } from '../utils/notificationOutbox.js';
+import { parseMultiValue, parsePagination, buildPagination, parseDateRange } from '../utils/query.js';
 
 export async function createEnquiry(req, res) {
   try {
@@ -36,18 +37,13 @@ export async function createEnquiry(req, res) {
         phoneNumber: phoneNumber.trim(),
         email: email ? email.trim() : null,
         source: source.trim(),
+        // Written in the same statement, so the notification survives a crash or outage
+        notifications: outboxEntryFor(NOTIFICATION_TYPE.ENQUIRY),
       },
     });
 
-    // Send notification asynchronously - don't wait for completion or let failures affect response
-    setImmediate(async () => {
-      try {
-        await notificationService.sendEnquiryNotification(created);
-      } catch (error) {
-        // Log error but don't affect the main response
-        console.error(`Failed to send enquiry notification for ID ${created.id}:`, error);
-      }
-    });
+    // Deliver now instead of waiting for the next outbox poll; failures are retried from the outbox
+    triggerOutboxDelivery();
 
     res.status(201).json(sanitizeForJSON(created));
   } catch (error) {
@@ -55,3 +51,74 @@ export async function createEnquiry(req, res) {
     res.status(500).json({ error: 'Failed to create enquiry' });
   }
 }
+
+/**
+ * List enquiries for the admin dashboard
+ * @query page, pageSize - Pagination
+ * @query source - One or more sources (comma-separated or repeated)
+ * @query from, to - Inclusive `createdat` date range
+ * @query q - Case-insensitive search over name, phone number and email
+ */
+export async function listEnquiries(req, res) {
+  try {
+    const { page, pageSize, skip } = parsePagination(req.query);
+    const where = {};
+
+    const sources = parseMultiValue(req.query.source);
+    if (sources) {
+      where.source = { in: sources, mode: 'insensitive' };
+    }
+
+    const { filter: createdat, invalid } = parseDateRange(req.query.from, req.query.to);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid date range', fields: invalid });
+    }
+    if (createdat) where.createdat = createdat;
+
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { phoneNumber: { contains: search } },
+        { email: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+
+    const [enquiries, totalItems] = await prisma.$transaction([
+      prisma.enquiry.findMany({
+        skip,
+        take: pageSize,
+        where,
+        orderBy: { createdat: 'desc' },
+      }),
+      prisma.enquiry.count({ where }),
+    ]);
+
+    res.status(200).json(sanitizeForJSON({
+      data: enquiries,
+      pagination: buildPagination(totalItems, page, pageSize),
+    }));
+  } catch (error) {
+    console.error('Error listing enquiries:', error);
+    res.status(500).json({ error: 'Failed to fetch enquiries' });
+  }
+}
+
+export async function getEnquiryById(req, res) {
+  try {
+    const enquiryId = parseInt(req.params.id);
+    if (isNaN(enquiryId)) {
+      return res.status(400).json({ error: 'Invalid enquiry ID format' });
+    }
+
+    const enquiry = await prisma.enquiry.findUnique({ where: { id: enquiryId } });
+    if (!enquiry) {
+      return res.status(404).json({ error: 'Enquiry not found' });
+    }
+
+    res.status(200).json(sanitizeForJSON(enquiry));
+  } catch (error) {
+    console.error('Error fetching enquiry:', error);
+    res.status(500).json({ error: 'Failed to fetch enquiry' });
+  }
+}
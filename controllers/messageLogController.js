@@ -0,0 +1,131 @@
+import prisma from '../models/prismaClient.js';
+import { sanitizeForJSON } from '../utils/serialize.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { parseMultiValue, parsePagination, buildPagination, parseDateRange } from '../utils/query.js';
+import { MESSAGE_STATUS, STALE_RECEIVED_MS, canReprocess, reprocessMessage } from '../utils/listingIngestion.js';
+
+function parseMessageId(id) {
+  const messageId = parseInt(id);
+  return !id || isNaN(messageId) ? null : messageId;
+}
+
+/**
+ * List logged WhatsApp messages, newest first
+ * @query page, pageSize - Pagination
+ * @query sender - Sender number in any format (exact match once normalised, otherwise partial)
+ * @query status - One or more of received, processed, rejected, failed (comma-separated or repeated)
+ * @query from, to - Inclusive `received_at` date range
+ * @query q - Case-insensitive search over the message body
+ */
+export async function listMessageLogs(req, res) {
+  try {
+    const { page, pageSize, skip } = parsePagination(req.query);
+    const where = {};
+
+    const statuses = parseMultiValue(req.query.status);
+    if (statuses) {
+      if (statuses.some(status => !Object.values(MESSAGE_STATUS).includes(status))) {
+        return res.status(400).json({ error: 'Invalid filter values', fields: ['status'] });
+      }
+      where.status = { in: statuses };
+    }
+
+    const sender = typeof req.query.sender === 'string' ? req.query.sender.trim() : '';
+    if (sender) {
+      const normalized = normalizePhoneNumber(sender);
+      where.sender_number = normalized || { contains: sender.replace(/[\s()-]/g, '') };
+    }
+
+    const { filter: receivedAt, invalid } = parseDateRange(req.query.from, req.query.to);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid date range', fields: invalid });
+    }
+    if (receivedAt) where.received_at = receivedAt;
+
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (search) {
+      where.message_body = { contains: search, mode: 'insensitive' };
+    }
+
+    const [messages, totalItems] = await prisma.$transaction([
+      prisma.messageLog.findMany({
+        skip,
+        take: pageSize,
+        where,
+        orderBy: [{ received_at: 'desc' }, { id: 'desc' }],
+      }),
+      prisma.messageLog.count({ where }),
+    ]);
+
+    res.status(200).json(sanitizeForJSON({
+      data: messages,
+      pagination: buildPagination(totalItems, page, pageSize),
+    }));
+  } catch (error) {
+    console.error('Error listing message logs:', error);
+    res.status(500).json({ error: 'Failed to fetch message logs' });
+  }
+}
+
+/**
+ * Get a logged message with its sender's draft and verified number, if any
+ */
+export async function getMessageLog(req, res) {
+  try {
+    const messageId = parseMessageId(req.params.id);
+    if (messageId === null) {
+      return res.status(400).json({ error: 'Invalid message ID format' });
+    }
+
+    const message = await prisma.messageLog.findUnique({ where: { id: messageId } });
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // Drafts and verified numbers are keyed by the same E.164 sender number
+    const [draft, sender] = await Promise.all([
+      prisma.draft.findUnique({ where: { sender_number: message.sender_number } }),
+      prisma.verifiedNumber.findUnique({ where: { phone_number: message.sender_number } }),
+    ]);
+
+    res.status(200).json(sanitizeForJSON({ ...message, draft, sender }));
+  } catch (error) {
+    console.error('Error fetching message log:', error);
+    res.status(500).json({ error: 'Failed to fetch message log' });
+  }
+}
+
+/**
+ * Re-run processing for a failed message, or one left `received` by a crash, and write the outcome back to its log.
+ * The reply is returned for reference only; it is not sent to the sender.
+ */
+export async function reprocessMessageLog(req, res) {
+  try {
+    const messageId = parseMessageId(req.params.id);
+    if (messageId === null) {
+      return res.status(400).json({ error: 'Invalid message ID format' });
+    }
+
+    const message = await prisma.messageLog.findUnique({ where: { id: messageId } });
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (!canReprocess(message)) {
+      return res.status(409).json({
+        error: `Only failed messages, or messages left received for ${STALE_RECEIVED_MS / 60000} minutes, can be reprocessed (status is "${message.status}")`
+      });
+    }
+
+    const outcome = await reprocessMessage(message);
+    if (!outcome) {
+      return res.status(409).json({ error: 'Message is already being reprocessed' });
+    }
+
+    console.log(`[ADMIN] Message ${messageId} reprocessed by ${req.user.email}: ${outcome.status}`);
+    res.status(200).json(sanitizeForJSON(outcome));
+  } catch (error) {
+    console.error('Error reprocessing message:', error);
+    res.status(500).json({ error: 'Failed to reprocess message' });
+  }
+}
@@ -0,0 +1,120 @@
+import prisma from '../models/prismaClient.js';
+import { sanitizeForJSON } from '../utils/serialize.js';
+import { parseMultiValue, parsePagination, buildPagination, parseDateRange } from '../utils/query.js';
+import { OUTBOX_STATUS, NOTIFICATION_TYPE, retryOutboxEntry as queueRetry } from '../utils/notificationOutbox.js';
+
+const OUTBOX_INCLUDE = { enquiry: true, customer_request: true };
+
+function parseEntryId(id) {
+  const entryId = parseInt(id);
+  return !id || isNaN(entryId) ? null : entryId;
+}
+
+/**
+ * List notification outbox entries, newest first
+ * @query page, pageSize - Pagination
+ * @query status - One or more of pending, processing, sent, dead (comma-separated or repeated)
+ * @query type - enquiry or customer_request
+ * @query from, to - Inclusive `created_at` date range
+ */
+export async function listOutboxEntries(req, res) {
+  try {
+    const { page, pageSize, skip } = parsePagination(req.query);
+    const where = {};
+    const invalid = [];
+
+    const statuses = parseMultiValue(req.query.status);
+    if (statuses) {
+      if (statuses.some(status => !Object.values(OUTBOX_STATUS).includes(status))) invalid.push('status');
+      where.status = { in: statuses };
+    }
+
+    if (req.query.type !== undefined) {
+      if (!Object.values(NOTIFICATION_TYPE).includes(req.query.type)) invalid.push('type');
+      where.type = req.query.type;
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid filter values', fields: invalid });
+    }
+
+    const { filter: createdAt, invalid: invalidDates } = parseDateRange(req.query.from, req.query.to);
+    if (invalidDates.length > 0) {
+      return res.status(400).json({ error: 'Invalid date range', fields: invalidDates });
+    }
+    if (createdAt) where.created_at = createdAt;
+
+    const [entries, totalItems] = await prisma.$transaction([
+      prisma.notification_outbox.findMany({
+        skip,
+        take: pageSize,
+        where,
+        include: OUTBOX_INCLUDE,
+        orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+      }),
+      prisma.notification_outbox.count({ where }),
+    ]);
+
+    res.status(200).json(sanitizeForJSON({
+      data: entries,
+      pagination: buildPagination(totalItems, page, pageSize),
+    }));
+  } catch (error) {
+    console.error('Error listing notification outbox:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+}
+
+/**
+ * Get an outbox entry with its enquiry or customer request
+ */
+export async function getOutboxEntry(req, res) {
+  try {
+    const entryId = parseEntryId(req.params.id);
+    if (entryId === null) {
+      return res.status(400).json({ error: 'Invalid notification ID format' });
+    }
+
+    const entry = await prisma.notification_outbox.findUnique({
+      where: { id: entryId },
+      include: OUTBOX_INCLUDE,
+    });
+    if (!entry) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.status(200).json(sanitizeForJSON(entry));
+  } catch (error) {
+    console.error('Error fetching notification outbox entry:', error);
+    res.status(500).json({ error: 'Failed to fetch notification' });
+  }
+}
+
+/**
+ * Retry a dead (or still waiting) notification now, with a fresh set of attempts.
+ * Delivery happens in the background; poll GET /:id for the outcome.
+ */
+export async function retryOutboxEntry(req, res) {
+  try {
+    const entryId = parseEntryId(req.params.id);
+    if (entryId === null) {
+      return res.status(400).json({ error: 'Invalid notification ID format' });
+    }
+
+    const entry = await prisma.notification_outbox.findUnique({ where: { id: entryId } });
+    if (!entry) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const queued = await queueRetry(entryId);
+    if (!queued) {
+      return res.status(409).json({ error: `Only dead or pending notifications can be retried (status is "${entry.status}")` });
+    }
+
+    console.log(`[ADMIN] Notification ${entryId} (${entry.type}) queued for retry by ${req.user.email}`);
+    res.status(202).json({ id: entryId, status: OUTBOX_STATUS.PENDING });
+  } catch (error) {
+    console.error('Error retrying notification:', error);
+    res.status(500).json({ error: 'Failed to retry notification' });
+  }
+}
@@ -0,0 +1,296 @@
+import prisma from '../models/prismaClient.js';
+import notificationService from '../utils/notificationService.js';
+import { sanitizeForJSON } from '../utils/serialize.js';
+import { parsePagination, buildPagination } from '../utils/query.js';
+import { CHANNEL_NAMES } from '../utils/notificationChannels.js';
+import { RATE_LIMIT_PERIODS } from '../utils/notificationRateLimit.js';
+import { RECIPIENT_CHANNELS, ROUTING_FIELDS, normalizeRecipientAddress, limitOverrides } from '../utils/notificationSettings.js';
+
+// Prisma error code for "record to update/delete not found"
+const RECORD_NOT_FOUND = 'P2025';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_MATCH_VALUE_LENGTH = 100;
+
+function parseRecipientId(id) {
+  const recipientId = parseInt(id);
+  return !id || isNaN(recipientId) ? null : recipientId;
+}
+
+/**
+ * Validate recipient fields. For updates, fields missing from the body keep their
+ * current values and `null` clears an optional field; the result is validated as a whole.
+ * @param {Object} body - Request body
+ * @param {Object} existing - Current recipient (empty for a new one)
+ * @returns {Object} { data, fields } where fields lists invalid body fields
+ */
+function parseRecipientFields(body, existing = {}) {
+  const value = (key, column) => (body[key] === undefined ? existing[column] ?? null : body[key]);
+  const fields = [];
+
+  const channel = value('channel', 'channel');
+  if (!RECIPIENT_CHANNELS.includes(channel)) fields.push('channel');
+
+  const address = normalizeRecipientAddress(channel, value('address', 'address'));
+  if (!address) fields.push('address');
+
+  const name = value('name', 'name');
+  if (name !== null && (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH)) fields.push('name');
+
+  const notificationType = value('notificationType', 'notification_type');
+  const knownType = typeof notificationType === 'string' && Object.hasOwn(ROUTING_FIELDS, notificationType);
+  if (notificationType !== null && !knownType) fields.push('notificationType');
+
+  const matchField = value('matchField', 'match_field');
+  if (matchField !== null && !(knownType && ROUTING_FIELDS[notificationType].includes(matchField))) fields.push('matchField');
+
+  // A match value only means something alongside a match field
+  const matchValue = matchField === null ? null : value('matchValue', 'match_value');
+  if (matchField !== null && (typeof matchValue !== 'string' || !matchValue.trim() || matchValue.trim().length > MAX_MATCH_VALUE_LENGTH)) {
+    fields.push('matchValue');
+  }
+
+  const isActive = value('isActive', 'is_active') ?? true;
+  if (typeof isActive !== 'boolean') fields.push('isActive');
+
+  return {
+    fields,
+    data: {
+      channel,
+      address,
+      name: typeof name === 'string' ? name.trim() || null : null,
+      notification_type: notificationType,
+      match_field: matchField,
+      match_value: typeof matchValue === 'string' ? matchValue.trim() : null,
+      is_active: isActive
+    }
+  };
+}
+
+/**
+ * List notification recipients and their routing rules
+ * @query page, pageSize - Pagination
+ * @query channel - Only recipients of this channel
+ * @query active - `true` or `false` to filter on is_active
+ */
+export async function listRecipients(req, res) {
+  try {
+    const { page, pageSize, skip } = parsePagination(req.query);
+    const where = {};
+    const invalid = [];
+
+    if (req.query.channel !== undefined) {
+      if (!RECIPIENT_CHANNELS.includes(req.query.channel)) invalid.push('channel');
+      where.channel = req.query.channel;
+    }
+
+    if (req.query.active !== undefined) {
+      if (req.query.active !== 'true' && req.query.active !== 'false') invalid.push('active');
+      where.is_active = req.query.active === 'true';
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid filter values', fields: invalid });
+    }
+
+    const [recipients, totalItems] = await prisma.$transaction([
+      prisma.notification_recipient.findMany({
+        skip,
+        take: pageSize,
+        where,
+        orderBy: [{ channel: 'asc' }, { id: 'asc' }],
+      }),
+      prisma.notification_recipient.count({ where }),
+    ]);
+
+    res.status(200).json(sanitizeForJSON({
+      data: recipients,
+      pagination: buildPagination(totalItems, page, pageSize),
+    }));
+  } catch (error) {
+    console.error('Error listing notification recipients:', error);
+    res.status(500).json({ error: 'Failed to fetch notification recipients' });
+  }
+}
+
+/**
+ * Add a notification recipient
+ * @body channel - emailjs, smtp, sms, whatsapp or memory
+ * @body address - Email address, or phone number for sms/whatsapp (stored in E.164)
+ * @body name - Optional label, e.g. "Pune sales lead"
+ * @body notificationType - Optional: only receive `enquiry` or `customer_request` notifications
+ * @body matchField, matchValue - Optional routing rule: only receive notifications whose
+ *   matchField contains matchValue (e.g. preferred_location / "Pune")
+ */
+export async function addRecipient(req, res) {
+  try {
+    if (!req.body) {
+      return res.status(400).json({ error: 'Missing request body (expected JSON)' });
+    }
+
+    const { data, fields } = parseRecipientFields(req.body);
+    if (fields.length > 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields });
+    }
+
+    const created = await prisma.notification_recipient.create({ data });
+    notificationService.invalidateSettings();
+
+    console.log(`[ADMIN] Notification recipient ${created.address} (${created.channel}) added by ${req.user.email}`);
+    res.status(201).json(sanitizeForJSON(created));
+  } catch (error) {
+    console.error('Error adding notification recipient:', error);
+    res.status(500).json({ error: 'Failed to add notification recipient' });
+  }
+}
+
+/**
+ * Update a recipient's address, routing rule or active flag
+ * @body Any of the fields accepted by addRecipient, plus isActive
+ */
+export async function updateRecipient(req, res) {
+  try {
+    const recipientId = parseRecipientId(req.params.id);
+    if (recipientId === null) {
+      return res.status(400).json({ error: 'Invalid recipient ID format' });
+    }
+    if (!req.body) {
+      return res.status(400).json({ error: 'Missing request body (expected JSON)' });
+    }
+
+    const existing = await prisma.notification_recipient.findUnique({ where: { id: recipientId } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Notification recipient not found' });
+    }
+
+    const { data, fields } = parseRecipientFields(req.body, existing);
+    if (fields.length > 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields });
+    }
+
+    const updated = await prisma.notification_recipient.update({ where: { id: recipientId }, data });
+    notificationService.invalidateSettings();
+
+    console.log(`[ADMIN] Notification recipient ${updated.id} (${updated.address}) updated by ${req.user.email}`);
+    res.status(200).json(sanitizeForJSON(updated));
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Notification recipient not found' });
+    }
+    console.error('Error updating notification recipient:', error);
+    res.status(500).json({ error: 'Failed to update notification recipient' });
+  }
+}
+
+export async function deleteRecipient(req, res) {
+  try {
+    const recipientId = parseRecipientId(req.params.id);
+    if (recipientId === null) {
+      return res.status(400).json({ error: 'Invalid recipient ID format' });
+    }
+
+    const deleted = await prisma.notification_recipient.delete({ where: { id: recipientId } });
+    notificationService.invalidateSettings();
+
+    console.log(`[ADMIN] Notification recipient ${deleted.address} (${deleted.channel}) removed by ${req.user.email}`);
+    res.status(204).send();
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Notification recipient not found' });
+    }
+    console.error('Error removing notification recipient:', error);
+    res.status(500).json({ error: 'Failed to remove notification recipient' });
+  }
+}
+
+/**
+ * Rate limits per channel: the environment defaults, any database overrides and
+ * the effective limits. Overrides for channels that are not enabled are listed too.
+ */
+export async function listChannelLimits(req, res) {
+  try {
+    const rows = await prisma.notification_channel_limit.findMany({ orderBy: { channel: 'asc' } });
+    const overrides = new Map(rows.map(row => [row.channel, row]));
+
+    const enabled = notificationService.channels.map(channel => {
+      const override = overrides.get(channel.name) || null;
+      return {
+        channel: channel.name,
+        enabled: true,
+        defaults: channel.limits,
+        override,
+        limits: { ...channel.limits, ...(override && limitOverrides(override)) }
+      };
+    });
+    const disabled = rows
+      .filter(row => !notificationService.channels.some(channel => channel.name === row.channel))
+      .map(row => ({ channel: row.channel, enabled: false, override: row }));
+
+    res.status(200).json(sanitizeForJSON({ data: [...enabled, ...disabled] }));
+  } catch (error) {
+    console.error('Error listing notification limits:', error);
+    res.status(500).json({ error: 'Failed to fetch notification limits' });
+  }
+}
+
+/**
+ * Override a channel's rate limits
+ * @body monthly, daily, hourly - Deliveries allowed per period (integer, 0 pauses the channel), or null for the environment default
+ */
+export async function setChannelLimits(req, res) {
+  try {
+    const { channel } = req.params;
+    if (!CHANNEL_NAMES.includes(channel)) {
+      return res.status(400).json({ error: `Unknown channel (expected one of ${CHANNEL_NAMES.join(', ')})` });
+    }
+    if (!req.body) {
+      return res.status(400).json({ error: 'Missing request body (expected JSON)' });
+    }
+
+    const data = {};
+    const fields = [];
+    RATE_LIMIT_PERIODS.forEach(period => {
+      const limit = req.body[period];
+      if (limit === undefined) return;
+      // 0 pauses the channel, as it does in NOTIFY_<CHANNEL>_RATE_LIMIT
+      if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) fields.push(period);
+      data[period] = limit;
+    });
+
+    if (fields.length > 0 || Object.keys(data).length === 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields: fields.length > 0 ? fields : RATE_LIMIT_PERIODS });
+    }
+
+    const saved = await prisma.notification_channel_limit.upsert({
+      where: { channel },
+      create: { channel, ...data },
+      update: data,
+    });
+    notificationService.invalidateSettings();
+
+    console.log(`[ADMIN] Notification limits for ${channel} set to ${RATE_LIMIT_PERIODS.map(period => `${period}:${saved[period] ?? 'default'}`).join(',')} by ${req.user.email}`);
+    res.status(200).json(sanitizeForJSON(saved));
+  } catch (error) {
+    console.error('Error setting notification limits:', error);
+    res.status(500).json({ error: 'Failed to set notification limits' });
+  }
+}
+
+/**
+ * Remove a channel's overrides, going back to the environment limits
+ */
+export async function clearChannelLimits(req, res) {
+  try {
+    await prisma.notification_channel_limit.delete({ where: { channel: req.params.channel } });
+    notificationService.invalidateSettings();
+
+    console.log(`[ADMIN] Notification limits for ${req.params.channel} reset to defaults by ${req.user.email}`);
+    res.status(204).send();
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'No limit overrides for this channel' });
+    }
+    console.error('Error clearing notification limits:', error);
+    res.status(500).json({ error: 'Failed to clear notification limits' });
+  }
+}
@@ -0,0 +1,102 @@
+import notificationService from '../utils/notificationService.js';
+import { sanitizeForJSON } from '../utils/serialize.js';
+import { RATE_LIMIT_PERIODS } from '../utils/notificationRateLimit.js';
+import { NOTIFICATION_TYPE, getDeliveryHistory as getOutboxHistory } from '../utils/notificationOutbox.js';
+import { getNotificationHealth } from '../utils/notificationHealth.js';
+
+const MAX_HISTORY = 50;
+
+/**
+ * Notification health with each channel's configuration, rate limit usage and outbox counts,
+ * and the recipients from the environment and the database
+ */
+export async function getNotificationStatus(req, res) {
+  try {
+    const [health, recipients] = await Promise.all([
+      getNotificationHealth(),
+      notificationService.getAllRecipients()
+    ]);
+
+    res.status(200).json(sanitizeForJSON({ ...health, recipients }));
+  } catch (error) {
+    console.error('Error fetching notification status:', error);
+    res.status(500).json({ error: 'Failed to fetch notification status' });
+  }
+}
+
+/**
+ * Recent delivery attempts from the notification outbox, newest first
+ * @query limit - Maximum entries (1-50, default 50)
+ */
+export async function getDeliveryHistory(req, res) {
+  try {
+    let limit = MAX_HISTORY;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit);
+      if (isNaN(limit) || limit < 1 || limit > MAX_HISTORY) {
+        return res.status(400).json({ error: 'Invalid filter values', fields: ['limit'] });
+      }
+    }
+
+    res.status(200).json(sanitizeForJSON({ data: await getOutboxHistory(limit) }));
+  } catch (error) {
+    console.error('Error fetching notification history:', error);
+    res.status(500).json({ error: 'Failed to fetch notification history' });
+  }
+}
+
+/**
+ * Send a test notification built from a sample record. Counts against the rate limits.
+ * @body type - enquiry (default) or customer_request
+ * @body channel - Only send through this channel (defaults to every enabled channel)
+ */
+export async function sendTestNotification(req, res) {
+  try {
+    const { type = NOTIFICATION_TYPE.ENQUIRY, channel = null } = req.body || {};
+
+    const fields = [];
+    if (!Object.values(NOTIFICATION_TYPE).includes(type)) fields.push('type');
+    if (channel !== null && !notificationService.getChannelNames().includes(channel)) fields.push('channel');
+
+    if (fields.length > 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields });
+    }
+
+    console.log(`[ADMIN] Test ${type} notification (${channel || 'all channels'}) sent by ${req.user.email}`);
+    const result = await notificationService.sendTestNotification({ type, channelName: channel });
+
+    // 502: every channel failed to deliver
+    res.status(result.success ? 200 : 502).json(sanitizeForJSON(result));
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+}
+
+/**
+ * Reset rate limit counters
+ * @body period - monthly, daily, hourly or all (default)
+ * @body channel - Only reset this channel (defaults to every enabled channel)
+ * @returns Rate limit status after the reset
+ */
+export async function resetRateLimits(req, res) {
+  try {
+    const { period = 'all', channel = null } = req.body || {};
+
+    const fields = [];
+    if (period !== 'all' && !RATE_LIMIT_PERIODS.includes(period)) fields.push('period');
+    if (channel !== null && !notificationService.getChannelNames().includes(channel)) fields.push('channel');
+
+    if (fields.length > 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields });
+    }
+
+    await notificationService.resetRateLimit(period, channel);
+    console.log(`[ADMIN] Notification rate limits (${period}, ${channel || 'all channels'}) reset by ${req.user.email}`);
+
+    res.status(200).json(sanitizeForJSON(await notificationService.getRateLimitStatus()));
+  } catch (error) {
+    console.error('Error resetting notification rate limits:', error);
+    res.status(500).json({ error: 'Failed to reset notification rate limits' });
+  }
+}
@@ -0,0 +1,233 @@
+import prisma from '../models/prismaClient.js';
+import { sanitizeForJSON } from '../utils/serialize.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { parsePagination, buildPagination } from '../utils/query.js';
+import { MESSAGE_STATUS } from '../utils/listingIngestion.js';
+
+// Prisma error codes for "record to update/delete not found" and unique constraint violations
+const RECORD_NOT_FOUND = 'P2025';
+const UNIQUE_VIOLATION = 'P2002';
+
+const MAX_NAME_LENGTH = 100;
+const RECENT_MESSAGE_LIMIT = 10;
+
+function parseNumberId(id) {
+  const numberId = parseInt(id);
+  return !id || isNaN(numberId) ? null : numberId;
+}
+
+/**
+ * Count logged WhatsApp messages per sender and status, and the warehouses
+ * submitted from each number (WhatsApp listings store the sender as contactNumber)
+ * @param {Array<string>} phoneNumbers - E.164 sender numbers
+ * @returns {Promise<Map<string, Object>>} Sender number to
+ *   { totalMessages, processed, rejected, failed, lastMessageAt, submittedWarehouses }
+ */
+async function loadMessageStats(phoneNumbers) {
+  const stats = new Map(phoneNumbers.map(number => [number, {
+    totalMessages: 0,
+    [MESSAGE_STATUS.PROCESSED]: 0,
+    [MESSAGE_STATUS.REJECTED]: 0,
+    [MESSAGE_STATUS.FAILED]: 0,
+    lastMessageAt: null,
+    submittedWarehouses: 0
+  }]));
+  if (phoneNumbers.length === 0) return stats;
+
+  const [groups, warehouses] = await Promise.all([
+    prisma.messageLog.groupBy({
+      by: ['sender_number', 'status'],
+      where: { sender_number: { in: phoneNumbers } },
+      _count: { _all: true },
+      _max: { received_at: true }
+    }),
+    prisma.warehouse.groupBy({
+      by: ['contactNumber'],
+      where: { contactNumber: { in: phoneNumbers } },
+      _count: { _all: true }
+    })
+  ]);
+
+  for (const group of groups) {
+    const entry = stats.get(group.sender_number);
+    if (!entry) continue;
+
+    entry.totalMessages += group._count._all;
+    if (entry[group.status] !== undefined) entry[group.status] += group._count._all;
+    if (!entry.lastMessageAt || group._max.received_at > entry.lastMessageAt) {
+      entry.lastMessageAt = group._max.received_at;
+    }
+  }
+
+  for (const group of warehouses) {
+    const entry = stats.get(group.contactNumber);
+    if (entry) entry.submittedWarehouses = group._count._all;
+  }
+
+  return stats;
+}
+
+/**
+ * List verified numbers with their message stats
+ * @query page, pageSize - Pagination
+ * @query active - `true` or `false` to filter on is_active
+ * @query q - Case-insensitive search over name and phone number
+ */
+export async function listVerifiedNumbers(req, res) {
+  try {
+    const { page, pageSize, skip } = parsePagination(req.query);
+    const where = {};
+
+    if (req.query.active !== undefined) {
+      if (req.query.active !== 'true' && req.query.active !== 'false') {
+        return res.status(400).json({ error: 'Invalid `active` (expected true or false)' });
+      }
+      where.is_active = req.query.active === 'true';
+    }
+
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { phone_number: { contains: search.replace(/[\s()-]/g, '') } },
+      ];
+    }
+
+    const [numbers, totalItems] = await prisma.$transaction([
+      prisma.verifiedNumber.findMany({
+        skip,
+        take: pageSize,
+        where,
+        orderBy: [{ is_active: 'desc' }, { name: 'asc' }],
+      }),
+      prisma.verifiedNumber.count({ where }),
+    ]);
+
+    const stats = await loadMessageStats(numbers.map(number => number.phone_number));
+
+    res.status(200).json(sanitizeForJSON({
+      data: numbers.map(number => ({ ...number, stats: stats.get(number.phone_number) })),
+      pagination: buildPagination(totalItems, page, pageSize),
+    }));
+  } catch (error) {
+    console.error('Error listing verified numbers:', error);
+    res.status(500).json({ error: 'Failed to fetch verified numbers' });
+  }
+}
+
+/**
+ * Get a verified number with its message stats and most recent messages
+ */
+export async function getVerifiedNumber(req, res) {
+  try {
+    const numberId = parseNumberId(req.params.id);
+    if (numberId === null) {
+      return res.status(400).json({ error: 'Invalid verified number ID format' });
+    }
+
+    const number = await prisma.verifiedNumber.findUnique({ where: { id: numberId } });
+    if (!number) {
+      return res.status(404).json({ error: 'Verified number not found' });
+    }
+
+    const [stats, recentMessages] = await Promise.all([
+      loadMessageStats([number.phone_number]),
+      prisma.messageLog.findMany({
+        where: { sender_number: number.phone_number },
+        orderBy: { received_at: 'desc' },
+        take: RECENT_MESSAGE_LIMIT,
+      }),
+    ]);
+
+    res.status(200).json(sanitizeForJSON({
+      ...number,
+      stats: stats.get(number.phone_number),
+      recentMessages,
+    }));
+  } catch (error) {
+    console.error('Error fetching verified number:', error);
+    res.status(500).json({ error: 'Failed to fetch verified number' });
+  }
+}
+
+/**
+ * Add a number allowed to submit listings over WhatsApp, stored in E.164
+ * @body phoneNumber - Phone number in any common format; local numbers get +91
+ * @body name - Sender name, used as the listing's contact person and uploader
+ */
+export async function addVerifiedNumber(req, res) {
+  try {
+    if (!req.body) {
+      return res.status(400).json({ error: 'Missing request body (expected JSON)' });
+    }
+
+    const fields = [];
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) fields.push('phoneNumber');
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (name.length === 0 || name.length > MAX_NAME_LENGTH) fields.push('name');
+
+    if (fields.length > 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields });
+    }
+
+    const created = await prisma.verifiedNumber.create({
+      data: { phone_number: phoneNumber, name },
+    });
+
+    console.log(`[ADMIN] Verified number ${phoneNumber} (${name}) added by ${req.user.email}`);
+    res.status(201).json(sanitizeForJSON(created));
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({ error: 'Phone number is already verified; reactivate it if it was deactivated' });
+    }
+    console.error('Error adding verified number:', error);
+    res.status(500).json({ error: 'Failed to add verified number' });
+  }
+}
+
+/**
+ * Set is_active on a verified number (shared by deactivate and reactivate)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} isActive - New value
+ */
+async function setActive(req, res, isActive) {
+  const numberId = parseNumberId(req.params.id);
+  if (numberId === null) {
+    return res.status(400).json({ error: 'Invalid verified number ID format' });
+  }
+
+  const updated = await prisma.verifiedNumber.update({
+    where: { id: numberId },
+    data: { is_active: isActive },
+  });
+
+  console.log(`[ADMIN] Verified number ${updated.phone_number} ${isActive ? 'reactivated' : 'deactivated'} by ${req.user.email}`);
+  res.status(200).json(sanitizeForJSON(updated));
+}
+
+export async function deactivateVerifiedNumber(req, res) {
+  try {
+    await setActive(req, res, false);
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Verified number not found' });
+    }
+    console.error('Error deactivating verified number:', error);
+    res.status(500).json({ error: 'Failed to deactivate verified number' });
+  }
+}
+
+export async function reactivateVerifiedNumber(req, res) {
+  try {
+    await setActive(req, res, true);
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Verified number not found' });
+    }
+    console.error('Error reactivating verified number:', error);
+    res.status(500).json({ error: 'Failed to reactivate verified number' });
+  }
+}
@@ -1,5 +1,193 @@
 import prisma from '../models/prismaClient.js';
 import { sanitizeForJSON } from '../utils/serialize.js';
+import { parsePagination, buildPagination } from '../utils/query.js';
+import { getCachedJSON, setCachedJSON } from '../utils/cache.js';
+import { parseWarehouseFilters, parseWarehouseSort, searchWarehouses, SORT_VALUES } from '../utils/warehouseSearch.js';
+import { getEmbeddingProvider, isZeroVector } from '../utils/embeddingProvider.js';
+import { findSimilarWarehouses } from '../utils/warehouseSimilarity.js';
+import { getWarehouseFacets } from '../utils/warehouseFacets.js';
+import { PHOTO_SELECT, formatPhotos } from '../utils/warehousePhotos.js';
+
+// Bounds for the free-text requirement accepted by semantic search
+const SEMANTIC_QUERY_MIN_LENGTH = 3;
+const SEMANTIC_QUERY_MAX_LENGTH = 500;
+
+// WarehouseData columns returned in the detail page `specifications` block
+const SPECIFICATION_FIELDS = [
+  'landType', 'approachRoadWidth', 'dimensions', 'parkingDockingSpace',
+  'pollutionZone', 'powerKva', 'vaastuCompliance', 'fireNocAvailable', 'fireSafetyMeasures'
+];
+
+// Number of "you may also like" warehouses returned by default and at most
+const DEFAULT_SIMILAR_LIMIT = 6;
+const MAX_SIMILAR_LIMIT = 20;
+
+/**
+ * Flatten a warehouse row for the public list response
+ * @param {Object} w - Warehouse with selected warehouseData fields
+ * @returns {Object} Formatted warehouse
+ */
+function formatWarehouseListItem(w) {
+  const { photos, coverPhoto } = formatPhotos(w);
+  return {
+    id: w.id,
+    address: w.address,
+    city: w.city,
+    state: w.state,
+    totalSpaceSqft: w.totalSpaceSqft,
+    clearHeightFt: w.clearHeightFt,
+    compliances: w.compliances,
+    otherSpecifications: w.otherSpecifications,
+    ratePerSqft: w.ratePerSqft,
+    photos,
+    coverPhoto,
+    warehouseType: w.warehouseType,
+    zone: w.zone,
+    contactPerson: w.contactPerson,
+    fireNocAvailable: w.warehouseData?.fireNocAvailable,
+    fireSafetyMeasures: w.warehouseData?.fireSafetyMeasures,
+    ...(w.distanceKm !== undefined && { distanceKm: w.distanceKm }),
+    ...(w.similarity !== undefined && { similarity: w.similarity }),
+    ...(w.similarityScore !== undefined && { similarityScore: w.similarityScore }),
+  };
+}
+
+/**
+ * @route   GET /warehouses
+ * @desc    Get a paginated list of visible warehouses matching the filters (with Redis caching)
+ * @access  Public
+ * @query   page (number): The page number to retrieve. Defaults to 1.
+ * @query   pageSize (number): The number of items per page. Defaults to 10.
+ * @query   q (string): Fuzzy search across address, city, zone, type, compliances and specifications.
+ * @query   sort (string): One of SORT_VALUES. Defaults to relevance with `q`, otherwise newest listing id first.
+ * @query   lat, lng, radiusKm (number): Restrict to a radius and annotate results with distanceKm.
+ * @query   minPowerKva (number), pollutionZone, landType (string): WarehouseData spec filters.
+ * @query   See docs/WAREHOUSE_API_CONTEXT.md for the filter parameters.
+ */
+export async function listWarehouses(req, res) {
+  try {
+    const { page, pageSize, skip } = parsePagination(req.query);
+
+    const { filters, invalid } = parseWarehouseFilters(req.query);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid filter values', fields: invalid });
+    }
+
+    const { sort, invalid: invalidSort } = parseWarehouseSort(req.query, filters);
+    if (invalidSort) {
+      const requirements = { distance: '`lat` and `lng`', relevance: '`q`' };
+      const requirement = requirements[req.query.sort];
+      const error = requirement ? `\`sort=${req.query.sort}\` requires ${requirement}` : 'Invalid `sort`';
+      return res.status(400).json({ error, allowed: SORT_VALUES });
+    }
+
+    const cacheKey = `warehouses:page:${page}:size:${pageSize}:sort:${sort}:filters:${JSON.stringify(filters)}`;
+
+    const cachedData = await getCachedJSON(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    const { warehouses, totalItems } = await searchWarehouses(filters, { skip, take: pageSize, sort });
+
+    const responseData = sanitizeForJSON({
+      data: warehouses.map(formatWarehouseListItem),
+      pagination: buildPagination(totalItems, page, pageSize),
+    });
+
+    await setCachedJSON(cacheKey, responseData);
+
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('Error fetching warehouses:', error);
+    res.status(500).json({ error: 'An error occurred while fetching warehouses.' });
+  }
+}
+
+/**
+ * @route   GET /warehouses/search/semantic
+ * @desc    Rank visible warehouses by embedding similarity to a free-text requirement
+ * @access  Public
+ * @query   q (string): Requirement, e.g. "cold storage near Bhiwandi 20k sqft with fire NOC"
+ * @query   page, pageSize and every structured filter accepted by GET /warehouses
+ */
+export async function semanticSearchWarehouses(req, res) {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < SEMANTIC_QUERY_MIN_LENGTH || q.length > SEMANTIC_QUERY_MAX_LENGTH) {
+      return res.status(400).json({
+        error: `Invalid or missing \`q\` (${SEMANTIC_QUERY_MIN_LENGTH}-${SEMANTIC_QUERY_MAX_LENGTH} characters)`
+      });
+    }
+
+    const { page, pageSize, skip } = parsePagination(req.query);
+
+    // Here `q` is the requirement to embed, not the fuzzy text filter of the list endpoint
+    const { filters, invalid } = parseWarehouseFilters({ ...req.query, q: undefined });
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid filter values', fields: invalid });
+    }
+
+    // Normalise the text so trivially different queries share a cache entry
+    const normalisedQuery = q.toLowerCase().replace(/\s+/g, ' ');
+    const cacheKey = `warehouses:semantic:page:${page}:size:${pageSize}:q:${normalisedQuery}:filters:${JSON.stringify(filters)}`;
+
+    const cachedData = await getCachedJSON(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    const embedding = await getEmbeddingProvider().embed(normalisedQuery);
+    if (isZeroVector(embedding)) {
+      return res.status(400).json({ error: '`q` has no words to search for' });
+    }
+
+    const { warehouses, totalItems } = await searchWarehouses(filters, { skip, take: pageSize, embedding });
+
+    const responseData = sanitizeForJSON({
+      data: warehouses.map(formatWarehouseListItem),
+      pagination: buildPagination(totalItems, page, pageSize),
+    });
+
+    await setCachedJSON(cacheKey, responseData);
+
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('Error running semantic warehouse search:', error);
+    res.status(500).json({ error: 'An error occurred while searching warehouses.' });
+  }
+}
+
+/**
+ * @route   GET /warehouses/facets
+ * @desc    Distinct filter values with counts and numeric ranges for the current filters (with Redis caching)
+ * @access  Public
+ * @query   Every filter accepted by GET /warehouses; pagination and sort are ignored.
+ */
+export async function getWarehouseFacetCounts(req, res) {
+  try {
+    const { filters, invalid } = parseWarehouseFilters(req.query);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid filter values', fields: invalid });
+    }
+
+    const cacheKey = `warehouses:facets:filters:${JSON.stringify(filters)}`;
+
+    const cachedData = await getCachedJSON(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    const responseData = sanitizeForJSON(await getWarehouseFacets(filters));
+
+    await setCachedJSON(cacheKey, responseData);
+
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('Error fetching warehouse facets:', error);
+    res.status(500).json({ error: 'An error occurred while fetching warehouse facets.' });
+  }
+}
 
 export async function getWarehouseById(req, res) {
   try {
@@ -26,11 +214,9 @@ export async function getWarehouseById(req, res) {
       },
       include: {
         warehouseData: {
-          select: {
-            fireNocAvailable: true,
-            fireSafetyMeasures: true,
-          }
-        }
+          select: Object.fromEntries(SPECIFICATION_FIELDS.map(field => [field, true]))
+        },
+        warehousePhotos: PHOTO_SELECT
       }
     });
 
@@ -39,28 +225,9 @@ export async function getWarehouseById(req, res) {
       return res.status(404).json({ error: 'Warehouse not found' });
     }
 
-    // Parse photos JSON field to array format
-    let parsedPhotos = [];
-    if (warehouse.photos) {
-      // Check if it's already a valid JSON string
-      if (warehouse.photos.startsWith('[') || warehouse.photos.startsWith('{')) {
-        try {
-          parsedPhotos = JSON.parse(warehouse.photos);
-          // Ensure it's always an array
-          if (!Array.isArray(parsedPhotos)) {
-            parsedPhotos = [parsedPhotos];
-          }
-        } catch (error) {
-          // If JSON parsing fails, treat as single photo string
-          parsedPhotos = [warehouse.photos];
-        }
-      } else {
-        // If it doesn't look like JSON, treat as single photo string
-        parsedPhotos = [warehouse.photos];
-      }
-    }
+    const { photos, coverPhoto } = formatPhotos(warehouse);
 
-    // Format response with parsed photos and related data (excluding contact info for privacy)
+    // Format response with normalised photos and related data (excluding contact info for privacy)
     const response = {
       id: warehouse.id,
       address: warehouse.address,
@@ -70,7 +237,8 @@ export async function getWarehouseById(req, res) {
       city: warehouse.city,
       state: warehouse.state,
       postalCode: warehouse.postalCode,
-      photos: parsedPhotos,
+      photos,
+      coverPhoto,
       warehouseType: warehouse.warehouseType,
       zone: warehouse.zone,
       compliances: warehouse.compliances,
@@ -78,7 +246,11 @@ export async function getWarehouseById(req, res) {
       ratePerSqft: warehouse.ratePerSqft,
       // Include WarehouseData fields if available
       fireNocAvailable: warehouse.warehouseData?.fireNocAvailable || null,
-      fireSafetyMeasures: warehouse.warehouseData?.fireSafetyMeasures || null
+      fireSafetyMeasures: warehouse.warehouseData?.fireSafetyMeasures || null,
+      // Every WarehouseData spec, null when not recorded
+      specifications: Object.fromEntries(
+        SPECIFICATION_FIELDS.map(field => [field, warehouse.warehouseData?.[field] ?? null])
+      )
     };
 
     res.status(200).json(sanitizeForJSON(response));
@@ -86,4 +258,54 @@ export async function getWarehouseById(req, res) {
     console.error('Error fetching warehouse details:', error);
     res.status(500).json({ error: 'An error occurred while fetching warehouse details' });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * @route   GET /warehouses/:id/similar
+ * @desc    Visible warehouses similar to the given one, for the detail page (with Redis caching)
+ * @access  Public
+ * @query   limit (number): Maximum results. Defaults to 6, at most 20.
+ */
+export async function getSimilarWarehouses(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    const warehouseId = parseInt(id);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_SIMILAR_LIMIT, 1), MAX_SIMILAR_LIMIT);
+
+    const cacheKey = `warehouses:similar:${warehouseId}:limit:${limit}`;
+
+    const cachedData = await getCachedJSON(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    // Only visible warehouses have a public detail page
+    const warehouse = await prisma.warehouse.findUnique({
+      where: { id: warehouseId, visibility: true },
+      select: { id: true }
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const similar = await findSimilarWarehouses(warehouseId, limit);
+
+    const responseData = sanitizeForJSON({
+      warehouseId,
+      data: similar.map(formatWarehouseListItem),
+    });
+
+    await setCachedJSON(cacheKey, responseData);
+
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('Error fetching similar warehouses:', error);
+    res.status(500).json({ error: 'An error occurred while fetching similar warehouses' });
+  }
+}
@@ -0,0 +1,354 @@
+import { randomUUID } from 'crypto';
+import prisma from '../models/prismaClient.js';
+import { sanitizeForJSON } from '../utils/serialize.js';
+import { invalidateWarehouseCache } from '../utils/cache.js';
+import { PHOTO_SELECT, formatPhotos, formatPhotoRecord, legacyPhotoRows, validatePhotoPayload } from '../utils/warehousePhotos.js';
+import { processPhotoUpload, InvalidImageError } from '../utils/imageProcessing.js';
+import { getPhotoStorage, deleteStoredPhotos } from '../utils/photoStorage.js';
+
+// Prisma error code for "record to update/delete not found"
+const RECORD_NOT_FOUND = 'P2025';
+
+const parseId = (id) => {
+  const parsed = parseInt(id);
+  return !id || isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Load a warehouse's photo rows, or null when the warehouse does not exist
+ * @param {number} warehouseId - Warehouse ID
+ * @returns {Promise<Object|null>} Warehouse with legacy `photos` and `warehousePhotos`
+ */
+function findWarehouseWithPhotos(warehouseId) {
+  return prisma.warehouse.findUnique({
+    where: { id: warehouseId },
+    select: { id: true, photos: true, warehousePhotos: PHOTO_SELECT }
+  });
+}
+
+/**
+ * Operation clearing the cover flag of every photo of a warehouse except one
+ * @param {number} warehouseId - Warehouse ID
+ * @param {number} exceptId - Photo to leave alone (optional)
+ * @returns {Prisma.PrismaPromise} updateMany operation
+ */
+function clearOtherCovers(warehouseId, exceptId) {
+  return prisma.warehousePhoto.updateMany({
+    where: { warehouseId, isCover: true, ...(exceptId !== undefined && { id: { not: exceptId } }) },
+    data: { isCover: false }
+  });
+}
+
+/**
+ * Operations appending photos after a warehouse's existing ones, in one transaction.
+ * Legacy photos are converted to rows first, otherwise the new rows would hide them.
+ * @param {Object} warehouse - Result of findWarehouseWithPhotos
+ * @param {Array<Object>} photos - WarehousePhoto inputs; the first with `isCover` becomes the cover
+ * @returns {Array<Prisma.PrismaPromise>} Operations; the last photos.length results are the new rows
+ */
+function appendPhotoOperations(warehouse, photos) {
+  const operations = [];
+  let sortOrder = 0;
+
+  if (warehouse.warehousePhotos.length > 0) {
+    sortOrder = warehouse.warehousePhotos[warehouse.warehousePhotos.length - 1].sortOrder + 1;
+  } else if (warehouse.photos) {
+    const legacy = legacyPhotoRows(warehouse.photos);
+    operations.push(prisma.warehouse.update({
+      where: { id: warehouse.id },
+      data: { photos: null, warehousePhotos: { create: legacy } }
+    }));
+    sortOrder = legacy.length;
+  }
+
+  const coverIndex = photos.findIndex(photo => photo.isCover);
+  if (coverIndex !== -1) operations.push(clearOtherCovers(warehouse.id));
+
+  photos.forEach((photo, index) => {
+    operations.push(prisma.warehousePhoto.create({
+      data: { ...photo, isCover: index === coverIndex, warehouseId: warehouse.id, sortOrder: sortOrder + index },
+      select: PHOTO_SELECT.select
+    }));
+  });
+
+  return operations;
+}
+
+/**
+ * @route   GET /admin/warehouses/:id/photos
+ * @desc    List a warehouse's photos in display order with its cover
+ * @access  Admin
+ */
+export async function listWarehousePhotos(req, res) {
+  try {
+    const warehouseId = parseId(req.params.id);
+    if (warehouseId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    const warehouse = await findWarehouseWithPhotos(warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    res.status(200).json(sanitizeForJSON({ warehouseId, ...formatPhotos(warehouse) }));
+  } catch (error) {
+    console.error('Error fetching warehouse photos:', error);
+    res.status(500).json({ error: 'An error occurred while fetching warehouse photos' });
+  }
+}
+
+/**
+ * @route   POST /admin/warehouses/:id/photos
+ * @desc    Append a photo; `isCover: true` makes it the only cover
+ * @access  Admin
+ * @body    { url, caption?, isCover? }
+ */
+export async function addWarehousePhoto(req, res) {
+  try {
+    const warehouseId = parseId(req.params.id);
+    if (warehouseId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    const fields = [];
+    const photo = validatePhotoPayload(req.body || {}, fields);
+    if (fields.length > 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields });
+    }
+
+    const warehouse = await findWarehouseWithPhotos(warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const results = await prisma.$transaction(appendPhotoOperations(warehouse, [photo]));
+    const created = results[results.length - 1];
+
+    await invalidateWarehouseCache();
+
+    console.log(`[ADMIN] Photo ${created.id} added to warehouse ${warehouseId} by ${req.user.email}`);
+    res.status(201).json(sanitizeForJSON(formatPhotoRecord(created)));
+  } catch (error) {
+    console.error('Error adding warehouse photo:', error);
+    res.status(500).json({ error: 'Failed to add warehouse photo' });
+  }
+}
+
+/**
+ * @route   POST /admin/warehouses/:id/photos/upload
+ * @desc    Upload image files (multipart field `photos`), stored with EXIF stripped
+ *          and `thumb`/`medium` thumbnails, and append them to the warehouse
+ * @access  Admin
+ * @body    multipart: photos (files), isCover ("true" makes the first file the cover)
+ */
+export async function uploadWarehousePhotos(req, res) {
+  try {
+    const warehouseId = parseId(req.params.id);
+    if (warehouseId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No photos uploaded (expected multipart field `photos`)' });
+    }
+
+    const warehouse = await findWarehouseWithPhotos(warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    // Process every file before storing any, so one bad file rejects the whole upload
+    const processed = [];
+    for (const file of req.files) {
+      try {
+        processed.push(await processPhotoUpload(file.buffer));
+      } catch (error) {
+        if (error instanceof InvalidImageError) {
+          return res.status(400).json({ error: error.message, file: file.originalname });
+        }
+        throw error;
+      }
+    }
+
+    const storage = getPhotoStorage();
+    const storageKeys = [];
+    let results;
+
+    try {
+      const photos = [];
+      for (const { original, thumbnails } of processed) {
+        const storageKey = `warehouses/${warehouseId}/${randomUUID()}`;
+        storageKeys.push(storageKey);
+
+        const { url } = await storage.save(`${storageKey}/original.${original.extension}`, original.buffer, original.contentType);
+        const thumbnailUrls = {};
+        for (const [name, image] of Object.entries(thumbnails)) {
+          thumbnailUrls[name] = (await storage.save(`${storageKey}/${name}.${image.extension}`, image.buffer, image.contentType)).url;
+        }
+
+        photos.push({ url, storageKey, thumbnails: thumbnailUrls, isCover: photos.length === 0 && req.body?.isCover === 'true' });
+      }
+
+      results = await prisma.$transaction(appendPhotoOperations(warehouse, photos));
+    } catch (error) {
+      // Do not leave orphaned files behind when storing or saving the rows fails
+      await deleteStoredPhotos(storageKeys);
+      throw error;
+    }
+
+    await invalidateWarehouseCache();
+
+    const created = results.slice(-processed.length);
+    console.log(`[ADMIN] ${created.length} photos uploaded to warehouse ${warehouseId} by ${req.user.email}`);
+    res.status(201).json(sanitizeForJSON({ warehouseId, photos: created.map(formatPhotoRecord) }));
+  } catch (error) {
+    console.error('Error uploading warehouse photos:', error);
+    res.status(500).json({ error: 'Failed to upload warehouse photos' });
+  }
+}
+
+/**
+ * @route   PATCH /admin/warehouses/:id/photos/:photoId
+ * @desc    Update a photo's URL, caption or cover flag
+ * @access  Admin
+ * @body    { url?, caption?, isCover? }
+ */
+export async function updateWarehousePhoto(req, res) {
+  try {
+    const warehouseId = parseId(req.params.id);
+    const photoId = parseId(req.params.photoId);
+    if (warehouseId === null || photoId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse or photo ID format' });
+    }
+
+    const fields = [];
+    const photo = validatePhotoPayload(req.body || {}, fields, { partial: true });
+    if (fields.length > 0) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields });
+    }
+    if (Object.keys(photo).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (expected url, caption or isCover)' });
+    }
+
+    const operations = [
+      prisma.warehousePhoto.update({
+        where: { id: photoId, warehouseId },
+        data: photo,
+        select: PHOTO_SELECT.select
+      })
+    ];
+    if (photo.isCover) operations.unshift(clearOtherCovers(warehouseId, photoId));
+
+    const results = await prisma.$transaction(operations);
+    const updated = results[results.length - 1];
+
+    await invalidateWarehouseCache();
+
+    console.log(`[ADMIN] Photo ${photoId} of warehouse ${warehouseId} updated by ${req.user.email}`);
+    res.status(200).json(sanitizeForJSON(formatPhotoRecord(updated)));
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    console.error('Error updating warehouse photo:', error);
+    res.status(500).json({ error: 'Failed to update warehouse photo' });
+  }
+}
+
+/**
+ * @route   PATCH /admin/warehouses/:id/photos/order
+ * @desc    Reorder photos; the body must list every photo ID of the warehouse once
+ * @access  Admin
+ * @body    { photoIds: number[] }
+ */
+export async function reorderWarehousePhotos(req, res) {
+  try {
+    const warehouseId = parseId(req.params.id);
+    if (warehouseId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    const photoIds = req.body?.photoIds;
+    if (!Array.isArray(photoIds) || !photoIds.every(Number.isInteger)) {
+      return res.status(400).json({ error: 'Missing or invalid fields', fields: ['photoIds'] });
+    }
+
+    const warehouse = await findWarehouseWithPhotos(warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    // A partial list would leave the omitted photos with clashing positions
+    const currentIds = warehouse.warehousePhotos.map(photo => photo.id).sort((a, b) => a - b);
+    const requestedIds = [...photoIds].sort((a, b) => a - b);
+    if (currentIds.length !== requestedIds.length || currentIds.some((id, i) => id !== requestedIds[i])) {
+      return res.status(400).json({
+        error: '`photoIds` must list every photo of the warehouse exactly once',
+        photoIds: currentIds
+      });
+    }
+
+    await prisma.$transaction(photoIds.map((id, index) =>
+      prisma.warehousePhoto.update({ where: { id, warehouseId }, data: { sortOrder: index } })
+    ));
+
+    await invalidateWarehouseCache();
+
+    console.log(`[ADMIN] Photos of warehouse ${warehouseId} reordered by ${req.user.email}`);
+    res.status(200).json(sanitizeForJSON({ warehouseId, ...formatPhotos(await findWarehouseWithPhotos(warehouseId)) }));
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(409).json({ error: 'Photos changed concurrently, please reload and retry' });
+    }
+    console.error('Error reordering warehouse photos:', error);
+    res.status(500).json({ error: 'Failed to reorder warehouse photos' });
+  }
+}
+
+/**
+ * @route   DELETE /admin/warehouses/:id/photos/:photoId
+ * @desc    Delete a photo; if it was the cover, the first remaining photo becomes the cover
+ * @access  Admin
+ */
+export async function deleteWarehousePhoto(req, res) {
+  try {
+    const warehouseId = parseId(req.params.id);
+    const photoId = parseId(req.params.photoId);
+    if (warehouseId === null || photoId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse or photo ID format' });
+    }
+
+    const warehouse = await findWarehouseWithPhotos(warehouseId);
+    const photo = warehouse?.warehousePhotos.find(current => current.id === photoId);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const operations = [
+      prisma.warehousePhoto.delete({
+        where: { id: photoId, warehouseId },
+        select: { storageKey: true }
+      })
+    ];
+    // Flag the next photo in display order so the cover does not depend on the fallback
+    const next = photo.isCover && warehouse.warehousePhotos.find(current => current.id !== photoId);
+    if (next) {
+      operations.push(prisma.warehousePhoto.update({ where: { id: next.id, warehouseId }, data: { isCover: true } }));
+    }
+
+    const [deleted] = await prisma.$transaction(operations);
+
+    await invalidateWarehouseCache();
+    await deleteStoredPhotos([deleted.storageKey]);
+
+    console.log(`[ADMIN] Photo ${photoId} of warehouse ${warehouseId} deleted by ${req.user.email}`);
+    res.status(204).send();
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    console.error('Error deleting warehouse photo:', error);
+    res.status(500).json({ error: 'Failed to delete warehouse photo' });
+  }
+}
@@ -0,0 +1,229 @@
+import prisma from '../models/prismaClient.js';
+import { sanitizeForJSON } from '../utils/serialize.js';
+import { invalidateWarehouseCache } from '../utils/cache.js';
+import { parsePagination, buildPagination } from '../utils/query.js';
+import {
+  REVIEW_STATUS,
+  REVIEW_ACTION,
+  REVIEW_INCLUDE,
+  MAX_REASON_LENGTH,
+  reviewSnapshot,
+  diffSnapshots
+} from '../utils/warehouseReview.js';
+
+// Prisma error code for "record to update/delete not found"
+const RECORD_NOT_FOUND = 'P2025';
+
+const REVIEW_SELECT = { id: true, action: true, reason: true, reviewerEmail: true, createdAt: true };
+
+// The latest review event, whose snapshot is the baseline edits are compared against
+const latestReview = {
+  orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+  take: 1,
+  select: { ...REVIEW_SELECT, snapshot: true }
+};
+
+function parseWarehouseId(id) {
+  const warehouseId = parseInt(id);
+  return !id || isNaN(warehouseId) ? null : warehouseId;
+}
+
+/**
+ * Drop the snapshot from a review row for responses
+ * @param {Object|undefined} review - WarehouseReview row
+ * @returns {Object|null} Review without its snapshot
+ */
+function formatReview(review) {
+  if (!review) return null;
+  const { snapshot, ...rest } = review;
+  return rest;
+}
+
+/**
+ * List warehouses in the review queue
+ * @query status - pending (default, oldest first), approved or rejected (most recently changed first)
+ * @query page, pageSize - Pagination
+ */
+export async function listReviewQueue(req, res) {
+  try {
+    const status = req.query.status || REVIEW_STATUS.PENDING;
+    if (!Object.values(REVIEW_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: `Invalid \`status\` (expected ${Object.values(REVIEW_STATUS).join(', ')})`
+      });
+    }
+
+    const { page, pageSize, skip } = parsePagination(req.query);
+    const where = { reviewStatus: status };
+
+    const [warehouses, totalItems] = await prisma.$transaction([
+      prisma.warehouse.findMany({
+        skip,
+        take: pageSize,
+        where,
+        orderBy: status === REVIEW_STATUS.PENDING
+          ? [{ createdAt: 'asc' }, { id: 'asc' }]
+          : [{ statusUpdatedAt: 'desc' }, { id: 'desc' }],
+        include: { ...REVIEW_INCLUDE, reviews: latestReview }
+      }),
+      prisma.warehouse.count({ where }),
+    ]);
+
+    const data = warehouses.map(({ reviews, warehouseData, warehousePhotos, ...warehouse }) => {
+      const [lastReview] = reviews;
+      const snapshot = reviewSnapshot({ ...warehouse, warehouseData, warehousePhotos });
+      return {
+        id: warehouse.id,
+        warehouseType: warehouse.warehouseType,
+        address: warehouse.address,
+        city: warehouse.city,
+        zone: warehouse.zone,
+        totalSpaceSqft: warehouse.totalSpaceSqft,
+        ratePerSqft: warehouse.ratePerSqft,
+        uploadedBy: warehouse.uploadedBy,
+        visibility: warehouse.visibility,
+        reviewStatus: warehouse.reviewStatus,
+        createdAt: warehouse.createdAt,
+        lastReview: formatReview(lastReview),
+        // Fields edited since the last submission or decision
+        changedFields: lastReview ? diffSnapshots(lastReview.snapshot, snapshot).map(change => change.field) : []
+      };
+    });
+
+    res.status(200).json(sanitizeForJSON({
+      data,
+      pagination: buildPagination(totalItems, page, pageSize),
+    }));
+  } catch (error) {
+    console.error('Error listing warehouse review queue:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+}
+
+/**
+ * Get a warehouse for review: its current content, the changes since the last
+ * submission or decision, and the full review history
+ */
+export async function getWarehouseReview(req, res) {
+  try {
+    const warehouseId = parseWarehouseId(req.params.id);
+    if (warehouseId === null) {
+      return res.status(400).json({ error: 'Invalid warehouse ID format' });
+    }
+
+    const warehouse = await prisma.warehouse.findUnique({
+      where: { id: warehouseId },
+      include: {
+        ...REVIEW_INCLUDE,
+        reviews: { orderBy: [{ createdAt: 'desc' }, { id: 'desc' }], select: { ...REVIEW_SELECT, snapshot: true } }
+      }
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const { reviews, ...current } = warehouse;
+    const [baseline] = reviews;
+
+    res.status(200).json(sanitizeForJSON({
+      warehouse: current,
+      reviewStatus: warehouse.reviewStatus,
+      baseline: formatReview(baseline),
+      // null when the warehouse has never been submitted or reviewed
+      changes: baseline ? diffSnapshots(baseline.snapshot, reviewSnapshot(current)) : null,
+      history: reviews.map(formatReview)
+    }));
+  } catch (error) {
+    console.error('Error fetching warehouse review:', error);
+    res.status(500).json({ error: 'Failed to fetch warehouse review' });
+  }
+}
+
+/**
+ * Record a review decision, recording the reviewer from the JWT and a snapshot
+ * of what was reviewed (shared by approve and reject)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} action - REVIEW_ACTION.APPROVED or REVIEW_ACTION.REJECTED
+ */
+async function decideReview(req, res, action) {
+  const warehouseId = parseWarehouseId(req.params.id);
+  if (warehouseId === null) {
+    return res.status(400).json({ error: 'Invalid warehouse ID format' });
+  }
+
+  const approve = action === REVIEW_ACTION.APPROVED;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : req.body?.reason;
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    return res.status(400).json({ error: `Invalid \`reason\` (expected a string of at most ${MAX_REASON_LENGTH} characters)` });
+  }
+  if (!approve && !reason) {
+    return res.status(400).json({ error: 'A `reason` is required to reject a warehouse' });
+  }
+
+  const warehouse = await prisma.warehouse.findUnique({
+    where: { id: warehouseId },
+    include: REVIEW_INCLUDE
+  });
+
+  if (!warehouse) {
+    return res.status(404).json({ error: 'Warehouse not found' });
+  }
+
+  const reviewStatus = approve ? REVIEW_STATUS.APPROVED : REVIEW_STATUS.REJECTED;
+  if (warehouse.reviewStatus === reviewStatus) {
+    return res.status(409).json({ error: `Warehouse is already ${reviewStatus}` });
+  }
+
+  // Matching on the status that was read makes a concurrent decision fail with P2025
+  const [updated, review] = await prisma.$transaction([
+    prisma.warehouse.update({
+      where: { id: warehouseId, reviewStatus: warehouse.reviewStatus },
+      data: { reviewStatus, visibility: approve },
+      select: { id: true, reviewStatus: true, visibility: true }
+    }),
+    prisma.warehouseReview.create({
+      data: {
+        warehouseId,
+        action,
+        reason: reason || null,
+        reviewerEmail: req.user.email,
+        snapshot: reviewSnapshot(warehouse)
+      },
+      select: REVIEW_SELECT
+    })
+  ]);
+
+  // Approval publishes the warehouse; rejection only changes public results if it was live
+  if (approve || warehouse.visibility) {
+    await invalidateWarehouseCache();
+  }
+
+  console.log(`[ADMIN] Warehouse ${warehouseId} ${action} by ${req.user.email}${reason ? `: ${reason}` : ''}`);
+  res.status(200).json(sanitizeForJSON({ ...updated, review }));
+}
+
+export async function approveWarehouse(req, res) {
+  try {
+    await decideReview(req, res, REVIEW_ACTION.APPROVED);
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(409).json({ error: 'Review status changed concurrently, please reload and retry' });
+    }
+    console.error('Error approving warehouse:', error);
+    res.status(500).json({ error: 'Failed to approve warehouse' });
+  }
+}
+
+export async function rejectWarehouse(req, res) {
+  try {
+    await decideReview(req, res, REVIEW_ACTION.REJECTED);
+  } catch (error) {
+    if (error.code === RECORD_NOT_FOUND) {
+      return res.status(409).json({ error: 'Review status changed concurrently, please reload and retry' });
+    }
+    console.error('Error rejecting warehouse:', error);
+    res.status(500).json({ error: 'Failed to reject warehouse' });
+  }
+}
@@ -0,0 +1,32 @@
+import { getWhatsAppProvider } from '../utils/whatsappProviders.js';
+import { ingestInboundMessage } from '../utils/listingIngestion.js';
+
+/**
+ * Receive inbound WhatsApp messages from the configured provider, log each one
+ * to MessageLog and accumulate listings from verified senders into their Draft
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const receiveWhatsAppMessage = async (req, res) => {
+  try {
+    // Throws when the provider is not configured; answered with a 500 below
+    const provider = getWhatsAppProvider();
+
+    if (!provider.verifyRequest(req)) {
+      console.warn(`[WHATSAPP] Rejected webhook call with an invalid ${provider.name} signature from ${req.ip}`);
+      return res.status(403).json({ error: 'Invalid webhook signature' });
+    }
+
+    const results = [];
+    for (const message of provider.parseInbound(req.body)) {
+      results.push(await ingestInboundMessage(message));
+    }
+
+    provider.acknowledge(res, results);
+  } catch (error) {
+    // Only reached when the provider is misconfigured or a message could not be logged;
+    // a 5xx makes the provider redeliver it
+    console.error('Error receiving WhatsApp message:', error);
+    res.status(500).json({ error: 'Failed to receive WhatsApp message' });
+  }
+};
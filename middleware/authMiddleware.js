@@ -2,6 +2,9 @@ import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// Accounts on the company domain get the admin role at sign-in
+export const ADMIN_EMAIL_DOMAIN = '@wareongo.com';
+
 /**
  * Middleware to verify JWT token
  * @param {Object} req - Express request object
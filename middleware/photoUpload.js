@@ -0,0 +1,39 @@
+import multer from 'multer';
+import { ACCEPTED_CONTENT_TYPES } from '../utils/imageProcessing.js';
+
+// Files accepted per request and maximum size of each (PHOTO_MAX_UPLOAD_MB, default 10)
+export const MAX_UPLOAD_FILES = 10;
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.PHOTO_MAX_UPLOAD_MB) || 10) * 1024 * 1024;
+
+const upload = multer({
+  // Files are kept in memory only until they are processed and handed to storage
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES },
+  fileFilter: (req, file, cb) => {
+    if (ACCEPTED_CONTENT_TYPES.includes(file.mimetype)) return cb(null, true);
+    const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    error.message = `Unsupported file type "${file.mimetype}" (expected ${ACCEPTED_CONTENT_TYPES.join(', ')})`;
+    cb(error);
+  }
+}).array('photos', MAX_UPLOAD_FILES);
+
+/**
+ * Middleware parsing multipart photo uploads from the `photos` field into req.files,
+ * answering upload errors (size, count, type) with JSON instead of Express's HTML page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const photoUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message, field: error.field });
+    }
+
+    console.error('Error parsing photo upload:', error);
+    res.status(400).json({ error: 'Invalid multipart upload' });
+  });
+};
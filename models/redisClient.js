@@ -0,0 +1,22 @@
+import { createClient } from 'redis';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Single Redis client instance for the app
+const redis = createClient({
+  username: process.env.REDIS_USERNAME || 'default',
+  password: process.env.REDIS_PASSWORD,
+  socket: {
+    host: process.env.REDIS_HOST,
+    port: parseInt(process.env.REDIS_PORT) || 6379
+  }
+});
+
+redis.on('error', err => console.log('Redis Client Error', err));
+redis.on('connect', () => console.log('Connected to Redis'));
+
+// Connect to Redis
+redis.connect().catch(console.error);
+
+export default redis;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { verifyToken, requireAdmin } from '../middleware/authMiddleware.js';
+import {
+  listCustomerRequests,
+  getCustomerRequestById,
+  updateCustomerRequestStatus,
+  assignCustomerRequest,
+  addCustomerRequestNote
+} from '../controllers/customerRequestController.js';
+
+const router = express.Router();
+
+// Every admin customer request route requires a valid JWT with the admin role
+router.use(verifyToken, requireAdmin);
+
+router.get('/', listCustomerRequests);
+router.get('/:id', getCustomerRequestById);
+router.patch('/:id/status', updateCustomerRequestStatus);
+router.patch('/:id/assignee', assignCustomerRequest);
+router.post('/:id/notes', addCustomerRequestNote);
+
+export default router;
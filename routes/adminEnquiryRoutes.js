@@ -0,0 +1,13 @@
+import express from 'express';
+import { verifyToken, requireAdmin } from '../middleware/authMiddleware.js';
+import { listEnquiries, getEnquiryById } from '../controllers/enquiryController.js';
+
+const router = express.Router();
+
+// Every admin enquiry route requires a valid JWT with the admin role
+router.use(verifyToken, requireAdmin);
+
+router.get('/', listEnquiries);
+router.get('/:id', getEnquiryById);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { verifyToken, requireAdmin } from '../middleware/authMiddleware.js';
+import { listMessageLogs, getMessageLog, reprocessMessageLog } from '../controllers/messageLogController.js';
+
+const router = express.Router();
+
+// Every message log route requires a valid JWT with the admin role
+router.use(verifyToken, requireAdmin);
+
+router.get('/', listMessageLogs);
+router.get('/:id', getMessageLog);
+router.post('/:id/reprocess', reprocessMessageLog);
+
+export default router;
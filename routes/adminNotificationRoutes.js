@@ -0,0 +1,43 @@
+import express from 'express';
+import { verifyToken, requireAdmin } from '../middleware/authMiddleware.js';
+import { listOutboxEntries, getOutboxEntry, retryOutboxEntry } from '../controllers/notificationOutboxController.js';
+import {
+  getNotificationStatus,
+  getDeliveryHistory,
+  sendTestNotification,
+  resetRateLimits
+} from '../controllers/notificationStatusController.js';
+import {
+  listRecipients,
+  addRecipient,
+  updateRecipient,
+  deleteRecipient,
+  listChannelLimits,
+  setChannelLimits,
+  clearChannelLimits
+} from '../controllers/notificationSettingsController.js';
+
+const router = express.Router();
+
+// Every notification route requires a valid JWT with the admin role
+router.use(verifyToken, requireAdmin);
+
+router.get('/status', getNotificationStatus);
+router.get('/history', getDeliveryHistory);
+router.post('/test', sendTestNotification);
+router.post('/rate-limits/reset', resetRateLimits);
+
+router.get('/outbox', listOutboxEntries);
+router.get('/outbox/:id', getOutboxEntry);
+router.post('/outbox/:id/retry', retryOutboxEntry);
+
+router.get('/recipients', listRecipients);
+router.post('/recipients', addRecipient);
+router.patch('/recipients/:id', updateRecipient);
+router.delete('/recipients/:id', deleteRecipient);
+
+router.get('/limits', listChannelLimits);
+router.put('/limits/:channel', setChannelLimits);
+router.delete('/limits/:channel', clearChannelLimits);
+
+export default router;
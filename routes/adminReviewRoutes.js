@@ -0,0 +1,20 @@
+import express from 'express';
+import { verifyToken, requireAdmin } from '../middleware/authMiddleware.js';
+import {
+  listReviewQueue,
+  getWarehouseReview,
+  approveWarehouse,
+  rejectWarehouse
+} from '../controllers/warehouseReviewController.js';
+
+const router = express.Router();
+
+// Every review route requires a valid JWT with the admin role
+router.use(verifyToken, requireAdmin);
+
+router.get('/', listReviewQueue);
+router.get('/:id', getWarehouseReview);
+router.post('/:id/approve', approveWarehouse);
+router.post('/:id/reject', rejectWarehouse);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { verifyToken, requireAdmin } from '../middleware/authMiddleware.js';
+import {
+  listVerifiedNumbers,
+  getVerifiedNumber,
+  addVerifiedNumber,
+  deactivateVerifiedNumber,
+  reactivateVerifiedNumber
+} from '../controllers/verifiedNumberController.js';
+
+const router = express.Router();
+
+// Every verified number route requires a valid JWT with the admin role
+router.use(verifyToken, requireAdmin);
+
+router.get('/', listVerifiedNumbers);
+router.post('/', addVerifiedNumber);
+router.get('/:id', getVerifiedNumber);
+router.patch('/:id/deactivate', deactivateVerifiedNumber);
+router.patch('/:id/reactivate', reactivateVerifiedNumber);
+
+export default router;
@@ -0,0 +1,41 @@
+import express from 'express';
+import { verifyToken, requireAdmin } from '../middleware/authMiddleware.js';
+import { photoUpload } from '../middleware/photoUpload.js';
+import {
+  getWarehouse,
+  createWarehouse,
+  updateWarehouse,
+  patchWarehouse,
+  deleteWarehouse,
+  setWarehouseVisibility
+} from '../controllers/adminWarehouseController.js';
+import {
+  listWarehousePhotos,
+  addWarehousePhoto,
+  uploadWarehousePhotos,
+  reorderWarehousePhotos,
+  updateWarehousePhoto,
+  deleteWarehousePhoto
+} from '../controllers/warehousePhotoController.js';
+
+const router = express.Router();
+
+// Every admin warehouse route requires a valid JWT with the admin role
+router.use(verifyToken, requireAdmin);
+
+router.post('/', createWarehouse);
+router.get('/:id', getWarehouse);
+router.put('/:id', updateWarehouse);
+router.patch('/:id', patchWarehouse);
+router.delete('/:id', deleteWarehouse);
+router.patch('/:id/visibility', setWarehouseVisibility);
+
+router.get('/:id/photos', listWarehousePhotos);
+router.post('/:id/photos', addWarehousePhoto);
+router.post('/:id/photos/upload', photoUpload, uploadWarehousePhotos);
+// Registered before '/:id/photos/:photoId' so "order" is not taken for a photo ID
+router.patch('/:id/photos/order', reorderWarehousePhotos);
+router.patch('/:id/photos/:photoId', updateWarehousePhoto);
+router.delete('/:id/photos/:photoId', deleteWarehousePhoto);
+
+export default router;
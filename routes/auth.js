@@ -2,6 +2,7 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import { OAuth2Client } from 'google-auth-library';
 import rateLimit from 'express-rate-limit';
+import { ADMIN_EMAIL_DOMAIN } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -79,7 +80,7 @@ router.post('/google-login', authLimiter, async (req, res) => {
     console.log(`[AUTH] ✅ Google verification successful for: ${email}`);
 
     // Determine role based on email domain
-    const role = email.endsWith('@wareongo.com') ? 'admin' : 'user';
+    const role = email.endsWith(ADMIN_EMAIL_DOMAIN) ? 'admin' : 'user';
 
     console.log(`[AUTH] User role assigned: ${role} for ${email}`);
 
@@ -1,8 +1,19 @@
 import express from 'express';
-import { getWarehouseById } from '../controllers/warehouseController.js';
+import {
+  listWarehouses,
+  semanticSearchWarehouses,
+  getWarehouseFacetCounts,
+  getWarehouseById,
+  getSimilarWarehouses
+} from '../controllers/warehouseController.js';
 
 const router = express.Router();
 
+router.get('/', listWarehouses);
+router.get('/search/semantic', semanticSearchWarehouses);
+// Static paths must be registered before '/:id'
+router.get('/facets', getWarehouseFacetCounts);
 router.get('/:id', getWarehouseById);
+router.get('/:id/similar', getSimilarWarehouses);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from 'express';
+import { receiveWhatsAppMessage } from '../controllers/whatsappWebhookController.js';
+
+const router = express.Router();
+
+// Providers post either JSON or form-encoded bodies (Twilio); the provider verifies the caller
+router.post('/webhook', express.urlencoded({ extended: false }), receiveWhatsAppMessage);
+
+export default router;
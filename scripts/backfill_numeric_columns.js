@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill ratePerSqftMin/Max, clearHeightFtMin/Max and WarehouseData powerKvaMin/Max
+ * from the string columns
+ *
+ * Usage: node ./scripts/backfill_numeric_columns.js [--dry-run]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import prisma from '../models/prismaClient.js';
+import { deriveNumericColumns, WAREHOUSE_DATA_NUMERIC_FIELDS } from '../utils/numericRange.js';
+import { invalidateWarehouseCache } from '../utils/cache.js';
+import redis from '../models/redisClient.js';
+
+const BATCH_SIZE = 200;
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Walk a table in id order, passing each batch to handle()
+ * @param {Function} fetchBatch - (cursor) => rows with id > cursor, ascending
+ * @param {Function} handle - async (row) => void
+ * @param {string} label - Name used in progress output
+ * @returns {Promise<number>} Rows processed
+ */
+async function forEachBatch(fetchBatch, handle, label) {
+  let cursor = 0;
+  let processed = 0;
+
+  while (true) {
+    const batch = await fetchBatch(cursor);
+    if (batch.length === 0) break;
+
+    for (const row of batch) {
+      await handle(row);
+      processed++;
+    }
+
+    cursor = batch[batch.length - 1].id;
+    console.log(`Processed up to ${label} ${cursor} (${processed} rows)`);
+  }
+
+  return processed;
+}
+
+async function run() {
+  console.log(`\n=== Numeric column backfill${dryRun ? ' (dry run)' : ''} ===\n`);
+
+  const unparsed = [];
+
+  const warehouses = await forEachBatch(
+    cursor => prisma.warehouse.findMany({
+      where: { id: { gt: cursor } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      select: { id: true, ratePerSqft: true, clearHeightFt: true },
+    }),
+    async warehouse => {
+      const derived = deriveNumericColumns(warehouse);
+
+      if (derived.ratePerSqftMin === null) unparsed.push({ id: warehouse.id, ratePerSqft: warehouse.ratePerSqft });
+      if (warehouse.clearHeightFt && derived.clearHeightFtMin === null) {
+        unparsed.push({ id: warehouse.id, clearHeightFt: warehouse.clearHeightFt });
+      }
+
+      // Raw UPDATE so Prisma's @updatedAt does not bump status_updated_at for every row
+      if (!dryRun) {
+        await prisma.$executeRaw`
+          UPDATE "Warehouse"
+          SET "ratePerSqftMin" = ${derived.ratePerSqftMin},
+              "ratePerSqftMax" = ${derived.ratePerSqftMax},
+              "clearHeightFtMin" = ${derived.clearHeightFtMin},
+              "clearHeightFtMax" = ${derived.clearHeightFtMax}
+          WHERE id = ${warehouse.id}
+        `;
+      }
+    },
+    'warehouse'
+  );
+
+  const warehouseData = await forEachBatch(
+    cursor => prisma.warehouseData.findMany({
+      where: { id: { gt: cursor } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      select: { id: true, warehouseId: true, powerKva: true },
+    }),
+    async data => {
+      const derived = deriveNumericColumns(data, WAREHOUSE_DATA_NUMERIC_FIELDS);
+
+      if (data.powerKva && derived.powerKvaMin === null) {
+        unparsed.push({ warehouseId: data.warehouseId, powerKva: data.powerKva });
+      }
+
+      if (!dryRun) {
+        await prisma.$executeRaw`
+          UPDATE "WarehouseData"
+          SET "powerKvaMin" = ${derived.powerKvaMin},
+              "powerKvaMax" = ${derived.powerKvaMax}
+          WHERE id = ${data.id}
+        `;
+      }
+    },
+    'warehouse data'
+  );
+
+  if (unparsed.length > 0) {
+    console.log(`\n⚠️  ${unparsed.length} values could not be parsed and were set to NULL:`);
+    unparsed.forEach(entry => console.log('  ', JSON.stringify(entry)));
+  }
+
+  if (!dryRun) {
+    await invalidateWarehouseCache();
+  }
+
+  console.log(`\n✅ ${dryRun ? 'Checked' : 'Backfilled'} ${warehouses} warehouses and ${warehouseData} warehouse data rows`);
+}
+
+run()
+  .catch(err => {
+    console.error('Backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+    await redis.quit().catch(() => {});
+  });
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Convert legacy `Warehouse.photos` strings into WarehousePhoto rows.
+ * Warehouses that already have photo rows are skipped; converted warehouses get
+ * their legacy column cleared so the rows are the only source of truth.
+ *
+ * Usage: node ./scripts/migrate_photos.js [--dry-run]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import prisma from '../models/prismaClient.js';
+import { legacyPhotoRows } from '../utils/warehousePhotos.js';
+import { invalidateWarehouseCache } from '../utils/cache.js';
+import redis from '../models/redisClient.js';
+
+const BATCH_SIZE = 200;
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+  console.log(`\n=== Photo migration${dryRun ? ' (dry run)' : ''} ===\n`);
+
+  let cursor = 0;
+  let migrated = 0;
+  let photoCount = 0;
+  const empty = [];
+
+  while (true) {
+    const batch = await prisma.warehouse.findMany({
+      where: { id: { gt: cursor }, photos: { not: null }, warehousePhotos: { none: {} } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      select: { id: true, photos: true },
+    });
+    if (batch.length === 0) break;
+
+    for (const warehouse of batch) {
+      const rows = legacyPhotoRows(warehouse.photos);
+      if (rows.length === 0) empty.push({ id: warehouse.id, photos: warehouse.photos });
+
+      // Raw UPDATE so Prisma's @updatedAt does not bump status_updated_at for every row
+      if (!dryRun) {
+        await prisma.$transaction([
+          prisma.warehousePhoto.createMany({
+            data: rows.map(row => ({ ...row, warehouseId: warehouse.id })),
+          }),
+          prisma.$executeRaw`UPDATE "Warehouse" SET "photos" = NULL WHERE id = ${warehouse.id}`,
+        ]);
+      }
+
+      migrated++;
+      photoCount += rows.length;
+    }
+
+    cursor = batch[batch.length - 1].id;
+    console.log(`Processed up to warehouse ${cursor} (${migrated} warehouses)`);
+  }
+
+  if (empty.length > 0) {
+    console.log(`\n⚠️  ${empty.length} warehouses had no usable photo URL (legacy value cleared):`);
+    empty.forEach(entry => console.log('  ', JSON.stringify(entry)));
+  }
+
+  if (!dryRun) {
+    await invalidateWarehouseCache();
+  }
+
+  console.log(`\n✅ ${dryRun ? 'Checked' : 'Migrated'} ${photoCount} photos from ${migrated} warehouses`);
+}
+
+run()
+  .catch(err => {
+    console.error('Photo migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+    await redis.quit().catch(() => {});
+  });
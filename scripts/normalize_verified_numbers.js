@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Rewrite existing `VerifiedNumber.phone_number` values to E.164, the format the
+ * WhatsApp webhook looks senders up by. Numbers that cannot be normalised, or
+ * that would collide with another row once normalised, are reported and left as is.
+ *
+ * Usage: node ./scripts/normalize_verified_numbers.js [--dry-run]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import prisma from '../models/prismaClient.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function run() {
+  console.log(`\n=== Verified number normalisation${dryRun ? ' (dry run)' : ''} ===\n`);
+
+  const numbers = await prisma.verifiedNumber.findMany({
+    orderBy: { id: 'asc' },
+    select: { id: true, phone_number: true, name: true },
+  });
+  const taken = new Set(numbers.map(number => number.phone_number));
+
+  let updated = 0;
+  const skipped = [];
+
+  for (const number of numbers) {
+    const normalized = normalizePhoneNumber(number.phone_number);
+    if (normalized === number.phone_number) continue;
+
+    if (!normalized) {
+      skipped.push({ ...number, reason: 'not a valid phone number' });
+      continue;
+    }
+    if (taken.has(normalized)) {
+      skipped.push({ ...number, reason: `${normalized} already exists` });
+      continue;
+    }
+
+    if (!dryRun) {
+      await prisma.verifiedNumber.update({ where: { id: number.id }, data: { phone_number: normalized } });
+    }
+
+    taken.delete(number.phone_number);
+    taken.add(normalized);
+    updated++;
+    console.log(`  ${number.phone_number} -> ${normalized} (${number.name})`);
+  }
+
+  if (skipped.length > 0) {
+    console.log(`\n⚠️  ${skipped.length} numbers were left unchanged:`);
+    skipped.forEach(entry => console.log('  ', JSON.stringify(entry)));
+  }
+
+  console.log(`\n✅ ${dryRun ? 'Would normalise' : 'Normalised'} ${updated} of ${numbers.length} verified numbers`);
+}
+
+run()
+  .catch(err => {
+    console.error('Verified number normalisation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Compute embeddings for warehouses whose data changed since their last embedding
+ *
+ * Usage: node ./scripts/refresh_embeddings.js [--force] [--batch-size=50] [--interval=15]
+ *   --force         Re-embed every warehouse (e.g. after changing EMBEDDING_PROVIDER/MODEL)
+ *   --batch-size=N  Warehouses sent to the provider per request
+ *   --interval=M    Keep running and refresh every M minutes (background job mode)
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import prisma from '../models/prismaClient.js';
+import { refreshWarehouseEmbeddings } from '../utils/warehouseEmbeddings.js';
+
+const getArg = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : undefined;
+};
+
+const force = process.argv.includes('--force');
+const batchSize = parseInt(getArg('batch-size')) || undefined;
+const intervalMinutes = parseFloat(getArg('interval')) || 0;
+
+let timer = null;
+
+async function runOnce() {
+  const startTime = Date.now();
+  console.log(`\n[EMBEDDINGS] Refresh started${force ? ' (force)' : ''} at ${new Date().toISOString()}`);
+
+  const { processed, failed } = await refreshWarehouseEmbeddings({ force, batchSize });
+
+  const duration = Date.now() - startTime;
+  console.log(`[EMBEDDINGS] ✅ ${processed} embedded, ${failed.length} failed - Duration: ${duration}ms`);
+  if (failed.length > 0) {
+    console.log(`[EMBEDDINGS] ⚠️ Failed warehouse ids (retried next run): ${failed.join(', ')}`);
+  }
+}
+
+async function shutdown(exitCode) {
+  if (timer) clearTimeout(timer);
+  await prisma.$disconnect();
+  process.exit(exitCode);
+}
+
+async function loop() {
+  try {
+    await runOnce();
+  } catch (error) {
+    console.error('[EMBEDDINGS] ❌ Refresh failed:', error);
+    if (!intervalMinutes) return shutdown(1);
+  }
+
+  if (!intervalMinutes) return shutdown(0);
+  timer = setTimeout(loop, intervalMinutes * 60 * 1000);
+}
+
+process.on('SIGINT', () => {
+  console.log('[EMBEDDINGS] Shutting down...');
+  shutdown(0);
+});
+
+loop();
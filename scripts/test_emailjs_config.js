@@ -13,6 +13,7 @@ dotenv.config();
 
 // Now import the notification service after env vars are loaded
 import notificationService from '../utils/notificationService.js';
+import redis from '../models/redisClient.js';
 
 /**
  * Test configuration validation
@@ -24,6 +25,9 @@ function testConfiguration() {
   
   console.log('Configuration Status:', config.isValid ? '✅ Valid' : '❌ Invalid');
   console.log('Recipient Count:', config.recipients);
+  config.channels.forEach(channel => {
+    console.log(`  ${channel.name}:`, channel.isValid ? '✅ Valid' : '❌ Invalid', `(${channel.recipients} recipients)`);
+  });
   
   if (!config.isValid) {
     console.log('Missing Variables:', config.missingVariables);
@@ -40,14 +44,17 @@ function testConfiguration() {
 /**
  * Test rate limit status
  */
-function testRateLimits() {
+async function testRateLimits() {
   console.log('\n=== Rate Limit Status ===\n');
   
-  const rateLimits = notificationService.getRateLimitStatus();
+  const rateLimits = await notificationService.getRateLimitStatus();
   
-  console.log('Monthly:', `${rateLimits.monthly.current}/${rateLimits.monthly.limit} (${rateLimits.monthly.percentUsed}%)`);
-  console.log('Daily:', `${rateLimits.daily.current}/${rateLimits.daily.limit} (${rateLimits.daily.percentUsed}%)`);
-  console.log('Hourly:', `${rateLimits.hourly.current}/${rateLimits.hourly.limit} (${rateLimits.hourly.percentUsed}%)`);
+  Object.entries(rateLimits).forEach(([channel, status]) => {
+    console.log(`${channel}:`);
+    console.log('  Monthly:', `${status.monthly.current}/${status.monthly.limit} (${status.monthly.percentUsed}%)`);
+    console.log('  Daily:', `${status.daily.current}/${status.daily.limit} (${status.daily.percentUsed}%)`);
+    console.log('  Hourly:', `${status.hourly.current}/${status.hourly.limit} (${status.hourly.percentUsed}%)`);
+  });
 }
 
 /**
@@ -93,10 +100,10 @@ async function testEnquiryNotification() {
     if (result.success) {
       console.log('✅ Enquiry notification sent successfully');
       console.log('Duration:', result.duration + 'ms');
-      console.log('Response Status:', result.response?.status);
+      result.channels.forEach(channel => console.log(`  ${channel.channel}:`, channel.success ? 'sent' : channel.error));
     } else if (result.rateLimited) {
       console.log('⚠️ Enquiry notification blocked by rate limit');
-      console.log('Reset Date:', result.resetDate?.toISOString());
+      console.log('Error:', result.error);
     } else {
       console.log('❌ Enquiry notification failed');
       console.log('Error:', result.error);
@@ -121,10 +128,10 @@ async function testCustomerRequestNotification() {
     if (result.success) {
       console.log('✅ Customer request notification sent successfully');
       console.log('Duration:', result.duration + 'ms');
-      console.log('Response Status:', result.response?.status);
+      result.channels.forEach(channel => console.log(`  ${channel.channel}:`, channel.success ? 'sent' : channel.error));
     } else if (result.rateLimited) {
       console.log('⚠️ Customer request notification blocked by rate limit');
-      console.log('Reset Date:', result.resetDate?.toISOString());
+      console.log('Error:', result.error);
     } else {
       console.log('❌ Customer request notification failed');
       console.log('Error:', result.error);
@@ -150,7 +157,7 @@ async function runTests() {
   }
   
   // Test rate limits
-  testRateLimits();
+  await testRateLimits();
   
   // Ask user if they want to send test emails
   console.log('\n=== Test Email Sending ===\n');
@@ -172,8 +179,10 @@ async function runTests() {
 
 // Run tests if this script is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  runTests().catch(error => {
-    console.error('Test failed:', error);
-    process.exit(1);
-  });
+  runTests()
+    .catch(error => {
+      console.error('Test failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => redis.quit().catch(() => {}));
 }
\ No newline at end of file
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+
+// Mock the prisma client; $transaction resolves the array of queries it receives
+const mockPrismaClient = {
+  enquiry: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    count: jest.fn()
+  },
+  $transaction: jest.fn(queries => Promise.all(queries))
+};
+
+// The listing endpoints never send notifications
+jest.unstable_mockModule('../utils/notificationService.js', () => ({
+  default: {}
+}));
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+// Import the controller after mocking dependencies
+const { listEnquiries, getEnquiryById } = await import('../controllers/enquiryController.js');
+
+describe('Admin Enquiry Listing', () => {
+  let mockReq, mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = { query: {}, params: {} };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    mockPrismaClient.enquiry.findMany.mockResolvedValue([
+      { id: 2, name: 'Jane', phoneNumber: '+919876543210', email: null, source: 'website' }
+    ]);
+    mockPrismaClient.enquiry.count.mockResolvedValue(21);
+  });
+
+  test('should paginate newest first with default page size', async () => {
+    await listEnquiries(mockReq, mockRes);
+
+    expect(mockPrismaClient.enquiry.findMany).toHaveBeenCalledWith({
+      skip: 0,
+      take: 10,
+      where: {},
+      orderBy: { createdat: 'desc' }
+    });
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(mockRes.json.mock.calls[0][0].pagination).toEqual({
+      totalItems: 21,
+      totalPages: 3,
+      currentPage: 1,
+      pageSize: 10
+    });
+  });
+
+  test('should combine source, date range and text search filters', async () => {
+    mockReq.query = {
+      page: '2',
+      pageSize: '5',
+      source: 'website,google-ads',
+      from: '2025-01-01',
+      to: '2025-01-31',
+      q: ' jane '
+    };
+
+    await listEnquiries(mockReq, mockRes);
+
+    const { where, skip, take } = mockPrismaClient.enquiry.findMany.mock.calls[0][0];
+    expect(skip).toBe(5);
+    expect(take).toBe(5);
+    expect(where.source).toEqual({ in: ['website', 'google-ads'], mode: 'insensitive' });
+    expect(where.createdat.gte).toEqual(new Date('2025-01-01'));
+    expect(where.createdat.lte).toEqual(new Date('2025-01-31T23:59:59.999Z'));
+    expect(where.OR).toEqual([
+      { name: { contains: 'jane', mode: 'insensitive' } },
+      { phoneNumber: { contains: 'jane' } },
+      { email: { contains: 'jane', mode: 'insensitive' } }
+    ]);
+    expect(mockPrismaClient.enquiry.count).toHaveBeenCalledWith({ where });
+  });
+
+  test('should reject an invalid date range', async () => {
+    mockReq.query = { from: 'yesterday' };
+
+    await listEnquiries(mockReq, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid date range', fields: ['from'] });
+    expect(mockPrismaClient.enquiry.findMany).not.toHaveBeenCalled();
+  });
+
+  test('should fetch an enquiry by id', async () => {
+    mockReq.params.id = '2';
+    mockPrismaClient.enquiry.findUnique.mockResolvedValue({ id: 2, name: 'Jane' });
+
+    await getEnquiryById(mockReq, mockRes);
+
+    expect(mockPrismaClient.enquiry.findUnique).toHaveBeenCalledWith({ where: { id: 2 } });
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+  });
+
+  test('should return 404 for unknown enquiry', async () => {
+    mockReq.params.id = '999';
+    mockPrismaClient.enquiry.findUnique.mockResolvedValue(null);
+
+    await getEnquiryById(mockReq, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,302 @@
+import { jest } from '@jest/globals';
+
+// Mock the prisma client
+const mockPrismaClient = {
+  warehouse: {
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+    findUnique: jest.fn()
+  }
+};
+
+// Mock the cache helpers so no Redis connection is opened
+const mockCache = {
+  invalidateWarehouseCache: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/cache.js', () => mockCache);
+
+// Import the controller after mocking dependencies
+const {
+  createWarehouse,
+  updateWarehouse,
+  patchWarehouse,
+  deleteWarehouse,
+  setWarehouseVisibility
+} = await import('../controllers/adminWarehouseController.js');
+
+const validWarehouse = {
+  warehouseType: 'Cold Storage',
+  address: 'Plot 12, MIDC',
+  city: 'Bhiwandi',
+  state: 'Maharashtra',
+  zone: 'West',
+  contactPerson: 'Rajesh',
+  contactNumber: '+91 98765 43210',
+  totalSpaceSqft: [20000, 35000],
+  compliances: 'Fire NOC, FSSAI',
+  ratePerSqft: 24
+};
+
+// Stored warehouse as loaded with REVIEW_INCLUDE
+const hiddenWarehouse = {
+  ...validWarehouse,
+  ratePerSqft: '24',
+  visibility: false,
+  reviewStatus: 'pending',
+  warehouseData: { powerKva: '100' },
+  warehousePhotos: [{ url: 'https://img/1.jpg' }]
+};
+
+describe('Admin Warehouse Controller', () => {
+  let mockReq, mockRes, consoleSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockCache.invalidateWarehouseCache.mockResolvedValue(3);
+
+    mockReq = {
+      params: {},
+      body: { ...validWarehouse },
+      user: { email: 'admin@wareongo.com', role: 'admin' }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis()
+    };
+
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  describe('createWarehouse', () => {
+    test('should create warehouse with nested WarehouseData and invalidate cache', async () => {
+      mockReq.body.warehouseData = { fireNocAvailable: true, latitude: 19.3, longitude: 73.06 };
+      mockPrismaClient.warehouse.create.mockResolvedValue({ id: 7, ...validWarehouse });
+
+      await createWarehouse(mockReq, mockRes);
+
+      const { data } = mockPrismaClient.warehouse.create.mock.calls[0][0];
+      expect(data.ratePerSqft).toBe('24');
+      expect(data.ratePerSqftMin).toBe(24);
+      expect(data.ratePerSqftMax).toBe(24);
+      expect(data.uploadedBy).toBe('admin@wareongo.com');
+      expect(data.warehouseData).toEqual({
+        create: { fireNocAvailable: true, latitude: 19.3, longitude: 73.06 }
+      });
+      expect(mockCache.invalidateWarehouseCache).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should reject missing required fields', async () => {
+      delete mockReq.body.warehouseType;
+      delete mockReq.body.zone;
+      mockReq.body.contactNumber = 'call me';
+      mockReq.body.totalSpaceSqft = [-5];
+
+      await createWarehouse(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Missing or invalid fields',
+        fields: ['warehouseType', 'zone', 'contactNumber', 'totalSpaceSqft']
+      });
+      expect(mockPrismaClient.warehouse.create).not.toHaveBeenCalled();
+      expect(mockCache.invalidateWarehouseCache).not.toHaveBeenCalled();
+    });
+
+    test('should accept a single space value', async () => {
+      mockReq.body.totalSpaceSqft = '50000';
+      mockPrismaClient.warehouse.create.mockResolvedValue({ id: 8 });
+
+      await createWarehouse(mockReq, mockRes);
+
+      expect(mockPrismaClient.warehouse.create.mock.calls[0][0].data.totalSpaceSqft).toEqual([50000]);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should return dates as ISO strings', async () => {
+      mockPrismaClient.warehouse.create.mockResolvedValue({ id: 9, createdAt: new Date('2026-10-01T10:00:00Z') });
+
+      await createWarehouse(mockReq, mockRes);
+
+      const body = JSON.parse(JSON.stringify(mockRes.json.mock.calls[0][0]));
+      expect(body.createdAt).toBe('2026-10-01T10:00:00.000Z');
+    });
+
+    test.each([
+      [undefined, 'pending', 'submitted'],
+      [true, 'approved', 'approved']
+    ])('should record the review state for visibility %p', async (visibility, reviewStatus, action) => {
+      mockReq.body.visibility = visibility;
+      mockPrismaClient.warehouse.create.mockResolvedValue({ id: 9 });
+
+      await createWarehouse(mockReq, mockRes);
+
+      const { data } = mockPrismaClient.warehouse.create.mock.calls[0][0];
+      expect(data.reviewStatus).toBe(reviewStatus);
+      expect(data.reviews.create).toEqual({
+        action,
+        reviewerEmail: 'admin@wareongo.com',
+        snapshot: expect.objectContaining({ city: data.city, ratePerSqft: '24', photos: [] })
+      });
+    });
+  });
+
+  describe('updateWarehouse and patchWarehouse', () => {
+    test('PUT should require the full payload', async () => {
+      mockReq.params.id = '7';
+      mockReq.body = { city: 'Pune' };
+
+      await updateWarehouse(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockPrismaClient.warehouse.update).not.toHaveBeenCalled();
+    });
+
+    test('PATCH should only write provided fields and upsert WarehouseData', async () => {
+      mockReq.params.id = '7';
+      mockReq.body = { city: 'Pune', warehouseData: { powerKva: 250 } };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, ...hiddenWarehouse });
+      mockPrismaClient.warehouse.update.mockResolvedValue({ id: 7, city: 'Pune' });
+
+      await patchWarehouse(mockReq, mockRes);
+
+      expect(mockPrismaClient.warehouse.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 7 },
+        data: {
+          city: 'Pune',
+          warehouseData: {
+            upsert: {
+              create: { powerKva: '250', powerKvaMin: 250, powerKvaMax: 250 },
+              update: { powerKva: '250', powerKvaMin: 250, powerKvaMax: 250 }
+            }
+          }
+        }
+      }));
+      expect(mockCache.invalidateWarehouseCache).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('PATCH should return 404 for unknown warehouse', async () => {
+      mockReq.params.id = '404';
+      mockReq.body = { city: 'Pune' };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(null);
+
+      await patchWarehouse(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockPrismaClient.warehouse.update).not.toHaveBeenCalled();
+      expect(mockCache.invalidateWarehouseCache).not.toHaveBeenCalled();
+    });
+
+    test('PATCH should approve the written content of a visible warehouse', async () => {
+      mockReq.params.id = '7';
+      mockReq.body = { ratePerSqft: 26 };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, ...hiddenWarehouse, visibility: true, reviewStatus: 'approved' });
+      mockPrismaClient.warehouse.update.mockResolvedValue({ id: 7 });
+
+      await patchWarehouse(mockReq, mockRes);
+
+      const { data } = mockPrismaClient.warehouse.update.mock.calls[0][0];
+      expect(data.reviewStatus).toBe('approved');
+      expect(data.reviews.create).toEqual({
+        action: 'approved',
+        reviewerEmail: 'admin@wareongo.com',
+        snapshot: expect.objectContaining({ city: 'Bhiwandi', ratePerSqft: '26', 'warehouseData.powerKva': '100', photos: ['https://img/1.jpg'] })
+      });
+    });
+
+    test('PUT with visibility true should approve a pending warehouse', async () => {
+      mockReq.params.id = '7';
+      mockReq.body.visibility = true;
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, ...hiddenWarehouse });
+      mockPrismaClient.warehouse.update.mockResolvedValue({ id: 7 });
+
+      await updateWarehouse(mockReq, mockRes);
+
+      const { data } = mockPrismaClient.warehouse.update.mock.calls[0][0];
+      expect(data.visibility).toBe(true);
+      expect(data.reviewStatus).toBe('approved');
+      expect(data.reviews.create.action).toBe('approved');
+    });
+  });
+
+  describe('deleteWarehouse', () => {
+    test('should delete and invalidate cache', async () => {
+      mockReq.params.id = '7';
+      mockPrismaClient.warehouse.delete.mockResolvedValue({ warehousePhotos: [{ storageKey: null }] });
+
+      await deleteWarehouse(mockReq, mockRes);
+
+      expect(mockPrismaClient.warehouse.delete.mock.calls[0][0].where).toEqual({ id: 7 });
+      expect(mockCache.invalidateWarehouseCache).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(204);
+    });
+
+    test('should reject invalid ID', async () => {
+      mockReq.params.id = 'abc';
+
+      await deleteWarehouse(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('setWarehouseVisibility', () => {
+    test('should toggle visibility when no value is given', async () => {
+      mockReq.params.id = '7';
+      mockReq.body = {};
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, ...hiddenWarehouse, visibility: true, reviewStatus: 'approved' });
+      mockPrismaClient.warehouse.update.mockResolvedValue({ id: 7, visibility: false, reviewStatus: 'approved' });
+
+      await setWarehouseVisibility(mockReq, mockRes);
+
+      expect(mockPrismaClient.warehouse.update.mock.calls[0][0].data).toEqual({ visibility: false });
+      expect(mockCache.invalidateWarehouseCache).toHaveBeenCalledTimes(1);
+      expect(mockRes.json).toHaveBeenCalledWith({ id: 7, visibility: false, reviewStatus: 'approved' });
+    });
+
+    test('should approve a pending warehouse it makes visible', async () => {
+      mockReq.params.id = '7';
+      mockReq.body = { visibility: true };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, ...hiddenWarehouse });
+      mockPrismaClient.warehouse.update.mockResolvedValue({ id: 7, visibility: true, reviewStatus: 'approved' });
+
+      await setWarehouseVisibility(mockReq, mockRes);
+
+      expect(mockPrismaClient.warehouse.update.mock.calls[0][0].data).toEqual({
+        visibility: true,
+        reviewStatus: 'approved',
+        reviews: {
+          create: {
+            action: 'approved',
+            reviewerEmail: 'admin@wareongo.com',
+            snapshot: expect.objectContaining({ city: 'Bhiwandi', ratePerSqft: '24', photos: ['https://img/1.jpg'] })
+          }
+        }
+      });
+    });
+
+    test('should reject non-boolean visibility', async () => {
+      mockReq.params.id = '7';
+      mockReq.body = { visibility: 'yes' };
+
+      await setWarehouseVisibility(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockPrismaClient.warehouse.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -21,11 +21,20 @@ const mockSerializeUtils = {
   sanitizeForJSON: jest.fn()
 };
 
+// Mock the outbox so delivery is only triggered, never run, by the controller
+const mockNotificationOutbox = {
+  NOTIFICATION_TYPE: { ENQUIRY: 'enquiry', CUSTOMER_REQUEST: 'customer_request' },
+  outboxEntryFor: jest.fn(type => ({ create: { type } })),
+  triggerOutboxDelivery: jest.fn()
+};
+
 // Set up module mocks
 jest.unstable_mockModule('../utils/notificationService.js', () => ({
   default: mockNotificationService
 }));
 
+jest.unstable_mockModule('../utils/notificationOutbox.js', () => mockNotificationOutbox);
+
 jest.unstable_mockModule('../models/prismaClient.js', () => ({
   default: mockPrismaClient
 }));
@@ -77,23 +86,18 @@ describe('Customer Request Notification Integration Tests', () => {
   });
 
   describe('Successful Customer Request Creation with Notifications', () => {
-    test('should send notification after successful customer request creation', async () => {
-      // Setup successful notification
-      mockNotificationService.sendCustomerRequestNotification.mockResolvedValue({
-        success: true,
-        response: { status: 200, text: 'OK' }
-      });
-
+    test('should queue a notification in the same write as the customer request', async () => {
       await createCustomerRequest(mockReq, mockRes);
 
-      // Verify database creation was called
+      // Verify the outbox entry is created together with the customer request
       expect(mockPrismaClient.customer_request.create).toHaveBeenCalledWith({
         data: {
           full_name: 'John Doe',
           phone_number: '+1234567890',
           company_name: 'Test Company',
           preferred_location: 'New York',
-          additional_requirements: 'Test requirements'
+          additional_requirements: 'Test requirements',
+          notifications: { create: { type: 'customer_request' } }
         }
       });
 
@@ -101,31 +105,13 @@ describe('Customer Request Notification Integration Tests', () => {
       expect(mockRes.status).toHaveBeenCalledWith(201);
       expect(mockRes.json).toHaveBeenCalled();
 
-      // Wait for async notification to be called
-      await new Promise(resolve => setImmediate(resolve));
-      
-      // Verify notification was sent with correct data
-      expect(mockNotificationService.sendCustomerRequestNotification).toHaveBeenCalledWith({
-        id: 1,
-        full_name: 'John Doe',
-        phone_number: '+1234567890',
-        company_name: 'Test Company',
-        preferred_location: 'New York',
-        additional_requirements: 'Test requirements',
-        created_at: expect.any(Date)
-      });
+      // Verify delivery was triggered
+      expect(mockNotificationOutbox.triggerOutboxDelivery).toHaveBeenCalledTimes(1);
     });
 
-    test('should handle notification service success without affecting response', async () => {
-      // Setup successful notification
-      mockNotificationService.sendCustomerRequestNotification.mockResolvedValue({
-        success: true,
-        response: { status: 200, text: 'OK' }
-      });
-
+    test('should respond with the customer request only', async () => {
       await createCustomerRequest(mockReq, mockRes);
 
-      // Verify controller response is not affected by notification success
       expect(mockRes.status).toHaveBeenCalledWith(201);
       expect(mockRes.json).toHaveBeenCalledWith({
         id: 1,
@@ -140,98 +126,22 @@ describe('Customer Request Notification Integration Tests', () => {
   });
 
   describe('Email Service Failure Handling', () => {
-    test('should continue normal operation when notification service fails', async () => {
-      // Setup notification failure
+    test('should not call the notification service while handling the request', async () => {
+      // Delivery failures are retried from the outbox (see notification-outbox.test.js)
       mockNotificationService.sendCustomerRequestNotification.mockRejectedValue(
         new Error('EmailJS service unavailable')
       );
 
-      // Spy on console.error to verify error logging
-      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-
       await createCustomerRequest(mockReq, mockRes);
-
-      // Verify database creation still succeeded
-      expect(mockPrismaClient.customer_request.create).toHaveBeenCalled();
-
-      // Verify successful response despite notification failure
-      expect(mockRes.status).toHaveBeenCalledWith(201);
-      expect(mockRes.json).toHaveBeenCalled();
-
-      // Wait for async notification error handling
       await new Promise(resolve => setImmediate(resolve));
 
-      // Verify notification was attempted
-      expect(mockNotificationService.sendCustomerRequestNotification).toHaveBeenCalled();
-
-      // Verify error was logged but didn't affect response
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Failed to send customer request notification for ID 1:'),
-        expect.any(Error)
-      );
-
-      consoleSpy.mockRestore();
-    });
-
-    test('should handle notification service timeout without blocking response', async () => {
-      // Setup notification timeout
-      mockNotificationService.sendCustomerRequestNotification.mockImplementation(
-        () => new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Request timeout')), 100)
-        )
-      );
-
-      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-
-      await createCustomerRequest(mockReq, mockRes);
-
-      // Verify immediate successful response
-      expect(mockRes.status).toHaveBeenCalledWith(201);
-      expect(mockRes.json).toHaveBeenCalled();
-
-      // Wait for timeout and error handling
-      await new Promise(resolve => setTimeout(resolve, 150));
-
-      // Verify error was logged
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Failed to send customer request notification for ID 1:'),
-        expect.any(Error)
-      );
-
-      consoleSpy.mockRestore();
-    });
-
-    test('should handle notification service returning failure result', async () => {
-      // Setup notification service returning failure
-      mockNotificationService.sendCustomerRequestNotification.mockResolvedValue({
-        success: false,
-        error: 'Rate limit exceeded',
-        rateLimited: true
-      });
-
-      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-
-      await createCustomerRequest(mockReq, mockRes);
-
-      // Verify successful response despite notification failure
       expect(mockRes.status).toHaveBeenCalledWith(201);
-      expect(mockRes.json).toHaveBeenCalled();
-
-      // Wait for async notification handling
-      await new Promise(resolve => setImmediate(resolve));
-
-      // Verify notification was attempted
-      expect(mockNotificationService.sendCustomerRequestNotification).toHaveBeenCalled();
-
-      // Note: The controller doesn't currently check the return value of notification service,
-      // it only catches thrown errors. This test verifies current behavior.
-      
-      consoleSpy.mockRestore();
+      expect(mockNotificationService.sendCustomerRequestNotification).not.toHaveBeenCalled();
     });
   });
 
   describe('Controller Validation with Notification Integration', () => {
-    test('should not send notification when validation fails', async () => {
+    test('should not queue a notification when validation fails', async () => {
       // Setup invalid request (missing required field)
       mockReq.body.full_name = '';
 
@@ -247,15 +157,12 @@ describe('Customer Request Notification Integration Tests', () => {
       // Verify database creation was not called
       expect(mockPrismaClient.customer_request.create).not.toHaveBeenCalled();
 
-      // Wait to ensure notification is not sent
-      await new Promise(resolve => setImmediate(resolve));
-
-      // Verify notification was not sent
-      expect(mockNotificationService.sendCustomerRequestNotification).not.toHaveBeenCalled();
+      // Verify delivery was not triggered
+      expect(mockNotificationOutbox.triggerOutboxDelivery).not.toHaveBeenCalled();
     });
 
-    test('should not send notification when database creation fails', async () => {
-      // Setup database failure
+    test('should not queue a notification when database creation fails', async () => {
+      // Setup database failure; the outbox entry is part of the same write, so it is not created either
       mockPrismaClient.customer_request.create.mockRejectedValue(
         new Error('Database connection failed')
       );
@@ -270,46 +177,10 @@ describe('Customer Request Notification Integration Tests', () => {
         error: 'Failed to create customer request'
       });
 
-      // Wait to ensure notification is not sent
-      await new Promise(resolve => setImmediate(resolve));
-
-      // Verify notification was not sent
-      expect(mockNotificationService.sendCustomerRequestNotification).not.toHaveBeenCalled();
+      // Verify delivery was not triggered
+      expect(mockNotificationOutbox.triggerOutboxDelivery).not.toHaveBeenCalled();
 
       consoleSpy.mockRestore();
     });
   });
-
-  describe('Async Notification Behavior', () => {
-    test('should send notification asynchronously without blocking response', async () => {
-      let notificationStarted = false;
-      let notificationCompleted = false;
-
-      // Setup slow notification to verify async behavior
-      mockNotificationService.sendCustomerRequestNotification.mockImplementation(async (data) => {
-        notificationStarted = true;
-        await new Promise(resolve => setTimeout(resolve, 50));
-        notificationCompleted = true;
-        return { success: true };
-      });
-
-      await createCustomerRequest(mockReq, mockRes);
-
-      // Verify response was sent immediately
-      expect(mockRes.status).toHaveBeenCalledWith(201);
-      expect(mockRes.json).toHaveBeenCalled();
-
-      // Verify notification hasn't completed yet (async behavior)
-      expect(notificationStarted).toBe(false);
-      expect(notificationCompleted).toBe(false);
-
-      // Wait for async notification to start and complete
-      await new Promise(resolve => setImmediate(resolve));
-      await new Promise(resolve => setTimeout(resolve, 60));
-
-      // Verify notification was processed asynchronously
-      expect(notificationStarted).toBe(true);
-      expect(notificationCompleted).toBe(true);
-    });
-  });
-});
\ No newline at end of file
+});
@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+
+// Mock the prisma client; $transaction resolves the array of queries it receives
+const mockPrismaClient = {
+  customer_request: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn()
+  },
+  customer_request_note: {
+    create: jest.fn()
+  },
+  customer_request_activity: {
+    create: jest.fn()
+  },
+  $transaction: jest.fn(queries => Promise.all(queries))
+};
+
+jest.unstable_mockModule('../utils/notificationService.js', () => ({
+  default: {}
+}));
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+// Import the controller after mocking dependencies
+const {
+  listCustomerRequests,
+  getCustomerRequestById,
+  updateCustomerRequestStatus,
+  assignCustomerRequest,
+  addCustomerRequestNote
+} = await import('../controllers/customerRequestController.js');
+
+describe('Customer Request Lead Pipeline', () => {
+  let mockReq, mockRes, consoleSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      query: {},
+      params: { id: '42' },
+      body: {},
+      user: { email: 'sales@wareongo.com', role: 'admin' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    mockPrismaClient.customer_request.update.mockImplementation(({ data }) => Promise.resolve({ id: 42n, ...data }));
+    mockPrismaClient.customer_request_activity.create.mockResolvedValue({ id: 1n });
+    mockPrismaClient.customer_request_note.create.mockImplementation(({ data }) => Promise.resolve({ id: 5n, ...data }));
+
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  describe('listCustomerRequests', () => {
+    test('should filter by status and unassigned leads', async () => {
+      mockReq.query = { status: 'new,contacted', assignedTo: 'unassigned' };
+      mockPrismaClient.customer_request.findMany.mockResolvedValue([{ id: 42n, status: 'new' }]);
+      mockPrismaClient.customer_request.count.mockResolvedValue(1);
+
+      await listCustomerRequests(mockReq, mockRes);
+
+      const { where } = mockPrismaClient.customer_request.findMany.mock.calls[0][0];
+      expect(where).toEqual({ status: { in: ['new', 'contacted'] }, assigned_to: null });
+      expect(mockRes.json.mock.calls[0][0].data).toEqual([{ id: '42', status: 'new' }]);
+    });
+
+    test('should reject unknown statuses', async () => {
+      mockReq.query = { status: 'pending' };
+
+      await listCustomerRequests(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('getCustomerRequestById', () => {
+    test('should include notes, activity and next statuses', async () => {
+      mockPrismaClient.customer_request.findUnique.mockResolvedValue({ id: 42n, status: 'qualified', notes: [], activity: [] });
+
+      await getCustomerRequestById(mockReq, mockRes);
+
+      expect(mockPrismaClient.customer_request.findUnique.mock.calls[0][0].where).toEqual({ id: 42n });
+      expect(mockRes.json.mock.calls[0][0].nextStatuses).toEqual(['site-visit', 'closed-won', 'closed-lost']);
+    });
+
+    test('should reject non-numeric ids', async () => {
+      mockReq.params.id = '42abc';
+
+      await getCustomerRequestById(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('updateCustomerRequestStatus', () => {
+    test('should transition and record activity and note', async () => {
+      mockReq.body = { status: 'contacted', note: 'Called back, wants 20k sqft' };
+      mockPrismaClient.customer_request.findUnique.mockResolvedValue({ id: 42n, status: 'new' });
+
+      await updateCustomerRequestStatus(mockReq, mockRes);
+
+      expect(mockPrismaClient.customer_request.update.mock.calls[0][0].where).toEqual({ id: 42n, status: 'new' });
+      expect(mockPrismaClient.customer_request_activity.create).toHaveBeenCalledWith({
+        data: {
+          customer_request_id: 42n,
+          actor_email: 'sales@wareongo.com',
+          action: 'status_changed',
+          from_value: 'new',
+          to_value: 'contacted'
+        }
+      });
+      expect(mockPrismaClient.customer_request_note.create).toHaveBeenCalledWith({
+        data: { customer_request_id: 42n, author_email: 'sales@wareongo.com', body: 'Called back, wants 20k sqft' }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should refuse disallowed transitions', async () => {
+      mockReq.body = { status: 'closed-won' };
+      mockPrismaClient.customer_request.findUnique.mockResolvedValue({ id: 42n, status: 'new' });
+
+      await updateCustomerRequestStatus(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should report concurrent transitions as a conflict', async () => {
+      mockReq.body = { status: 'contacted' };
+      mockPrismaClient.customer_request.findUnique.mockResolvedValue({ id: 42n, status: 'new' });
+      mockPrismaClient.customer_request.update.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'P2025' }));
+
+      await updateCustomerRequestStatus(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('assignCustomerRequest', () => {
+    test('should default to the calling admin', async () => {
+      mockPrismaClient.customer_request.findUnique.mockResolvedValue({ id: 42n, assigned_to: null });
+
+      await assignCustomerRequest(mockReq, mockRes);
+
+      expect(mockPrismaClient.customer_request.update.mock.calls[0][0].data).toEqual({ assigned_to: 'sales@wareongo.com' });
+      expect(mockPrismaClient.customer_request_activity.create.mock.calls[0][0].data).toMatchObject({
+        action: 'assigned',
+        from_value: null,
+        to_value: 'sales@wareongo.com'
+      });
+    });
+
+    test('should reject non-admin assignees', async () => {
+      mockReq.body = { assignedTo: 'someone@gmail.com' };
+
+      await assignCustomerRequest(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockPrismaClient.customer_request.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addCustomerRequestNote', () => {
+    test('should store the note with the author email', async () => {
+      mockReq.body = { body: '  Site visit booked for Monday ' };
+      mockPrismaClient.customer_request.findUnique.mockResolvedValue({ id: 42n });
+
+      await addCustomerRequestNote(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        id: '5',
+        customer_request_id: '42',
+        author_email: 'sales@wareongo.com',
+        body: 'Site visit booked for Monday'
+      });
+    });
+  });
+});
@@ -0,0 +1,244 @@
+import { jest } from '@jest/globals';
+
+// Prisma operations are returned as-is so the submit transaction can be inspected
+const mockPrismaClient = {
+  warehouse: {
+    findFirst: jest.fn(),
+    create: jest.fn(args => ({ op: 'warehouse.create', args }))
+  },
+  draft: {
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    update: jest.fn(args => ({ op: 'draft.update', args })),
+    delete: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+const { handleDraftMessage, parseYesNo, missingDraftFields } = await import('../utils/draftConversation.js');
+
+const sender = { id: 1, phone_number: '+919876543210', name: 'Ravi Broker', is_active: true };
+
+const completeData = {
+  warehouseType: 'RCC',
+  address: 'Plot 4, MIDC',
+  city: 'Bhiwandi',
+  state: 'Maharashtra',
+  zone: 'West',
+  totalSpaceSqft: [25000],
+  ratePerSqft: '24',
+  compliances: 'Fire NOC',
+  fireNocAvailable: true
+};
+
+const draftRow = (status, warehouse_data, image_urls = []) => ({
+  sender_number: sender.phone_number, status, warehouse_data, image_urls
+});
+
+describe('WhatsApp draft conversation', () => {
+  let consoleSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockPrismaClient.warehouse.findFirst.mockResolvedValue(null);
+    mockPrismaClient.draft.findUnique.mockResolvedValue(null);
+    mockPrismaClient.draft.upsert.mockImplementation(({ create, update }) =>
+      Promise.resolve({ ...create, status: update.status, warehouse_data: update.warehouse_data }));
+
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  test.each([
+    ['Yes', true], ['haan', true], ['available.', true],
+    ['NO', false], ['not available', false],
+    ['maybe', null]
+  ])('parseYesNo(%p) should be %p', (input, expected) => {
+    expect(parseYesNo(input)).toBe(expected);
+  });
+
+  test('should greet a new sender and ask for the first missing field', async () => {
+    const { reply } = await handleDraftMessage({ sender, text: 'Hi' });
+
+    expect(mockPrismaClient.draft.upsert.mock.calls[0][0].create).toEqual({
+      sender_number: sender.phone_number, status: 'collecting', warehouse_data: {}, image_urls: []
+    });
+    expect(reply).toBe("Hi Ravi Broker! Let's get your warehouse listed.\nWhat type of warehouse is it? (e.g. RCC, PEB, shed, cold storage)");
+  });
+
+  test('should take an unlabelled reply as the answer to the pending question', async () => {
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('collecting', { warehouseType: 'RCC', address: 'Plot 4' }));
+    mockPrismaClient.warehouse.findFirst.mockResolvedValue({ city: 'Bhiwandi' });
+
+    const { reply } = await handleDraftMessage({ sender, text: 'BHIWANDI' });
+
+    expect(mockPrismaClient.warehouse.findFirst).toHaveBeenCalledWith({
+      where: { city: { equals: 'BHIWANDI', mode: 'insensitive' } },
+      select: { city: true }
+    });
+    expect(mockPrismaClient.draft.upsert.mock.calls[0][0].update.warehouse_data).toEqual({
+      warehouseType: 'RCC', address: 'Plot 4', city: 'Bhiwandi'
+    });
+    expect(reply).toBe('Which state is it in?');
+  });
+
+  test.each([
+    ['totalSpaceSqft', '25,000 sq ft', [25000]],
+    ['totalSpaceSqft', '10k / 15000', [10000, 15000]],
+    ['ratePerSqft', '₹22 to 26 per sqft', '22-26'],
+    ['fireNocAvailable', 'Yes', true]
+  ])('should parse a %s reply %p', async (field, text, expected) => {
+    const { [field]: omitted, ...data } = completeData;
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('collecting', data));
+
+    await handleDraftMessage({ sender, text });
+
+    expect(mockPrismaClient.draft.upsert.mock.calls[0][0].update.warehouse_data[field]).toEqual(expected);
+  });
+
+  test('should re-ask with an explanation when a reply cannot be parsed', async () => {
+    const { fireNocAvailable, ...data } = completeData;
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('collecting', data));
+
+    const { reply } = await handleDraftMessage({ sender, text: 'maybe' });
+
+    expect(mockPrismaClient.draft.upsert.mock.calls[0][0].update.status).toBe('collecting');
+    expect(reply).toBe('Please answer yes or no for the fire NOC.\nIs a fire NOC available? (yes/no)');
+  });
+
+  test('should show the summary once every required field is present', async () => {
+    const { fireNocAvailable, ...data } = completeData;
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('collecting', data, ['https://img/1.jpg']));
+    mockPrismaClient.draft.upsert.mockResolvedValue(draftRow('confirming', completeData, ['https://img/1.jpg']));
+
+    const { reply } = await handleDraftMessage({ sender, text: 'no' });
+
+    expect(mockPrismaClient.draft.upsert.mock.calls[0][0].update).toEqual({
+      status: 'confirming',
+      warehouse_data: { ...data, fireNocAvailable: false },
+      image_urls: { push: [] }
+    });
+    expect(reply).toContain('Please check your listing:\nType: RCC\n');
+    expect(reply).toContain('Space (sq ft): 25000\n');
+    expect(reply).toContain('Photos: 1\n');
+    expect(reply).toContain('Reply YES to submit');
+  });
+
+  test('should apply labelled corrections while confirming and show the summary again', async () => {
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('confirming', completeData));
+
+    const { reply } = await handleDraftMessage({ sender, text: 'Rate: 26' });
+
+    expect(mockPrismaClient.draft.upsert.mock.calls[0][0].update.warehouse_data.ratePerSqft).toBe('26');
+    expect(reply).toContain('Rate (₹/sq ft): 26');
+  });
+
+  test('should create a hidden warehouse from the sender on confirmation', async () => {
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('confirming', completeData, ['https://img/1.jpg', 'https://img/2.jpg']));
+    mockPrismaClient.$transaction.mockResolvedValue([{ id: 42 }, draftRow('submitted', completeData)]);
+
+    const result = await handleDraftMessage({ sender, text: 'YES' });
+
+    const [create, update] = mockPrismaClient.$transaction.mock.calls[0][0];
+    expect(create.args.data).toEqual(expect.objectContaining({
+      warehouseType: 'RCC',
+      city: 'Bhiwandi',
+      totalSpaceSqft: [25000],
+      ratePerSqft: '24',
+      ratePerSqftMin: 24,
+      ratePerSqftMax: 24,
+      contactPerson: 'Ravi Broker',
+      contactNumber: '+919876543210',
+      uploadedBy: 'Ravi Broker',
+      visibility: false,
+      reviewStatus: 'pending',
+      reviews: {
+        create: {
+          action: 'submitted',
+          snapshot: expect.objectContaining({
+            city: 'Bhiwandi',
+            'warehouseData.fireNocAvailable': true,
+            photos: ['https://img/1.jpg', 'https://img/2.jpg']
+          })
+        }
+      },
+      warehouseData: { create: { fireNocAvailable: true } },
+      warehousePhotos: {
+        create: [
+          { url: 'https://img/1.jpg', sortOrder: 0 },
+          { url: 'https://img/2.jpg', sortOrder: 1 }
+        ]
+      }
+    }));
+    expect(update.args).toEqual({ where: { sender_number: sender.phone_number }, data: { status: 'submitted' } });
+    expect(result.warehouseId).toBe(42);
+    expect(result.reply).toContain('#42');
+  });
+
+  test('should skip image URLs a listing cannot use and say so', async () => {
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('collecting', { city: 'Pune' }));
+
+    const { reply } = await handleDraftMessage({ sender, text: '', imageUrls: ['media/17', 'https://img/3.jpg'] });
+
+    expect(mockPrismaClient.draft.upsert.mock.calls[0][0].update.image_urls).toEqual({ push: ['https://img/3.jpg'] });
+    expect(reply).toContain('One photo could not be used. Please send it again.');
+    expect(reply).toContain('Got the photo.');
+  });
+
+  test('should drop invalid stored values on confirmation and ask for them again', async () => {
+    mockPrismaClient.draft.findUnique.mockResolvedValue(
+      draftRow('confirming', { ...completeData, totalSpaceSqft: 'lots' }, ['media/17', 'https://img/1.jpg'])
+    );
+
+    const result = await handleDraftMessage({ sender, text: 'YES' });
+
+    expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    const { totalSpaceSqft, ...rest } = completeData;
+    expect(mockPrismaClient.draft.update).toHaveBeenCalledWith({
+      where: { sender_number: sender.phone_number },
+      data: { status: 'collecting', warehouse_data: rest }
+    });
+    expect(result.reply).toBe(
+      'Some details are not valid (totalSpaceSqft). Please send them again.\n' +
+      'How much space is available, in sq ft? (e.g. 25000, or 10000 / 15000 for several units)'
+    );
+  });
+
+  test('should start a new draft after a submitted one', async () => {
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('submitted', completeData, ['https://img/1.jpg']));
+
+    const { reply } = await handleDraftMessage({ sender, text: 'City: Pune', imageUrls: ['https://img/9.jpg'] });
+
+    expect(mockPrismaClient.draft.upsert.mock.calls[0][0].update).toEqual({
+      status: 'collecting',
+      warehouse_data: { city: 'Pune' },
+      image_urls: ['https://img/9.jpg']
+    });
+    expect(reply).toContain('Hi Ravi Broker!');
+    expect(reply).toContain('Got the photo.');
+  });
+
+  test('should discard the draft on cancel', async () => {
+    mockPrismaClient.draft.findUnique.mockResolvedValue(draftRow('collecting', { city: 'Pune' }));
+
+    const result = await handleDraftMessage({ sender, text: 'Cancel' });
+
+    expect(mockPrismaClient.draft.delete).toHaveBeenCalledWith({ where: { sender_number: sender.phone_number } });
+    expect(mockPrismaClient.draft.upsert).not.toHaveBeenCalled();
+    expect(result.draft).toBeNull();
+  });
+
+  test('missingDraftFields should list required fields in prompt order', () => {
+    expect(missingDraftFields({ city: 'Pune', fireNocAvailable: false })).toEqual([
+      'warehouseType', 'address', 'state', 'zone', 'totalSpaceSqft', 'ratePerSqft', 'compliances'
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import {
+  LocalEmbeddingProvider,
+  HttpEmbeddingProvider,
+  createEmbeddingProvider
+} from '../utils/embeddingProvider.js';
+
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+describe('Embedding Providers', () => {
+  describe('LocalEmbeddingProvider', () => {
+    const provider = new LocalEmbeddingProvider({ dimensions: 256 });
+
+    test('should be deterministic and unit length', async () => {
+      const first = await provider.embed('Cold storage in Bhiwandi');
+      const second = await provider.embed('Cold storage in Bhiwandi');
+
+      expect(first).toHaveLength(256);
+      expect(first).toEqual(second);
+      expect(cosine(first, first)).toBeCloseTo(1, 6);
+    });
+
+    test('should place texts sharing words closer together', async () => {
+      const query = await provider.embed('cold storage near Bhiwandi with fire NOC');
+      const close = await provider.embed('Cold storage warehouse, Bhiwandi. Fire NOC available');
+      const far = await provider.embed('Ambient godown in Chennai port area');
+
+      expect(cosine(query, close)).toBeGreaterThan(cosine(query, far));
+    });
+
+    test('should return a zero vector for text without tokens', async () => {
+      const embedding = await provider.embed('  --  ');
+
+      expect(embedding.every(v => v === 0)).toBe(true);
+    });
+  });
+
+  describe('HttpEmbeddingProvider', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should call an OpenAI-compatible endpoint and keep input order', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] })
+      });
+      const provider = new HttpEmbeddingProvider({ apiUrl: 'https://embeddings.test/v1', apiKey: 'key', dimensions: 2 });
+
+      const result = await provider.embedMany(['first', 'second']);
+
+      expect(result).toEqual([[1, 0], [0, 1]]);
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://embeddings.test/v1');
+      expect(options.headers.Authorization).toBe('Bearer key');
+      expect(JSON.parse(options.body)).toMatchObject({ input: ['first', 'second'], dimensions: 2 });
+    });
+
+    test('should give up when the API does not answer in time', async () => {
+      global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+      const provider = new HttpEmbeddingProvider({ apiKey: 'key', timeoutMs: 20 });
+
+      await expect(provider.embed('text')).rejects.toThrow('timed out after 20ms');
+    });
+
+    test('should surface HTTP errors', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 429, text: async () => 'rate limited' });
+      const provider = new HttpEmbeddingProvider({ apiKey: 'key' });
+
+      await expect(provider.embed('text')).rejects.toThrow('status 429');
+    });
+
+    test('should require an API key', () => {
+      expect(() => new HttpEmbeddingProvider({})).toThrow('EMBEDDING_API_KEY');
+    });
+  });
+
+  describe('createEmbeddingProvider', () => {
+    test('should default to the local provider', () => {
+      const provider = createEmbeddingProvider({ EMBEDDING_DIMENSIONS: '64' });
+
+      expect(provider.name).toBe('local');
+      expect(provider.dimensions).toBe(64);
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createEmbeddingProvider({ EMBEDDING_PROVIDER: 'magic' })).toThrow('Unknown EMBEDDING_PROVIDER');
+    });
+  });
+});
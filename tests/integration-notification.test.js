@@ -2,6 +2,7 @@ import { jest } from '@jest/globals';
 
 // Mock the notification service before importing controllers
 const mockNotificationService = {
+  channels: [{ name: 'emailjs' }],
   sendEnquiryNotification: jest.fn(),
   sendCustomerRequestNotification: jest.fn(),
   formatEnquiryTemplate: jest.fn(),
@@ -11,6 +12,10 @@ const mockNotificationService = {
   getRecipients: jest.fn()
 };
 
+// In-memory notification outbox, so notifications go through the real outbox worker
+const outboxRows = [];
+const isDue = row => row.status === 'pending' && (!row.next_attempt_at || row.next_attempt_at <= new Date());
+
 // Mock the prisma client
 const mockPrismaClient = {
   enquiry: {
@@ -18,9 +23,41 @@ const mockPrismaClient = {
   },
   customer_request: {
     create: jest.fn()
+  },
+  notification_outbox: {
+    findMany: jest.fn(async ({ where, select }) => {
+      if (select) return outboxRows.filter(isDue).map(row => ({ id: row.id }));
+      return outboxRows.filter(row => where.id.in.includes(row.id));
+    }),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const row = outboxRows.find(candidate => candidate.id === where.id && isDue(candidate));
+      if (!row) return { count: 0 };
+      Object.assign(row, data);
+      return { count: 1 };
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(outboxRows.find(row => row.id === where.id), data))
   }
 };
 
+/**
+ * Make `<model>.create` resolve to `record` and queue its nested outbox entry
+ * @param {string} model - 'enquiry' or 'customer_request'
+ * @param {Object} record - Created record
+ */
+function mockCreated(model, record) {
+  mockPrismaClient[model].create.mockImplementation(async ({ data }) => {
+    outboxRows.push({
+      id: outboxRows.length + 1,
+      type: data.notifications.create.type,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: 8,
+      [model]: record
+    });
+    return record;
+  });
+}
+
 // Mock the utility modules
 const mockPhoneUtils = {
   isValidPhoneNumber: jest.fn()
@@ -46,6 +83,13 @@ jest.unstable_mockModule('../utils/serialize.js', () => mockSerializeUtils);
 // Import controllers after mocking dependencies
 const { createEnquiry } = await import('../controllers/enquiryController.js');
 const { createCustomerRequest } = await import('../controllers/customerRequestController.js');
+const { runOutbox } = await import('../utils/notificationOutbox.js');
+
+// Let the delivery triggered by the controller start, then wait for it to finish
+async function deliverQueued() {
+  await new Promise(resolve => setImmediate(resolve));
+  await runOutbox();
+}
 
 describe('Email Notification Integration Tests', () => {
   let mockReq, mockRes;
@@ -53,6 +97,7 @@ describe('Email Notification Integration Tests', () => {
   beforeEach(() => {
     // Reset all mocks
     jest.clearAllMocks();
+    outboxRows.length = 0;
     
     // Setup default mock implementations
     mockPhoneUtils.isValidPhoneNumber.mockReturnValue(true);
@@ -63,7 +108,7 @@ describe('Email Notification Integration Tests', () => {
       missingVariables: [],
       recipients: 2
     });
-    mockNotificationService.getRateLimitStatus.mockReturnValue({
+    mockNotificationService.getRateLimitStatus.mockResolvedValue({
       monthly: { current: 5, limit: 200, remaining: 195 },
       daily: { current: 2, limit: 10, remaining: 8 },
       hourly: { current: 1, limit: 5, remaining: 4 }
@@ -87,7 +132,7 @@ describe('Email Notification Integration Tests', () => {
         }
       };
 
-      mockPrismaClient.enquiry.create.mockResolvedValue({
+      mockCreated('enquiry', {
         id: 1,
         name: 'John Doe',
         phoneNumber: '+1234567890',
@@ -124,7 +169,8 @@ describe('Email Notification Integration Tests', () => {
           name: 'John Doe',
           phoneNumber: '+1234567890',
           email: 'john@example.com',
-          source: 'website'
+          source: 'website',
+          notifications: { create: { type: 'enquiry' } }
         }
       });
 
@@ -139,8 +185,8 @@ describe('Email Notification Integration Tests', () => {
         createdat: expect.any(Date)
       });
 
-      // Wait for async notification
-      await new Promise(resolve => setImmediate(resolve));
+      // Wait for the outbox to deliver the notification
+      await deliverQueued();
 
       // Verify notification was sent with correct data
       expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledWith({
@@ -150,7 +196,7 @@ describe('Email Notification Integration Tests', () => {
         email: 'john@example.com',
         source: 'website',
         createdat: expect.any(Date)
-      });
+      }, { channels: mockNotificationService.channels, skipRecipients: {} });
     });
 
     test('should handle enquiry with missing optional email field', async () => {
@@ -163,7 +209,7 @@ describe('Email Notification Integration Tests', () => {
       };
 
       // Update mock to return enquiry without email
-      mockPrismaClient.enquiry.create.mockResolvedValue({
+      mockCreated('enquiry', {
         id: 2,
         name: 'Jane Smith',
         phoneNumber: '+1987654321',
@@ -196,15 +242,16 @@ describe('Email Notification Integration Tests', () => {
           name: 'Jane Smith',
           phoneNumber: '+1987654321',
           email: null,
-          source: 'phone'
+          source: 'phone',
+          notifications: { create: { type: 'enquiry' } }
         }
       });
 
       // Verify successful response
       expect(mockRes.status).toHaveBeenCalledWith(201);
 
-      // Wait for async notification
-      await new Promise(resolve => setImmediate(resolve));
+      // Wait for the outbox to deliver the notification
+      await deliverQueued();
 
       // Verify notification was sent with null email handled
       expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledWith({
@@ -214,7 +261,7 @@ describe('Email Notification Integration Tests', () => {
         email: null,
         source: 'phone',
         createdat: expect.any(Date)
-      });
+      }, { channels: mockNotificationService.channels, skipRecipients: {} });
     });
 
     test('should verify email content formatting for enquiry', async () => {
@@ -236,7 +283,7 @@ describe('Email Notification Integration Tests', () => {
         recipients: 'admin@example.com, notifications@example.com'
       };
 
-      mockPrismaClient.enquiry.create.mockResolvedValue({
+      mockCreated('enquiry', {
         id: 3,
         name: 'Test User',
         phoneNumber: '+1555123456',
@@ -254,8 +301,8 @@ describe('Email Notification Integration Tests', () => {
 
       await createEnquiry(mockReq, mockRes);
 
-      // Wait for async notification
-      await new Promise(resolve => setImmediate(resolve));
+      // Wait for the outbox to deliver the notification
+      await deliverQueued();
 
       // Verify template formatting was called with correct data
       expect(mockNotificationService.formatEnquiryTemplate).toHaveBeenCalledWith({
@@ -291,7 +338,7 @@ describe('Email Notification Integration Tests', () => {
         }
       };
 
-      mockPrismaClient.customer_request.create.mockResolvedValue({
+      mockCreated('customer_request', {
         id: 1,
         full_name: 'Alice Johnson',
         phone_number: '+1234567890',
@@ -330,7 +377,8 @@ describe('Email Notification Integration Tests', () => {
           phone_number: '+1234567890',
           company_name: 'Tech Corp',
           preferred_location: 'San Francisco',
-          additional_requirements: 'Need 24/7 support'
+          additional_requirements: 'Need 24/7 support',
+          notifications: { create: { type: 'customer_request' } }
         }
       });
 
@@ -346,8 +394,8 @@ describe('Email Notification Integration Tests', () => {
         created_at: expect.any(Date)
       });
 
-      // Wait for async notification
-      await new Promise(resolve => setImmediate(resolve));
+      // Wait for the outbox to deliver the notification
+      await deliverQueued();
 
       // Verify notification was sent with correct data
       expect(mockNotificationService.sendCustomerRequestNotification).toHaveBeenCalledWith({
@@ -358,14 +406,14 @@ describe('Email Notification Integration Tests', () => {
         preferred_location: 'San Francisco',
         additional_requirements: 'Need 24/7 support',
         created_at: expect.any(Date)
-      });
+      }, { channels: mockNotificationService.channels, skipRecipients: {} });
     });
 
     test('should handle customer request with minimal additional requirements', async () => {
       // Set minimal requirements
       mockReq.body.additional_requirements = 'Basic service';
 
-      mockPrismaClient.customer_request.create.mockResolvedValue({
+      mockCreated('customer_request', {
         id: 2,
         full_name: 'Bob Wilson',
         phone_number: '+1987654321',
@@ -397,8 +445,8 @@ describe('Email Notification Integration Tests', () => {
       // Verify successful response
       expect(mockRes.status).toHaveBeenCalledWith(201);
 
-      // Wait for async notification
-      await new Promise(resolve => setImmediate(resolve));
+      // Wait for the outbox to deliver the notification
+      await deliverQueued();
 
       // Verify notification was sent with minimal requirements
       expect(mockNotificationService.sendCustomerRequestNotification).toHaveBeenCalledWith({
@@ -409,7 +457,7 @@ describe('Email Notification Integration Tests', () => {
         preferred_location: 'Austin',
         additional_requirements: 'Basic service',
         created_at: expect.any(Date)
-      });
+      }, { channels: mockNotificationService.channels, skipRecipients: {} });
     });
 
     test('should verify email content formatting for customer request', async () => {
@@ -424,7 +472,7 @@ describe('Email Notification Integration Tests', () => {
         recipients: 'admin@example.com, notifications@example.com'
       };
 
-      mockPrismaClient.customer_request.create.mockResolvedValue({
+      mockCreated('customer_request', {
         id: 3,
         full_name: 'Carol Davis',
         phone_number: '+1555987654',
@@ -451,8 +499,8 @@ describe('Email Notification Integration Tests', () => {
 
       await createCustomerRequest(mockReq, mockRes);
 
-      // Wait for async notification
-      await new Promise(resolve => setImmediate(resolve));
+      // Wait for the outbox to deliver the notification
+      await deliverQueued();
 
       // Verify template formatting was called with correct data
       expect(mockNotificationService.formatCustomerRequestTemplate).toHaveBeenCalledWith({
@@ -489,7 +537,7 @@ describe('Email Notification Integration Tests', () => {
         }
       };
 
-      mockPrismaClient.enquiry.create.mockResolvedValue({
+      mockCreated('enquiry', {
         id: 99,
         name: 'Error Test',
         phoneNumber: '+1234567890',
@@ -511,14 +559,17 @@ describe('Email Notification Integration Tests', () => {
       expect(mockRes.status).toHaveBeenCalledWith(201);
       expect(mockRes.json).toHaveBeenCalled();
 
-      // Wait for async notification error handling
-      await new Promise(resolve => setImmediate(resolve));
+      // Wait for the outbox delivery attempt
+      await deliverQueued();
 
-      // Verify error was logged
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Failed to send enquiry notification for ID 99:'),
-        expect.any(Error)
-      );
+      // Verify the notification was kept for a retry with backoff
+      expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledTimes(1);
+      expect(outboxRows[0]).toEqual(expect.objectContaining({
+        status: 'pending',
+        attempts: 1,
+        last_error: 'EmailJS service unavailable'
+      }));
+      expect(outboxRows[0].next_attempt_at.getTime()).toBeGreaterThan(Date.now());
 
       consoleSpy.mockRestore();
     });
@@ -534,7 +585,7 @@ describe('Email Notification Integration Tests', () => {
         }
       };
 
-      mockPrismaClient.customer_request.create.mockResolvedValue({
+      mockCreated('customer_request', {
         id: 99,
         full_name: 'Error Test',
         phone_number: '+1234567890',
@@ -557,14 +608,17 @@ describe('Email Notification Integration Tests', () => {
       expect(mockRes.status).toHaveBeenCalledWith(201);
       expect(mockRes.json).toHaveBeenCalled();
 
-      // Wait for async notification error handling
-      await new Promise(resolve => setImmediate(resolve));
+      // Wait for the outbox delivery attempt
+      await deliverQueued();
 
-      // Verify error was logged
-      expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('Failed to send customer request notification for ID 99:'),
-        expect.any(Error)
-      );
+      // Verify the notification was kept for a retry with backoff
+      expect(mockNotificationService.sendCustomerRequestNotification).toHaveBeenCalledTimes(1);
+      expect(outboxRows[0]).toEqual(expect.objectContaining({
+        status: 'pending',
+        attempts: 1,
+        last_error: 'Rate limit exceeded'
+      }));
+      expect(outboxRows[0].next_attempt_at.getTime()).toBeGreaterThan(Date.now());
 
       consoleSpy.mockRestore();
     });
@@ -681,7 +735,7 @@ describe('Email Notification Integration Tests', () => {
         }
       };
 
-      mockPrismaClient.enquiry.create.mockResolvedValue({
+      mockCreated('enquiry', {
         id: 100,
         name: 'Async Test',
         phoneNumber: '+1234567890',
@@ -708,9 +762,8 @@ describe('Email Notification Integration Tests', () => {
       expect(notificationStarted).toBe(false);
       expect(notificationCompleted).toBe(false);
 
-      // Wait for async notification to start and complete
-      await new Promise(resolve => setImmediate(resolve));
-      await new Promise(resolve => setTimeout(resolve, 60));
+      // Wait for the outbox to start and complete delivery
+      await deliverQueued();
 
       // Verify notification was processed asynchronously
       expect(notificationStarted).toBe(true);
@@ -731,7 +784,7 @@ describe('Email Notification Integration Tests', () => {
         }
       };
 
-      mockPrismaClient.customer_request.create.mockResolvedValue({
+      mockCreated('customer_request', {
         id: 100,
         full_name: 'Async Test',
         phone_number: '+1234567890',
@@ -759,9 +812,8 @@ describe('Email Notification Integration Tests', () => {
       expect(notificationStarted).toBe(false);
       expect(notificationCompleted).toBe(false);
 
-      // Wait for async notification to start and complete
-      await new Promise(resolve => setImmediate(resolve));
-      await new Promise(resolve => setTimeout(resolve, 60));
+      // Wait for the outbox to start and complete delivery
+      await deliverQueued();
 
       // Verify notification was processed asynchronously
       expect(notificationStarted).toBe(true);
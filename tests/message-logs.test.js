@@ -0,0 +1,218 @@
+import { jest } from '@jest/globals';
+
+// Prisma operations are returned as-is so transactions can be inspected
+const mockPrismaClient = {
+  messageLog: {
+    findMany: jest.fn(args => ({ op: 'messageLog.findMany', args })),
+    count: jest.fn(args => ({ op: 'messageLog.count', args })),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  draft: {
+    findUnique: jest.fn(),
+    upsert: jest.fn()
+  },
+  warehouse: {
+    findFirst: jest.fn()
+  },
+  verifiedNumber: {
+    findUnique: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+const {
+  listMessageLogs,
+  getMessageLog,
+  reprocessMessageLog
+} = await import('../controllers/messageLogController.js');
+
+const failedLog = {
+  id: 21,
+  received_at: new Date('2026-10-12T09:00:00Z'),
+  sender_number: '+919876543210',
+  message_body: 'city: Bhiwandi',
+  status: 'failed',
+  error_message: 'Connection reset',
+  image_url: null,
+  image_urls: [],
+  reprocess_count: 0,
+  reprocessed_at: null
+};
+
+describe('Message Log Admin API', () => {
+  let mockReq, mockRes, consoleSpy, warnSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      params: { id: '21' },
+      query: {},
+      body: {},
+      user: { email: 'admin@wareongo.com', role: 'admin' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  describe('listMessageLogs', () => {
+    test('should filter by normalised sender, statuses and date range, newest first', async () => {
+      mockReq.query = { sender: '098765 43210', status: 'failed,rejected', from: '2026-10-01', to: '2026-10-15' };
+      mockPrismaClient.$transaction.mockResolvedValue([[failedLog], 1]);
+
+      await listMessageLogs(mockReq, mockRes);
+
+      const [findMany] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(findMany.args.where).toEqual({
+        sender_number: '+919876543210',
+        status: { in: ['failed', 'rejected'] },
+        received_at: { gte: expect.any(Date), lte: expect.any(Date) }
+      });
+      expect(findMany.args.orderBy).toEqual([{ received_at: 'desc' }, { id: 'desc' }]);
+
+      const body = mockRes.json.mock.calls[0][0];
+      expect(body.data).toEqual([failedLog]);
+      expect(body.pagination.totalItems).toBe(1);
+    });
+
+    test('should match partial sender numbers', async () => {
+      mockReq.query = { sender: '98765' };
+      mockPrismaClient.$transaction.mockResolvedValue([[], 0]);
+
+      await listMessageLogs(mockReq, mockRes);
+
+      const [findMany] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(findMany.args.where).toEqual({ sender_number: { contains: '98765' } });
+    });
+
+    test('should reject unknown statuses and invalid dates', async () => {
+      mockReq.query = { status: 'lost' };
+      await listMessageLogs(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+
+      mockReq.query = { from: 'yesterday' };
+      await listMessageLogs(mockReq, mockRes);
+      expect(mockRes.json).toHaveBeenLastCalledWith({ error: 'Invalid date range', fields: ['from'] });
+
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMessageLog', () => {
+    test('should include the sender draft and verified number', async () => {
+      const draft = { id: 4, sender_number: failedLog.sender_number, status: 'collecting' };
+      const sender = { id: 1, phone_number: failedLog.sender_number, name: 'Ravi Broker', is_active: true };
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue(failedLog);
+      mockPrismaClient.draft.findUnique.mockResolvedValue(draft);
+      mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue(sender);
+
+      await getMessageLog(mockReq, mockRes);
+
+      expect(mockPrismaClient.draft.findUnique).toHaveBeenCalledWith({ where: { sender_number: '+919876543210' } });
+      expect(mockRes.json).toHaveBeenCalledWith({ ...failedLog, draft, sender });
+    });
+
+    test('should return 404 for an unknown message', async () => {
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue(null);
+
+      await getMessageLog(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('reprocessMessageLog', () => {
+    test('should claim the failed message, re-run it and write the outcome back', async () => {
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue(failedLog);
+      mockPrismaClient.messageLog.updateMany.mockResolvedValue({ count: 1 });
+      mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue(null);
+
+      await reprocessMessageLog(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.updateMany).toHaveBeenCalledWith({
+        where: { id: 21, status: 'failed' },
+        data: { status: 'received', reprocess_count: { increment: 1 }, reprocessed_at: expect.any(Date) }
+      });
+      expect(mockPrismaClient.messageLog.update).toHaveBeenCalledWith({
+        where: { id: 21 },
+        data: { status: 'rejected', error_message: 'Sender is not an active verified number' }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        messageLogId: 21,
+        status: 'rejected',
+        error: 'Sender is not an active verified number'
+      });
+    });
+
+    test('should re-run a message with every image it carried', async () => {
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue({
+        ...failedLog, image_url: 'https://img/1.jpg', image_urls: ['https://img/1.jpg', 'https://img/2.jpg']
+      });
+      mockPrismaClient.messageLog.updateMany.mockResolvedValue({ count: 1 });
+      mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue({ id: 1, phone_number: '+919876543210', name: 'Ravi', is_active: true });
+      mockPrismaClient.draft.findUnique.mockResolvedValue(null);
+      mockPrismaClient.draft.upsert.mockImplementation(async ({ create }) => create);
+      mockPrismaClient.warehouse.findFirst.mockResolvedValue(null);
+
+      await reprocessMessageLog(mockReq, mockRes);
+
+      expect(mockPrismaClient.draft.upsert.mock.calls[0][0].create.image_urls).toEqual(['https://img/1.jpg', 'https://img/2.jpg']);
+      expect(mockRes.json.mock.calls[0][0]).toEqual(expect.objectContaining({ status: 'processed' }));
+    });
+
+    test('should only reprocess failed messages', async () => {
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue({ ...failedLog, status: 'processed' });
+
+      await reprocessMessageLog(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockPrismaClient.messageLog.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should reprocess a message left received by a crash, but not one still in progress', async () => {
+      const stuckLog = { ...failedLog, status: 'received', received_at: new Date(Date.now() - 10 * 60 * 1000) };
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue(stuckLog);
+      mockPrismaClient.messageLog.updateMany.mockResolvedValue({ count: 1 });
+      mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue(null);
+
+      await reprocessMessageLog(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.updateMany.mock.calls[0][0].where).toEqual(expect.objectContaining({
+        id: 21, status: 'received', received_at: { lt: expect.any(Date) }
+      }));
+      expect(mockRes.status).toHaveBeenLastCalledWith(200);
+
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue({ ...stuckLog, received_at: new Date() });
+      await reprocessMessageLog(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenLastCalledWith(409);
+      expect(mockPrismaClient.messageLog.updateMany).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return 409 when another retry claimed the message first', async () => {
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue(failedLog);
+      mockPrismaClient.messageLog.updateMany.mockResolvedValue({ count: 0 });
+
+      await reprocessMessageLog(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockPrismaClient.verifiedNumber.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,451 @@
+import { jest } from '@jest/globals';
+
+// In-memory Redis, shared by every NotificationService instance in a test
+const redisData = new Map();
+const redisExpiries = new Map();
+const mockRedis = {
+  isReady: true,
+  mGet: jest.fn(async keys => keys.map(key => (redisData.has(key) ? String(redisData.get(key)) : null))),
+  multi: jest.fn(() => {
+    const queued = [];
+    const chain = {
+      incrBy: (key, amount) => {
+        queued.push(() => redisData.set(key, (redisData.get(key) || 0) + amount));
+        return chain;
+      },
+      expireAt: (key, timestamp) => {
+        queued.push(() => redisExpiries.set(key, timestamp));
+        return chain;
+      },
+      exec: async () => queued.map(operation => operation())
+    };
+    return chain;
+  }),
+  del: jest.fn(async keys => keys.forEach(key => redisData.delete(key)))
+};
+
+jest.unstable_mockModule('../models/redisClient.js', () => ({
+  default: mockRedis
+}));
+
+// Recipients and limit overrides managed through the admin API
+const mockPrismaClient = {
+  notification_recipient: { findMany: jest.fn() },
+  notification_channel_limit: { findMany: jest.fn() }
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+const {
+  SmtpChannel,
+  WebhookChannel,
+  HttpMessageChannel,
+  MemoryChannel,
+  createNotificationChannels,
+  parseRateLimits
+} = await import('../utils/notificationChannels.js');
+const { NotificationService } = await import('../utils/notificationService.js');
+const { createRateLimitStore } = await import('../utils/notificationRateLimit.js');
+
+const notification = {
+  subject: 'New Enquiry - ID: 1',
+  message: 'NEW ENQUIRY RECEIVED',
+  summary: 'New enquiry #1: Jane, +919876543210 (website)',
+  replyTo: 'jane@example.com'
+};
+
+const enquiry = {
+  id: 1,
+  name: 'Jane',
+  phoneNumber: '+919876543210',
+  email: 'jane@example.com',
+  source: 'website',
+  createdat: new Date('2026-10-01T10:00:00Z')
+};
+
+describe('Notification Channels', () => {
+  const originalFetch = global.fetch;
+  let logSpy, warnSpy, errorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisData.clear();
+    redisExpiries.clear();
+    mockRedis.isReady = true;
+    mockPrismaClient.notification_recipient.findMany.mockResolvedValue([]);
+    mockPrismaClient.notification_channel_limit.findMany.mockResolvedValue([]);
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  describe('createNotificationChannels', () => {
+    test('should default to EmailJS with the default recipient and limits', () => {
+      const [channel, ...rest] = createNotificationChannels({});
+
+      expect(rest).toHaveLength(0);
+      expect(channel.name).toBe('emailjs');
+      expect(channel.recipients).toEqual(['ranita@wareongo.com']);
+      expect(channel.limits).toEqual({ monthly: 200, daily: 10, hourly: 5 });
+      expect(channel.validateConfiguration().missingVariables).toEqual([
+        'EMAILJS_SERVICE_ID', 'EMAILJS_PUBLIC_KEY', 'EMAILJS_PRIVATE_KEY', 'EMAILJS_TEMPLATE_ID'
+      ]);
+    });
+
+    test('should build each enabled channel with its own config', () => {
+      const channels = createNotificationChannels({
+        NOTIFICATION_CHANNELS: 'smtp, webhook,sms',
+        NOTIFY_EMAIL_RECIPIENTS: 'ops@wareongo.com,sales@wareongo.com',
+        SMTP_HOST: 'smtp.test',
+        SMTP_FROM: 'alerts@wareongo.com',
+        NOTIFY_SMTP_RATE_LIMIT: 'daily:100,hourly:20',
+        NOTIFY_WEBHOOK_URL: 'https://hooks.slack.test/services/T0/B0/secret',
+        NOTIFY_SMS_API_URL: 'https://sms.test/send',
+        NOTIFY_SMS_API_KEY: 'key',
+        NOTIFY_SMS_RECIPIENTS: '98765 43210'
+      });
+
+      expect(channels.map(channel => channel.name)).toEqual(['smtp', 'webhook', 'sms']);
+      expect(channels[0].recipients).toEqual(['ops@wareongo.com', 'sales@wareongo.com']);
+      expect(channels[0].limits).toEqual({ monthly: 200, daily: 100, hourly: 20 });
+      expect(channels[1].recipients).toEqual(['hooks.slack.test']);
+      expect(channels[2].recipients).toEqual(['+919876543210']);
+      expect(channels.every(channel => channel.validateConfiguration().isValid)).toBe(true);
+    });
+
+    test('should reject unknown channels and invalid limits', () => {
+      expect(() => createNotificationChannels({ NOTIFICATION_CHANNELS: 'pigeon' })).toThrow('Unknown notification channel');
+      expect(() => parseRateLimits('weekly:10')).toThrow('Invalid notification rate limit');
+      expect(() => parseRateLimits('daily:lots')).toThrow('Invalid notification rate limit');
+    });
+  });
+
+  describe('channel delivery', () => {
+    test('SMTP should send one plain-text email per recipient', async () => {
+      const transport = { sendMail: jest.fn().mockResolvedValue({ response: '250 OK' }) };
+      const channel = new SmtpChannel({ host: 'smtp.test', from: 'alerts@wareongo.com', recipients: ['a@x.com', 'b@x.com'], transport });
+
+      const results = await channel.send(notification);
+
+      expect(transport.sendMail).toHaveBeenCalledWith({
+        from: 'alerts@wareongo.com',
+        to: 'a@x.com',
+        replyTo: 'jane@example.com',
+        subject: 'New Enquiry - ID: 1',
+        text: 'NEW ENQUIRY RECEIVED'
+      });
+      expect(results).toEqual([
+        { recipient: 'a@x.com', success: true, status: '250 OK' },
+        { recipient: 'b@x.com', success: true, status: '250 OK' }
+      ]);
+    });
+
+    test.each([
+      ['slack', { text: '*New Enquiry - ID: 1*\n```NEW ENQUIRY RECEIVED```' }],
+      ['teams', expect.objectContaining({ '@type': 'MessageCard', title: 'New Enquiry - ID: 1' })]
+    ])('webhook should post a %s payload', async (format, payload) => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+      const channel = new WebhookChannel({ url: 'https://hooks.test/abc', format });
+
+      const results = await channel.send(notification);
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://hooks.test/abc');
+      expect(JSON.parse(options.body)).toEqual(payload);
+      expect(results).toEqual([{ recipient: 'hooks.test', success: true, status: 200 }]);
+    });
+
+    test('HTTP messaging should send the summary to each number and report failures', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce({ ok: true, status: 202 })
+        .mockResolvedValueOnce({ ok: false, status: 400, text: async () => 'bad number' });
+      const channel = new HttpMessageChannel({
+        name: 'whatsapp', apiUrl: 'https://msg.test', apiKey: 'key', from: '+911234567890',
+        recipients: ['+919876543210', '+919812345678']
+      });
+
+      const results = await channel.send(notification);
+
+      const [, options] = global.fetch.mock.calls[0];
+      expect(options.headers.Authorization).toBe('Bearer key');
+      expect(JSON.parse(options.body)).toEqual({
+        channel: 'whatsapp', from: '+911234567890', to: '+919876543210', body: notification.summary
+      });
+      expect(results[0].success).toBe(true);
+      expect(results[1]).toEqual({ recipient: '+919812345678', success: false, error: 'Message request failed with status 400: bad number' });
+    });
+
+    test('HTTP messaging should only require the API URL and key', () => {
+      expect(new HttpMessageChannel({ name: 'sms', apiUrl: 'https://msg.test', apiKey: 'key' }).validateConfiguration())
+        .toEqual({ isValid: true, missingVariables: [] });
+      expect(new HttpMessageChannel({ name: 'sms', recipients: ['+919876543210'] }).validateConfiguration().missingVariables)
+        .toEqual(['NOTIFY_SMS_API_URL', 'NOTIFY_SMS_API_KEY']);
+    });
+  });
+
+  describe('NotificationService', () => {
+    test('should fan out to every channel', async () => {
+      const email = new MemoryChannel({ name: 'email', recipients: ['a@x.com', 'b@x.com'] });
+      const chat = new MemoryChannel({ name: 'chat' });
+      const service = new NotificationService({ channels: [email, chat] });
+
+      const result = await service.sendEnquiryNotification(enquiry);
+
+      expect(result.success).toBe(true);
+      expect(result.channels.map(channel => [channel.channel, channel.success])).toEqual([['email', true], ['chat', true]]);
+      expect(email.sent.map(sent => sent.recipient)).toEqual(['a@x.com', 'b@x.com']);
+      expect(chat.sent[0]).toEqual(expect.objectContaining({
+        subject: 'New Enquiry - ID: 1',
+        summary: 'New enquiry #1: Jane, +919876543210 (website)',
+        replyTo: 'jane@example.com'
+      }));
+      expect(chat.sent[0].message).toContain('This notification was sent via: email, chat');
+      const status = await service.getRateLimitStatus();
+      expect(status.email.daily.current).toBe(2);
+      expect(status.chat.daily.current).toBe(1);
+    });
+
+    test('should report a failing channel without affecting the others', async () => {
+      const broken = new MemoryChannel({ name: 'broken', error: 'SMTP down' });
+      const chat = new MemoryChannel({ name: 'chat' });
+      const service = new NotificationService({ channels: [broken, chat] });
+
+      const result = await service.sendCustomerRequestNotification({ id: 4, full_name: 'Acme', preferred_location: 'Pune' });
+
+      expect(result.success).toBe(true);
+      expect(result.partialSuccess).toBe(true);
+      expect(result.channels[0]).toEqual(expect.objectContaining({ channel: 'broken', success: false, error: 'SMTP down' }));
+      expect(chat.sent[0].summary).toBe('New customer request #4: Acme, N/A (Pune)');
+    });
+
+    test('should not send again to recipients an earlier attempt reached', async () => {
+      const email = new MemoryChannel({ name: 'email', recipients: ['a@x.com', 'b@x.com'] });
+      const chat = new MemoryChannel({ name: 'chat' });
+      const service = new NotificationService({ channels: [email, chat] });
+
+      const result = await service.sendEnquiryNotification(enquiry, {
+        skipRecipients: { email: ['a@x.com'], chat: ['memory'] }
+      });
+
+      expect(email.sent.map(sent => sent.recipient)).toEqual(['b@x.com']);
+      expect(chat.sent).toHaveLength(0);
+      expect(result.channels[1]).toEqual({ channel: 'chat', success: true, results: [], duration: 0 });
+    });
+
+    test('should rate-limit each channel independently', async () => {
+      const limited = new MemoryChannel({ name: 'limited', limits: { monthly: 200, daily: 10, hourly: 1 } });
+      const chat = new MemoryChannel({ name: 'chat' });
+      const service = new NotificationService({ channels: [limited, chat] });
+
+      await service.sendEnquiryNotification(enquiry);
+      const second = await service.sendEnquiryNotification(enquiry);
+
+      expect(second.success).toBe(true);
+      expect(second.channels[0]).toEqual(expect.objectContaining({ channel: 'limited', rateLimited: true, error: 'Rate limit exceeded: hourly limit exceeded' }));
+      expect(limited.sent).toHaveLength(1);
+      expect(chat.sent).toHaveLength(2);
+
+      await service.resetRateLimit('hourly', 'limited');
+      const third = await service.sendEnquiryNotification(enquiry);
+      expect(third.channels[0].success).toBe(true);
+    });
+
+    test('should fail without sending when a channel is misconfigured', async () => {
+      const smtp = new SmtpChannel({ transport: { sendMail: jest.fn() } });
+      const service = new NotificationService({ channels: [smtp] });
+
+      const result = await service.sendEnquiryNotification(enquiry);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('smtp: smtp configuration is incomplete. Check environment variables.');
+      expect(smtp.transport.sendMail).not.toHaveBeenCalled();
+      expect(service.validateConfiguration()).toEqual({
+        isValid: false,
+        missingVariables: ['SMTP_HOST', 'SMTP_FROM'],
+        recipients: 1,
+        channels: [{ name: 'smtp', isValid: false, missingVariables: ['SMTP_HOST', 'SMTP_FROM'], recipients: 1 }]
+      });
+    });
+
+    test('should fail a channel that has no recipients after routing', async () => {
+      const sms = new MemoryChannel({ name: 'sms', recipients: [] });
+      const service = new NotificationService({ channels: [sms] });
+
+      const result = await service.sendEnquiryNotification(enquiry);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('sms: sms has no recipients for this notification');
+      expect(sms.sent).toHaveLength(0);
+    });
+
+    test('should send test notifications through one channel', async () => {
+      const email = new MemoryChannel({ name: 'email' });
+      const broken = new MemoryChannel({ name: 'broken', error: 'SMTP down' });
+      const service = new NotificationService({ channels: [email, broken] });
+
+      const test = await service.sendTestNotification({ type: 'customer_request', channelName: 'email' });
+
+      expect(test.success).toBe(true);
+      expect(test.channels.map(channel => channel.channel)).toEqual(['email']);
+      expect(email.sent[0].subject).toBe('[TEST] New Customer Request - ID: 0');
+      expect(broken.sent).toHaveLength(0);
+    });
+
+    test('should keep rate limit counts in Redis across instances', async () => {
+      const limits = { monthly: 200, daily: 10, hourly: 1 };
+      const first = new NotificationService({ channels: [new MemoryChannel({ name: 'chat', limits })] });
+      await first.sendEnquiryNotification(enquiry);
+
+      // A restarted or second instance sees the same counts
+      const second = new NotificationService({ channels: [new MemoryChannel({ name: 'chat', limits })] });
+      const result = await second.sendEnquiryNotification(enquiry);
+
+      expect(result.rateLimited).toBe(true);
+      const hourlyKey = [...redisData.keys()].find(key => key.startsWith('notifications:ratelimit:chat:hourly:'));
+      const resetDate = (await second.getRateLimitStatus()).chat.hourly.resetDate;
+      expect(hourlyKey).toBe(`notifications:ratelimit:chat:hourly:${resetDate.getTime()}`);
+      expect(redisData.get(hourlyKey)).toBe(1);
+      expect(redisExpiries.get(hourlyKey)).toBe(Math.ceil(resetDate.getTime() / 1000));
+
+      await first.resetRateLimit('hourly');
+      expect(redisData.has(hourlyKey)).toBe(false);
+      expect((await second.sendEnquiryNotification(enquiry)).success).toBe(true);
+    });
+
+    test('should fall back to in-memory counts while Redis is down', async () => {
+      const chat = new MemoryChannel({ name: 'chat', limits: { monthly: 200, daily: 10, hourly: 1 } });
+      const service = new NotificationService({ channels: [chat] });
+      mockRedis.isReady = false;
+
+      await service.sendEnquiryNotification(enquiry);
+      const second = await service.sendEnquiryNotification(enquiry);
+
+      expect(second.rateLimited).toBe(true);
+      expect(chat.sent).toHaveLength(1);
+      expect(redisData.size).toBe(0);
+      expect(mockRedis.mGet).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Notification rate limit store unavailable for chat, using in-memory counts:', 'Redis is not connected'
+      );
+      expect(warnSpy.mock.calls.filter(([message]) => message.startsWith('Notification rate limit store')).length).toBe(1);
+    });
+
+    test('should add deliveries counted while Redis was down once it recovers', async () => {
+      const limits = { monthly: 200, daily: 10, hourly: 5 };
+      const first = new NotificationService({ channels: [new MemoryChannel({ name: 'chat', limits })] });
+      const second = new NotificationService({ channels: [new MemoryChannel({ name: 'chat', limits })] });
+      await second.sendEnquiryNotification(enquiry);
+
+      mockRedis.isReady = false;
+      await first.sendEnquiryNotification(enquiry);
+      await first.sendEnquiryNotification(enquiry);
+
+      mockRedis.isReady = true;
+      const status = await first.getRateLimitStatus();
+
+      expect(status.chat.hourly.current).toBe(3);
+      expect((await second.getRateLimitStatus()).chat.hourly.current).toBe(3);
+      expect(logSpy).toHaveBeenCalledWith('Notification rate limits for chat are using the shared store again');
+    });
+
+    test('should only use memory when configured to', () => {
+      expect(createRateLimitStore({ NOTIFY_RATE_LIMIT_STORE: 'memory' })).toBeNull();
+      expect(createRateLimitStore({}).client).toBe(mockRedis);
+      expect(() => createRateLimitStore({ NOTIFY_RATE_LIMIT_STORE: 'disk' })).toThrow('Invalid NOTIFY_RATE_LIMIT_STORE');
+    });
+  });
+
+  describe('recipient routing', () => {
+    const recipient = (id, channel, address, rule = {}) => ({
+      id, channel, address, notification_type: null, match_field: null, match_value: null, is_active: true, ...rule
+    });
+
+    test('should route customer requests by location and enquiries by source', async () => {
+      mockPrismaClient.notification_recipient.findMany.mockResolvedValue([
+        recipient(1, 'email', 'ops@wareongo.com'),
+        recipient(2, 'email', 'pune.sales@wareongo.com', { notification_type: 'customer_request', match_field: 'preferred_location', match_value: 'pune' }),
+        recipient(3, 'email', 'marketing@wareongo.com', { notification_type: 'enquiry', match_field: 'source', match_value: 'Instagram' })
+      ]);
+      const email = new MemoryChannel({ name: 'email', recipients: ['env@wareongo.com'] });
+      const service = new NotificationService({ channels: [email] });
+
+      await service.sendCustomerRequestNotification({ id: 4, full_name: 'Acme', preferred_location: 'Chakan, Pune' });
+      await service.sendEnquiryNotification({ ...enquiry, source: 'instagram-ad' });
+      await service.sendEnquiryNotification(enquiry);
+
+      expect(email.sent.map(sent => [sent.subject, sent.recipient])).toEqual([
+        ['New Customer Request - ID: 4', 'ops@wareongo.com'],
+        ['New Customer Request - ID: 4', 'pune.sales@wareongo.com'],
+        ['New Enquiry - ID: 1', 'ops@wareongo.com'],
+        ['New Enquiry - ID: 1', 'marketing@wareongo.com'],
+        ['New Enquiry - ID: 1', 'ops@wareongo.com']
+      ]);
+      expect(mockPrismaClient.notification_recipient.findMany).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fall back to environment recipients when no rule matches', async () => {
+      mockPrismaClient.notification_recipient.findMany.mockResolvedValue([
+        recipient(2, 'email', 'pune.sales@wareongo.com', { notification_type: 'customer_request', match_field: 'preferred_location', match_value: 'Pune' })
+      ]);
+      const email = new MemoryChannel({ name: 'email', recipients: ['env@wareongo.com'] });
+      const service = new NotificationService({ channels: [email] });
+
+      await service.sendCustomerRequestNotification({ id: 5, full_name: 'Acme', preferred_location: 'Chennai' });
+
+      expect(email.sent.map(sent => sent.recipient)).toEqual(['env@wareongo.com']);
+    });
+
+    test('should list environment and database recipients of enabled channels', async () => {
+      mockPrismaClient.notification_recipient.findMany.mockResolvedValue([
+        recipient(1, 'email', 'ops@wareongo.com'),
+        recipient(2, 'email', 'env@wareongo.com'),
+        recipient(3, 'sms', '+919876543210')
+      ]);
+      const email = new MemoryChannel({ name: 'email', recipients: ['env@wareongo.com'] });
+      const service = new NotificationService({ channels: [email] });
+
+      expect(await service.getAllRecipients()).toEqual(['env@wareongo.com', 'ops@wareongo.com']);
+    });
+
+    test('should apply limit overrides and reload them when invalidated', async () => {
+      mockPrismaClient.notification_channel_limit.findMany.mockResolvedValue([
+        { channel: 'chat', monthly: null, daily: 50, hourly: 1 }
+      ]);
+      const chat = new MemoryChannel({ name: 'chat' });
+      const service = new NotificationService({ channels: [chat] });
+
+      await service.sendEnquiryNotification(enquiry);
+      const limited = await service.sendEnquiryNotification(enquiry);
+      expect(limited.rateLimited).toBe(true);
+      expect((await service.getRateLimitStatus()).chat.daily.limit).toBe(50);
+      expect((await service.getRateLimitStatus()).chat.monthly.limit).toBe(200);
+
+      mockPrismaClient.notification_channel_limit.findMany.mockResolvedValue([]);
+      service.invalidateSettings();
+      expect((await service.sendEnquiryNotification(enquiry)).success).toBe(true);
+    });
+
+    test('should keep sending with the previous settings when they cannot be loaded', async () => {
+      mockPrismaClient.notification_recipient.findMany.mockRejectedValue(new Error('connection refused'));
+      const chat = new MemoryChannel({ name: 'chat', recipients: ['env'] });
+      const service = new NotificationService({ channels: [chat] });
+
+      const result = await service.sendEnquiryNotification(enquiry);
+
+      expect(result.success).toBe(true);
+      expect(chat.sent[0].recipient).toBe('env');
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Could not load notification settings'), { error: 'connection refused' }
+      );
+    });
+  });
+});
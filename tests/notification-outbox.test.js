@@ -0,0 +1,382 @@
+import { jest } from '@jest/globals';
+
+// Prisma operations are returned as-is so transactions can be inspected
+const mockPrismaClient = {
+  notification_outbox: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    count: jest.fn(args => ({ op: 'notification_outbox.count', args })),
+    updateMany: jest.fn(),
+    update: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+const mockNotificationService = {
+  channels: [{ name: 'emailjs' }, { name: 'webhook' }],
+  sendEnquiryNotification: jest.fn(),
+  sendCustomerRequestNotification: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/notificationService.js', () => ({
+  default: mockNotificationService
+}));
+
+const { runOutbox, retryDelay, getDeliveryHistory } = await import('../utils/notificationOutbox.js');
+const {
+  listOutboxEntries,
+  getOutboxEntry,
+  retryOutboxEntry
+} = await import('../controllers/notificationOutboxController.js');
+
+const enquiry = { id: 5, name: 'Jane', phoneNumber: '+919876543210', source: 'website' };
+
+const outboxRow = (overrides = {}) => ({
+  id: 1,
+  type: 'enquiry',
+  status: 'processing',
+  attempts: 0,
+  max_attempts: 8,
+  enquiry,
+  customer_request: null,
+  ...overrides
+});
+
+/**
+ * Queue rows for one worker run: the first findMany lists due IDs, the second loads the claimed rows
+ * @param {Array<Object>} rows - Rows to claim
+ */
+function mockDueRows(rows) {
+  mockPrismaClient.notification_outbox.findMany
+    .mockResolvedValueOnce(rows.map(row => ({ id: row.id })))
+    .mockResolvedValueOnce(rows)
+    .mockResolvedValue([]);
+}
+
+describe('Notification Outbox', () => {
+  let mockReq, mockRes, logSpy, errorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrismaClient.notification_outbox.findMany.mockReset();
+    mockPrismaClient.notification_outbox.updateMany.mockResolvedValue({ count: 1 });
+    mockPrismaClient.notification_outbox.update.mockResolvedValue({});
+
+    mockReq = {
+      params: { id: '1' },
+      query: {},
+      body: {},
+      user: { email: 'admin@wareongo.com', role: 'admin' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('retryDelay should double from one minute and cap at six hours', () => {
+    expect([1, 2, 3, 8].map(retryDelay)).toEqual([60000, 120000, 240000, 7680000]);
+    expect(retryDelay(20)).toBe(6 * 60 * 60 * 1000);
+  });
+
+  describe('runOutbox', () => {
+    test('should claim due rows and mark delivered notifications sent', async () => {
+      mockDueRows([outboxRow()]);
+      mockNotificationService.sendEnquiryNotification.mockResolvedValue({
+        success: true,
+        channels: [{ channel: 'emailjs', success: true, results: [] }, { channel: 'webhook', success: true, results: [] }]
+      });
+
+      const totals = await runOutbox();
+
+      const [claim] = mockPrismaClient.notification_outbox.updateMany.mock.calls[0];
+      expect(claim.where.id).toBe(1);
+      expect(claim.where.OR).toEqual([
+        { status: 'pending', next_attempt_at: { lte: expect.any(Date) } },
+        { status: 'processing', locked_at: { lt: expect.any(Date) } }
+      ]);
+      expect(claim.data).toEqual({ status: 'processing', locked_at: expect.any(Date) });
+
+      expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledWith(enquiry, { channels: mockNotificationService.channels, skipRecipients: {} });
+      expect(mockPrismaClient.notification_outbox.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: {
+          status: 'sent',
+          attempts: 1,
+          sent_at: expect.any(Date),
+          last_error: null,
+          locked_at: null,
+          last_attempt_at: expect.any(Date),
+          last_result: [{ channel: 'emailjs', success: true }, { channel: 'webhook', success: true }]
+        }
+      });
+      expect(totals).toEqual({ claimed: 1, sent: 1, pending: 0, dead: 0 });
+    });
+
+    test('should keep a partly delivered notification pending and retry only the failed channels', async () => {
+      mockDueRows([outboxRow()]);
+      mockNotificationService.sendEnquiryNotification.mockResolvedValue({
+        success: true,
+        partialSuccess: true,
+        channels: [{ channel: 'emailjs', success: true, results: [] }, { channel: 'webhook', success: false, error: 'HTTP 500' }]
+      });
+
+      await runOutbox();
+
+      const { data } = mockPrismaClient.notification_outbox.update.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({
+        status: 'pending',
+        attempts: 1,
+        last_error: 'webhook: HTTP 500',
+        last_result: [{ channel: 'emailjs', success: true }, { channel: 'webhook', success: false, error: 'HTTP 500' }]
+      }));
+
+      jest.clearAllMocks();
+      mockDueRows([outboxRow({ status: 'pending', attempts: 1, last_result: data.last_result })]);
+      mockNotificationService.sendEnquiryNotification.mockResolvedValue({
+        success: true,
+        channels: [{ channel: 'webhook', success: true, results: [] }]
+      });
+
+      await runOutbox();
+
+      expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledWith(enquiry, { channels: [{ name: 'webhook' }], skipRecipients: {} });
+      expect(mockPrismaClient.notification_outbox.update.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        status: 'sent',
+        attempts: 2,
+        last_result: [{ channel: 'emailjs', success: true }, { channel: 'webhook', success: true }]
+      }));
+    });
+
+    test('should retry only the recipients a partly delivered channel did not reach', async () => {
+      mockDueRows([outboxRow()]);
+      mockNotificationService.sendEnquiryNotification.mockResolvedValue({
+        success: true,
+        channels: [
+          {
+            channel: 'emailjs',
+            success: true,
+            partialSuccess: true,
+            error: 'Forbidden',
+            results: [{ recipient: 'a@x.com', success: true }, { recipient: 'b@x.com', success: false, error: 'Forbidden' }]
+          },
+          { channel: 'webhook', success: true, results: [] }
+        ]
+      });
+
+      await runOutbox();
+
+      const { data } = mockPrismaClient.notification_outbox.update.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({
+        status: 'pending',
+        last_error: 'emailjs: Forbidden',
+        last_result: [
+          { channel: 'emailjs', success: false, delivered: ['a@x.com'], error: 'Forbidden' },
+          { channel: 'webhook', success: true }
+        ]
+      }));
+
+      jest.clearAllMocks();
+      mockDueRows([outboxRow({ status: 'pending', attempts: 1, last_result: data.last_result })]);
+      mockNotificationService.sendEnquiryNotification.mockResolvedValue({
+        success: true,
+        channels: [{ channel: 'emailjs', success: true, results: [{ recipient: 'b@x.com', success: true }] }]
+      });
+
+      await runOutbox();
+
+      expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledWith(enquiry, {
+        channels: [{ name: 'emailjs' }],
+        skipRecipients: { emailjs: ['a@x.com'] }
+      });
+      expect(mockPrismaClient.notification_outbox.update.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        status: 'sent',
+        last_result: [
+          { channel: 'webhook', success: true },
+          { channel: 'emailjs', success: true, delivered: ['a@x.com', 'b@x.com'] }
+        ]
+      }));
+    });
+
+    test('should not mark a notification sent when no channel is enabled', async () => {
+      const { channels } = mockNotificationService;
+      mockNotificationService.channels = [];
+      mockDueRows([outboxRow()]);
+      mockNotificationService.sendEnquiryNotification.mockResolvedValue({
+        success: false, error: 'No notification channels are enabled', channels: [], duration: 0
+      });
+
+      try {
+        await runOutbox();
+      } finally {
+        mockNotificationService.channels = channels;
+      }
+
+      expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledWith(enquiry, { channels: [], skipRecipients: {} });
+      expect(mockPrismaClient.notification_outbox.update.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        status: 'pending',
+        attempts: 1,
+        last_error: 'No notification channels are enabled'
+      }));
+    });
+
+    test('should skip rows claimed by another worker', async () => {
+      mockPrismaClient.notification_outbox.findMany.mockResolvedValueOnce([{ id: 1 }]).mockResolvedValue([]);
+      mockPrismaClient.notification_outbox.updateMany.mockResolvedValue({ count: 0 });
+
+      const totals = await runOutbox();
+
+      expect(totals.claimed).toBe(0);
+      expect(mockNotificationService.sendEnquiryNotification).not.toHaveBeenCalled();
+    });
+
+    test('should retry failures with exponential backoff', async () => {
+      mockDueRows([outboxRow({ type: 'customer_request', enquiry: null, customer_request: { id: 9n }, attempts: 2 })]);
+      mockNotificationService.sendCustomerRequestNotification.mockRejectedValue(new Error('SMTP timeout'));
+
+      const before = Date.now();
+      await runOutbox();
+
+      const { data } = mockPrismaClient.notification_outbox.update.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({ status: 'pending', attempts: 3, last_error: 'SMTP timeout' }));
+      expect(data.next_attempt_at.getTime()).toBeGreaterThanOrEqual(before + retryDelay(3));
+    });
+
+    test('should move a notification to dead letter after its last attempt', async () => {
+      mockDueRows([outboxRow({ attempts: 7 })]);
+      mockNotificationService.sendEnquiryNotification.mockResolvedValue({
+        success: false,
+        error: 'emailjs: Forbidden',
+        channels: [{ channel: 'emailjs', success: false, error: 'Forbidden' }]
+      });
+
+      const totals = await runOutbox();
+
+      expect(mockPrismaClient.notification_outbox.update.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        status: 'dead',
+        attempts: 8,
+        last_error: 'emailjs: Forbidden',
+        last_result: [{ channel: 'emailjs', success: false, error: 'Forbidden' }]
+      }));
+      expect(totals.dead).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('moved to dead letter after 8 attempts'));
+    });
+
+    test('should wait for the rate limit to reset without using an attempt', async () => {
+      const resetDate = new Date(Date.now() + 30 * 60 * 1000);
+      mockDueRows([outboxRow({ attempts: 1 })]);
+      mockNotificationService.sendEnquiryNotification.mockResolvedValue({
+        success: false,
+        rateLimited: true,
+        error: 'emailjs: Rate limit exceeded: hourly limit exceeded',
+        channels: [{ channel: 'emailjs', success: false, rateLimited: true, resetDate, error: 'Rate limit exceeded: hourly limit exceeded' }]
+      });
+
+      await runOutbox();
+
+      const { data } = mockPrismaClient.notification_outbox.update.mock.calls[0][0];
+      expect(data.status).toBe('pending');
+      expect(data.attempts).toBeUndefined();
+      expect(data.next_attempt_at).toEqual(resetDate);
+    });
+  });
+
+  test('getDeliveryHistory should list attempted notifications newest first', async () => {
+    mockPrismaClient.notification_outbox.findMany.mockResolvedValue([
+      {
+        id: 4, type: 'customer_request', enquiry_id: null, customer_request_id: 9, status: 'pending', attempts: 1,
+        last_error: 'webhook: timeout', last_attempt_at: new Date(), last_result: [{ channel: 'webhook', success: false, error: 'timeout' }]
+      }
+    ]);
+
+    const history = await getDeliveryHistory(10);
+
+    expect(mockPrismaClient.notification_outbox.findMany).toHaveBeenCalledWith({
+      where: { last_attempt_at: { not: null } },
+      orderBy: [{ last_attempt_at: 'desc' }, { id: 'desc' }],
+      take: 10
+    });
+    expect(history).toEqual([{
+      id: 4,
+      at: expect.any(Date),
+      type: 'customer_request',
+      recordId: 9,
+      status: 'pending',
+      success: false,
+      attempts: 1,
+      error: 'webhook: timeout',
+      channels: [{ channel: 'webhook', success: false, error: 'timeout' }]
+    }]);
+  });
+
+  describe('admin endpoints', () => {
+    test('should list entries filtered by status and type', async () => {
+      mockReq.query = { status: 'dead,pending', type: 'enquiry' };
+      mockPrismaClient.notification_outbox.findMany.mockImplementation(args => ({ op: 'notification_outbox.findMany', args }));
+      mockPrismaClient.$transaction.mockResolvedValue([[outboxRow({ status: 'dead' })], 1]);
+
+      await listOutboxEntries(mockReq, mockRes);
+
+      const [findMany] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(findMany.args.where).toEqual({ status: { in: ['dead', 'pending'] }, type: 'enquiry' });
+      expect(findMany.args.include).toEqual({ enquiry: true, customer_request: true });
+      expect(mockRes.json.mock.calls[0][0].pagination.totalItems).toBe(1);
+    });
+
+    test('should reject unknown filter values', async () => {
+      mockReq.query = { status: 'lost', type: 'sms' };
+
+      await listOutboxEntries(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid filter values', fields: ['status', 'type'] });
+    });
+
+    test('should return 404 for an unknown entry', async () => {
+      mockPrismaClient.notification_outbox.findUnique.mockResolvedValue(null);
+
+      await getOutboxEntry(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should queue a dead notification for retry with fresh attempts', async () => {
+      mockPrismaClient.notification_outbox.findUnique.mockResolvedValue(outboxRow({ status: 'dead', attempts: 8 }));
+      mockPrismaClient.notification_outbox.findMany.mockResolvedValue([]);
+
+      await retryOutboxEntry(mockReq, mockRes);
+
+      expect(mockPrismaClient.notification_outbox.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, status: { in: ['dead', 'pending'] } },
+        data: { status: 'pending', attempts: 0, next_attempt_at: expect.any(Date), locked_at: null }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+      expect(mockRes.json).toHaveBeenCalledWith({ id: 1, status: 'pending' });
+
+      // Let the triggered delivery run finish
+      await new Promise(resolve => setImmediate(resolve));
+      await runOutbox();
+    });
+
+    test('should refuse to retry a sent notification', async () => {
+      mockPrismaClient.notification_outbox.findUnique.mockResolvedValue(outboxRow({ status: 'sent' }));
+      mockPrismaClient.notification_outbox.updateMany.mockResolvedValue({ count: 0 });
+
+      await retryOutboxEntry(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+import { jest } from '@jest/globals';
+
+// Prisma operations are returned as-is so transactions can be inspected
+const mockPrismaClient = {
+  notification_recipient: {
+    findMany: jest.fn(args => ({ op: 'notification_recipient.findMany', args })),
+    count: jest.fn(args => ({ op: 'notification_recipient.count', args })),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  },
+  notification_channel_limit: {
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+const mockNotificationService = {
+  channels: [
+    { name: 'emailjs', limits: { monthly: 200, daily: 10, hourly: 5 } },
+    { name: 'webhook', limits: { monthly: 200, daily: 10, hourly: 5 } }
+  ],
+  invalidateSettings: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/notificationService.js', () => ({
+  default: mockNotificationService
+}));
+
+// Rate limit periods come from the Redis-backed limiter; mock the client so no Redis connection is opened
+jest.unstable_mockModule('../models/redisClient.js', () => ({
+  default: {}
+}));
+
+const {
+  listRecipients,
+  addRecipient,
+  updateRecipient,
+  deleteRecipient,
+  listChannelLimits,
+  setChannelLimits,
+  clearChannelLimits
+} = await import('../controllers/notificationSettingsController.js');
+
+const puneLead = {
+  id: 3,
+  channel: 'whatsapp',
+  address: '+919876543210',
+  name: 'Pune sales lead',
+  notification_type: 'customer_request',
+  match_field: 'preferred_location',
+  match_value: 'Pune',
+  is_active: true
+};
+
+describe('Notification Settings Admin', () => {
+  let mockReq, mockRes, logSpy, errorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      params: {},
+      query: {},
+      body: {},
+      user: { email: 'admin@wareongo.com', role: 'admin' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis()
+    };
+
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  describe('recipients', () => {
+    test('should list recipients filtered by channel', async () => {
+      mockReq.query = { channel: 'whatsapp', active: 'true' };
+      mockPrismaClient.$transaction.mockResolvedValue([[puneLead], 1]);
+
+      await listRecipients(mockReq, mockRes);
+
+      const [findMany] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(findMany.args.where).toEqual({ channel: 'whatsapp', is_active: true });
+      expect(mockRes.json.mock.calls[0][0].data).toEqual([puneLead]);
+    });
+
+    test('should add a routed recipient with a normalised number', async () => {
+      mockReq.body = {
+        channel: 'whatsapp',
+        address: '98765 43210',
+        name: ' Pune sales lead ',
+        notificationType: 'customer_request',
+        matchField: 'preferred_location',
+        matchValue: 'Pune '
+      };
+      mockPrismaClient.notification_recipient.create.mockImplementation(async ({ data }) => ({ id: 3, ...data }));
+
+      await addRecipient(mockReq, mockRes);
+
+      expect(mockPrismaClient.notification_recipient.create).toHaveBeenCalledWith({
+        data: {
+          channel: 'whatsapp',
+          address: '+919876543210',
+          name: 'Pune sales lead',
+          notification_type: 'customer_request',
+          match_field: 'preferred_location',
+          match_value: 'Pune',
+          is_active: true
+        }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockNotificationService.invalidateSettings).toHaveBeenCalled();
+    });
+
+    test('should reject invalid recipients and rules', async () => {
+      mockReq.body = { channel: 'smtp', address: 'not-an-email', notificationType: 'enquiry', matchField: 'preferred_location' };
+
+      await addRecipient(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing or invalid fields', fields: ['address', 'matchField', 'matchValue'] });
+      expect(mockPrismaClient.notification_recipient.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject inherited property names as notification types', async () => {
+      mockReq.body = { channel: 'smtp', address: 'ops@wareongo.com', notificationType: 'constructor', matchField: 'name', matchValue: 'x' };
+
+      await addRecipient(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing or invalid fields', fields: ['notificationType', 'matchField'] });
+    });
+
+    test('should not accept recipients for webhooks', async () => {
+      mockReq.body = { channel: 'webhook', address: 'https://hooks.slack.com/x' };
+
+      await addRecipient(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing or invalid fields', fields: ['channel', 'address'] });
+    });
+
+    test('should merge updates with the current recipient', async () => {
+      mockReq.params.id = '3';
+      mockReq.body = { matchValue: 'Mumbai', isActive: false };
+      mockPrismaClient.notification_recipient.findUnique.mockResolvedValue(puneLead);
+      mockPrismaClient.notification_recipient.update.mockImplementation(async ({ data }) => ({ id: 3, ...data }));
+
+      await updateRecipient(mockReq, mockRes);
+
+      const { id, ...current } = puneLead;
+      expect(mockPrismaClient.notification_recipient.update).toHaveBeenCalledWith({
+        where: { id },
+        data: { ...current, match_value: 'Mumbai', is_active: false }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should clear the rule when the match field is removed', async () => {
+      mockReq.params.id = '3';
+      mockReq.body = { notificationType: null, matchField: null };
+      mockPrismaClient.notification_recipient.findUnique.mockResolvedValue(puneLead);
+      mockPrismaClient.notification_recipient.update.mockImplementation(async ({ data }) => ({ id: 3, ...data }));
+
+      await updateRecipient(mockReq, mockRes);
+
+      expect(mockPrismaClient.notification_recipient.update.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        notification_type: null, match_field: null, match_value: null
+      }));
+    });
+
+    test('should return 404 for unknown recipients', async () => {
+      mockReq.params.id = '99';
+      mockPrismaClient.notification_recipient.findUnique.mockResolvedValue(null);
+      mockPrismaClient.notification_recipient.delete.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'P2025' }));
+
+      await updateRecipient(mockReq, mockRes);
+      await deleteRecipient(mockReq, mockRes);
+
+      expect(mockRes.status.mock.calls).toEqual([[404], [404]]);
+      expect(mockNotificationService.invalidateSettings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('limits', () => {
+    test('should list effective limits with overrides', async () => {
+      mockPrismaClient.notification_channel_limit.findMany.mockResolvedValue([
+        { channel: 'emailjs', monthly: 1000, daily: null, hourly: null },
+        { channel: 'sms', monthly: 50, daily: null, hourly: null }
+      ]);
+
+      await listChannelLimits(mockReq, mockRes);
+
+      expect(mockRes.json.mock.calls[0][0].data).toEqual([
+        expect.objectContaining({ channel: 'emailjs', enabled: true, limits: { monthly: 1000, daily: 10, hourly: 5 } }),
+        expect.objectContaining({ channel: 'webhook', enabled: true, override: null, limits: { monthly: 200, daily: 10, hourly: 5 } }),
+        expect.objectContaining({ channel: 'sms', enabled: false })
+      ]);
+    });
+
+    test('should upsert overrides for a channel', async () => {
+      mockReq.params.channel = 'emailjs';
+      mockReq.body = { daily: 100, hourly: null };
+      mockPrismaClient.notification_channel_limit.upsert.mockResolvedValue({ channel: 'emailjs', monthly: null, daily: 100, hourly: null });
+
+      await setChannelLimits(mockReq, mockRes);
+
+      expect(mockPrismaClient.notification_channel_limit.upsert).toHaveBeenCalledWith({
+        where: { channel: 'emailjs' },
+        create: { channel: 'emailjs', daily: 100, hourly: null },
+        update: { daily: 100, hourly: null }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockNotificationService.invalidateSettings).toHaveBeenCalled();
+    });
+
+    test('should accept 0 to pause a channel', async () => {
+      mockReq.params.channel = 'emailjs';
+      mockReq.body = { monthly: 0 };
+      mockPrismaClient.notification_channel_limit.upsert.mockResolvedValue({ channel: 'emailjs', monthly: 0, daily: null, hourly: null });
+
+      await setChannelLimits(mockReq, mockRes);
+
+      expect(mockPrismaClient.notification_channel_limit.upsert.mock.calls[0][0].update).toEqual({ monthly: 0 });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should reject unknown channels and invalid limits', async () => {
+      mockReq.params.channel = 'pigeon';
+      await setChannelLimits(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenLastCalledWith(400);
+
+      mockReq.params.channel = 'emailjs';
+      mockReq.body = { daily: -1, hourly: '5' };
+      await setChannelLimits(mockReq, mockRes);
+      expect(mockRes.json).toHaveBeenLastCalledWith({ error: 'Missing or invalid fields', fields: ['daily', 'hourly'] });
+      expect(mockPrismaClient.notification_channel_limit.upsert).not.toHaveBeenCalled();
+    });
+
+    test('should clear overrides, or 404 when there are none', async () => {
+      mockReq.params.channel = 'emailjs';
+      mockPrismaClient.notification_channel_limit.delete
+        .mockResolvedValueOnce({ channel: 'emailjs' })
+        .mockRejectedValueOnce(Object.assign(new Error('Not found'), { code: 'P2025' }));
+
+      await clearChannelLimits(mockReq, mockRes);
+      await clearChannelLimits(mockReq, mockRes);
+
+      expect(mockRes.status.mock.calls).toEqual([[204], [404]]);
+    });
+  });
+});
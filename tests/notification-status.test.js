@@ -0,0 +1,232 @@
+import { jest } from '@jest/globals';
+
+const mockPrismaClient = {
+  notification_outbox: {
+    groupBy: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn()
+  }
+};
+
+const mockNotificationService = {
+  validateConfiguration: jest.fn(),
+  getRateLimitStatus: jest.fn(),
+  getAllRecipients: jest.fn(),
+  getChannelNames: jest.fn(),
+  sendTestNotification: jest.fn(),
+  resetRateLimit: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/notificationService.js', () => ({
+  default: mockNotificationService
+}));
+
+// Rate limit periods come from the Redis-backed limiter; mock the client so no Redis connection is opened
+jest.unstable_mockModule('../models/redisClient.js', () => ({
+  default: {}
+}));
+
+const { getNotificationHealth, getNotificationHealthStatus } = await import('../utils/notificationHealth.js');
+const {
+  getNotificationStatus,
+  getDeliveryHistory,
+  sendTestNotification,
+  resetRateLimits
+} = await import('../controllers/notificationStatusController.js');
+
+const usage = (current, limit) => ({ current, limit, remaining: Math.max(limit - current, 0) });
+
+const rateLimitStatus = (hourlyUsed = 1) => ({
+  emailjs: { monthly: usage(20, 200), daily: usage(3, 10), hourly: usage(hourlyUsed, 5) },
+  webhook: { monthly: usage(0, 200), daily: usage(0, 10), hourly: usage(0, 5) }
+});
+
+const configuration = (webhookValid = true, emailjsValid = true) => ({
+  isValid: webhookValid && emailjsValid,
+  missingVariables: webhookValid ? [] : ['NOTIFY_WEBHOOK_URL'],
+  recipients: 2,
+  channels: [
+    { name: 'emailjs', isValid: emailjsValid, missingVariables: [], recipients: 1 },
+    { name: 'webhook', isValid: webhookValid, missingVariables: webhookValid ? [] : ['NOTIFY_WEBHOOK_URL'], recipients: 1 }
+  ]
+});
+
+describe('Notification Status', () => {
+  let mockReq, mockRes, logSpy, errorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockNotificationService.validateConfiguration.mockReturnValue(configuration());
+    mockNotificationService.getRateLimitStatus.mockResolvedValue(rateLimitStatus());
+    mockNotificationService.getChannelNames.mockReturnValue(['emailjs', 'webhook']);
+    mockNotificationService.getAllRecipients.mockResolvedValue(['ops@wareongo.com', 'hooks.slack.com']);
+    mockPrismaClient.notification_outbox.groupBy.mockResolvedValue([
+      { status: 'sent', _count: { _all: 40 } },
+      { status: 'pending', _count: { _all: 2 } },
+      { status: 'dead', _count: { _all: 1 } }
+    ]);
+    mockPrismaClient.notification_outbox.findFirst.mockResolvedValue({ next_attempt_at: new Date(Date.now() - 10 * 1000) });
+
+    mockReq = {
+      query: {},
+      body: {},
+      user: { email: 'admin@wareongo.com', role: 'admin' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  describe('getNotificationHealth', () => {
+    test('should be OK with configured channels under their limits', async () => {
+      const health = await getNotificationHealth();
+
+      expect(health.status).toBe('OK');
+      expect(health.channels).toEqual([
+        { name: 'emailjs', configured: true, rateLimited: false },
+        { name: 'webhook', configured: true, rateLimited: false }
+      ]);
+      expect(health.outbox).toEqual({
+        pending: 2, processing: 0, sent: 40, dead: 1, oldestDueAt: expect.any(Date), overdue: false
+      });
+    });
+
+    test('should be DEGRADED when a channel is at its limit or misconfigured', async () => {
+      mockNotificationService.getRateLimitStatus.mockResolvedValue(rateLimitStatus(5));
+      expect((await getNotificationHealth()).status).toBe('DEGRADED');
+
+      mockNotificationService.getRateLimitStatus.mockResolvedValue(rateLimitStatus());
+      mockNotificationService.validateConfiguration.mockReturnValue(configuration(false));
+      expect((await getNotificationHealth()).status).toBe('DEGRADED');
+    });
+
+    test('should be DEGRADED when due notifications are not being delivered', async () => {
+      mockPrismaClient.notification_outbox.findFirst.mockResolvedValue({ next_attempt_at: new Date(Date.now() - 10 * 60 * 1000) });
+
+      const health = await getNotificationHealth();
+
+      expect(health.status).toBe('DEGRADED');
+      expect(health.outbox.overdue).toBe(true);
+    });
+
+    test('should be ERROR when no channel is configured', async () => {
+      mockNotificationService.validateConfiguration.mockReturnValue(configuration(false, false));
+
+      expect((await getNotificationHealth()).status).toBe('ERROR');
+    });
+
+    test('should reuse the status for the public health check', async () => {
+      expect(await getNotificationHealthStatus()).toBe('OK');
+
+      mockNotificationService.validateConfiguration.mockReturnValue(configuration(false, false));
+      expect(await getNotificationHealthStatus()).toBe('OK');
+      expect(mockPrismaClient.notification_outbox.groupBy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('admin endpoints', () => {
+    test('should return status with configuration, limits and recipients', async () => {
+      await getNotificationStatus(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'OK',
+        configuration: configuration(),
+        rateLimits: rateLimitStatus(),
+        recipients: ['ops@wareongo.com', 'hooks.slack.com']
+      }));
+    });
+
+    test('should return recent deliveries from the outbox and validate the limit', async () => {
+      const attemptedAt = new Date('2026-10-01T10:00:00Z');
+      mockPrismaClient.notification_outbox.findMany.mockResolvedValue([{
+        id: 12,
+        type: 'enquiry',
+        enquiry_id: 7,
+        customer_request_id: null,
+        status: 'sent',
+        attempts: 2,
+        last_error: null,
+        last_attempt_at: attemptedAt,
+        last_result: [{ channel: 'emailjs', success: true }]
+      }]);
+      mockReq.query = { limit: '5' };
+
+      await getDeliveryHistory(mockReq, mockRes);
+      expect(mockPrismaClient.notification_outbox.findMany).toHaveBeenCalledWith(expect.objectContaining({ take: 5 }));
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        data: [{
+          id: 12,
+          at: attemptedAt,
+          type: 'enquiry',
+          recordId: 7,
+          status: 'sent',
+          success: true,
+          attempts: 2,
+          channels: [{ channel: 'emailjs', success: true }]
+        }]
+      });
+
+      mockReq.query = { limit: '500' };
+      await getDeliveryHistory(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenLastCalledWith(400);
+    });
+
+    test('should send a test notification through one channel', async () => {
+      mockReq.body = { type: 'customer_request', channel: 'webhook' };
+      mockNotificationService.sendTestNotification.mockResolvedValue({ success: true, channels: [], duration: 12 });
+
+      await sendTestNotification(mockReq, mockRes);
+
+      expect(mockNotificationService.sendTestNotification).toHaveBeenCalledWith({ type: 'customer_request', channelName: 'webhook' });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should report a failed test notification as 502', async () => {
+      mockReq.body = undefined;
+      mockNotificationService.sendTestNotification.mockResolvedValue({ success: false, error: 'emailjs: Forbidden', channels: [] });
+
+      await sendTestNotification(mockReq, mockRes);
+
+      expect(mockNotificationService.sendTestNotification).toHaveBeenCalledWith({ type: 'enquiry', channelName: null });
+      expect(mockRes.status).toHaveBeenCalledWith(502);
+    });
+
+    test('should reject unknown test types and channels', async () => {
+      mockReq.body = { type: 'warehouse', channel: 'sms' };
+
+      await sendTestNotification(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing or invalid fields', fields: ['type', 'channel'] });
+      expect(mockNotificationService.sendTestNotification).not.toHaveBeenCalled();
+    });
+
+    test('should reset counters and return the new status', async () => {
+      mockReq.body = { period: 'hourly', channel: 'emailjs' };
+
+      await resetRateLimits(mockReq, mockRes);
+
+      expect(mockNotificationService.resetRateLimit).toHaveBeenCalledWith('hourly', 'emailjs');
+      expect(mockRes.json).toHaveBeenCalledWith(rateLimitStatus());
+
+      mockReq.body = { period: 'weekly' };
+      await resetRateLimits(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenLastCalledWith(400);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { parseNumericRange, deriveNumericColumns, WAREHOUSE_DATA_NUMERIC_FIELDS } from '../utils/numericRange.js';
+
+describe('Numeric Range Parsing', () => {
+  test.each([
+    ['24', { min: 24, max: 24 }],
+    ['22-25', { min: 22, max: 25 }],
+    ['22 – 25 ft', { min: 22, max: 25 }],
+    ['30 to 22', { min: 22, max: 30 }],
+    ['18.5ft', { min: 18.5, max: 18.5 }],
+    ['₹1,200/sqft', { min: 1200, max: 1200 }],
+    ['1,20,000 sqft', { min: 120000, max: 120000 }],
+    ['Rs1,00,000 - 1,50,00,000', { min: 100000, max: 15000000 }],
+    ['1,200,000', { min: 1200000, max: 1200000 }],
+    ['10,20,30', { min: 10, max: 10 }],
+    ['Rs 24 + GST 18%', { min: 24, max: 24 }],
+    [32, { min: 32, max: 32 }]
+  ])('should parse %p', (input, expected) => {
+    expect(parseNumericRange(input)).toEqual(expected);
+  });
+
+  test.each([null, undefined, '', 'on request', NaN])('should return null for %p', (input) => {
+    expect(parseNumericRange(input)).toBeNull();
+  });
+
+  test('should derive only the columns present in the input', () => {
+    expect(deriveNumericColumns({ ratePerSqft: '22-25' })).toEqual({ ratePerSqftMin: 22, ratePerSqftMax: 25 });
+    expect(deriveNumericColumns({ clearHeightFt: null })).toEqual({ clearHeightFtMin: null, clearHeightFtMax: null });
+    expect(deriveNumericColumns({ city: 'Pune' })).toEqual({});
+    expect(deriveNumericColumns({ powerKva: '250 kVA' }, WAREHOUSE_DATA_NUMERIC_FIELDS)).toEqual({ powerKvaMin: 250, powerKvaMax: 250 });
+  });
+});
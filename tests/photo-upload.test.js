@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+// Store uploads in a throwaway directory
+const uploadDir = await mkdtemp(path.join(tmpdir(), 'wareongo-uploads-'));
+process.env.PHOTO_UPLOAD_DIR = uploadDir;
+
+const mockPrismaClient = {
+  warehouse: {
+    findUnique: jest.fn(),
+    update: jest.fn(args => ({ op: 'warehouse.update', args }))
+  },
+  warehousePhoto: {
+    create: jest.fn(args => ({ op: 'create', args })),
+    updateMany: jest.fn(args => ({ op: 'updateMany', args }))
+  },
+  $transaction: jest.fn()
+};
+
+const mockCache = {
+  invalidateWarehouseCache: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/cache.js', () => mockCache);
+
+const { processPhotoUpload, InvalidImageError } = await import('../utils/imageProcessing.js');
+const { LocalPhotoStorage, createPhotoStorage } = await import('../utils/photoStorage.js');
+const { uploadWarehousePhotos } = await import('../controllers/warehousePhotoController.js');
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+// A JPEG carrying EXIF GPS coordinates, like a phone camera produces
+const photoWithLocation = (width = 1600, height = 900) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } }
+})
+  .jpeg()
+  .withExif({ IFD0: { Make: 'TestCam' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '19/1 17/1 0/1' } })
+  .toBuffer();
+
+describe('Photo Upload', () => {
+  afterAll(async () => {
+    await rm(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('processPhotoUpload', () => {
+    test('should strip EXIF metadata from the original', async () => {
+      const input = await photoWithLocation();
+      expect((await sharp(input).metadata()).exif).toBeDefined();
+
+      const { original } = await processPhotoUpload(input);
+      const metadata = await sharp(original.buffer).metadata();
+
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.format).toBe('jpeg');
+      expect(original).toMatchObject({ extension: 'jpg', contentType: 'image/jpeg', width: 1600, height: 900 });
+    });
+
+    test('should create WebP thumbnails without enlarging', async () => {
+      const { thumbnails } = await processPhotoUpload(await photoWithLocation(800, 400));
+
+      expect(thumbnails.thumb).toMatchObject({ extension: 'webp', width: 320, height: 160 });
+      expect(thumbnails.medium).toMatchObject({ width: 800, height: 400 });
+      expect((await sharp(thumbnails.thumb.buffer).metadata()).exif).toBeUndefined();
+    });
+
+    test('should reject files that are not supported images', async () => {
+      await expect(processPhotoUpload(Buffer.from('not an image'))).rejects.toThrow(InvalidImageError);
+
+      const gif = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } }).gif().toBuffer();
+      await expect(processPhotoUpload(gif)).rejects.toThrow('Unsupported image format "gif"');
+    });
+  });
+
+  describe('LocalPhotoStorage', () => {
+    test('should save under the root and delete by prefix', async () => {
+      const storage = new LocalPhotoStorage({ rootDir: uploadDir, publicPath: '/files/' });
+
+      const saved = await storage.save('warehouses/1/abc/original.jpg', Buffer.from('x'), 'image/jpeg');
+      expect(saved).toEqual({ key: 'warehouses/1/abc/original.jpg', url: '/files/warehouses/1/abc/original.jpg' });
+      expect(await readFile(path.join(uploadDir, 'warehouses/1/abc/original.jpg'), 'utf8')).toBe('x');
+
+      await storage.deletePrefix('warehouses/1/abc');
+      expect(await exists(path.join(uploadDir, 'warehouses/1/abc'))).toBe(false);
+    });
+
+    test('should refuse keys outside the root', async () => {
+      const storage = new LocalPhotoStorage({ rootDir: uploadDir });
+
+      await expect(storage.save('../escape.jpg', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      await expect(storage.deletePrefix('/etc')).rejects.toThrow('Invalid storage key');
+    });
+
+    test('should reject unknown adapters', () => {
+      expect(() => createPhotoStorage({ PHOTO_STORAGE: 's3' })).toThrow('Unknown PHOTO_STORAGE "s3"');
+    });
+  });
+
+  describe('uploadWarehousePhotos', () => {
+    let mockReq, mockRes, consoleSpy;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockCache.invalidateWarehouseCache.mockResolvedValue(1);
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, photos: null, warehousePhotos: [] });
+
+      mockReq = {
+        params: { id: '7' },
+        body: { isCover: 'true' },
+        files: [],
+        user: { email: 'admin@wareongo.com', role: 'admin' }
+      };
+      mockRes = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+
+      consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleSpy.mockRestore();
+    });
+
+    test('should store originals and thumbnails and append photo rows', async () => {
+      mockReq.files = [
+        { originalname: 'a.jpg', buffer: await photoWithLocation() },
+        { originalname: 'b.jpg', buffer: await photoWithLocation(400, 300) }
+      ];
+      mockPrismaClient.$transaction.mockImplementation(async ops =>
+        ops.map((op, i) => ({ id: 100 + i, sortOrder: i, caption: null, ...op.args.data }))
+      );
+
+      await uploadWarehousePhotos(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      const operations = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(operations.map(op => op.op)).toEqual(['updateMany', 'create', 'create']);
+
+      const [first, second] = operations.slice(1).map(op => op.args.data);
+      expect(first.isCover).toBe(true);
+      expect(second.isCover).toBe(false);
+      expect(first.storageKey).toMatch(/^warehouses\/7\/[0-9a-f-]{36}$/);
+      expect(first.url).toBe(`/uploads/${first.storageKey}/original.jpg`);
+      expect(first.thumbnails).toEqual({
+        thumb: `/uploads/${first.storageKey}/thumb.webp`,
+        medium: `/uploads/${first.storageKey}/medium.webp`
+      });
+
+      const stored = await readFile(path.join(uploadDir, first.storageKey, 'original.jpg'));
+      expect((await sharp(stored).metadata()).exif).toBeUndefined();
+      expect(await exists(path.join(uploadDir, second.storageKey, 'thumb.webp'))).toBe(true);
+
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.photos).toHaveLength(2);
+      expect(response.photos[0].thumbnails.thumb).toBe(first.thumbnails.thumb);
+      expect(mockCache.invalidateWarehouseCache).toHaveBeenCalled();
+    });
+
+    test('should reject the whole upload when one file is not an image', async () => {
+      mockReq.files = [
+        { originalname: 'a.jpg', buffer: await photoWithLocation(100, 100) },
+        { originalname: 'notes.jpg', buffer: Buffer.from('plain text') }
+      ];
+
+      await uploadWarehousePhotos(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'File is not a readable image', file: 'notes.jpg' });
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should remove stored files when the rows cannot be saved', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockReq.files = [{ originalname: 'a.jpg', buffer: await photoWithLocation(100, 100) }];
+      mockPrismaClient.$transaction.mockRejectedValue(new Error('connection lost'));
+
+      await uploadWarehousePhotos(mockReq, mockRes);
+
+      const { storageKey } = mockPrismaClient.warehousePhoto.create.mock.calls[0][0].data;
+      expect(await exists(path.join(uploadDir, storageKey))).toBe(false);
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      errorSpy.mockRestore();
+    });
+
+    test('should require files and an existing warehouse', async () => {
+      await uploadWarehousePhotos(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+
+      mockReq.files = [{ originalname: 'a.jpg', buffer: Buffer.from('x') }];
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(null);
+      await uploadWarehousePhotos(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import { createRequire } from 'module';
+
+// Use Prisma's SQL template helpers directly so the test does not need a generated client
+const require = createRequire(import.meta.url);
+const { sqltag, join, empty, raw } = require('@prisma/client/runtime/library');
+
+const mockPrismaClient = {
+  warehouse: {
+    findUnique: jest.fn(),
+    findMany: jest.fn()
+  },
+  $queryRaw: jest.fn()
+};
+
+const mockCache = {
+  getCachedJSON: jest.fn(),
+  setCachedJSON: jest.fn()
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  Prisma: { sql: sqltag, join, empty, raw }
+}));
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/cache.js', () => mockCache);
+
+const { getSimilarWarehouses } = await import('../controllers/warehouseController.js');
+
+// Rebuild the Prisma.Sql object from a recorded tagged-template call
+const queryOf = (call) => sqltag(...call);
+
+describe('Similar Warehouses', () => {
+  let mockReq, mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = { params: { id: '10' }, query: {} };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    mockCache.getCachedJSON.mockResolvedValue(null);
+    mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 10 });
+  });
+
+  test('should rank by score, exclude the warehouse itself and cache the result', async () => {
+    mockPrismaClient.$queryRaw.mockResolvedValue([{ id: 4, score: 12 }, { id: 2, score: 6 }]);
+    mockPrismaClient.warehouse.findMany.mockResolvedValue([
+      { id: 2, city: 'Pune', warehouseData: null },
+      { id: 4, city: 'Bhiwandi', warehouseData: null }
+    ]);
+
+    await getSimilarWarehouses(mockReq, mockRes);
+
+    const query = queryOf(mockPrismaClient.$queryRaw.mock.calls[0]);
+    expect(query.sql).toContain('WHERE tw.id = ?');
+    expect(query.sql).toContain('w."visibility" = true AND w.id <> t.id');
+    expect(query.sql).toContain('wd."embedding" <=> t.embedding');
+    expect(query.values[0]).toBe(10);
+    expect(query.values[query.values.length - 1]).toBe(6);
+
+    const response = mockRes.json.mock.calls[0][0];
+    expect(response.warehouseId).toBe(10);
+    expect(response.data.map(w => [w.id, w.similarityScore])).toEqual([[4, 1], [2, 0.5]]);
+    expect(mockCache.setCachedJSON).toHaveBeenCalledWith('warehouses:similar:10:limit:6', response);
+  });
+
+  test('should clamp the limit', async () => {
+    mockReq.query.limit = '500';
+    mockPrismaClient.$queryRaw.mockResolvedValue([]);
+
+    await getSimilarWarehouses(mockReq, mockRes);
+
+    const query = queryOf(mockPrismaClient.$queryRaw.mock.calls[0]);
+    expect(query.values[query.values.length - 1]).toBe(20);
+    expect(mockRes.json).toHaveBeenCalledWith({ warehouseId: 10, data: [] });
+  });
+
+  test('should return 404 for hidden or unknown warehouses', async () => {
+    mockPrismaClient.warehouse.findUnique.mockResolvedValue(null);
+
+    await getSimilarWarehouses(mockReq, mockRes);
+
+    expect(mockPrismaClient.warehouse.findUnique.mock.calls[0][0].where).toEqual({ id: 10, visibility: true });
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockPrismaClient.$queryRaw).not.toHaveBeenCalled();
+  });
+
+  test('should serve cached responses', async () => {
+    mockCache.getCachedJSON.mockResolvedValue({ warehouseId: 10, data: [] });
+
+    await getSimilarWarehouses(mockReq, mockRes);
+
+    expect(mockPrismaClient.warehouse.findUnique).not.toHaveBeenCalled();
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+  });
+});
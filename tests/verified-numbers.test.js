@@ -0,0 +1,210 @@
+import { jest } from '@jest/globals';
+
+const mockPrismaClient = {
+  verifiedNumber: {
+    findMany: jest.fn(args => ({ op: 'verifiedNumber.findMany', args })),
+    count: jest.fn(args => ({ op: 'verifiedNumber.count', args })),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+  },
+  messageLog: {
+    groupBy: jest.fn(),
+    findMany: jest.fn()
+  },
+  warehouse: {
+    groupBy: jest.fn()
+  },
+  $transaction: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+const {
+  listVerifiedNumbers,
+  getVerifiedNumber,
+  addVerifiedNumber,
+  deactivateVerifiedNumber,
+  reactivateVerifiedNumber
+} = await import('../controllers/verifiedNumberController.js');
+
+const ravi = { id: 1, phone_number: '+919876543210', name: 'Ravi Broker', is_active: true };
+const meena = { id: 2, phone_number: '+919812345678', name: 'Meena Estates', is_active: false };
+
+describe('Verified Numbers Admin API', () => {
+  let mockReq, mockRes, consoleSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockPrismaClient.messageLog.groupBy.mockResolvedValue([]);
+    mockPrismaClient.warehouse.groupBy.mockResolvedValue([]);
+
+    mockReq = {
+      params: { id: '1' },
+      query: {},
+      body: {},
+      user: { email: 'admin@wareongo.com', role: 'admin' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  describe('listVerifiedNumbers', () => {
+    test('should attach per-number message and submission stats', async () => {
+      mockPrismaClient.$transaction.mockResolvedValue([[ravi, meena], 2]);
+      mockPrismaClient.messageLog.groupBy.mockResolvedValue([
+        { sender_number: ravi.phone_number, status: 'processed', _count: { _all: 12 }, _max: { received_at: new Date('2026-10-10T09:00:00Z') } },
+        { sender_number: ravi.phone_number, status: 'failed', _count: { _all: 1 }, _max: { received_at: new Date('2026-10-12T09:00:00Z') } },
+        { sender_number: meena.phone_number, status: 'rejected', _count: { _all: 3 }, _max: { received_at: new Date('2026-09-01T09:00:00Z') } }
+      ]);
+      mockPrismaClient.warehouse.groupBy.mockResolvedValue([
+        { contactNumber: ravi.phone_number, _count: { _all: 4 } }
+      ]);
+
+      await listVerifiedNumbers(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.groupBy).toHaveBeenCalledWith({
+        by: ['sender_number', 'status'],
+        where: { sender_number: { in: [ravi.phone_number, meena.phone_number] } },
+        _count: { _all: true },
+        _max: { received_at: true }
+      });
+      expect(mockPrismaClient.warehouse.groupBy).toHaveBeenCalledWith({
+        by: ['contactNumber'],
+        where: { contactNumber: { in: [ravi.phone_number, meena.phone_number] } },
+        _count: { _all: true }
+      });
+
+      const { data, pagination } = mockRes.json.mock.calls[0][0];
+      expect(data[0].stats).toEqual({
+        totalMessages: 13, processed: 12, rejected: 0, failed: 1, lastMessageAt: new Date('2026-10-12T09:00:00Z'), submittedWarehouses: 4
+      });
+      expect(data[1].stats).toEqual({
+        totalMessages: 3, processed: 0, rejected: 3, failed: 0, lastMessageAt: new Date('2026-09-01T09:00:00Z'), submittedWarehouses: 0
+      });
+      expect(pagination.totalItems).toBe(2);
+    });
+
+    test('should filter by active flag and search', async () => {
+      mockReq.query = { active: 'false', q: ' 98123 ' };
+      mockPrismaClient.$transaction.mockResolvedValue([[], 0]);
+
+      await listVerifiedNumbers(mockReq, mockRes);
+
+      const [findMany] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(findMany.args.where).toEqual({
+        is_active: false,
+        OR: [
+          { name: { contains: '98123', mode: 'insensitive' } },
+          { phone_number: { contains: '98123' } }
+        ]
+      });
+      expect(mockPrismaClient.messageLog.groupBy).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid active filter', async () => {
+      mockReq.query = { active: 'yes' };
+
+      await listVerifiedNumbers(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('getVerifiedNumber', () => {
+    test('should return stats and recent messages', async () => {
+      mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue(ravi);
+      mockPrismaClient.messageLog.findMany.mockResolvedValue([{ id: 9, status: 'processed' }]);
+
+      await getVerifiedNumber(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.findMany).toHaveBeenCalledWith({
+        where: { sender_number: ravi.phone_number },
+        orderBy: { received_at: 'desc' },
+        take: 10
+      });
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        id: 1,
+        stats: expect.objectContaining({ totalMessages: 0 }),
+        recentMessages: [{ id: 9, status: 'processed' }]
+      }));
+    });
+
+    test('should return 404 for an unknown number', async () => {
+      mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue(null);
+
+      await getVerifiedNumber(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('addVerifiedNumber', () => {
+    test('should store the number in E.164', async () => {
+      mockReq.body = { phoneNumber: '098765 43210', name: ' Ravi Broker ' };
+      mockPrismaClient.verifiedNumber.create.mockResolvedValue(ravi);
+
+      await addVerifiedNumber(mockReq, mockRes);
+
+      expect(mockPrismaClient.verifiedNumber.create).toHaveBeenCalledWith({
+        data: { phone_number: '+919876543210', name: 'Ravi Broker' }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should reject invalid fields', async () => {
+      mockReq.body = { phoneNumber: '12345', name: '' };
+
+      await addVerifiedNumber(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing or invalid fields', fields: ['phoneNumber', 'name'] });
+      expect(mockPrismaClient.verifiedNumber.create).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 for a number that is already verified', async () => {
+      mockReq.body = { phoneNumber: '+91 98765 43210', name: 'Ravi' };
+      mockPrismaClient.verifiedNumber.create.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+      await addVerifiedNumber(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('deactivate and reactivate', () => {
+    test.each([
+      [deactivateVerifiedNumber, false],
+      [reactivateVerifiedNumber, true]
+    ])('should set is_active', async (handler, isActive) => {
+      mockPrismaClient.verifiedNumber.update.mockResolvedValue({ ...ravi, is_active: isActive });
+
+      await handler(mockReq, mockRes);
+
+      expect(mockPrismaClient.verifiedNumber.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { is_active: isActive }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should return 404 for an unknown number', async () => {
+      mockPrismaClient.verifiedNumber.update.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'P2025' }));
+
+      await deactivateVerifiedNumber(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
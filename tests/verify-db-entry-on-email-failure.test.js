@@ -25,11 +25,20 @@ const mockSerializeUtils = {
   sanitizeForJSON: jest.fn(data => data)
 };
 
+// Mock the outbox so delivery is only triggered, never run, by the controllers
+const mockNotificationOutbox = {
+  NOTIFICATION_TYPE: { ENQUIRY: 'enquiry', CUSTOMER_REQUEST: 'customer_request' },
+  outboxEntryFor: jest.fn(type => ({ create: { type } })),
+  triggerOutboxDelivery: jest.fn()
+};
+
 // Set up module mocks
 jest.unstable_mockModule('../utils/notificationService.js', () => ({
   default: mockNotificationService
 }));
 
+jest.unstable_mockModule('../utils/notificationOutbox.js', () => mockNotificationOutbox);
+
 jest.unstable_mockModule('../models/prismaClient.js', () => ({
   default: mockPrismaClient
 }));
@@ -91,7 +100,8 @@ describe('Database Entry Verification - Email Failure Scenarios', () => {
         name: 'John Doe',
         phoneNumber: '+1234567890',
         email: 'john@example.com',
-        source: 'website'
+        source: 'website',
+        notifications: { create: { type: 'enquiry' } }
       }
     });
 
@@ -102,16 +112,11 @@ describe('Database Entry Verification - Email Failure Scenarios', () => {
     // Wait for async notification attempt
     await new Promise(resolve => setImmediate(resolve));
 
-    // Verify email notification was attempted (and failed)
-    expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledWith(mockDbEntry);
+    // CRITICAL VERIFICATION: Delivery is left to the outbox, not attempted in the request
+    expect(mockNotificationOutbox.triggerOutboxDelivery).toHaveBeenCalledTimes(1);
+    expect(mockNotificationService.sendEnquiryNotification).not.toHaveBeenCalled();
 
-    // Verify error was logged but didn't affect the response
-    expect(consoleSpy).toHaveBeenCalledWith(
-      expect.stringContaining('Failed to send enquiry notification for ID 1:'),
-      expect.any(Error)
-    );
-
-    console.log('✅ VERIFIED: Enquiry saved to database despite email failure');
+    console.log('✅ VERIFIED: Enquiry and its pending notification saved in one write');
   });
 
   test('CRITICAL: Customer request entry is saved to database even when email notification fails', async () => {
@@ -148,7 +153,8 @@ describe('Database Entry Verification - Email Failure Scenarios', () => {
         phone_number: '+1234567890',
         company_name: 'Tech Corp',
         preferred_location: 'San Francisco',
-        additional_requirements: 'Need 24/7 support'
+        additional_requirements: 'Need 24/7 support',
+        notifications: { create: { type: 'customer_request' } }
       }
     });
 
@@ -159,16 +165,11 @@ describe('Database Entry Verification - Email Failure Scenarios', () => {
     // Wait for async notification attempt
     await new Promise(resolve => setImmediate(resolve));
 
-    // Verify email notification was attempted (and failed)
-    expect(mockNotificationService.sendCustomerRequestNotification).toHaveBeenCalledWith(mockDbEntry);
+    // CRITICAL VERIFICATION: Delivery is left to the outbox, not attempted in the request
+    expect(mockNotificationOutbox.triggerOutboxDelivery).toHaveBeenCalledTimes(1);
+    expect(mockNotificationService.sendCustomerRequestNotification).not.toHaveBeenCalled();
 
-    // Verify error was logged but didn't affect the response
-    expect(consoleSpy).toHaveBeenCalledWith(
-      expect.stringContaining('Failed to send customer request notification for ID 1:'),
-      expect.any(Error)
-    );
-
-    console.log('✅ VERIFIED: Customer request saved to database despite email failure');
+    console.log('✅ VERIFIED: Customer request and its pending notification saved in one write');
   });
 
   test('CRITICAL: Multiple entries can be saved even with continuous email failures', async () => {
@@ -194,19 +195,18 @@ describe('Database Entry Verification - Email Failure Scenarios', () => {
 
       await createEnquiry(mockReq, mockRes);
 
-      // Verify each entry was saved
+      // Verify each entry was saved with its own outbox entry
       expect(mockPrismaClient.enquiry.create).toHaveBeenCalledTimes(i);
+      expect(mockPrismaClient.enquiry.create.mock.calls[i - 1][0].data.notifications).toEqual({ create: { type: 'enquiry' } });
       expect(mockRes.status).toHaveBeenCalledWith(201);
     }
 
     // Wait for all async notifications
     await new Promise(resolve => setImmediate(resolve));
 
-    // Verify all 3 email attempts were made (and failed)
-    expect(mockNotificationService.sendEnquiryNotification).toHaveBeenCalledTimes(3);
-
-    // Verify all 3 errors were logged
-    expect(consoleSpy).toHaveBeenCalledTimes(3);
+    // Verify delivery was triggered for each entry and nothing was logged as lost
+    expect(mockNotificationOutbox.triggerOutboxDelivery).toHaveBeenCalledTimes(3);
+    expect(consoleSpy).not.toHaveBeenCalled();
 
     console.log('✅ VERIFIED: Multiple entries saved successfully despite continuous email failures');
   });
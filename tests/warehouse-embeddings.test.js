@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import { createRequire } from 'module';
+
+// Use Prisma's SQL template helpers directly so the test does not need a generated client
+const require = createRequire(import.meta.url);
+const { sqltag, join, empty, raw } = require('@prisma/client/runtime/library');
+
+const mockPrismaClient = {
+  warehouse: {
+    findMany: jest.fn()
+  },
+  $queryRaw: jest.fn(),
+  $executeRaw: jest.fn()
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  Prisma: { sql: sqltag, join, empty, raw }
+}));
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+const { buildWarehouseText, refreshWarehouseEmbeddings } = await import('../utils/warehouseEmbeddings.js');
+
+// Rebuild the Prisma.Sql object from a recorded tagged-template call
+const queryOf = (call) => sqltag(...call);
+
+const warehouse = (id) => ({
+  id,
+  warehouseType: 'Cold Storage',
+  address: 'Plot 12, MIDC',
+  city: 'Bhiwandi',
+  state: 'Maharashtra',
+  zone: 'West',
+  totalSpaceSqft: [20000, 35000],
+  compliances: 'FSSAI',
+  ratePerSqft: '24',
+  otherSpecifications: '',
+  warehouseData: { fireNocAvailable: true, powerKva: '250' }
+});
+
+describe('Warehouse Embeddings', () => {
+  const provider = {
+    name: 'fake',
+    embedMany: jest.fn()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider.embedMany.mockImplementation(texts => Promise.resolve(texts.map(() => [0.5, 0.5])));
+    mockPrismaClient.$executeRaw.mockResolvedValue(1);
+  });
+
+  describe('buildWarehouseText', () => {
+    test('should describe location, type, specs and compliances', () => {
+      const text = buildWarehouseText(warehouse(1));
+
+      expect(text).toBe([
+        'Warehouse type: Cold Storage',
+        'Address: Plot 12, MIDC',
+        'City: Bhiwandi',
+        'State: Maharashtra',
+        'Zone: West',
+        'Total space: 20000 sqft, 35000 sqft',
+        'Rate per sqft: 24',
+        'Compliances: FSSAI',
+        'Fire NOC: available',
+        'Power (kVA): 250'
+      ].join('\n'));
+    });
+
+    test('should handle warehouses without WarehouseData', () => {
+      const text = buildWarehouseText({ ...warehouse(1), warehouseData: null });
+
+      expect(text).not.toContain('Fire NOC');
+    });
+  });
+
+  describe('refreshWarehouseEmbeddings', () => {
+    test('should only select stale rows and upsert embeddings batch by batch', async () => {
+      mockPrismaClient.$queryRaw
+        .mockResolvedValueOnce([{ id: 3 }, { id: 7 }])
+        .mockResolvedValueOnce([]);
+      mockPrismaClient.warehouse.findMany.mockResolvedValue([warehouse(3), warehouse(7)]);
+
+      const before = new Date();
+      const result = await refreshWarehouseEmbeddings({ provider, batchSize: 2, log: () => {} });
+
+      const staleQuery = queryOf(mockPrismaClient.$queryRaw.mock.calls[0]);
+      expect(staleQuery.sql).toContain('wd."embeddingUpdatedAt" < w."status_updated_at"');
+      expect(queryOf(mockPrismaClient.$queryRaw.mock.calls[1]).values).toEqual([7, 2]);
+
+      expect(provider.embedMany).toHaveBeenCalledTimes(1);
+      expect(mockPrismaClient.$executeRaw).toHaveBeenCalledTimes(2);
+      const upsert = queryOf(mockPrismaClient.$executeRaw.mock.calls[0]);
+      expect(upsert.sql).toContain('ON CONFLICT ("warehouseId") DO UPDATE');
+      expect(upsert.sql).toContain('::timestamp)');
+      expect(upsert.sql).not.toContain('NOW()');
+      expect(upsert.values.slice(0, 2)).toEqual([3, '[0.5,0.5]']);
+      // The time the batch was read, shared by the batch, in UTC
+      const readAt = new Date(upsert.values[2]);
+      expect(upsert.values[2]).toMatch(/Z$/);
+      expect(readAt.getTime()).toBeGreaterThanOrEqual(before.getTime());
+      expect(queryOf(mockPrismaClient.$executeRaw.mock.calls[1]).values[2]).toBe(upsert.values[2]);
+
+      expect(result).toEqual({ processed: 2, failed: [] });
+    });
+
+    test('should select every row when forced', async () => {
+      mockPrismaClient.$queryRaw.mockResolvedValueOnce([]);
+
+      await refreshWarehouseEmbeddings({ provider, force: true, log: () => {} });
+
+      const staleQuery = queryOf(mockPrismaClient.$queryRaw.mock.calls[0]);
+      expect(staleQuery.sql).not.toContain('embeddingUpdatedAt');
+    });
+
+    test('should skip failed batches and keep going', async () => {
+      mockPrismaClient.$queryRaw
+        .mockResolvedValueOnce([{ id: 1 }])
+        .mockResolvedValueOnce([{ id: 2 }])
+        .mockResolvedValueOnce([]);
+      mockPrismaClient.warehouse.findMany
+        .mockResolvedValueOnce([warehouse(1)])
+        .mockResolvedValueOnce([warehouse(2)]);
+      provider.embedMany.mockRejectedValueOnce(new Error('provider down'));
+
+      const result = await refreshWarehouseEmbeddings({ provider, batchSize: 1, log: () => {} });
+
+      expect(result).toEqual({ processed: 1, failed: [1] });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import { createRequire } from 'module';
+
+// Use Prisma's SQL template helpers directly so the test does not need a generated client
+const require = createRequire(import.meta.url);
+const { sqltag, join, empty, raw } = require('@prisma/client/runtime/library');
+
+const mockPrismaClient = {
+  $queryRaw: jest.fn((...call) => call),
+  $transaction: jest.fn()
+};
+
+const mockCache = {
+  getCachedJSON: jest.fn(),
+  setCachedJSON: jest.fn()
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  Prisma: { sql: sqltag, join, empty, raw }
+}));
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/cache.js', () => mockCache);
+
+const { getWarehouseFacetCounts } = await import('../controllers/warehouseController.js');
+const { parseWarehouseFilters, buildWarehouseWhereSql } = await import('../utils/warehouseSearch.js');
+
+// Rebuild the Prisma.Sql object from a recorded tagged-template call
+const queryOf = (call) => sqltag(...call);
+
+const rangeRow = {
+  total: 12,
+  rateMin: 18,
+  rateMax: 42.5,
+  clearHeightMin: 20,
+  clearHeightMax: 45,
+  spaceMin: 5000,
+  spaceMax: 250000,
+  powerKvaMin: 50,
+  powerKvaMax: 1000
+};
+
+describe('Warehouse Facets', () => {
+  let mockReq, mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = { query: {} };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    mockCache.getCachedJSON.mockResolvedValue(null);
+    mockPrismaClient.$transaction.mockResolvedValue([
+      [rangeRow],
+      [{ value: true, count: 9 }, { value: false, count: 2 }],
+      [{ value: 'Bhiwandi', count: 7 }, { value: 'Pune', count: 5 }],
+      [{ value: 'Maharashtra', count: 12 }],
+      [{ value: 'West', count: 12 }],
+      [{ value: 'PEB', count: 8 }],
+      [{ value: 'FSSAI', count: 4 }],
+      [{ value: 'Green', count: 6 }],
+      [{ value: 'Industrial', count: 10 }]
+    ]);
+  });
+
+  test('should return facet counts and ranges', async () => {
+    await getWarehouseFacetCounts(mockReq, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(mockRes.json).toHaveBeenCalledWith({
+      totalItems: 12,
+      facets: {
+        city: [{ value: 'Bhiwandi', count: 7 }, { value: 'Pune', count: 5 }],
+        state: [{ value: 'Maharashtra', count: 12 }],
+        zone: [{ value: 'West', count: 12 }],
+        warehouseType: [{ value: 'PEB', count: 8 }],
+        compliances: [{ value: 'FSSAI', count: 4 }],
+        pollutionZone: [{ value: 'Green', count: 6 }],
+        landType: [{ value: 'Industrial', count: 10 }],
+        fireNocAvailable: [{ value: true, count: 9 }, { value: false, count: 2 }]
+      },
+      ranges: {
+        ratePerSqft: { min: 18, max: 42.5 },
+        clearHeightFt: { min: 20, max: 45 },
+        totalSpaceSqft: { min: 5000, max: 250000 },
+        powerKva: { min: 50, max: 1000 }
+      }
+    });
+    expect(mockCache.setCachedJSON).toHaveBeenCalledWith('warehouses:facets:filters:{}', expect.any(Object));
+  });
+
+  test('should not narrow a facet by its own filter', async () => {
+    mockReq.query = { city: 'Bhiwandi,Pune', zone: 'West' };
+
+    await getWarehouseFacetCounts(mockReq, mockRes);
+
+    const [ranges, , cityFacet, , zoneFacet] = mockPrismaClient.$queryRaw.mock.calls.map(queryOf);
+
+    // Totals and ranges use every filter
+    expect(ranges.sql).toContain('lower(w."city") = ANY(?)');
+    expect(ranges.sql).toContain('w."zone" ILIKE ?');
+
+    // City counts keep the zone filter but drop the city selection
+    expect(cityFacet.sql).not.toContain('w."city") = ANY');
+    expect(cityFacet.sql).toContain('w."zone" ILIKE ?');
+    expect(cityFacet.sql).toContain('GROUP BY lower(f.value)');
+
+    expect(zoneFacet.sql).toContain('lower(w."city") = ANY(?)');
+    expect(zoneFacet.sql).not.toContain('w."zone" ILIKE');
+  });
+
+  test('should split comma-separated compliances', async () => {
+    await getWarehouseFacetCounts(mockReq, mockRes);
+
+    const compliancesFacet = queryOf(mockPrismaClient.$queryRaw.mock.calls[6]);
+    expect(compliancesFacet.sql).toContain('regexp_split_to_table(w."compliances", \',\')');
+    expect(compliancesFacet.sql).toContain('COUNT(DISTINCT f.id)');
+  });
+
+  test('should filter the list by the compliance entries the facet returns', async () => {
+    const results = await mockPrismaClient.$transaction();
+    results[6] = [{ value: 'Fire NOC', count: 5 }, { value: 'FSSAI', count: 4 }];
+    mockPrismaClient.$transaction.mockResolvedValue(results);
+
+    await getWarehouseFacetCounts(mockReq, mockRes);
+
+    const values = mockRes.json.mock.calls[0][0].facets.compliances.map(facet => facet.value);
+    const { filters } = parseWarehouseFilters({ compliances: values.join(',') });
+    const where = buildWarehouseWhereSql(filters);
+
+    // A warehouse with "FSSAI, Fire NOC" matches, although the column as a whole equals neither value
+    expect(where.sql).toContain('EXISTS (SELECT 1 FROM regexp_split_to_table(w."compliances", \',\') AS c(entry) WHERE lower(trim(c.entry)) = ANY(?))');
+    expect(where.values).toEqual([['fire noc', 'fssai']]);
+  });
+
+  test('should reject invalid filter values', async () => {
+    mockReq.query = { minBudget: 'cheap' };
+
+    await getWarehouseFacetCounts(mockReq, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid filter values', fields: ['minBudget'] });
+    expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('should serve cached responses', async () => {
+    mockCache.getCachedJSON.mockResolvedValue({ totalItems: 3 });
+
+    await getWarehouseFacetCounts(mockReq, mockRes);
+
+    expect(mockRes.json).toHaveBeenCalledWith({ totalItems: 3 });
+    expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,277 @@
+import { jest } from '@jest/globals';
+
+// Prisma operations are returned as-is so transactions can be inspected
+const mockPrismaClient = {
+  warehouse: {
+    findUnique: jest.fn(),
+    update: jest.fn(args => ({ op: 'warehouse.update', args }))
+  },
+  warehousePhoto: {
+    create: jest.fn(args => ({ op: 'create', args })),
+    update: jest.fn(args => ({ op: 'update', args })),
+    updateMany: jest.fn(args => ({ op: 'updateMany', args })),
+    delete: jest.fn(args => ({ op: 'delete', args }))
+  },
+  $transaction: jest.fn()
+};
+
+// Mock the cache helpers so no Redis connection is opened
+const mockCache = {
+  invalidateWarehouseCache: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/cache.js', () => mockCache);
+
+const { parseLegacyPhotos, formatPhotos, validatePhotoList } = await import('../utils/warehousePhotos.js');
+const {
+  addWarehousePhoto,
+  updateWarehousePhoto,
+  reorderWarehousePhotos,
+  deleteWarehousePhoto
+} = await import('../controllers/warehousePhotoController.js');
+
+const row = (id, sortOrder, isCover = false) => ({
+  id, url: `https://cdn.example.com/${id}.jpg`, caption: null, sortOrder, isCover
+});
+
+describe('Warehouse Photos', () => {
+  let mockReq, mockRes, consoleSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockCache.invalidateWarehouseCache.mockResolvedValue(1);
+
+    mockReq = {
+      params: { id: '7' },
+      body: {},
+      user: { email: 'admin@wareongo.com', role: 'admin' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis()
+    };
+
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  describe('legacy photos', () => {
+    test.each([
+      ['["https://a.jpg", "https://b.jpg"]', ['https://a.jpg', 'https://b.jpg']],
+      ['{"url": "https://a.jpg", "caption": "Front"}', ['https://a.jpg']],
+      ['https://a.jpg', ['https://a.jpg']],
+      ['[not json', ['[not json']],
+      ['["", null]', []],
+      [null, []]
+    ])('should parse %p', (input, urls) => {
+      expect(parseLegacyPhotos(input).map(photo => photo.url)).toEqual(urls);
+    });
+
+    test('should fall back to legacy photos with the first as cover', () => {
+      const { photos, coverPhoto } = formatPhotos({ photos: '["https://a.jpg","https://b.jpg"]', warehousePhotos: [] });
+
+      expect(photos).toEqual([
+        { id: null, url: 'https://a.jpg', caption: null, order: 0, isCover: true, thumbnails: null },
+        { id: null, url: 'https://b.jpg', caption: null, order: 1, isCover: false, thumbnails: null }
+      ]);
+      expect(coverPhoto).toBe(photos[0]);
+    });
+  });
+
+  describe('formatPhotos', () => {
+    test('should prefer photo rows and the flagged cover', () => {
+      const { photos, coverPhoto } = formatPhotos({ photos: 'https://old.jpg', warehousePhotos: [row(3, 0), row(5, 1, true)] });
+
+      expect(photos.map(photo => photo.id)).toEqual([3, 5]);
+      expect(coverPhoto.id).toBe(5);
+    });
+
+    test('should return no cover without photos', () => {
+      expect(formatPhotos({ photos: null })).toEqual({ photos: [], coverPhoto: null });
+    });
+  });
+
+  describe('validatePhotoList', () => {
+    test('should accept URLs and objects, keeping one cover', () => {
+      const fields = [];
+      const photos = validatePhotoList([
+        'https://a.jpg',
+        { url: '/uploads/b.jpg', caption: 'Dock', isCover: true },
+        { url: 'https://c.jpg', isCover: true }
+      ], fields);
+
+      expect(fields).toEqual([]);
+      expect(photos).toEqual([
+        { url: 'https://a.jpg', sortOrder: 0 },
+        { url: '/uploads/b.jpg', caption: 'Dock', isCover: true, sortOrder: 1 },
+        { url: 'https://c.jpg', isCover: false, sortOrder: 2 }
+      ]);
+    });
+
+    test('should report invalid entries by index', () => {
+      const fields = [];
+      validatePhotoList(['javascript:alert(1)', { url: 'https://a.jpg', isCover: 'yes' }, 4], fields);
+
+      expect(fields).toEqual(['photos[0].url', 'photos[1].isCover', 'photos[2]']);
+    });
+  });
+
+  describe('addWarehousePhoto', () => {
+    test('should append after the last photo and make it the only cover', async () => {
+      mockReq.body = { url: 'https://cdn.example.com/new.jpg', isCover: true };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, photos: null, warehousePhotos: [row(1, 0, true), row(2, 4)] });
+      mockPrismaClient.$transaction.mockImplementation(async ops => ops.map(() => row(9, 5, true)));
+
+      await addWarehousePhoto(mockReq, mockRes);
+
+      const operations = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(operations.map(op => op.op)).toEqual(['updateMany', 'create']);
+      expect(operations[0].args.where).toEqual({ warehouseId: 7, isCover: true });
+      expect(operations[1].args.data).toEqual({ url: 'https://cdn.example.com/new.jpg', isCover: true, warehouseId: 7, sortOrder: 5 });
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        id: 9, url: 'https://cdn.example.com/9.jpg', caption: null, order: 5, isCover: true, thumbnails: null
+      });
+      expect(mockCache.invalidateWarehouseCache).toHaveBeenCalled();
+    });
+
+    test('should convert legacy photos before adding the first row', async () => {
+      mockReq.body = { url: 'https://cdn.example.com/new.jpg' };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, photos: '["https://a.jpg","https://b.jpg"]', warehousePhotos: [] });
+      mockPrismaClient.$transaction.mockImplementation(async ops => ops.map(() => row(9, 2)));
+
+      await addWarehousePhoto(mockReq, mockRes);
+
+      const [convert, create] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(convert.args.data).toEqual({
+        photos: null,
+        warehousePhotos: {
+          create: [
+            { url: 'https://a.jpg', caption: null, sortOrder: 0, isCover: true },
+            { url: 'https://b.jpg', caption: null, sortOrder: 1, isCover: false }
+          ]
+        }
+      });
+      expect(create.args.data.sortOrder).toBe(2);
+    });
+
+    test('should validate the URL and warehouse', async () => {
+      mockReq.body = { url: 'ftp://example.com/a.jpg' };
+      await addWarehousePhoto(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Missing or invalid fields', fields: ['url'] });
+
+      mockReq.body = { url: 'https://a.jpg' };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(null);
+      await addWarehousePhoto(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('updateWarehousePhoto', () => {
+    test('should scope the update to the warehouse', async () => {
+      mockReq.params.photoId = '3';
+      mockReq.body = { caption: 'Loading bay' };
+      mockPrismaClient.$transaction.mockImplementation(async ops => ops.map(() => ({ ...row(3, 0), caption: 'Loading bay' })));
+
+      await updateWarehousePhoto(mockReq, mockRes);
+
+      const [update] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(update.args.where).toEqual({ id: 3, warehouseId: 7 });
+      expect(mockRes.json.mock.calls[0][0].caption).toBe('Loading bay');
+    });
+
+    test('should return 404 for photos of another warehouse', async () => {
+      mockReq.params.photoId = '3';
+      mockReq.body = { isCover: true };
+      mockPrismaClient.$transaction.mockRejectedValue({ code: 'P2025' });
+
+      await updateWarehousePhoto(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('reorderWarehousePhotos', () => {
+    beforeEach(() => {
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, photos: null, warehousePhotos: [row(1, 0), row(2, 1), row(3, 2)] });
+    });
+
+    test('should write the new positions', async () => {
+      mockReq.body = { photoIds: [3, 1, 2] };
+      mockPrismaClient.$transaction.mockResolvedValue([]);
+
+      await reorderWarehousePhotos(mockReq, mockRes);
+
+      const operations = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(operations.map(op => [op.args.where.id, op.args.data.sortOrder])).toEqual([[3, 0], [1, 1], [2, 2]]);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should require every photo exactly once', async () => {
+      mockReq.body = { photoIds: [3, 1] };
+
+      await reorderWarehousePhotos(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].photoIds).toEqual([1, 2, 3]);
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteWarehousePhoto', () => {
+    beforeEach(() => {
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({ id: 7, photos: null, warehousePhotos: [row(1, 0, true), row(2, 1), row(3, 2)] });
+      mockPrismaClient.$transaction.mockImplementation(async ops => ops.map(() => ({ storageKey: null })));
+    });
+
+    test('should delete within the warehouse', async () => {
+      mockReq.params.photoId = '2';
+
+      await deleteWarehousePhoto(mockReq, mockRes);
+
+      const operations = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(operations).toHaveLength(1);
+      expect(operations[0].args.where).toEqual({ id: 2, warehouseId: 7 });
+      expect(mockRes.status).toHaveBeenCalledWith(204);
+    });
+
+    test('should make the next photo the cover when deleting the cover', async () => {
+      mockReq.params.photoId = '1';
+
+      await deleteWarehousePhoto(mockReq, mockRes);
+
+      const [remove, promote] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(remove.args.where).toEqual({ id: 1, warehouseId: 7 });
+      expect(promote.args).toEqual({ where: { id: 2, warehouseId: 7 }, data: { isCover: true } });
+      expect(mockRes.status).toHaveBeenCalledWith(204);
+    });
+
+    test('should return 404 when the photo does not exist', async () => {
+      mockReq.params.photoId = '9';
+
+      await deleteWarehousePhoto(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the photo is deleted concurrently', async () => {
+      mockReq.params.photoId = '2';
+      mockPrismaClient.$transaction.mockRejectedValue({ code: 'P2025' });
+
+      await deleteWarehousePhoto(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
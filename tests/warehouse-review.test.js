@@ -0,0 +1,239 @@
+import { jest } from '@jest/globals';
+
+// Prisma operations are returned as-is so transactions can be inspected
+const mockPrismaClient = {
+  warehouse: {
+    findMany: jest.fn(args => ({ op: 'warehouse.findMany', args })),
+    count: jest.fn(args => ({ op: 'warehouse.count', args })),
+    findUnique: jest.fn(),
+    update: jest.fn(args => ({ op: 'warehouse.update', args }))
+  },
+  warehouseReview: {
+    create: jest.fn(args => ({ op: 'warehouseReview.create', args }))
+  },
+  $transaction: jest.fn()
+};
+
+// Mock the cache helpers so no Redis connection is opened
+const mockCache = {
+  invalidateWarehouseCache: jest.fn()
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/cache.js', () => mockCache);
+
+const { reviewSnapshot, diffSnapshots } = await import('../utils/warehouseReview.js');
+const {
+  listReviewQueue,
+  getWarehouseReview,
+  approveWarehouse,
+  rejectWarehouse
+} = await import('../controllers/warehouseReviewController.js');
+
+const warehouseRow = (overrides = {}) => ({
+  id: 7,
+  warehouseType: 'RCC',
+  address: 'Plot 4, MIDC',
+  city: 'Bhiwandi',
+  state: 'Maharashtra',
+  zone: 'West',
+  contactPerson: 'Ravi Broker',
+  contactNumber: '+919876543210',
+  totalSpaceSqft: [25000],
+  compliances: 'Fire NOC',
+  ratePerSqft: '24',
+  uploadedBy: 'Ravi Broker',
+  visibility: false,
+  reviewStatus: 'pending',
+  createdAt: new Date('2026-10-01T10:00:00Z'),
+  warehouseData: { fireNocAvailable: true },
+  warehousePhotos: [{ url: 'https://img/1.jpg' }],
+  ...overrides
+});
+
+const submittedReview = (snapshot) => ({
+  id: 3,
+  action: 'submitted',
+  reason: null,
+  reviewerEmail: null,
+  createdAt: new Date('2026-10-01T10:00:00Z'),
+  snapshot
+});
+
+describe('Warehouse Review Queue', () => {
+  let mockReq, mockRes, consoleSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockCache.invalidateWarehouseCache.mockResolvedValue(1);
+
+    mockReq = {
+      params: { id: '7' },
+      query: {},
+      body: {},
+      user: { email: 'reviewer@wareongo.com', role: 'admin' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  test('diffSnapshots should report changed fields only', () => {
+    const before = reviewSnapshot(warehouseRow());
+    const after = reviewSnapshot(warehouseRow({
+      ratePerSqft: '26',
+      warehouseData: { fireNocAvailable: false },
+      warehousePhotos: []
+    }));
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { field: 'ratePerSqft', before: '24', after: '26' },
+      { field: 'warehouseData.fireNocAvailable', before: true, after: false },
+      { field: 'photos', before: ['https://img/1.jpg'], after: [] }
+    ]);
+  });
+
+  describe('listReviewQueue', () => {
+    test('should list pending warehouses oldest first with fields edited since submission', async () => {
+      const submitted = reviewSnapshot(warehouseRow());
+      mockPrismaClient.$transaction.mockResolvedValue([
+        [warehouseRow({ zone: 'North', reviews: [submittedReview(submitted)] })],
+        1
+      ]);
+
+      await listReviewQueue(mockReq, mockRes);
+
+      const [findMany] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(findMany.args.where).toEqual({ reviewStatus: 'pending' });
+      expect(findMany.args.orderBy).toEqual([{ createdAt: 'asc' }, { id: 'asc' }]);
+
+      const body = mockRes.json.mock.calls[0][0];
+      expect(body.data[0]).toEqual(expect.objectContaining({
+        id: 7,
+        reviewStatus: 'pending',
+        changedFields: ['zone'],
+        lastReview: expect.objectContaining({ id: 3, action: 'submitted' })
+      }));
+      expect(body.data[0].lastReview.snapshot).toBeUndefined();
+      expect(body.pagination).toEqual({ totalItems: 1, totalPages: 1, currentPage: 1, pageSize: 10 });
+    });
+
+    test('should reject an unknown status', async () => {
+      mockReq.query.status = 'archived';
+
+      await listReviewQueue(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getWarehouseReview', () => {
+    test('should return changes against the latest review and the history', async () => {
+      const approved = { ...submittedReview(reviewSnapshot(warehouseRow())), id: 4, action: 'approved', reviewerEmail: 'a@wareongo.com' };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(warehouseRow({
+        ratePerSqft: '26',
+        reviews: [approved, submittedReview(reviewSnapshot(warehouseRow()))]
+      }));
+
+      await getWarehouseReview(mockReq, mockRes);
+
+      const body = mockRes.json.mock.calls[0][0];
+      expect(body.changes).toEqual([{ field: 'ratePerSqft', before: '24', after: '26' }]);
+      expect(body.baseline).toEqual(expect.objectContaining({ id: 4, action: 'approved' }));
+      expect(body.history.map(review => review.id)).toEqual([4, 3]);
+      expect(body.warehouse.reviews).toBeUndefined();
+    });
+
+    test('should return 404 for an unknown warehouse', async () => {
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(null);
+
+      await getWarehouseReview(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('approveWarehouse and rejectWarehouse', () => {
+    test('should approve, publish, record the reviewer and invalidate the cache', async () => {
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(warehouseRow());
+      const review = { id: 5, action: 'approved', reason: null, reviewerEmail: 'reviewer@wareongo.com' };
+      mockPrismaClient.$transaction.mockResolvedValue([{ id: 7, reviewStatus: 'approved', visibility: true }, review]);
+
+      await approveWarehouse(mockReq, mockRes);
+
+      const [update, create] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(update.args).toEqual({
+        where: { id: 7, reviewStatus: 'pending' },
+        data: { reviewStatus: 'approved', visibility: true },
+        select: { id: true, reviewStatus: true, visibility: true }
+      });
+      expect(create.args.data).toEqual({
+        warehouseId: 7,
+        action: 'approved',
+        reason: null,
+        reviewerEmail: 'reviewer@wareongo.com',
+        snapshot: reviewSnapshot(warehouseRow())
+      });
+      expect(mockCache.invalidateWarehouseCache).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({ id: 7, reviewStatus: 'approved', visibility: true, review });
+    });
+
+    test('should require a reason to reject', async () => {
+      mockReq.body = { reason: '   ' };
+
+      await rejectWarehouse(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockPrismaClient.warehouse.findUnique).not.toHaveBeenCalled();
+    });
+
+    test('should reject with a reason and only invalidate the cache for live warehouses', async () => {
+      mockReq.body = { reason: ' Duplicate of #3 ' };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(warehouseRow());
+      mockPrismaClient.$transaction.mockResolvedValue([{ id: 7, reviewStatus: 'rejected', visibility: false }, {}]);
+
+      await rejectWarehouse(mockReq, mockRes);
+
+      const [update, create] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(update.args.data).toEqual({ reviewStatus: 'rejected', visibility: false });
+      expect(create.args.data.reason).toBe('Duplicate of #3');
+      expect(mockCache.invalidateWarehouseCache).not.toHaveBeenCalled();
+
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(warehouseRow({ reviewStatus: 'approved', visibility: true }));
+      await rejectWarehouse(mockReq, mockRes);
+      expect(mockCache.invalidateWarehouseCache).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return 409 when the decision was already made', async () => {
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(warehouseRow({ reviewStatus: 'approved', visibility: true }));
+
+      await approveWarehouse(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 when another reviewer decided concurrently', async () => {
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue(warehouseRow());
+      mockPrismaClient.$transaction.mockRejectedValue(Object.assign(new Error('Not found'), { code: 'P2025' }));
+
+      await approveWarehouse(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockCache.invalidateWarehouseCache).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,417 @@
+import { jest } from '@jest/globals';
+import { createRequire } from 'module';
+
+// Use Prisma's SQL template helpers directly so the test does not need a generated client
+const require = createRequire(import.meta.url);
+const { sqltag, join, empty, raw } = require('@prisma/client/runtime/library');
+
+const mockPrismaClient = {
+  warehouse: {
+    findMany: jest.fn(),
+    findUnique: jest.fn()
+  },
+  $queryRaw: jest.fn((strings, ...values) => sqltag(strings, ...values)),
+  $transaction: jest.fn()
+};
+
+const mockCache = {
+  getCachedJSON: jest.fn(),
+  setCachedJSON: jest.fn()
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  Prisma: { sql: sqltag, join, empty, raw }
+}));
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+jest.unstable_mockModule('../utils/cache.js', () => mockCache);
+
+// Keep the deterministic local embeddings small so SQL values stay readable
+process.env.EMBEDDING_DIMENSIONS = '8';
+
+const { parseWarehouseFilters, parseWarehouseSort, buildWarehouseWhereSql, searchWarehouses } = await import('../utils/warehouseSearch.js');
+const { listWarehouses, semanticSearchWarehouses, getWarehouseById } = await import('../controllers/warehouseController.js');
+
+describe('Warehouse Search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseWarehouseFilters', () => {
+    test('should normalise multi-value, numeric and boolean filters', () => {
+      const { filters, invalid } = parseWarehouseFilters({
+        city: 'Mumbai, Pune',
+        zone: 'West',
+        minSpace: '10000',
+        fireNocAvailable: 'false',
+        page: '2'
+      });
+
+      expect(invalid).toEqual([]);
+      expect(filters).toEqual({
+        city: ['Mumbai', 'Pune'],
+        zone: ['West'],
+        minSpace: 10000,
+        fireNocAvailable: false
+      });
+    });
+
+    test('should flag non-numeric space bounds', () => {
+      const { invalid } = parseWarehouseFilters({ maxSpace: 'lots' });
+
+      expect(invalid).toEqual(['maxSpace']);
+    });
+
+    test('should parse budget and clear height bounds as numbers', () => {
+      const { filters, invalid } = parseWarehouseFilters({ minBudget: '25.5', maxClearHeight: '40', maxBudget: 'cheap' });
+
+      expect(invalid).toEqual(['maxBudget']);
+      expect(filters).toEqual({ minBudget: 25.5, maxClearHeight: 40 });
+    });
+  });
+
+  describe('geo filters', () => {
+    test('should parse a location with radius', () => {
+      const { filters, invalid } = parseWarehouseFilters({ lat: '19.29', lng: '73.06', radiusKm: '25' });
+
+      expect(invalid).toEqual([]);
+      expect(filters.near).toEqual({ lat: 19.29, lng: 73.06, radiusKm: 25 });
+    });
+
+    test('should require both coordinates and a sane radius', () => {
+      expect(parseWarehouseFilters({ lat: '19.29', radiusKm: '25' }).invalid).toEqual(['lng']);
+      expect(parseWarehouseFilters({ lat: '95', lng: '73' }).invalid).toEqual(['lat']);
+      expect(parseWarehouseFilters({ lat: '19', lng: '73', radiusKm: '-1' }).invalid).toEqual(['radiusKm']);
+    });
+
+    test('should only allow distance sorting with a location', () => {
+      expect(parseWarehouseSort({ sort: 'distance' }, {}).invalid).toBe(true);
+      expect(parseWarehouseSort({ sort: 'distance' }, { near: { lat: 19, lng: 73 } })).toEqual({ sort: 'distance', invalid: false });
+    });
+
+    test('should filter by radius with a latitude band in SQL', () => {
+      const where = buildWarehouseWhereSql({ near: { lat: 19, lng: 73, radiusKm: 11.1045 } });
+
+      expect(where.sql).toContain('wd."latitude" BETWEEN ? AND ?');
+      expect(where.sql).toContain('asin(sqrt(');
+      expect(where.values.slice(0, 2)).toEqual([18.9, 19.1]);
+      expect(where.values[where.values.length - 1]).toBe(11.1045);
+    });
+
+    test('should not filter by distance without a radius', () => {
+      const where = buildWarehouseWhereSql({ near: { lat: 19, lng: 73 } });
+
+      expect(where.sql).toBe('WHERE w."visibility" = true');
+    });
+
+    test('should annotate results with rounded distances', async () => {
+      mockPrismaClient.$transaction.mockResolvedValue([
+        [{ id: 3, distanceKm: 4.56789 }, { id: 8, distanceKm: null }],
+        [{ total: 2 }]
+      ]);
+      mockPrismaClient.warehouse.findMany.mockResolvedValue([{ id: 8 }, { id: 3 }]);
+
+      const result = await searchWarehouses({ near: { lat: 19, lng: 73 } }, { skip: 0, take: 10, sort: 'distance' });
+
+      const [pageQuery] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(pageQuery.sql).toContain('AS "distanceKm"');
+      expect(pageQuery.sql).toContain('ORDER BY "distanceKm" ASC NULLS LAST, w.id DESC');
+      expect(result.warehouses).toEqual([{ id: 3, distanceKm: 4.57 }, { id: 8, distanceKm: null }]);
+    });
+  });
+
+  describe('fuzzy search', () => {
+    test('should normalise the search text', () => {
+      const { filters, invalid } = parseWarehouseFilters({ q: '  Cold   Storage BHIWANDY ' });
+
+      expect(invalid).toEqual([]);
+      expect(filters.q).toBe('cold storage bhiwandy');
+    });
+
+    test('should reject overlong or termless searches', () => {
+      expect(parseWarehouseFilters({ q: 'x'.repeat(101) }).invalid).toEqual(['q']);
+      expect(parseWarehouseFilters({ q: 'a b' }).invalid).toEqual(['q']);
+      expect(parseWarehouseFilters({ q: '   ' })).toEqual({ filters: {}, invalid: [] });
+    });
+
+    test('should require every term to match some field by substring or trigram', () => {
+      const where = buildWarehouseWhereSql({ q: 'cold bhiwandy' });
+
+      expect(where.sql).toContain('w."city" ILIKE ? OR ? <% w."city"');
+      expect(where.sql).toContain('? <% w."otherSpecifications"');
+      expect(where.sql.match(/\) AND \(/g)).toHaveLength(1);
+      expect(where.values.slice(0, 2)).toEqual(['%cold%', 'cold']);
+      expect(where.values).toContain('bhiwandy');
+    });
+
+    test('should default to relevance ordering for searches', () => {
+      expect(parseWarehouseSort({}, { q: 'bhiwandi' })).toEqual({ sort: 'relevance', invalid: false });
+      expect(parseWarehouseSort({ sort: 'price_asc' }, { q: 'bhiwandi' })).toEqual({ sort: 'price_asc', invalid: false });
+      expect(parseWarehouseSort({ sort: 'relevance' }, {}).invalid).toBe(true);
+    });
+
+    test('should rank by summed word similarity', async () => {
+      mockPrismaClient.$transaction.mockResolvedValue([[], [{ total: 0 }]]);
+
+      await searchWarehouses({ q: 'cold bhiwandy' }, { skip: 0, take: 10, sort: 'relevance' });
+
+      const [pageQuery] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(pageQuery.sql).toContain('GREATEST(word_similarity(?, w."address"), word_similarity(?, w."city")');
+      expect(pageQuery.sql).toContain(') + GREATEST(');
+      expect(pageQuery.sql).toContain('AS "relevance"');
+      expect(pageQuery.sql).toContain('ORDER BY "relevance" DESC, w.id DESC');
+    });
+
+    test('should explain relevance sorting without a search', async () => {
+      const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+
+      await listWarehouses({ query: { sort: 'relevance' } }, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error).toBe('`sort=relevance` requires `q`');
+    });
+  });
+
+  describe('parseWarehouseSort', () => {
+    test('should default when no sort is given', () => {
+      expect(parseWarehouseSort({})).toEqual({ sort: 'default', invalid: false });
+    });
+
+    test('should accept allowlisted values only', () => {
+      expect(parseWarehouseSort({ sort: 'price_asc' })).toEqual({ sort: 'price_asc', invalid: false });
+      expect(parseWarehouseSort({ sort: 'id; DROP TABLE "Warehouse"' })).toEqual({ sort: null, invalid: true });
+    });
+
+    test.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])('should reject the inherited property %p', sort => {
+      expect(parseWarehouseSort({ sort })).toEqual({ sort: null, invalid: true });
+    });
+  });
+
+  describe('buildWarehouseWhereSql', () => {
+    test('should only require visibility without filters', () => {
+      const where = buildWarehouseWhereSql({});
+
+      expect(where.sql).toBe('WHERE w."visibility" = true');
+      expect(where.values).toEqual([]);
+    });
+
+    test('should push the space range into an unnest subquery', () => {
+      const where = buildWarehouseWhereSql({ minSpace: 10000, maxSpace: 50000 });
+
+      expect(where.sql).toContain('unnest(w."totalSpaceSqft") AS s(space)');
+      expect(where.sql).toContain('s.space >= ? AND s.space <= ?');
+      expect(where.values).toEqual([10000, 50000]);
+    });
+
+    test('should compare budget and clear height ranges numerically by overlap', () => {
+      const where = buildWarehouseWhereSql({ minBudget: 20, maxBudget: 100, minClearHeight: 25 });
+
+      expect(where.sql).toContain('w."ratePerSqftMax" >= ?');
+      expect(where.sql).toContain('w."ratePerSqftMin" <= ?');
+      expect(where.sql).toContain('w."clearHeightFtMax" >= ?');
+      expect(where.values).toEqual([20, 100, 25]);
+    });
+
+    test('should filter on WarehouseData specs', () => {
+      const { filters, invalid } = parseWarehouseFilters({ minPowerKva: '200', pollutionZone: 'Green,Orange', landType: 'Industrial' });
+      expect(invalid).toEqual([]);
+
+      const where = buildWarehouseWhereSql(filters);
+
+      expect(where.sql).toContain('lower(wd."pollutionZone") = ANY(?)');
+      expect(where.sql).toContain('wd."landType" ILIKE ?');
+      expect(where.sql).toContain('wd."powerKvaMax" >= ?');
+      expect(where.values).toEqual([['green', 'orange'], '%Industrial%', 200]);
+      expect(parseWarehouseFilters({ minPowerKva: 'lots' }).invalid).toEqual(['minPowerKva']);
+    });
+
+    test('should match one value partially and many values exactly', () => {
+      const where = buildWarehouseWhereSql({ city: ['Mumbai', 'Pune'], zone: ['we_st%'] });
+
+      expect(where.sql).toContain('lower(w."city") = ANY(?)');
+      expect(where.sql).toContain('w."zone" ILIKE ?');
+      expect(where.values).toEqual([['mumbai', 'pune'], '%we\\_st\\%%']);
+    });
+  });
+
+  describe('searchWarehouses', () => {
+    test('should return exact totals and keep SQL ordering', async () => {
+      mockPrismaClient.$transaction.mockResolvedValue([[{ id: 9 }, { id: 4 }], [{ total: 23 }]]);
+      mockPrismaClient.warehouse.findMany.mockResolvedValue([{ id: 4 }, { id: 9 }]);
+
+      const result = await searchWarehouses({ minSpace: 5000 }, { skip: 20, take: 10 });
+
+      const [pageQuery] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(pageQuery.sql).toContain('ORDER BY w.id DESC LIMIT ? OFFSET ?');
+      expect(pageQuery.values).toEqual([5000, 10, 20]);
+      expect(mockPrismaClient.warehouse.findMany.mock.calls[0][0].where).toEqual({ id: { in: [9, 4] } });
+      expect(result).toEqual({ warehouses: [{ id: 9 }, { id: 4 }], totalItems: 23 });
+    });
+
+    test('should refuse sorts outside the allowlist', async () => {
+      await expect(searchWarehouses({}, { skip: 0, take: 10, sort: 'constructor' })).rejects.toThrow('Unknown warehouse sort');
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should order by the requested sort with an id tie-breaker', async () => {
+      mockPrismaClient.$transaction.mockResolvedValue([[], [{ total: 0 }]]);
+
+      await searchWarehouses({}, { skip: 0, take: 10, sort: 'space_desc' });
+
+      const [pageQuery] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(pageQuery.sql).toContain('ORDER BY (SELECT max(s) FROM unnest(w."totalSpaceSqft") AS s) DESC NULLS LAST, w.id DESC');
+    });
+
+    test('should skip the row fetch for empty pages', async () => {
+      mockPrismaClient.$transaction.mockResolvedValue([[], [{ total: 3 }]]);
+
+      const result = await searchWarehouses({}, { skip: 30, take: 10 });
+
+      expect(mockPrismaClient.warehouse.findMany).not.toHaveBeenCalled();
+      expect(result).toEqual({ warehouses: [], totalItems: 3 });
+    });
+  });
+
+  describe('listWarehouses', () => {
+    let mockRes;
+
+    beforeEach(() => {
+      mockRes = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+    });
+
+    test('should serve cached responses', async () => {
+      mockCache.getCachedJSON.mockResolvedValue({ data: [], pagination: {} });
+
+      await listWarehouses({ query: { city: 'Pune' } }, mockRes);
+
+      expect(mockCache.getCachedJSON).toHaveBeenCalledWith('warehouses:page:1:size:10:sort:default:filters:{"city":["Pune"]}');
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should format, paginate and cache results', async () => {
+      mockCache.getCachedJSON.mockResolvedValue(null);
+      mockPrismaClient.$transaction.mockResolvedValue([[{ id: 1 }], [{ total: 11 }]]);
+      mockPrismaClient.warehouse.findMany.mockResolvedValue([
+        { id: 1, photos: 'https://cdn.example.com/a.jpg', warehouseData: { fireNocAvailable: true } }
+      ]);
+
+      await listWarehouses({ query: { page: '2', pageSize: '10' } }, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.data[0].photos).toEqual([
+        { id: null, url: 'https://cdn.example.com/a.jpg', caption: null, order: 0, isCover: true, thumbnails: null }
+      ]);
+      expect(response.data[0].coverPhoto.url).toBe('https://cdn.example.com/a.jpg');
+      expect(response.data[0].fireNocAvailable).toBe(true);
+      expect(response.pagination).toEqual({ totalItems: 11, totalPages: 2, currentPage: 2, pageSize: 10 });
+      expect(mockCache.setCachedJSON).toHaveBeenCalledWith(expect.stringMatching(/^warehouses:page:2:/), response);
+    });
+
+    test('should include the sort in the cache key', async () => {
+      mockCache.getCachedJSON.mockResolvedValue({ data: [], pagination: {} });
+
+      await listWarehouses({ query: { sort: 'newest' } }, mockRes);
+
+      expect(mockCache.getCachedJSON).toHaveBeenCalledWith('warehouses:page:1:size:10:sort:newest:filters:{}');
+    });
+
+    test('should reject unknown sort values', async () => {
+      await listWarehouses({ query: { sort: 'cheapest' } }, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].allowed).toContain('price_asc');
+    });
+
+    test('should reject invalid filters', async () => {
+      await listWarehouses({ query: { minSpace: 'abc' } }, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('getWarehouseById', () => {
+    test('should return a specifications block with every WarehouseData spec', async () => {
+      const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+      mockPrismaClient.warehouse.findUnique.mockResolvedValue({
+        id: 7,
+        photos: null,
+        contactNumber: '+919800000000',
+        warehouseData: { powerKva: '250 kVA', pollutionZone: 'Green', landType: 'Industrial', fireNocAvailable: true }
+      });
+
+      await getWarehouseById({ params: { id: '7' } }, mockRes);
+
+      const select = mockPrismaClient.warehouse.findUnique.mock.calls[0][0].include.warehouseData.select;
+      expect(select).toMatchObject({ powerKva: true, approachRoadWidth: true, vaastuCompliance: true });
+
+      const response = mockRes.json.mock.calls[0][0];
+      expect(response.contactNumber).toBeUndefined();
+      expect(response.fireNocAvailable).toBe(true);
+      expect(response.specifications).toEqual({
+        landType: 'Industrial',
+        approachRoadWidth: null,
+        dimensions: null,
+        parkingDockingSpace: null,
+        pollutionZone: 'Green',
+        powerKva: '250 kVA',
+        vaastuCompliance: null,
+        fireNocAvailable: true,
+        fireSafetyMeasures: null
+      });
+    });
+  });
+
+  describe('semanticSearchWarehouses', () => {
+    let mockRes;
+
+    beforeEach(() => {
+      mockRes = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+      mockCache.getCachedJSON.mockResolvedValue(null);
+    });
+
+    test('should rank by vector distance combined with structured filters', async () => {
+      mockPrismaClient.$transaction.mockResolvedValue([[{ id: 5, semanticDistance: 0.1234 }], [{ total: 1 }]]);
+      mockPrismaClient.warehouse.findMany.mockResolvedValue([{ id: 5, warehouseData: null }]);
+
+      await semanticSearchWarehouses({ query: { q: 'Cold storage  near Bhiwandi', fireNocAvailable: 'true' } }, mockRes);
+
+      const [pageQuery] = mockPrismaClient.$transaction.mock.calls[0][0];
+      expect(pageQuery.sql).toContain('wd."embedding" <=> ?::vector AS "semanticDistance"');
+      expect(pageQuery.sql).toContain('wd."fireNocAvailable" = ?');
+      expect(pageQuery.sql).toContain('AND wd."embedding" IS NOT NULL');
+      expect(pageQuery.sql).toContain('ORDER BY "semanticDistance" ASC, w.id DESC');
+      expect(pageQuery.values[0]).toMatch(/^\[(-?[\d.e-]+,){7}-?[\d.e-]+\]$/);
+
+      expect(mockCache.getCachedJSON).toHaveBeenCalledWith(
+        'warehouses:semantic:page:1:size:10:q:cold storage near bhiwandi:filters:{"fireNocAvailable":true}'
+      );
+      expect(mockRes.json.mock.calls[0][0].data[0].similarity).toBe(0.877);
+    });
+
+    test('should require a query', async () => {
+      await semanticSearchWarehouses({ query: { q: ' a ' } }, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject queries without words to embed', async () => {
+      await semanticSearchWarehouses({ query: { q: '!!! ---' } }, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: '`q` has no words to search for' });
+      expect(mockPrismaClient.$transaction).not.toHaveBeenCalled();
+      expect(mockCache.setCachedJSON).not.toHaveBeenCalled();
+    });
+  });
+});
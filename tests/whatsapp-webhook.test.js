@@ -0,0 +1,314 @@
+import { jest } from '@jest/globals';
+import { createHmac } from 'crypto';
+
+const mockPrismaClient = {
+  warehouse: {
+    findFirst: jest.fn()
+  },
+  verifiedNumber: {
+    findUnique: jest.fn()
+  },
+  draft: {
+    findUnique: jest.fn(),
+    upsert: jest.fn()
+  },
+  messageLog: {
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    findUnique: jest.fn()
+  }
+};
+
+jest.unstable_mockModule('../models/prismaClient.js', () => ({
+  default: mockPrismaClient
+}));
+
+// The webhook uses the shared provider; NODE_ENV is "test", so it runs without a secret
+process.env.WHATSAPP_PROVIDER = 'fake';
+
+const { normalizePhoneNumber } = await import('../utils/phone.js');
+const { FakeWhatsAppProvider, TwilioWhatsAppProvider, createWhatsAppProvider } = await import('../utils/whatsappProviders.js');
+const { parseListingFields } = await import('../utils/draftConversation.js');
+const { receiveWhatsAppMessage } = await import('../controllers/whatsappWebhookController.js');
+
+describe('WhatsApp listing ingestion', () => {
+  let mockReq, mockRes, warnSpy, errorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockPrismaClient.messageLog.create.mockImplementation(({ data }) => Promise.resolve({ id: 11, ...data }));
+    mockPrismaClient.messageLog.update.mockResolvedValue({});
+    mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue({
+      id: 1, phone_number: '+919876543210', name: 'Ravi Broker', is_active: true
+    });
+    mockPrismaClient.warehouse.findFirst.mockResolvedValue(null);
+    mockPrismaClient.draft.findUnique.mockResolvedValue(null);
+    mockPrismaClient.draft.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+
+    mockReq = {
+      body: {},
+      ip: '127.0.0.1',
+      get: jest.fn(() => undefined)
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis()
+    };
+
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  describe('normalizePhoneNumber', () => {
+    test.each([
+      ['whatsapp:+919876543210', '+919876543210'],
+      ['+91 98765-43210', '+919876543210'],
+      ['09876543210', '+919876543210'],
+      ['9876543210', '+919876543210'],
+      ['0044 20 7946 0958', '+442079460958'],
+      ['12345', null],
+      ['', null]
+    ])('should normalise %p', (input, expected) => {
+      expect(normalizePhoneNumber(input)).toBe(expected);
+    });
+  });
+
+  describe('parseListingFields', () => {
+    test('should map known labels and ignore other lines', () => {
+      const text = [
+        'New listing in Bhiwandi',
+        '*City*: Bhiwandi',
+        'Rate = 24 per sqft',
+        'Space - 25,000 sqft',
+        'Fire NOC: yes',
+        'Owner: not a field',
+        'Address: Plot 4: MIDC'
+      ].join('\n');
+
+      expect(parseListingFields(text)).toEqual({
+        city: 'Bhiwandi',
+        ratePerSqft: '24 per sqft',
+        totalSpaceSqft: '25,000 sqft',
+        fireNocAvailable: 'yes',
+        address: 'Plot 4: MIDC'
+      });
+    });
+  });
+
+  describe('providers', () => {
+    test('fake provider should parse messages and require its secret when set', () => {
+      const provider = new FakeWhatsAppProvider({ secret: 's3cret' });
+
+      expect(provider.parseInbound({
+        messages: [{ id: 'm1', from: '+919876543210', text: 'City: Pune', imageUrls: ['https://img/1.jpg', 5] }, { text: 'no sender' }]
+      })).toEqual([
+        { providerMessageId: 'm1', from: '+919876543210', text: 'City: Pune', imageUrls: ['https://img/1.jpg'] }
+      ]);
+
+      expect(provider.verifyRequest({ get: () => 's3cret' })).toBe(true);
+      expect(provider.verifyRequest({ get: () => 'wrong' })).toBe(false);
+      expect(new FakeWhatsAppProvider().verifyRequest({ get: () => undefined })).toBe(false);
+      expect(new FakeWhatsAppProvider({ allowUnsigned: true }).verifyRequest({ get: () => undefined })).toBe(true);
+    });
+
+    test('twilio provider should verify the signature and keep image media only', () => {
+      const provider = new TwilioWhatsAppProvider({ authToken: 'token', webhookUrl: 'https://api.example.com/whatsapp/webhook' });
+      const body = {
+        MessageSid: 'SM1', From: 'whatsapp:+919876543210', Body: 'City: Pune', NumMedia: '2',
+        MediaUrl0: 'https://media/0', MediaContentType0: 'image/jpeg',
+        MediaUrl1: 'https://media/1', MediaContentType1: 'application/pdf'
+      };
+      const payload = 'https://api.example.com/whatsapp/webhook' +
+        Object.keys(body).sort().map(key => key + body[key]).join('');
+      const signature = createHmac('sha1', 'token').update(payload).digest('base64');
+
+      expect(provider.verifyRequest({ body, get: () => signature })).toBe(true);
+      expect(provider.verifyRequest({ body: { ...body, Body: 'tampered' }, get: () => signature })).toBe(false);
+      expect(provider.verifyRequest({ body, get: () => undefined })).toBe(false);
+      expect(provider.parseInbound(body)).toEqual([
+        { providerMessageId: 'SM1', from: 'whatsapp:+919876543210', text: 'City: Pune', imageUrls: ['https://media/0'] }
+      ]);
+
+      provider.acknowledge(mockRes, [{ status: 'processed', reply: 'Rate: <24> & "up"' }, { status: 'rejected' }]);
+      expect(mockRes.type).toHaveBeenCalledWith('text/xml');
+      expect(mockRes.send).toHaveBeenCalledWith('<Response><Message>Rate: &lt;24&gt; &amp; &quot;up&quot;</Message></Response>');
+    });
+
+    test('should require an explicit provider and a fake secret outside test and development', () => {
+      expect(() => createWhatsAppProvider({ NODE_ENV: 'development' })).toThrow('WHATSAPP_PROVIDER is not set');
+      expect(() => createWhatsAppProvider({ WHATSAPP_PROVIDER: 'fake', NODE_ENV: 'production' })).toThrow('WHATSAPP_FAKE_SECRET');
+      expect(() => createWhatsAppProvider({ WHATSAPP_PROVIDER: 'fake' })).toThrow('WHATSAPP_FAKE_SECRET');
+      expect(createWhatsAppProvider({ WHATSAPP_PROVIDER: 'fake', NODE_ENV: 'development' }).allowUnsigned).toBe(true);
+      expect(createWhatsAppProvider({ WHATSAPP_PROVIDER: 'fake', WHATSAPP_FAKE_SECRET: 's3cret' }).allowUnsigned).toBe(false);
+      expect(() => createWhatsAppProvider({ WHATSAPP_PROVIDER: 'twilio' })).toThrow('TWILIO_AUTH_TOKEN');
+      expect(() => createWhatsAppProvider({ WHATSAPP_PROVIDER: 'meta' })).toThrow('Unknown WHATSAPP_PROVIDER');
+    });
+  });
+
+  describe('POST /whatsapp/webhook', () => {
+    test('should log the message and start a draft for a verified sender', async () => {
+      mockReq.body = {
+        messages: [{ from: 'whatsapp:+91 98765 43210', text: 'City: Bhiwandi\nRate: 24', imageUrls: ['https://img/1.jpg'] }]
+      };
+
+      await receiveWhatsAppMessage(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.create).toHaveBeenCalledWith({
+        data: {
+          sender_number: '+919876543210',
+          message_body: 'City: Bhiwandi\nRate: 24',
+          status: 'received',
+          image_url: 'https://img/1.jpg',
+          image_urls: ['https://img/1.jpg'],
+          provider_message_id: null
+        }
+      });
+      expect(mockPrismaClient.verifiedNumber.findUnique).toHaveBeenCalledWith({
+        where: { phone_number: '+919876543210' }
+      });
+      expect(mockPrismaClient.draft.upsert.mock.calls[0][0].create).toEqual({
+        sender_number: '+919876543210',
+        status: 'collecting',
+        warehouse_data: { city: 'Bhiwandi', ratePerSqft: '24' },
+        image_urls: ['https://img/1.jpg']
+      });
+      expect(mockPrismaClient.messageLog.update).toHaveBeenCalledWith({
+        where: { id: 11 },
+        data: { status: 'processed', error_message: null }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        received: 1,
+        results: [{ messageLogId: 11, status: 'processed', reply: expect.stringContaining('Hi Ravi Broker!') }]
+      });
+    });
+
+    test('should merge fields and append images to an existing draft', async () => {
+      mockPrismaClient.draft.findUnique.mockResolvedValue({
+        sender_number: '+919876543210',
+        status: 'collecting',
+        warehouse_data: { city: 'Bhiwandi', ratePerSqft: '24' },
+        image_urls: ['https://img/1.jpg']
+      });
+      mockReq.body = { messages: [{ from: '+919876543210', text: 'Rate: 26\nZone: West', imageUrls: ['https://img/2.jpg'] }] };
+
+      await receiveWhatsAppMessage(mockReq, mockRes);
+
+      expect(mockPrismaClient.draft.upsert.mock.calls[0][0].update).toEqual({
+        status: 'collecting',
+        warehouse_data: { city: 'Bhiwandi', ratePerSqft: '26', zone: 'West' },
+        image_urls: { push: ['https://img/2.jpg'] }
+      });
+    });
+
+    test.each([
+      ['unknown', null],
+      ['inactive', { id: 2, phone_number: '+919876543210', name: 'Old Broker', is_active: false }]
+    ])('should log and reject an %s sender without touching drafts', async (label, verified) => {
+      mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue(verified);
+      mockReq.body = { messages: [{ from: '+919876543210', text: 'City: Pune' }] };
+
+      await receiveWhatsAppMessage(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.create).toHaveBeenCalled();
+      expect(mockPrismaClient.draft.upsert).not.toHaveBeenCalled();
+      expect(mockPrismaClient.messageLog.update).toHaveBeenCalledWith({
+        where: { id: 11 },
+        data: { status: 'rejected', error_message: 'Sender is not an active verified number' }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should record processing errors on the log and still acknowledge', async () => {
+      mockPrismaClient.draft.upsert.mockRejectedValue(new Error('connection reset'));
+      mockReq.body = { messages: [{ from: '+919876543210', text: 'City: Pune' }] };
+
+      await receiveWhatsAppMessage(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.update).toHaveBeenCalledWith({
+        where: { id: 11 },
+        data: { status: 'failed', error_message: 'connection reset' }
+      });
+      expect(mockRes.json).toHaveBeenCalledWith({
+        received: 1,
+        results: [{ messageLogId: 11, status: 'failed', error: 'connection reset', reply: expect.stringContaining('Please send it again') }]
+      });
+    });
+
+    test('should not process a redelivered message again', async () => {
+      mockPrismaClient.messageLog.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue({ id: 10, status: 'processed' });
+      mockReq.body = { messages: [{ id: 'm1', from: '+919876543210', text: 'City: Pune' }] };
+
+      await receiveWhatsAppMessage(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.create.mock.calls[0][0].data.provider_message_id).toBe('m1');
+      expect(mockPrismaClient.messageLog.findUnique).toHaveBeenCalledWith({ where: { provider_message_id: 'm1' } });
+      expect(mockPrismaClient.verifiedNumber.findUnique).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith({
+        received: 1,
+        results: [{ messageLogId: 10, status: 'processed', duplicate: true }]
+      });
+    });
+
+    test('should process a redelivered message whose first delivery was never processed', async () => {
+      mockPrismaClient.messageLog.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue({
+        id: 10,
+        status: 'received',
+        received_at: new Date(Date.now() - 10 * 60 * 1000),
+        reprocessed_at: null,
+        sender_number: '+919876543210',
+        message_body: 'City: Pune',
+        image_url: null
+      });
+      mockPrismaClient.messageLog.updateMany.mockResolvedValue({ count: 1 });
+      mockPrismaClient.verifiedNumber.findUnique.mockResolvedValue(null);
+      mockReq.body = { messages: [{ id: 'm1', from: '+919876543210', text: 'City: Pune' }] };
+
+      await receiveWhatsAppMessage(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.updateMany.mock.calls[0][0].where).toEqual({
+        id: 10,
+        status: 'received',
+        received_at: { lt: expect.any(Date) },
+        OR: [{ reprocessed_at: null }, { reprocessed_at: { lt: expect.any(Date) } }]
+      });
+      expect(mockPrismaClient.messageLog.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: { status: 'rejected', error_message: 'Sender is not an active verified number' }
+      });
+      expect(mockRes.json.mock.calls[0][0].results[0]).toEqual(expect.objectContaining({ messageLogId: 10, status: 'rejected' }));
+    });
+
+    test('should leave a message that is still being processed to its first delivery', async () => {
+      mockPrismaClient.messageLog.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+      mockPrismaClient.messageLog.findUnique.mockResolvedValue({ id: 10, status: 'received', received_at: new Date(), reprocessed_at: null });
+      mockReq.body = { messages: [{ id: 'm1', from: '+919876543210', text: 'City: Pune' }] };
+
+      await receiveWhatsAppMessage(mockReq, mockRes);
+
+      expect(mockPrismaClient.messageLog.updateMany).not.toHaveBeenCalled();
+      expect(mockRes.json.mock.calls[0][0].results).toEqual([{ messageLogId: 10, status: 'received', duplicate: true }]);
+    });
+
+    test('should return 500 so the provider redelivers when the message cannot be logged', async () => {
+      mockPrismaClient.messageLog.create.mockRejectedValue(new Error('database down'));
+      mockReq.body = { messages: [{ from: '+919876543210', text: 'City: Pune' }] };
+
+      await receiveWhatsAppMessage(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockPrismaClient.verifiedNumber.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import redis from '../models/redisClient.js';
+
+export const WAREHOUSE_CACHE_PATTERN = 'warehouses:*';
+
+/**
+ * Delete all cache keys matching a pattern using SCAN (production-safe, non-blocking)
+ * @param {string} pattern - Redis MATCH pattern
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export async function clearCacheByPattern(pattern) {
+  const stream = redis.scanIterator({
+    TYPE: 'string',   // Scans for string keys
+    MATCH: pattern,   // The pattern to match
+    COUNT: 100        // How many keys to fetch per iteration
+  });
+
+  // Collect all keys from the iterator
+  const keys = [];
+  for await (const key of stream) {
+    // node-redis v5 yields batches of keys per iteration
+    if (Array.isArray(key)) keys.push(...key);
+    else keys.push(key);
+  }
+
+  if (keys.length > 0) {
+    await redis.del(keys);
+  }
+
+  return keys.length;
+}
+
+/**
+ * Invalidate cached warehouse listings after a write.
+ * Cache failures are logged and swallowed so they never fail the write itself.
+ * @returns {Promise<number>} Number of keys deleted (0 on failure)
+ */
+export async function invalidateWarehouseCache() {
+  try {
+    const cleared = await clearCacheByPattern(WAREHOUSE_CACHE_PATTERN);
+    console.log(`Invalidated ${cleared} warehouse cache entries`);
+    return cleared;
+  } catch (error) {
+    console.log('Cache invalidation error:', error);
+    return 0;
+  }
+}
+
+/**
+ * Read a cached JSON value. Cache errors are logged and treated as a miss.
+ * @param {string} key - Cache key
+ * @returns {Promise<*|null>} Parsed value, or null on miss/error
+ */
+export async function getCachedJSON(key) {
+  try {
+    const cachedData = await redis.get(key);
+    if (cachedData) {
+      console.log(`Cache HIT for key: ${key}`);
+      return JSON.parse(cachedData);
+    }
+  } catch (cacheError) {
+    console.log('Cache read error:', cacheError);
+  }
+
+  console.log(`Cache MISS for key: ${key}`);
+  return null;
+}
+
+/**
+ * Cache a JSON value with TTL-based expiration (CACHE_TTL, default 300 seconds)
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serialisable value
+ */
+export async function setCachedJSON(key, value) {
+  try {
+    const cacheTTL = parseInt(process.env.CACHE_TTL) || 300;
+    await redis.setEx(key, cacheTTL, JSON.stringify(value));
+    console.log(`Cached data with key: ${key} for ${cacheTTL} seconds`);
+  } catch (cacheError) {
+    console.log('Cache write error:', cacheError);
+  }
+}
@@ -0,0 +1,409 @@
+import prisma from '../models/prismaClient.js';
+import { validateWarehousePayload } from './warehouseValidation.js';
+import { REVIEW_STATUS, REVIEW_ACTION, reviewSnapshot } from './warehouseReview.js';
+import { isValidPhotoUrl } from './warehousePhotos.js';
+
+// Draft.status values. A sender has one draft: it collects fields until every
+// required one is present, waits for confirmation, and is kept as `submitted`
+// once the warehouse is created (the sender's next message starts a new draft).
+export const DRAFT_STATUS = {
+  COLLECTING: 'collecting',
+  CONFIRMING: 'confirming',
+  SUBMITTED: 'submitted'
+};
+
+// Fields a WhatsApp listing must have before it can be confirmed, in the order they
+// are asked for. Contact details come from the sender's VerifiedNumber instead.
+export const REQUIRED_DRAFT_FIELDS = [
+  'warehouseType', 'address', 'city', 'state', 'zone',
+  'totalSpaceSqft', 'ratePerSqft', 'compliances', 'fireNocAvailable'
+];
+
+// Draft fields stored on WarehouseData rather than Warehouse
+const WAREHOUSE_DATA_FIELDS = ['fireNocAvailable', 'powerKva', 'landType', 'pollutionZone'];
+
+// Labels brokers write in "Label: value" lines, by warehouse field they fill
+const FIELD_LABELS = {
+  warehouseType: ['type', 'warehouse type'],
+  address: ['address'],
+  city: ['city'],
+  state: ['state'],
+  zone: ['zone', 'location'],
+  postalCode: ['pincode', 'pin code', 'postal code'],
+  googleLocation: ['google location', 'map', 'maps'],
+  totalSpaceSqft: ['space', 'total space', 'area', 'size'],
+  offeredSpaceSqft: ['offered space'],
+  ratePerSqft: ['rate', 'rent', 'price'],
+  clearHeightFt: ['height', 'clear height'],
+  numberOfDocks: ['docks', 'number of docks'],
+  compliances: ['compliance', 'compliances'],
+  availability: ['availability', 'available from'],
+  otherSpecifications: ['other', 'notes', 'remarks'],
+  fireNocAvailable: ['fire noc', 'noc'],
+  powerKva: ['power', 'power kva'],
+  landType: ['land type'],
+  pollutionZone: ['pollution zone']
+};
+
+const LABEL_TO_FIELD = new Map(
+  Object.entries(FIELD_LABELS).flatMap(([field, labels]) => labels.map(label => [label, field]))
+);
+
+// Question sent for each missing required field
+const FIELD_PROMPTS = {
+  warehouseType: 'What type of warehouse is it? (e.g. RCC, PEB, shed, cold storage)',
+  address: 'What is the full address of the warehouse?',
+  city: 'Which city is it in?',
+  state: 'Which state is it in?',
+  zone: 'Which zone or locality is it in?',
+  totalSpaceSqft: 'How much space is available, in sq ft? (e.g. 25000, or 10000 / 15000 for several units)',
+  ratePerSqft: 'What is the rent per sq ft per month in ₹? (e.g. 24 or 22-26)',
+  compliances: 'Which compliances does it have? (e.g. Fire NOC, BMC, factory licence, or "none")',
+  fireNocAvailable: 'Is a fire NOC available? (yes/no)'
+};
+
+// Names used in the confirmation summary, in display order
+const SUMMARY_LABELS = {
+  warehouseType: 'Type',
+  address: 'Address',
+  city: 'City',
+  state: 'State',
+  zone: 'Zone',
+  postalCode: 'Pincode',
+  googleLocation: 'Google location',
+  totalSpaceSqft: 'Space (sq ft)',
+  offeredSpaceSqft: 'Offered space',
+  ratePerSqft: 'Rate (₹/sq ft)',
+  clearHeightFt: 'Clear height (ft)',
+  numberOfDocks: 'Docks',
+  compliances: 'Compliances',
+  fireNocAvailable: 'Fire NOC',
+  powerKva: 'Power (kVA)',
+  landType: 'Land type',
+  pollutionZone: 'Pollution zone',
+  availability: 'Availability',
+  otherSpecifications: 'Other details'
+};
+
+const YES_WORDS = ['yes', 'y', 'yeah', 'yep', 'haan', 'ha', 'available', 'true'];
+const NO_WORDS = ['no', 'n', 'nope', 'nahi', 'na', 'not available', 'false'];
+const CONFIRM_WORDS = ['yes', 'y', 'confirm', 'submit', 'ok', 'okay'];
+const CANCEL_WORDS = ['cancel', 'discard', 'reset', 'restart'];
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const NUMBER_OR_RANGE = new RegExp(`${NUMBER}(?:\\s*(?:-|to)\\s*${NUMBER})?`, 'i');
+
+// "Label: value", "Label = value" or "Label - value", optionally wrapped in WhatsApp *bold*/_italic_
+const LABELLED_LINE = /^\s*[*_]*([a-z][a-z ]{0,30}?)[*_]*\s*(?::|=|\s-\s)\s*(.+?)\s*$/i;
+
+const normaliseWord = (text) => String(text || '').trim().toLowerCase().replace(/[.!]+$/, '').replace(/\s+/g, ' ');
+
+const titleCase = (text) => text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+
+/**
+ * Extract "Label: value" lines with a known label from a message
+ * @param {string} text - Message body
+ * @returns {Object} Field name to raw value; later lines win
+ */
+export function parseListingFields(text) {
+  const fields = {};
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const match = line.match(LABELLED_LINE);
+    if (!match) continue;
+
+    const field = LABEL_TO_FIELD.get(normaliseWord(match[1]));
+    if (field && match[2]) fields[field] = match[2];
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a space reply into positive integers: "25,000 sqft", "20k", "10000 / 15000"
+ * @param {string} raw - Reply text
+ * @returns {Array<number>|null} Areas in sq ft, or null if none were found
+ */
+function parseSpace(raw) {
+  const text = raw.replace(/(\d),(?=\d)/g, '$1');
+  const values = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(k\b)?/gi)]
+    .map(([, number, thousands]) => Math.round(parseFloat(number) * (thousands ? 1000 : 1)))
+    .filter(value => value > 0);
+  return values.length > 0 ? values : null;
+}
+
+/**
+ * Parse a numeric reply kept as a string column: "24", "₹22 - 26 per sqft" -> "22-26"
+ * @param {string} raw - Reply text
+ * @returns {string|null} Number or "min-max" range, or null if none was found
+ */
+function parseNumberOrRange(raw) {
+  const match = raw.replace(/(\d),(?=\d)/g, '$1').match(NUMBER_OR_RANGE);
+  if (!match) return null;
+  return match[2] ? `${match[1]}-${match[2]}` : match[1];
+}
+
+/**
+ * Parse a yes/no reply
+ * @param {string} raw - Reply text
+ * @returns {boolean|null} Answer, or null if it is neither
+ */
+export function parseYesNo(raw) {
+  const word = normaliseWord(raw);
+  if (YES_WORDS.includes(word)) return true;
+  if (NO_WORDS.includes(word)) return false;
+  return null;
+}
+
+/**
+ * Use the spelling of a city that existing warehouses already use, so
+ * "bhiwandi" and "BHIWANDI" do not become separate filter values
+ * @param {string} raw - Reply text
+ * @returns {Promise<string>} Canonical city name
+ */
+async function parseCity(raw) {
+  const city = raw.trim().replace(/\s+/g, ' ');
+  const existing = await prisma.warehouse.findFirst({
+    where: { city: { equals: city, mode: 'insensitive' } },
+    select: { city: true }
+  });
+  return existing?.city || titleCase(city);
+}
+
+// Reply parsers by field, returning the stored value or null with the error shown to the sender
+const FIELD_PARSERS = {
+  city: async (raw) => ({ value: await parseCity(raw) }),
+  state: (raw) => ({ value: titleCase(raw.trim()) }),
+  totalSpaceSqft: (raw) => {
+    const value = parseSpace(raw);
+    return value ? { value } : { error: 'Space should be a number of sq ft, e.g. 25000.' };
+  },
+  ratePerSqft: (raw) => {
+    const value = parseNumberOrRange(raw);
+    return value ? { value } : { error: 'Rate should be a number, e.g. 24 or 22-26.' };
+  },
+  clearHeightFt: (raw) => {
+    const value = parseNumberOrRange(raw);
+    return value ? { value } : { error: 'Clear height should be a number of feet, e.g. 30.' };
+  },
+  numberOfDocks: (raw) => {
+    const match = raw.match(/\d+/);
+    return match ? { value: match[0] } : { error: 'Docks should be a number, e.g. 4.' };
+  },
+  fireNocAvailable: (raw) => {
+    const value = parseYesNo(raw);
+    return value === null ? { error: 'Please answer yes or no for the fire NOC.' } : { value };
+  }
+};
+
+/**
+ * Parse raw field values from a message
+ * @param {Object} rawFields - Field name to reply text
+ * @returns {Promise<Object>} { values, errors } with parsed values and messages for invalid ones
+ */
+async function parseFieldValues(rawFields) {
+  const values = {};
+  const errors = [];
+
+  for (const [field, raw] of Object.entries(rawFields)) {
+    const text = String(raw).trim();
+    if (text === '') continue;
+
+    const parser = FIELD_PARSERS[field];
+    const result = parser ? await parser(text) : { value: text };
+    if (result.error) errors.push(result.error);
+    else values[field] = result.value;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Required fields still missing from draft data, in the order they are asked for
+ * @param {Object} data - Draft.warehouse_data
+ * @returns {Array<string>} Missing field names
+ */
+export function missingDraftFields(data) {
+  return REQUIRED_DRAFT_FIELDS.filter(field => data[field] === undefined || data[field] === null || data[field] === '');
+}
+
+/**
+ * Format draft data as the confirmation summary
+ * @param {Object} data - Draft.warehouse_data
+ * @param {Array<string>} imageUrls - Draft.image_urls
+ * @returns {string} Summary message
+ */
+export function formatDraftSummary(data, imageUrls = []) {
+  const lines = Object.entries(SUMMARY_LABELS)
+    .filter(([field]) => data[field] !== undefined && data[field] !== null)
+    .map(([field, label]) => {
+      const value = data[field];
+      if (typeof value === 'boolean') return `${label}: ${value ? 'Yes' : 'No'}`;
+      return `${label}: ${Array.isArray(value) ? value.join(' / ') : value}`;
+    });
+
+  return [
+    'Please check your listing:',
+    ...lines,
+    `Photos: ${imageUrls.length}`,
+    '',
+    'Reply YES to submit, or send a corrected line (e.g. "Rate: 26"). Reply CANCEL to discard it.'
+  ].join('\n');
+}
+
+/**
+ * Build the Warehouse create input for a confirmed draft. Listings from WhatsApp
+ * are hidden and enter the review queue until an admin approves them.
+ * @param {Object} draft - Draft row
+ * @param {Object} sender - VerifiedNumber row of the sender
+ * @returns {Object} { fields, data } where fields lists invalid field names
+ */
+export function buildDraftWarehouse(draft, sender) {
+  const listing = { ...draft.warehouse_data };
+  const warehouseData = {};
+  for (const field of WAREHOUSE_DATA_FIELDS) {
+    if (listing[field] !== undefined) warehouseData[field] = listing[field];
+    delete listing[field];
+  }
+
+  const { fields, warehouse, warehouseData: validatedData, photos } = validateWarehousePayload({
+    ...listing,
+    contactPerson: sender.name,
+    contactNumber: sender.phone_number,
+    uploadedBy: sender.name,
+    visibility: false,
+    // Drafts saved before image URLs were checked on arrival may still hold unusable ones
+    photos: draft.image_urls.filter(isValidPhotoUrl),
+    warehouseData
+  });
+
+  return {
+    fields,
+    data: {
+      ...warehouse,
+      reviewStatus: REVIEW_STATUS.PENDING,
+      reviews: {
+        create: {
+          action: REVIEW_ACTION.SUBMITTED,
+          snapshot: reviewSnapshot({ ...warehouse, warehouseData: validatedData, warehousePhotos: photos })
+        }
+      },
+      warehouseData: { create: validatedData },
+      ...(photos.length > 0 && { warehousePhotos: { create: photos } })
+    }
+  };
+}
+
+/**
+ * Create the warehouse for a confirmed draft and mark the draft submitted
+ * @param {Object} draft - Draft row in the confirming state
+ * @param {Object} sender - VerifiedNumber row of the sender
+ * @returns {Promise<Object>} { draft, reply, warehouseId? }
+ */
+async function submitDraft(draft, sender) {
+  const { fields, data } = buildDraftWarehouse(draft, sender);
+  if (fields.length > 0) {
+    // Values are checked as they arrive, but stored drafts can predate a stricter rule.
+    // Drop the rejected values so they are missing and asked for again, rather than
+    // returning to confirmation with the same data.
+    const invalid = fields.map(field => field.replace(/^warehouseData\./, ''));
+    const data = Object.fromEntries(Object.entries(draft.warehouse_data).filter(([field]) => !invalid.includes(field)));
+    const missing = missingDraftFields(data);
+    const updated = await prisma.draft.update({
+      where: { sender_number: draft.sender_number },
+      data: { status: DRAFT_STATUS.COLLECTING, warehouse_data: data }
+    });
+    return {
+      draft: updated,
+      reply: [`Some details are not valid (${fields.join(', ')}). Please send them again.`, FIELD_PROMPTS[missing[0]]]
+        .filter(Boolean)
+        .join('\n')
+    };
+  }
+
+  const [warehouse, submitted] = await prisma.$transaction([
+    prisma.warehouse.create({ data, select: { id: true } }),
+    prisma.draft.update({
+      where: { sender_number: draft.sender_number },
+      data: { status: DRAFT_STATUS.SUBMITTED }
+    })
+  ]);
+
+  console.log(`[WHATSAPP] Draft from ${draft.sender_number} submitted as warehouse ${warehouse.id}`);
+  return {
+    draft: submitted,
+    warehouseId: warehouse.id,
+    reply: `Thank you! Your listing has been submitted as #${warehouse.id} and will go live once our team reviews it.`
+  };
+}
+
+/**
+ * Advance a verified sender's draft with one message: merge labelled fields (or
+ * treat a bare reply as the answer to the last question), append images, then
+ * either ask for the next missing required field, show the summary for
+ * confirmation, or create the warehouse once the sender confirms.
+ * @param {Object} message - Message
+ * @param {Object} message.sender - VerifiedNumber row of the sender
+ * @param {string} message.text - Message body
+ * @param {Array<string>} message.imageUrls - Image URLs attached to the message
+ * @returns {Promise<Object>} { draft, reply, warehouseId? } where draft is null once discarded
+ */
+export async function handleDraftMessage({ sender, text = '', imageUrls = [] }) {
+  const senderNumber = sender.phone_number;
+  const existing = await prisma.draft.findUnique({ where: { sender_number: senderNumber } });
+  const current = existing && existing.status !== DRAFT_STATUS.SUBMITTED ? existing : null;
+  const word = normaliseWord(text);
+
+  if (CANCEL_WORDS.includes(word)) {
+    if (current) await prisma.draft.delete({ where: { sender_number: senderNumber } });
+    return { draft: null, reply: 'Your draft listing has been discarded. Send the details of a new listing any time.' };
+  }
+
+  if (current?.status === DRAFT_STATUS.CONFIRMING && imageUrls.length === 0 && CONFIRM_WORDS.includes(word)) {
+    return submitDraft(current, sender);
+  }
+
+  const data = current ? { ...current.warehouse_data } : {};
+  let rawFields = parseListingFields(text);
+
+  // A reply without labels answers the question asked last: the first missing field
+  const [nextField] = missingDraftFields(data);
+  if (Object.keys(rawFields).length === 0 && text.trim() !== '' && nextField && current?.status === DRAFT_STATUS.COLLECTING) {
+    rawFields = { [nextField]: text };
+  }
+
+  const { values, errors } = await parseFieldValues(rawFields);
+  Object.assign(data, values);
+
+  // Only keep images the listing can use; a rejected URL would fail the submission later
+  const photoUrls = imageUrls.filter(isValidPhotoUrl);
+  const rejected = imageUrls.length - photoUrls.length;
+  if (rejected > 0) {
+    errors.push(rejected === 1
+      ? 'One photo could not be used. Please send it again.'
+      : `${rejected} photos could not be used. Please send them again.`);
+  }
+
+  const missing = missingDraftFields(data);
+  const status = missing.length > 0 ? DRAFT_STATUS.COLLECTING : DRAFT_STATUS.CONFIRMING;
+
+  const draft = await prisma.draft.upsert({
+    where: { sender_number: senderNumber },
+    create: { sender_number: senderNumber, status, warehouse_data: data, image_urls: photoUrls },
+    update: {
+      status,
+      warehouse_data: data,
+      // A submitted draft is replaced; otherwise images are appended atomically,
+      // so photos arriving as concurrent messages are all kept
+      image_urls: current ? { push: photoUrls } : photoUrls
+    }
+  });
+
+  const replyLines = [];
+  if (!current) replyLines.push(`Hi ${sender.name}! Let's get your warehouse listed.`);
+  replyLines.push(...errors);
+  if (photoUrls.length > 0) replyLines.push(`Got ${photoUrls.length === 1 ? 'the photo' : `${photoUrls.length} photos`}.`);
+  replyLines.push(status === DRAFT_STATUS.COLLECTING ? FIELD_PROMPTS[missing[0]] : formatDraftSummary(data, draft.image_urls));
+
+  return { draft, reply: replyLines.join('\n') };
+}
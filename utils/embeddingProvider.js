@@ -0,0 +1,160 @@
+import { createHash } from 'crypto';
+
+const DEFAULT_DIMENSIONS = 1536;
+const DEFAULT_API_URL = 'https://api.openai.com/v1/embeddings';
+const DEFAULT_MODEL = 'text-embedding-3-small';
+// Semantic search waits on this request, so give up rather than hold the connection open
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Scale a vector to unit length so cosine distance behaves consistently
+ * @param {Array<number>} vector - Raw vector
+ * @returns {Array<number>} Normalised vector
+ */
+function normalise(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+/**
+ * Whether an embedding carries no direction, e.g. the local embedding of text without words.
+ * Cosine distance to a zero vector is undefined (NaN in pgvector), so it cannot be ranked against.
+ * @param {Array<number>} vector - Embedding
+ * @returns {boolean} True when every component is zero
+ */
+export function isZeroVector(vector) {
+  return vector.every(v => v === 0);
+}
+
+/**
+ * Deterministic, offline embedding provider for development and tests.
+ * Hashes word unigrams and bigrams into a fixed-size vector, so texts sharing
+ * words land close together. It has no notion of meaning beyond shared tokens.
+ */
+export class LocalEmbeddingProvider {
+  constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    this.name = 'local';
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Split text into lowercase word unigrams and bigrams
+   * @param {string} text - Input text
+   * @returns {Array<string>} Tokens
+   */
+  tokenize(text) {
+    const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+    const bigrams = words.slice(1).map((word, i) => `${words[i]} ${word}`);
+    return [...words, ...bigrams];
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const token of this.tokenize(text)) {
+      const digest = createHash('sha1').update(token).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      // Use another hash bit for the sign so collisions tend to cancel out
+      vector[index] += digest[4] & 1 ? 1 : -1;
+    }
+
+    return normalise(vector);
+  }
+
+  async embedMany(texts) {
+    return Promise.all(texts.map(text => this.embed(text)));
+  }
+}
+
+/**
+ * Embedding provider for any OpenAI-compatible `/embeddings` HTTP API
+ */
+export class HttpEmbeddingProvider {
+  constructor({
+    apiUrl = DEFAULT_API_URL,
+    apiKey,
+    model = DEFAULT_MODEL,
+    dimensions = DEFAULT_DIMENSIONS,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+  } = {}) {
+    if (!apiKey) {
+      throw new Error('EMBEDDING_API_KEY is required for the HTTP embedding provider');
+    }
+
+    this.name = 'http';
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.dimensions = dimensions;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async embedMany(texts) {
+    let response;
+    try {
+      response = await fetch(this.apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({ model: this.model, input: texts, dimensions: this.dimensions }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Embedding request timed out after ${this.timeoutMs}ms`);
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Embedding request failed with status ${response.status}: ${detail}`);
+    }
+
+    const body = await response.json();
+    // The API may return items out of order; `index` ties them back to the input
+    return [...body.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+
+  async embed(text) {
+    const [embedding] = await this.embedMany([text]);
+    return embedding;
+  }
+}
+
+/**
+ * Create the embedding provider selected by environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {LocalEmbeddingProvider|HttpEmbeddingProvider} Provider with embed/embedMany
+ */
+export function createEmbeddingProvider(env = process.env) {
+  const dimensions = parseInt(env.EMBEDDING_DIMENSIONS) || DEFAULT_DIMENSIONS;
+
+  switch (env.EMBEDDING_PROVIDER || 'local') {
+    case 'http':
+      return new HttpEmbeddingProvider({
+        apiUrl: env.EMBEDDING_API_URL || DEFAULT_API_URL,
+        apiKey: env.EMBEDDING_API_KEY,
+        model: env.EMBEDDING_MODEL || DEFAULT_MODEL,
+        dimensions,
+        timeoutMs: parseInt(env.EMBEDDING_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+      });
+    case 'local':
+      return new LocalEmbeddingProvider({ dimensions });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${env.EMBEDDING_PROVIDER}" (expected "local" or "http")`);
+  }
+}
+
+let provider = null;
+
+/**
+ * Get the shared embedding provider, created lazily on first use
+ * @returns {LocalEmbeddingProvider|HttpEmbeddingProvider} Provider
+ */
+export function getEmbeddingProvider() {
+  if (!provider) provider = createEmbeddingProvider();
+  return provider;
+}
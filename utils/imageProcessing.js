@@ -0,0 +1,65 @@
+import sharp from 'sharp';
+
+// Image formats accepted for upload, by sharp's detected format
+const FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', encode: image => image.jpeg({ quality: 90, mozjpeg: true }) },
+  png: { extension: 'png', contentType: 'image/png', encode: image => image.png() },
+  webp: { extension: 'webp', contentType: 'image/webp', encode: image => image.webp({ quality: 90 }) },
+};
+
+export const ACCEPTED_CONTENT_TYPES = Object.values(FORMATS).map(format => format.contentType);
+
+// Thumbnail variants, by name and maximum width in pixels
+export const THUMBNAIL_WIDTHS = {
+  thumb: 320,
+  medium: 1024,
+};
+
+/**
+ * Thrown when an upload is not a supported, readable image
+ */
+export class InvalidImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+/**
+ * Prepare an uploaded image for storage.
+ * The original is re-encoded in its own format after applying the EXIF orientation,
+ * which drops all metadata (EXIF including GPS location, XMP, IPTC). Thumbnails are
+ * WebP, scaled down to THUMBNAIL_WIDTHS without enlarging small images.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<Object>} { original, thumbnails } where each image is
+ *   { buffer, extension, contentType, width, height }
+ */
+export async function processPhotoUpload(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new InvalidImageError('File is not a readable image');
+  }
+
+  // Trust the decoded format, not the client-supplied MIME type
+  const format = FORMATS[metadata.format];
+  if (!format) {
+    throw new InvalidImageError(`Unsupported image format "${metadata.format}" (expected JPEG, PNG or WebP)`);
+  }
+
+  const render = async (image, { extension, contentType }) => {
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    return { buffer: data, extension, contentType, width: info.width, height: info.height };
+  };
+
+  const original = await render(format.encode(sharp(buffer).rotate()), format);
+
+  const thumbnails = {};
+  for (const [name, width] of Object.entries(THUMBNAIL_WIDTHS)) {
+    const resized = sharp(buffer).rotate().resize({ width, withoutEnlargement: true }).webp({ quality: 80 });
+    thumbnails[name] = await render(resized, { extension: 'webp', contentType: 'image/webp' });
+  }
+
+  return { original, thumbnails };
+}
@@ -0,0 +1,52 @@
+import { ADMIN_EMAIL_DOMAIN } from '../middleware/authMiddleware.js';
+
+// Lead lifecycle for customer requests
+
+export const LEAD_STATUSES = [
+  'new', 'contacted', 'qualified', 'site-visit', 'closed-won', 'closed-lost'
+];
+
+// Allowed transitions from each status. Closed leads can only be reopened as "contacted".
+const LEAD_TRANSITIONS = {
+  'new': ['contacted', 'closed-lost'],
+  'contacted': ['qualified', 'closed-lost'],
+  'qualified': ['site-visit', 'closed-won', 'closed-lost'],
+  'site-visit': ['qualified', 'closed-won', 'closed-lost'],
+  'closed-won': ['contacted'],
+  'closed-lost': ['contacted']
+};
+
+// Activity actions recorded in customer_request_activity
+export const LEAD_ACTIONS = {
+  STATUS_CHANGED: 'status_changed',
+  ASSIGNED: 'assigned',
+  NOTE_ADDED: 'note_added'
+};
+
+export function isValidLeadStatus(status) {
+  return LEAD_STATUSES.includes(status);
+}
+
+/**
+ * Check whether a lead may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransition(from, to) {
+  return (LEAD_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Get the statuses a lead can move to next
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+export function getNextStatuses(status) {
+  return [...(LEAD_TRANSITIONS[status] || [])];
+}
+
+// Leads can only be assigned to admin users, i.e. accounts on the company domain
+export function isAssignableEmail(email) {
+  return typeof email === 'string' && email.trim().toLowerCase().endsWith(ADMIN_EMAIL_DOMAIN);
+}
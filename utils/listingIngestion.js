@@ -0,0 +1,190 @@
+import prisma from '../models/prismaClient.js';
+import { normalizePhoneNumber } from './phone.js';
+import { handleDraftMessage } from './draftConversation.js';
+
+// MessageLog.status values: every message is logged as received, then marked with its outcome
+export const MESSAGE_STATUS = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+// Prisma error code for a unique constraint violation
+const UNIQUE_VIOLATION = 'P2002';
+
+// A message still `received` after this long was left behind by a crash during processing
+export const STALE_RECEIVED_MS = 5 * 60 * 1000;
+
+// Sent back when processing fails, so the sender knows to try again
+const FAILURE_REPLY = 'Sorry, we could not process your message. Please send it again in a few minutes.';
+
+/**
+ * Process one message from a sender: check the sender is an active verified
+ * number, then advance the sender's draft conversation with it.
+ * Does not write MessageLog, so it can be re-run for a logged message.
+ * @param {Object} message - Message
+ * @param {string} message.senderNumber - E.164 sender number
+ * @param {string} message.text - Message body
+ * @param {Array<string>} message.imageUrls - Image URLs attached to the message
+ * @returns {Promise<Object>} { status, error?, draft?, reply?, warehouseId? } where status is a MESSAGE_STATUS
+ */
+export async function processListingMessage({ senderNumber, text, imageUrls = [] }) {
+  const verified = await prisma.verifiedNumber.findUnique({
+    where: { phone_number: senderNumber }
+  });
+  if (!verified || !verified.is_active) {
+    return { status: MESSAGE_STATUS.REJECTED, error: 'Sender is not an active verified number' };
+  }
+
+  const outcome = await handleDraftMessage({ sender: verified, text, imageUrls });
+  return { status: MESSAGE_STATUS.PROCESSED, ...outcome };
+}
+
+/**
+ * Process a logged message and write the outcome back to its MessageLog row.
+ * Processing errors are recorded as `failed` rather than thrown.
+ * @param {Object} log - MessageLog row
+ * @param {Array<string>} imageUrls - Image URLs attached to the message
+ * @returns {Promise<Object>} { messageLogId, status, error?, warehouseId?, reply? } where reply
+ *   is the text to send back to the sender
+ */
+async function processLoggedMessage(log, imageUrls) {
+  const senderNumber = log.sender_number;
+
+  let outcome;
+  try {
+    outcome = await processListingMessage({ senderNumber, text: log.message_body, imageUrls });
+  } catch (error) {
+    console.error(`Failed to process WhatsApp message ${log.id} from ${senderNumber}:`, error);
+    outcome = { status: MESSAGE_STATUS.FAILED, error: error.message, reply: FAILURE_REPLY };
+  }
+
+  await prisma.messageLog.update({
+    where: { id: log.id },
+    data: { status: outcome.status, error_message: outcome.error || null }
+  });
+
+  if (outcome.status === MESSAGE_STATUS.REJECTED) {
+    console.warn(`[WHATSAPP] Rejected message ${log.id} from unverified sender ${senderNumber}`);
+  }
+
+  return {
+    messageLogId: log.id,
+    status: outcome.status,
+    ...(outcome.error && { error: outcome.error }),
+    ...(outcome.warehouseId && { warehouseId: outcome.warehouseId }),
+    ...(outcome.reply && { reply: outcome.reply })
+  };
+}
+
+/**
+ * Log an inbound WhatsApp message and process it. The log row is written before
+ * processing so no message is lost, and a processing error does not make the
+ * provider redeliver the message. A message can carry several images (Twilio sends
+ * MediaUrl0..N): MessageLog.image_urls keeps all of them and image_url the first.
+ * Rejected senders get no reply.
+ *
+ * Providers redeliver messages they think were not received. A message whose
+ * providerMessageId is already logged is not processed again: the existing log's
+ * outcome is returned with `duplicate: true` and no reply. The exception is a log
+ * left `received` for longer than STALE_RECEIVED_MS, which is claimed and processed.
+ * @param {Object} message - Provider-neutral message from a WhatsApp provider's parseInbound
+ * @returns {Promise<Object>} Outcome, see processLoggedMessage
+ */
+export async function ingestInboundMessage({ providerMessageId = null, from, text = '', imageUrls = [] }) {
+  let log;
+  try {
+    log = await prisma.messageLog.create({
+      data: {
+        sender_number: normalizePhoneNumber(from) || String(from),
+        message_body: text,
+        status: MESSAGE_STATUS.RECEIVED,
+        image_url: imageUrls[0] || null,
+        image_urls: imageUrls,
+        provider_message_id: providerMessageId
+      }
+    });
+  } catch (error) {
+    if (error.code !== UNIQUE_VIOLATION || !providerMessageId) throw error;
+
+    const existing = await prisma.messageLog.findUnique({ where: { provider_message_id: providerMessageId } });
+
+    // The first delivery was logged but never processed; the redelivery picks it up
+    if (existing.status === MESSAGE_STATUS.RECEIVED && canReprocess(existing)) {
+      const outcome = await reprocessMessage(existing);
+      if (outcome) {
+        console.warn(`[WHATSAPP] Processed redelivery of message ${providerMessageId}: log ${existing.id} was left unprocessed`);
+        return outcome;
+      }
+    }
+
+    console.warn(`[WHATSAPP] Ignored redelivery of message ${providerMessageId} (log ${existing.id})`);
+    return { messageLogId: existing.id, status: existing.status, duplicate: true };
+  }
+
+  return processLoggedMessage(log, imageUrls);
+}
+
+/**
+ * Whether a message can be reprocessed: it failed, or it has been `received` for longer
+ * than STALE_RECEIVED_MS without being claimed in that time (processing crashed)
+ * @param {Object} log - MessageLog row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function canReprocess(log, now = new Date()) {
+  if (log.status === MESSAGE_STATUS.FAILED) return true;
+  if (log.status !== MESSAGE_STATUS.RECEIVED) return false;
+
+  const staleBefore = now.getTime() - STALE_RECEIVED_MS;
+  return log.received_at.getTime() < staleBefore && (!log.reprocessed_at || log.reprocessed_at.getTime() < staleBefore);
+}
+
+/**
+ * MessageLog where clause that only matches the row while canReprocess still holds
+ * @param {Object} log - MessageLog row
+ * @param {Date} now - Current time
+ * @returns {Object} Where clause
+ */
+function reprocessClaimWhere(log, now) {
+  if (log.status === MESSAGE_STATUS.FAILED) {
+    return { id: log.id, status: MESSAGE_STATUS.FAILED };
+  }
+
+  // reprocessed_at marks the claim, so a stale message is not picked up twice
+  const staleBefore = new Date(now.getTime() - STALE_RECEIVED_MS);
+  return {
+    id: log.id,
+    status: MESSAGE_STATUS.RECEIVED,
+    received_at: { lt: staleBefore },
+    OR: [{ reprocessed_at: null }, { reprocessed_at: { lt: staleBefore } }]
+  };
+}
+
+/**
+ * Run processing again for a failed message, or one left `received` by a crash, writing
+ * the new outcome to its log. The row is first claimed by setting it to `received` with
+ * a new `reprocessed_at`, so two concurrent retries cannot both process it.
+ * @param {Object} log - MessageLog row
+ * @returns {Promise<Object|null>} Outcome (see processLoggedMessage), or null if the
+ *   message cannot be (or is already being) reprocessed
+ */
+export async function reprocessMessage(log) {
+  const now = new Date();
+  if (!canReprocess(log, now)) return null;
+
+  const { count } = await prisma.messageLog.updateMany({
+    where: reprocessClaimWhere(log, now),
+    data: {
+      status: MESSAGE_STATUS.RECEIVED,
+      reprocess_count: { increment: 1 },
+      reprocessed_at: now
+    }
+  });
+  if (count === 0) return null;
+
+  // Rows logged before image_urls existed only have the first image
+  const imageUrls = log.image_urls?.length > 0 ? log.image_urls : [log.image_url].filter(Boolean);
+  return processLoggedMessage(log, imageUrls);
+}
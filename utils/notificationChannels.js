@@ -0,0 +1,385 @@
+import emailjs from '@emailjs/nodejs';
+import nodemailer from 'nodemailer';
+import { normalizePhoneNumber } from './phone.js';
+
+// Internal recipients when NOTIFY_EMAIL_RECIPIENTS is not set
+const DEFAULT_EMAIL_RECIPIENTS = ['ranita@wareongo.com'];
+
+// EmailJS free tier limits; other channels use the same conservative defaults unless configured
+export const DEFAULT_RATE_LIMITS = {
+  monthly: 200,
+  daily: 10,
+  hourly: 5
+};
+
+export const CHANNEL_NAMES = ['emailjs', 'smtp', 'webhook', 'sms', 'whatsapp', 'memory'];
+
+const DEFAULT_CHANNELS = 'emailjs';
+
+/**
+ * Split a comma-separated environment variable into trimmed, non-empty values
+ * @param {string} value - Raw value
+ * @returns {Array<string>} Values
+ */
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a channel's rate limits, e.g. "monthly:1000,daily:100,hourly:20".
+ * Periods that are not listed keep their default.
+ * @param {string} value - Raw value
+ * @returns {Object} { monthly, daily, hourly }
+ */
+export function parseRateLimits(value) {
+  const limits = { ...DEFAULT_RATE_LIMITS };
+
+  for (const entry of splitList(value)) {
+    const [period, limit] = entry.split(':').map(part => part.trim());
+    const parsed = parseInt(limit);
+    if (!(period in limits) || isNaN(parsed) || parsed < 0) {
+      throw new Error(`Invalid notification rate limit "${entry}" (expected e.g. "daily:10")`);
+    }
+    limits[period] = parsed;
+  }
+
+  return limits;
+}
+
+/**
+ * Names of the given config keys whose values are missing
+ * @param {Object} required - Environment variable name to configured value
+ * @returns {Array<string>} Missing environment variable names
+ */
+function missingVariables(required) {
+  return Object.entries(required).filter(([, value]) => !value).map(([name]) => name);
+}
+
+function errorMessage(error) {
+  return error.message || error.text || 'Unknown error';
+}
+
+/**
+ * Send to each recipient in turn so one failure does not stop the others
+ * @param {Array<string>} recipients - Recipients
+ * @param {Function} sendOne - async (recipient) => status
+ * @returns {Promise<Array<Object>>} [{ recipient, success, status?, error? }]
+ */
+async function sendToEach(recipients, sendOne) {
+  const results = [];
+  for (const recipient of recipients) {
+    try {
+      const status = await sendOne(recipient);
+      results.push({ recipient, success: true, status });
+    } catch (error) {
+      results.push({ recipient, success: false, error: errorMessage(error) });
+    }
+  }
+  return results;
+}
+
+/*
+ * Every channel has the same shape:
+ *   name        - Channel name, used in NOTIFICATION_CHANNELS and logs
+ *   recipients  - Who receives each notification by default
+ *   limits      - { monthly, daily, hourly } deliveries allowed per period
+ *   validateConfiguration() - { isValid, missingVariables }
+ *   send(notification, recipients?) - Deliver { type, subject, message, summary, replyTo } to every
+ *                             recipient (the given routed recipients, or `recipients`), resolving
+ *                             to [{ recipient, success, status?, error? }]. Webhooks have a single
+ *                             destination and ignore routed recipients.
+ */
+
+/**
+ * Email through EmailJS, one email per recipient. The template receives
+ * `subject`, `message`, `email` (reply-to) and `to_email`.
+ */
+export class EmailJsChannel {
+  constructor({ serviceId, templateId, publicKey, privateKey, recipients = DEFAULT_EMAIL_RECIPIENTS, limits = DEFAULT_RATE_LIMITS } = {}) {
+    this.name = 'emailjs';
+    this.serviceId = serviceId;
+    this.templateId = templateId;
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
+    this.recipients = recipients;
+    this.limits = limits;
+  }
+
+  validateConfiguration() {
+    const missing = missingVariables({
+      EMAILJS_SERVICE_ID: this.serviceId,
+      EMAILJS_PUBLIC_KEY: this.publicKey,
+      EMAILJS_PRIVATE_KEY: this.privateKey,
+      EMAILJS_TEMPLATE_ID: this.templateId
+    });
+    return { isValid: missing.length === 0, missingVariables: missing };
+  }
+
+  async send(notification, recipients = this.recipients) {
+    return sendToEach(recipients, async recipient => {
+      const response = await emailjs.send(
+        this.serviceId,
+        this.templateId,
+        {
+          subject: notification.subject,
+          message: notification.message,
+          email: notification.replyTo,
+          to_email: recipient
+        },
+        { publicKey: this.publicKey, privateKey: this.privateKey }
+      );
+      return response.status;
+    });
+  }
+}
+
+/**
+ * Plain-text email over SMTP, one email per recipient
+ */
+export class SmtpChannel {
+  constructor({ host, port = 587, secure = false, user, pass, from, recipients = DEFAULT_EMAIL_RECIPIENTS, limits = DEFAULT_RATE_LIMITS, transport } = {}) {
+    this.name = 'smtp';
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.user = user;
+    this.pass = pass;
+    this.from = from;
+    this.recipients = recipients;
+    this.limits = limits;
+    // Injectable for tests; otherwise created on first send
+    this.transport = transport || null;
+  }
+
+  validateConfiguration() {
+    const missing = missingVariables({ SMTP_HOST: this.host, SMTP_FROM: this.from });
+    return { isValid: missing.length === 0, missingVariables: missing };
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: this.pass } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  async send(notification, recipients = this.recipients) {
+    return sendToEach(recipients, async recipient => {
+      const info = await this.getTransport().sendMail({
+        from: this.from,
+        to: recipient,
+        replyTo: notification.replyTo,
+        subject: notification.subject,
+        text: notification.message
+      });
+      return info.response;
+    });
+  }
+}
+
+/**
+ * Post to a Slack or Microsoft Teams style incoming webhook
+ */
+export class WebhookChannel {
+  constructor({ url, format = 'slack', limits = DEFAULT_RATE_LIMITS } = {}) {
+    if (!['slack', 'teams'].includes(format)) {
+      throw new Error(`Unknown NOTIFY_WEBHOOK_FORMAT "${format}" (expected "slack" or "teams")`);
+    }
+
+    this.name = 'webhook';
+    this.url = url;
+    this.format = format;
+    this.limits = limits;
+    // The URL embeds the webhook's secret, so only its host is reported
+    this.recipients = url ? [new URL(url).host] : [];
+  }
+
+  validateConfiguration() {
+    const missing = missingVariables({ NOTIFY_WEBHOOK_URL: this.url });
+    return { isValid: missing.length === 0, missingVariables: missing };
+  }
+
+  /**
+   * Build the webhook payload
+   * @param {Object} notification - Notification
+   * @returns {Object} Slack `text` message or Teams MessageCard
+   */
+  formatPayload(notification) {
+    if (this.format === 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: notification.subject,
+        title: notification.subject,
+        text: `<pre>${notification.message}</pre>`
+      };
+    }
+    return { text: `*${notification.subject}*\n\`\`\`${notification.message}\`\`\`` };
+  }
+
+  async send(notification) {
+    return sendToEach(this.recipients, async () => {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.formatPayload(notification))
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Webhook request failed with status ${response.status}: ${detail}`);
+      }
+      return response.status;
+    });
+  }
+}
+
+/**
+ * Short text messages (SMS or WhatsApp) through an HTTP messaging provider.
+ * Each recipient gets a POST of `{ channel, from, to, body }` with a bearer token,
+ * which most providers accept directly or through a small relay.
+ */
+export class HttpMessageChannel {
+  constructor({ name, apiUrl, apiKey, from, recipients = [], limits = DEFAULT_RATE_LIMITS } = {}) {
+    this.name = name;
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.from = from;
+    this.recipients = recipients;
+    this.limits = limits;
+  }
+
+  // Recipients may come from the database instead of NOTIFY_<NAME>_RECIPIENTS, so they are
+  // checked per notification after routing rather than here
+  validateConfiguration() {
+    const prefix = `NOTIFY_${this.name.toUpperCase()}`;
+    const missing = missingVariables({
+      [`${prefix}_API_URL`]: this.apiUrl,
+      [`${prefix}_API_KEY`]: this.apiKey
+    });
+    return { isValid: missing.length === 0, missingVariables: missing };
+  }
+
+  async send(notification, recipients = this.recipients) {
+    return sendToEach(recipients, async recipient => {
+      const response = await fetch(this.apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({ channel: this.name, from: this.from, to: recipient, body: notification.summary })
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Message request failed with status ${response.status}: ${detail}`);
+      }
+      return response.status;
+    });
+  }
+}
+
+/**
+ * Keeps notifications in memory instead of sending them, for tests and local development.
+ * Set `error` to make every delivery fail with that message.
+ */
+export class MemoryChannel {
+  constructor({ name = 'memory', recipients = ['memory'], limits = DEFAULT_RATE_LIMITS, error = null } = {}) {
+    this.name = name;
+    this.recipients = recipients;
+    this.limits = limits;
+    this.error = error;
+    this.sent = [];
+  }
+
+  validateConfiguration() {
+    return { isValid: true, missingVariables: [] };
+  }
+
+  async send(notification, recipients = this.recipients) {
+    return sendToEach(recipients, async recipient => {
+      if (this.error) throw new Error(this.error);
+      this.sent.push({ recipient, ...notification });
+      return 'stored';
+    });
+  }
+}
+
+/**
+ * Parse phone numbers for a messaging channel into E.164
+ * @param {string} value - Comma-separated phone numbers
+ * @param {string} variable - Environment variable name, for the error message
+ * @returns {Array<string>} E.164 numbers
+ */
+function parsePhoneRecipients(value, variable) {
+  return splitList(value).map(phone => {
+    const normalized = normalizePhoneNumber(phone);
+    if (!normalized) throw new Error(`Invalid phone number "${phone}" in ${variable}`);
+    return normalized;
+  });
+}
+
+/**
+ * Create the notification channels enabled by NOTIFICATION_CHANNELS (default "emailjs")
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Array<Object>} Channels, in the configured order
+ */
+export function createNotificationChannels(env = process.env) {
+  const names = splitList(env.NOTIFICATION_CHANNELS ?? DEFAULT_CHANNELS);
+  const emailRecipients = env.NOTIFY_EMAIL_RECIPIENTS ? splitList(env.NOTIFY_EMAIL_RECIPIENTS) : DEFAULT_EMAIL_RECIPIENTS;
+
+  return [...new Set(names)].map(name => {
+    const limits = parseRateLimits(env[`NOTIFY_${name.toUpperCase()}_RATE_LIMIT`]);
+
+    switch (name) {
+      case 'emailjs':
+        return new EmailJsChannel({
+          serviceId: env.EMAILJS_SERVICE_ID,
+          templateId: env.EMAILJS_TEMPLATE_ID,
+          publicKey: env.EMAILJS_PUBLIC_KEY,
+          privateKey: env.EMAILJS_PRIVATE_KEY,
+          recipients: emailRecipients,
+          limits
+        });
+      case 'smtp':
+        return new SmtpChannel({
+          host: env.SMTP_HOST,
+          port: parseInt(env.SMTP_PORT) || 587,
+          secure: env.SMTP_SECURE === 'true',
+          user: env.SMTP_USER,
+          pass: env.SMTP_PASS,
+          from: env.SMTP_FROM,
+          recipients: emailRecipients,
+          limits
+        });
+      case 'webhook':
+        return new WebhookChannel({
+          url: env.NOTIFY_WEBHOOK_URL,
+          format: env.NOTIFY_WEBHOOK_FORMAT || 'slack',
+          limits
+        });
+      case 'sms':
+      case 'whatsapp': {
+        const prefix = `NOTIFY_${name.toUpperCase()}`;
+        return new HttpMessageChannel({
+          name,
+          apiUrl: env[`${prefix}_API_URL`],
+          apiKey: env[`${prefix}_API_KEY`],
+          from: env[`${prefix}_FROM`],
+          recipients: parsePhoneRecipients(env[`${prefix}_RECIPIENTS`], `${prefix}_RECIPIENTS`),
+          limits
+        });
+      }
+      case 'memory':
+        return new MemoryChannel({ limits });
+      default:
+        throw new Error(`Unknown notification channel "${name}" in NOTIFICATION_CHANNELS (expected one of ${CHANNEL_NAMES.join(', ')})`);
+    }
+  });
+}
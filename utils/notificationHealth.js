@@ -0,0 +1,63 @@
+import notificationService from './notificationService.js';
+import { RATE_LIMIT_PERIODS } from './notificationRateLimit.js';
+import { getOutboxSummary } from './notificationOutbox.js';
+
+export const NOTIFICATION_HEALTH = {
+  OK: 'OK',
+  DEGRADED: 'DEGRADED',
+  ERROR: 'ERROR'
+};
+
+// Due notifications waiting longer than this mean the outbox worker is not keeping up
+const OUTBOX_OVERDUE_MS = 5 * 60 * 1000;
+
+// How long GET /health reuses a computed status, so frequent probes do not each query the outbox
+const HEALTH_STATUS_TTL_MS = 30 * 1000;
+
+/**
+ * Check notification health:
+ * - ERROR: no channel is configured correctly, so nothing can be delivered
+ * - DEGRADED: a channel is misconfigured or has reached a rate limit, or due
+ *   notifications have been waiting for more than five minutes
+ * - OK otherwise
+ * @returns {Promise<Object>} { status, channels, outbox, configuration, rateLimits } where channels
+ *   holds { name, configured, rateLimited } and outbox the getOutboxSummary counts plus `overdue`
+ */
+export async function getNotificationHealth() {
+  const configuration = notificationService.validateConfiguration();
+  const [rateLimits, outbox] = await Promise.all([
+    notificationService.getRateLimitStatus(),
+    getOutboxSummary()
+  ]);
+
+  const channels = configuration.channels.map(channel => ({
+    name: channel.name,
+    configured: channel.isValid,
+    rateLimited: RATE_LIMIT_PERIODS.some(period => rateLimits[channel.name][period].remaining === 0)
+  }));
+  const overdue = outbox.oldestDueAt !== null && Date.now() - outbox.oldestDueAt.getTime() > OUTBOX_OVERDUE_MS;
+
+  let status = NOTIFICATION_HEALTH.OK;
+  if (!channels.some(channel => channel.configured)) {
+    status = NOTIFICATION_HEALTH.ERROR;
+  } else if (overdue || channels.some(channel => !channel.configured || channel.rateLimited)) {
+    status = NOTIFICATION_HEALTH.DEGRADED;
+  }
+
+  return { status, channels, outbox: { ...outbox, overdue }, configuration, rateLimits };
+}
+
+let cachedStatus = null;
+
+/**
+ * Notification health status only, reused for HEALTH_STATUS_TTL_MS. For the public
+ * GET /health, which must stay cheap and not expose channel or outbox details.
+ * @returns {Promise<string>} A NOTIFICATION_HEALTH value
+ */
+export async function getNotificationHealthStatus() {
+  if (!cachedStatus || Date.now() >= cachedStatus.expiresAt) {
+    const { status } = await getNotificationHealth();
+    cachedStatus = { status, expiresAt: Date.now() + HEALTH_STATUS_TTL_MS };
+  }
+  return cachedStatus.status;
+}
@@ -0,0 +1,329 @@
+import prisma from '../models/prismaClient.js';
+import notificationService from './notificationService.js';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SENT: 'sent',
+  DEAD: 'dead'
+};
+
+export const NOTIFICATION_TYPE = {
+  ENQUIRY: 'enquiry',
+  CUSTOMER_REQUEST: 'customer_request'
+};
+
+const BATCH_SIZE = 20;
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+// Retry delays double from one minute, capped at six hours: 1m, 2m, 4m ... until max_attempts
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// A row left in `processing` this long belongs to a worker that died mid-delivery
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Outbox row to write alongside a new record, as a nested create
+ * @param {string} type - A NOTIFICATION_TYPE
+ * @returns {Object} Prisma nested write for the record's `notifications` relation
+ */
+export function outboxEntryFor(type) {
+  return { create: { type } };
+}
+
+/**
+ * Where-clause for rows that are due: pending rows whose retry time has come, and
+ * processing rows whose worker appears to have died
+ * @param {Date} now - Current time
+ * @returns {Object} Prisma where-clause
+ */
+function dueWhere(now) {
+  return {
+    OR: [
+      { status: OUTBOX_STATUS.PENDING, next_attempt_at: { lte: now } },
+      { status: OUTBOX_STATUS.PROCESSING, locked_at: { lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+    ]
+  };
+}
+
+/**
+ * Claim due rows by moving them to `processing`. Each row is claimed with a
+ * conditional update, so concurrent workers never deliver the same row twice.
+ * @param {number} limit - Maximum rows to claim
+ * @returns {Promise<Array<Object>>} Claimed rows with their enquiry or customer request
+ */
+async function claimDueEntries(limit) {
+  const now = new Date();
+  const candidates = await prisma.notification_outbox.findMany({
+    where: dueWhere(now),
+    orderBy: { next_attempt_at: 'asc' },
+    take: limit,
+    select: { id: true }
+  });
+
+  const claimed = [];
+  for (const { id } of candidates) {
+    const { count } = await prisma.notification_outbox.updateMany({
+      where: { id, ...dueWhere(now) },
+      data: { status: OUTBOX_STATUS.PROCESSING, locked_at: now }
+    });
+    if (count === 1) claimed.push(id);
+  }
+  if (claimed.length === 0) return [];
+
+  return prisma.notification_outbox.findMany({
+    where: { id: { in: claimed } },
+    include: { enquiry: true, customer_request: true },
+    orderBy: { id: 'asc' }
+  });
+}
+
+/**
+ * Per-channel outcome worth keeping on the row. A channel that reached only some of its
+ * recipients has not delivered; the recipients it did reach are kept in `delivered`.
+ * @param {Object} result - NotificationService result
+ * @returns {Array<Object>|null} [{ channel, success, delivered?, error?, rateLimited? }]
+ */
+function summarizeResult(result) {
+  if (!result.channels) return null;
+  return result.channels.map(channel => {
+    const delivered = (channel.results || []).filter(outcome => outcome.success).map(outcome => outcome.recipient);
+    return {
+      channel: channel.channel,
+      success: channel.success && !channel.partialSuccess,
+      ...(delivered.length > 0 && { delivered }),
+      ...(channel.error && { error: channel.error }),
+      ...(channel.rateLimited && { rateLimited: true })
+    };
+  });
+}
+
+/**
+ * Send a claimed row's notification through the channels that have not delivered it
+ * yet, and record the outcome:
+ * - every channel has delivered: `sent` (never when no channel is enabled)
+ * - every failed channel rate-limited: `pending` until the earliest limit resets, without using an attempt
+ * - a channel failed with attempts left: `pending` with exponential backoff
+ * - a channel failed on the last attempt, or the record is gone: `dead`
+ * `last_result` keeps channels that delivered on earlier attempts, so retries skip them, and the
+ * recipients a partly delivered channel reached, so retries only send to the others.
+ * @param {Object} entry - Claimed outbox row with its enquiry or customer request
+ * @returns {Promise<string>} New status
+ */
+async function deliverEntry(entry) {
+  const record = entry.type === NOTIFICATION_TYPE.ENQUIRY ? entry.enquiry : entry.customer_request;
+  const attempts = entry.attempts + 1;
+  const now = new Date();
+
+  const previous = entry.last_result || [];
+  const delivered = previous.filter(channel => channel.success);
+  const channels = notificationService.channels.filter(channel => !delivered.some(done => done.channel === channel.name));
+  const skipRecipients = Object.fromEntries(previous
+    .filter(channel => !channel.success && channel.delivered?.length > 0)
+    .map(channel => [channel.channel, channel.delivered]));
+
+  let result;
+  if (!record) {
+    result = { success: false, error: `No ${entry.type} is linked to this notification` };
+  } else if (channels.length === 0 && delivered.length > 0) {
+    // Every channel delivered before the row could be marked sent
+    result = { success: true, channels: [] };
+  } else {
+    try {
+      result = entry.type === NOTIFICATION_TYPE.ENQUIRY
+        ? await notificationService.sendEnquiryNotification(record, { channels, skipRecipients })
+        : await notificationService.sendCustomerRequestNotification(record, { channels, skipRecipients });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+  }
+
+  const failed = result.channels ? result.channels.filter(channel => !channel.success || channel.partialSuccess) : null;
+  const outcomes = (summarizeResult(result) || []).map(outcome => {
+    const earlier = skipRecipients[outcome.channel];
+    return earlier ? { ...outcome, delivered: [...earlier, ...(outcome.delivered || [])] } : outcome;
+  });
+  const lastResult = [...delivered, ...outcomes];
+  const lastError = failed?.length > 0
+    ? failed.map(channel => `${channel.channel}: ${channel.error}`).join('; ')
+    : result.error;
+
+  let data;
+  // A result without failed channels can still be a failure, e.g. when no channel is enabled
+  if (result.success && failed?.length === 0) {
+    data = { status: OUTBOX_STATUS.SENT, attempts, sent_at: now, last_error: null };
+  } else if (failed?.length > 0 && failed.every(channel => channel.rateLimited)) {
+    const resetDates = failed.map(channel => channel.resetDate).filter(Boolean);
+    const nextAttemptAt = resetDates.length > 0
+      ? new Date(Math.min(...resetDates.map(date => date.getTime())))
+      : new Date(now.getTime() + retryDelay(1));
+    data = { status: OUTBOX_STATUS.PENDING, next_attempt_at: nextAttemptAt, last_error: lastError };
+  } else if (!record || attempts >= entry.max_attempts) {
+    data = { status: OUTBOX_STATUS.DEAD, attempts, last_error: lastError };
+  } else {
+    data = {
+      status: OUTBOX_STATUS.PENDING,
+      attempts,
+      next_attempt_at: new Date(now.getTime() + retryDelay(attempts)),
+      last_error: lastError
+    };
+  }
+
+  await prisma.notification_outbox.update({
+    where: { id: entry.id },
+    data: { ...data, locked_at: null, last_attempt_at: now, ...(lastResult.length > 0 && { last_result: lastResult }) }
+  });
+
+  if (data.status === OUTBOX_STATUS.DEAD) {
+    console.error(`[OUTBOX] Notification ${entry.id} (${entry.type}) moved to dead letter after ${attempts} attempts: ${lastError}`);
+  }
+  return data.status;
+}
+
+/**
+ * Claim and deliver one batch of due notifications
+ * @param {number} limit - Batch size
+ * @returns {Promise<Object>} { claimed, sent, pending, dead }
+ */
+async function processBatch(limit) {
+  const entries = await claimDueEntries(limit);
+  const totals = { claimed: entries.length, sent: 0, pending: 0, dead: 0 };
+
+  for (const entry of entries) {
+    const status = await deliverEntry(entry);
+    totals[status]++;
+  }
+  return totals;
+}
+
+let running = null;
+let rerun = false;
+
+/**
+ * Deliver due notifications. Only one run is active per process; a call made
+ * during a run schedules another batch once it finishes, so new rows are not
+ * left waiting for the next poll.
+ * @param {Object} options
+ * @param {number} options.limit - Batch size
+ * @returns {Promise<Object>} Totals across batches: { claimed, sent, pending, dead }
+ */
+export function runOutbox({ limit = BATCH_SIZE } = {}) {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+
+  running = (async () => {
+    const totals = { claimed: 0, sent: 0, pending: 0, dead: 0 };
+    do {
+      rerun = false;
+      const batch = await processBatch(limit);
+      Object.keys(totals).forEach(key => { totals[key] += batch[key]; });
+    } while (rerun);
+    return totals;
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+/**
+ * Start delivering due notifications in the background, without waiting for the next poll.
+ * Errors are logged; undelivered rows stay in the outbox.
+ */
+export function triggerOutboxDelivery() {
+  setImmediate(() => {
+    runOutbox().catch(error => console.error('[OUTBOX] Notification delivery run failed:', error));
+  });
+}
+
+/**
+ * Poll the outbox every NOTIFICATION_OUTBOX_INTERVAL_MS (default 30s; 0 disables polling).
+ * Runs once straight away to pick up rows left over from before a restart.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Function} Stops the worker
+ */
+export function startOutboxWorker(env = process.env) {
+  const parsed = parseInt(env.NOTIFICATION_OUTBOX_INTERVAL_MS);
+  const intervalMs = isNaN(parsed) ? DEFAULT_INTERVAL_MS : parsed;
+  if (intervalMs <= 0) return () => {};
+
+  triggerOutboxDelivery();
+  const timer = setInterval(triggerOutboxDelivery, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Queue a dead or waiting notification for immediate delivery with a fresh set of attempts
+ * @param {number} id - Outbox row ID
+ * @returns {Promise<boolean>} False if the row is being delivered or was already sent
+ */
+export async function retryOutboxEntry(id) {
+  const { count } = await prisma.notification_outbox.updateMany({
+    where: { id, status: { in: [OUTBOX_STATUS.DEAD, OUTBOX_STATUS.PENDING] } },
+    data: { status: OUTBOX_STATUS.PENDING, attempts: 0, next_attempt_at: new Date(), locked_at: null }
+  });
+  if (count === 0) return false;
+
+  triggerOutboxDelivery();
+  return true;
+}
+
+/**
+ * Most recent delivery attempts across every server instance, newest first
+ * @param {number} limit - Maximum entries
+ * @returns {Promise<Array<Object>>} { id, at, type, recordId, status, success, attempts, error?, channels }
+ *   where channels is the per-channel outcome kept in last_result
+ */
+export async function getDeliveryHistory(limit) {
+  const rows = await prisma.notification_outbox.findMany({
+    where: { last_attempt_at: { not: null } },
+    orderBy: [{ last_attempt_at: 'desc' }, { id: 'desc' }],
+    take: limit
+  });
+
+  return rows.map(row => ({
+    id: row.id,
+    at: row.last_attempt_at,
+    type: row.type,
+    recordId: row.enquiry_id ?? row.customer_request_id,
+    status: row.status,
+    success: row.status === OUTBOX_STATUS.SENT,
+    attempts: row.attempts,
+    ...(row.last_error && { error: row.last_error }),
+    channels: row.last_result || []
+  }));
+}
+
+/**
+ * Outbox counts per status, and when the longest-waiting due notification became due
+ * @returns {Promise<Object>} { pending, processing, sent, dead, oldestDueAt }
+ */
+export async function getOutboxSummary() {
+  const [groups, oldestDue] = await Promise.all([
+    prisma.notification_outbox.groupBy({ by: ['status'], _count: { _all: true } }),
+    prisma.notification_outbox.findFirst({
+      where: { status: OUTBOX_STATUS.PENDING, next_attempt_at: { lte: new Date() } },
+      orderBy: { next_attempt_at: 'asc' },
+      select: { next_attempt_at: true }
+    })
+  ]);
+
+  const summary = Object.fromEntries(Object.values(OUTBOX_STATUS).map(status => [status, 0]));
+  groups.forEach(group => {
+    summary[group.status] = group._count._all;
+  });
+  return { ...summary, oldestDueAt: oldestDue?.next_attempt_at ?? null };
+}
@@ -0,0 +1,314 @@
+import redis from '../models/redisClient.js';
+
+export const RATE_LIMIT_PERIODS = ['monthly', 'daily', 'hourly'];
+
+const KEY_PREFIX = 'notifications:ratelimit';
+
+/**
+ * Get next month reset date (1st of next month)
+ * @returns {Date} Next month reset date
+ */
+function getNextMonthReset() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() + 1, 1);
+}
+
+/**
+ * Get next day reset date (midnight tomorrow)
+ * @returns {Date} Next day reset date
+ */
+function getNextDayReset() {
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(0, 0, 0, 0);
+  return tomorrow;
+}
+
+/**
+ * Get next hour reset date
+ * @returns {Date} Next hour reset date
+ */
+function getNextHourReset() {
+  const nextHour = new Date();
+  nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+  return nextHour;
+}
+
+const NEXT_RESET = {
+  monthly: getNextMonthReset,
+  daily: getNextDayReset,
+  hourly: getNextHourReset
+};
+
+/**
+ * Delivery counters in Redis, shared by every server instance. Each period's
+ * counter lives under a key named after the period's reset date, so a new key
+ * starts at zero when the period rolls over and the old one expires.
+ */
+export class RedisCounterStore {
+  /**
+   * @param {Object} client - Connected node-redis client
+   */
+  constructor(client = redis) {
+    this.client = client;
+  }
+
+  /**
+   * Fail fast instead of queueing commands while Redis is unreachable
+   */
+  ensureReady() {
+    if (!this.client.isReady) {
+      throw new Error('Redis is not connected');
+    }
+  }
+
+  /**
+   * Read counters
+   * @param {Array<string>} keys - Counter keys
+   * @returns {Promise<Array<number>>} Counts, 0 for missing keys
+   */
+  async get(keys) {
+    this.ensureReady();
+    const values = await this.client.mGet(keys);
+    return values.map(value => parseInt(value) || 0);
+  }
+
+  /**
+   * Atomically increment a counter and expire it when its period ends
+   * @param {string} key - Counter key
+   * @param {number} amount - Increment
+   * @param {Date} expiresAt - End of the counter's period
+   */
+  async increment(key, amount, expiresAt) {
+    this.ensureReady();
+    await this.client.multi()
+      .incrBy(key, amount)
+      .expireAt(key, Math.ceil(expiresAt.getTime() / 1000))
+      .exec();
+  }
+
+  /**
+   * Delete counters
+   * @param {Array<string>} keys - Counter keys
+   */
+  async delete(keys) {
+    this.ensureReady();
+    await this.client.del(keys);
+  }
+}
+
+/**
+ * Choose where delivery counters are kept. NOTIFY_RATE_LIMIT_STORE=memory keeps them
+ * in process memory only (single instance, lost on restart); the default is Redis.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {RedisCounterStore|null} Counter store, or null for memory only
+ */
+export function createRateLimitStore(env = process.env) {
+  const store = (env.NOTIFY_RATE_LIMIT_STORE || 'redis').toLowerCase();
+  if (store === 'memory') return null;
+  if (store !== 'redis') {
+    throw new Error(`Invalid NOTIFY_RATE_LIMIT_STORE "${env.NOTIFY_RATE_LIMIT_STORE}". Expected redis or memory`);
+  }
+  return new RedisCounterStore();
+}
+
+/**
+ * Delivery counters for one notification channel, reset at the start of each
+ * month, day and hour.
+ *
+ * Counts are kept in the shared store so limits hold across restarts and
+ * instances. A local copy is kept alongside: when the store is unavailable the
+ * limiter carries on from the last known counts and logs a warning, and goes
+ * back to the store once it recovers. Deliveries counted while the store was
+ * unavailable are written to it on recovery, before its counts are read.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} limits - { monthly, daily, hourly } deliveries allowed per period
+   * @param {Object} options
+   * @param {string} options.name - Channel name, used in counter keys
+   * @param {RedisCounterStore|null} options.store - Shared counter store (null for memory only)
+   * @param {Function} options.onReset - Called with the period name when a counter resets
+   */
+  constructor(limits, { name = 'default', store = null, onReset = () => {} } = {}) {
+    this.limits = limits;
+    this.name = name;
+    this.store = store;
+    this.onReset = onReset;
+    this.storeAvailable = true;
+    this.counts = {};
+    // Deliveries recorded locally that could not be written to the store, per period
+    this.unsynced = {};
+    RATE_LIMIT_PERIODS.forEach(period => {
+      this.counts[period] = { count: 0, resetDate: NEXT_RESET[period]() };
+      this.unsynced[period] = 0;
+    });
+  }
+
+  /**
+   * Counter key for a period
+   * @param {string} period - 'monthly', 'daily' or 'hourly'
+   * @returns {string} Key, e.g. notifications:ratelimit:emailjs:daily:1760745600000
+   */
+  key(period) {
+    return `${KEY_PREFIX}:${this.name}:${period}:${this.counts[period].resetDate.getTime()}`;
+  }
+
+  /**
+   * Run a store operation, falling back to the local counts if it fails
+   * @param {Function} operation - Async store operation
+   * @returns {Promise<*>} Operation result, or undefined on failure or without a store
+   */
+  async withStore(operation) {
+    if (!this.store) return undefined;
+
+    try {
+      const result = await operation(this.store);
+      if (!this.storeAvailable) {
+        this.storeAvailable = true;
+        console.log(`Notification rate limits for ${this.name} are using the shared store again`);
+      }
+      return result;
+    } catch (error) {
+      if (this.storeAvailable) {
+        this.storeAvailable = false;
+        console.warn(`Notification rate limit store unavailable for ${this.name}, using in-memory counts:`, error.message);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Reset local counters whose reset dates have passed
+   */
+  refresh() {
+    const now = new Date();
+    RATE_LIMIT_PERIODS.forEach(period => {
+      if (now >= this.counts[period].resetDate) {
+        this.counts[period] = { count: 0, resetDate: NEXT_RESET[period]() };
+        this.unsynced[period] = 0;
+        this.onReset(period, this.counts[period].resetDate);
+      }
+    });
+  }
+
+  /**
+   * Write deliveries counted while the store was unavailable to the store
+   * @returns {Promise<boolean>} True once nothing is left to write
+   */
+  async flushUnsynced() {
+    const periods = RATE_LIMIT_PERIODS.filter(period => this.unsynced[period] > 0);
+    if (periods.length === 0) return true;
+
+    const written = await this.withStore(store => Promise.all(periods.map(period =>
+      store.increment(this.key(period), this.unsynced[period], this.counts[period].resetDate)
+    )));
+    if (!written) return false;
+
+    periods.forEach(period => {
+      this.unsynced[period] = 0;
+    });
+    return true;
+  }
+
+  /**
+   * Bring the local counts up to date with the shared store
+   */
+  async load() {
+    this.refresh();
+
+    // Reading first would replace the local counts and lose the missed deliveries
+    if (!(await this.flushUnsynced())) return;
+
+    const counts = await this.withStore(store => store.get(RATE_LIMIT_PERIODS.map(period => this.key(period))));
+    if (counts) {
+      RATE_LIMIT_PERIODS.forEach((period, index) => {
+        this.counts[period].count = counts[index];
+      });
+    }
+  }
+
+  /**
+   * Check whether another delivery is allowed
+   * @returns {Promise<Object>} { allowed: true } or { allowed: false, reason, current, limit, resetDate }
+   */
+  async check() {
+    await this.load();
+
+    for (const period of RATE_LIMIT_PERIODS) {
+      const { count, resetDate } = this.counts[period];
+      if (count >= this.limits[period]) {
+        return {
+          allowed: false,
+          reason: `${period} limit exceeded`,
+          current: count,
+          limit: this.limits[period],
+          resetDate
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count successful deliveries against every period
+   * @param {number} deliveries - Number of deliveries
+   */
+  async record(deliveries = 1) {
+    this.refresh();
+
+    RATE_LIMIT_PERIODS.forEach(period => {
+      this.counts[period].count += deliveries;
+    });
+    if (!this.store) return;
+
+    const written = await this.withStore(store => Promise.all(RATE_LIMIT_PERIODS.map(period =>
+      store.increment(this.key(period), deliveries, this.counts[period].resetDate)
+    )));
+    if (!written) {
+      RATE_LIMIT_PERIODS.forEach(period => {
+        this.unsynced[period] += deliveries;
+      });
+    }
+  }
+
+  /**
+   * Reset counters
+   * @param {string} type - 'monthly', 'daily', 'hourly' or 'all'
+   */
+  async reset(type = 'all') {
+    this.refresh();
+
+    const periods = RATE_LIMIT_PERIODS.filter(period => type === 'all' || type === period);
+    await this.withStore(store => store.delete(periods.map(period => this.key(period))));
+
+    periods.forEach(period => {
+      this.counts[period].count = 0;
+      this.unsynced[period] = 0;
+      this.onReset(period, this.counts[period].resetDate);
+    });
+  }
+
+  /**
+   * Get current usage per period
+   * @returns {Promise<Object>} Period to { current, limit, remaining, resetDate, percentUsed }
+   */
+  async getStatus() {
+    await this.load();
+
+    const status = {};
+    RATE_LIMIT_PERIODS.forEach(period => {
+      const { count, resetDate } = this.counts[period];
+      const limit = this.limits[period];
+      status[period] = {
+        current: count,
+        limit,
+        remaining: Math.max(limit - count, 0),
+        resetDate,
+        percentUsed: limit > 0 ? Math.round((count / limit) * 100) : 100
+      };
+    });
+    return status;
+  }
+}
@@ -1,147 +1,69 @@
-import emailjs from '@emailjs/nodejs';
-
-// Hardcoded recipient list configuration
-const NOTIFICATION_RECIPIENTS = [
-  'ranita@wareongo.com',  // Add more emails as needed
-];
-
-// Rate limiting configuration
-const RATE_LIMIT_CONFIG = {
-  MONTHLY_LIMIT: 200, // EmailJS free tier limit
-  DAILY_LIMIT: 10,    // Conservative daily limit to prevent quota exhaustion
-  HOURLY_LIMIT: 5     // Conservative hourly limit
+import { createNotificationChannels } from './notificationChannels.js';
+import { RateLimiter, createRateLimitStore } from './notificationRateLimit.js';
+import { loadNotificationSettings, routeRecipients } from './notificationSettings.js';
+
+// How long recipients and limits loaded from the database are reused before reloading
+const SETTINGS_TTL_MS = 60 * 1000;
+
+// Records used for test notifications
+const TEST_RECORDS = {
+  enquiry: {
+    id: 0,
+    name: 'Test User',
+    phoneNumber: '+919876543210',
+    email: 'test@wareongo.com',
+    source: 'Admin test'
+  },
+  customer_request: {
+    id: 0,
+    full_name: 'Test Customer',
+    phone_number: '+919876543210',
+    company_name: 'Test Company Ltd',
+    preferred_location: 'Test City',
+    additional_requirements: 'This is a test notification'
+  }
 };
 
 /**
- * Notification Service for handling email notifications
- * Integrates with EmailJS to send formatted notifications for enquiries and customer requests
+ * Notification Service for enquiry and customer request notifications.
+ * Each notification fans out to every enabled channel (see notificationChannels.js);
+ * channels are rate-limited and reported independently. Recipients, routing rules
+ * and limit overrides managed through the admin API (see notificationSettings.js)
+ * take precedence over the environment configuration.
  */
-class NotificationService {
-  constructor() {
-    this.serviceId = process.env.EMAILJS_SERVICE_ID;
-    this.publicKey = process.env.EMAILJS_PUBLIC_KEY;
-    this.privateKey = process.env.EMAILJS_PRIVATE_KEY;
-    this.templateId = process.env.EMAILJS_TEMPLATE_ID;
-
-    // Rate limiting tracking
-    this.emailCounts = {
-      monthly: { count: 0, resetDate: this.getNextMonthReset() },
-      daily: { count: 0, resetDate: this.getNextDayReset() },
-      hourly: { count: 0, resetDate: this.getNextHourReset() }
-    };
-
-    // Load persisted counts if available
-    this.loadEmailCounts();
-  }
-
-  /**
-   * Get next month reset date (1st of next month)
-   * @returns {Date} Next month reset date
-   */
-  getNextMonthReset() {
-    const now = new Date();
-    return new Date(now.getFullYear(), now.getMonth() + 1, 1);
-  }
-
+export class NotificationService {
   /**
-   * Get next day reset date (midnight tomorrow)
-   * @returns {Date} Next day reset date
+   * @param {Object} options
+   * @param {Array<Object>} options.channels - Channels to use (defaults to those configured by environment variables)
+   * @param {Object|null} options.rateLimitStore - Shared counter store (defaults to NOTIFY_RATE_LIMIT_STORE; null keeps counts in memory)
+   * @param {Function} options.loadSettings - Loads { recipients, limits } (defaults to the database)
    */
-  getNextDayReset() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    return tomorrow;
+  constructor({ channels, rateLimitStore, loadSettings = loadNotificationSettings } = {}) {
+    this.channels = channels || createNotificationChannels();
+    this.loadSettings = loadSettings;
+    this.settings = { recipients: [], limits: {} };
+    this.settingsLoadedAt = 0;
+    const store = rateLimitStore === undefined ? createRateLimitStore() : rateLimitStore;
+
+    // Rate limiting tracking, per channel
+    this.rateLimiters = new Map(this.channels.map(channel => [
+      channel.name,
+      new RateLimiter(channel.limits, {
+        name: channel.name,
+        store,
+        onReset: (type, resetDate) => this.logRateLimitReset(channel.name, type, resetDate)
+      })
+    ]));
   }
 
   /**
-   * Get next hour reset date
-   * @returns {Date} Next hour reset date
-   */
-  getNextHourReset() {
-    const nextHour = new Date();
-    nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
-    return nextHour;
-  }
-
-  /**
-   * Load email counts from environment or reset if needed
-   */
-  loadEmailCounts() {
-    const now = new Date();
-
-    // Reset counts if reset dates have passed
-    if (now >= this.emailCounts.monthly.resetDate) {
-      this.emailCounts.monthly = { count: 0, resetDate: this.getNextMonthReset() };
-      this.logRateLimitReset('monthly');
-    }
-
-    if (now >= this.emailCounts.daily.resetDate) {
-      this.emailCounts.daily = { count: 0, resetDate: this.getNextDayReset() };
-      this.logRateLimitReset('daily');
-    }
-
-    if (now >= this.emailCounts.hourly.resetDate) {
-      this.emailCounts.hourly = { count: 0, resetDate: this.getNextHourReset() };
-      this.logRateLimitReset('hourly');
-    }
-  }
-
-  /**
-   * Check if rate limits allow sending email
-   * @returns {Object} Rate limit check result
-   */
-  checkRateLimit() {
-    this.loadEmailCounts(); // Refresh counts and reset if needed
-
-    const limits = [
-      { type: 'monthly', current: this.emailCounts.monthly.count, limit: RATE_LIMIT_CONFIG.MONTHLY_LIMIT },
-      { type: 'daily', current: this.emailCounts.daily.count, limit: RATE_LIMIT_CONFIG.DAILY_LIMIT },
-      { type: 'hourly', current: this.emailCounts.hourly.count, limit: RATE_LIMIT_CONFIG.HOURLY_LIMIT }
-    ];
-
-    for (const limitCheck of limits) {
-      if (limitCheck.current >= limitCheck.limit) {
-        return {
-          allowed: false,
-          reason: `${limitCheck.type} limit exceeded`,
-          current: limitCheck.current,
-          limit: limitCheck.limit,
-          resetDate: this.emailCounts[limitCheck.type].resetDate
-        };
-      }
-    }
-
-    return { allowed: true };
-  }
-
-  /**
-   * Increment email counts for rate limiting
-   */
-  incrementEmailCounts() {
-    this.emailCounts.monthly.count++;
-    this.emailCounts.daily.count++;
-    this.emailCounts.hourly.count++;
-
-    this.logRateLimitStatus();
-  }
-
-  /**
-   * Log comprehensive email delivery information
+   * Log comprehensive notification delivery information
    * @param {string} level - Log level (info, warn, error)
    * @param {string} message - Log message
    * @param {Object} data - Additional data to log
    */
   logEmail(level, message, data = {}) {
     const timestamp = new Date().toISOString();
-    const logEntry = {
-      timestamp,
-      level: level.toUpperCase(),
-      service: 'NotificationService',
-      message,
-      ...data
-    };
-
     const logMessage = `[${timestamp}] [${level.toUpperCase()}] NotificationService: ${message}`;
 
     switch (level) {
@@ -159,36 +81,44 @@ class NotificationService {
   }
 
   /**
-   * Log rate limit status
+   * Log rate limit status for a channel
+   * @param {string} channelName - Channel name
    */
-  logRateLimitStatus() {
+  async logRateLimitStatus(channelName) {
+    const status = await this.rateLimiters.get(channelName).getStatus();
     this.logEmail('info', 'Rate limit status', {
-      monthly: `${this.emailCounts.monthly.count}/${RATE_LIMIT_CONFIG.MONTHLY_LIMIT}`,
-      daily: `${this.emailCounts.daily.count}/${RATE_LIMIT_CONFIG.DAILY_LIMIT}`,
-      hourly: `${this.emailCounts.hourly.count}/${RATE_LIMIT_CONFIG.HOURLY_LIMIT}`,
-      monthlyResetDate: this.emailCounts.monthly.resetDate.toISOString(),
-      dailyResetDate: this.emailCounts.daily.resetDate.toISOString(),
-      hourlyResetDate: this.emailCounts.hourly.resetDate.toISOString()
+      channel: channelName,
+      monthly: `${status.monthly.current}/${status.monthly.limit}`,
+      daily: `${status.daily.current}/${status.daily.limit}`,
+      hourly: `${status.hourly.current}/${status.hourly.limit}`,
+      monthlyResetDate: status.monthly.resetDate.toISOString(),
+      dailyResetDate: status.daily.resetDate.toISOString(),
+      hourlyResetDate: status.hourly.resetDate.toISOString()
     });
   }
 
   /**
    * Log rate limit reset
+   * @param {string} channelName - Channel name
    * @param {string} type - Type of reset (monthly, daily, hourly)
+   * @param {Date} resetDate - Next reset date
    */
-  logRateLimitReset(type) {
+  logRateLimitReset(channelName, type, resetDate) {
     this.logEmail('info', `Rate limit reset: ${type}`, {
+      channel: channelName,
       resetType: type,
-      newResetDate: this.emailCounts[type].resetDate.toISOString()
+      newResetDate: resetDate.toISOString()
     });
   }
 
   /**
    * Log rate limit exceeded
+   * @param {string} channelName - Channel name
    * @param {Object} rateLimitResult - Rate limit check result
    */
-  logRateLimitExceeded(rateLimitResult) {
-    this.logEmail('warn', 'Email sending blocked due to rate limit', {
+  logRateLimitExceeded(channelName, rateLimitResult) {
+    this.logEmail('warn', 'Notification blocked due to rate limit', {
+      channel: channelName,
       reason: rateLimitResult.reason,
       current: rateLimitResult.current,
       limit: rateLimitResult.limit,
@@ -197,11 +127,48 @@ class NotificationService {
   }
 
   /**
-   * Format enquiry data as plain text email
+   * Get recipients and limit overrides, reloading them once they are older than SETTINGS_TTL_MS.
+   * If loading fails the previous settings are kept, so notifications still go out.
+   * @returns {Promise<Object>} { recipients, limits }
+   */
+  async getSettings() {
+    if (Date.now() - this.settingsLoadedAt < SETTINGS_TTL_MS) return this.settings;
+
+    try {
+      this.settings = await this.loadSettings();
+    } catch (error) {
+      this.logEmail('warn', 'Could not load notification settings, using previous settings', { error: error.message });
+    }
+    this.settingsLoadedAt = Date.now();
+
+    this.channels.forEach(channel => {
+      this.rateLimiters.get(channel.name).limits = this.getChannelLimits(channel);
+    });
+    return this.settings;
+  }
+
+  /**
+   * Reload settings on next use (after they are changed through the admin API)
+   */
+  invalidateSettings() {
+    this.settingsLoadedAt = 0;
+  }
+
+  /**
+   * Effective limits for a channel: environment limits with any database overrides applied
+   * @param {Object} channel - Notification channel
+   * @returns {Object} { monthly, daily, hourly }
+   */
+  getChannelLimits(channel) {
+    return { ...channel.limits, ...this.settings.limits[channel.name] };
+  }
+
+  /**
+   * Format enquiry data as a plain text notification
    * @param {Object} enquiryData - The enquiry data from database
-   * @returns {Object} Email data with subject and message
+   * @returns {Object} Notification with subject, message, a one-line summary for text messages and replyTo
    */
-  formatEnquiryEmail(enquiryData) {
+  formatEnquiryNotification(enquiryData) {
     const subject = `New Enquiry - ID: ${enquiryData.id}`;
     const message = `
 NEW ENQUIRY RECEIVED
@@ -224,7 +191,7 @@ Date/Time:      ${enquiryData.createdat ? new Date(enquiryData.createdat).toLoca
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-This notification was sent to: ${NOTIFICATION_RECIPIENTS.join(', ')}
+This notification was sent via: ${this.getChannelNames().join(', ')}
 
 Powered by WareOnGo Notification System
     `.trim();
@@ -232,16 +199,17 @@ Powered by WareOnGo Notification System
     return {
       subject: subject,
       message: message,
-      email: enquiryData.email || 'noreply@wareongo.com'
+      summary: `New enquiry #${enquiryData.id}: ${enquiryData.name || 'N/A'}, ${enquiryData.phoneNumber || 'N/A'} (${enquiryData.source || 'N/A'})`,
+      replyTo: enquiryData.email || 'noreply@wareongo.com'
     };
   }
 
   /**
-   * Format customer request data as plain text email
+   * Format customer request data as a plain text notification
    * @param {Object} requestData - The customer request data from database
-   * @returns {Object} Email data with subject and message
+   * @returns {Object} Notification with subject, message, a one-line summary for text messages and replyTo
    */
-  formatCustomerRequestEmail(requestData) {
+  formatCustomerRequestNotification(requestData) {
     const subject = `New Customer Request - ID: ${requestData.id}`;
     const message = `
 NEW CUSTOMER REQUEST RECEIVED
@@ -269,7 +237,7 @@ Date/Time:      ${requestData.created_at ? new Date(requestData.created_at).toLo
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-This notification was sent to: ${NOTIFICATION_RECIPIENTS.join(', ')}
+This notification was sent via: ${this.getChannelNames().join(', ')}
 
 Powered by WareOnGo Notification System
     `.trim();
@@ -277,25 +245,30 @@ Powered by WareOnGo Notification System
     return {
       subject: subject,
       message: message,
-      email: 'noreply@wareongo.com'
+      summary: `New customer request #${requestData.id}: ${requestData.full_name || 'N/A'}, ${requestData.phone_number || 'N/A'} (${requestData.preferred_location || 'N/A'})`,
+      replyTo: 'noreply@wareongo.com'
     };
   }
 
   /**
-   * Generic email sending method using EmailJS - sends to all recipients
-   * @param {Object} emailData - Email data with subject, message, email
+   * Send a notification through one channel, within the channel's rate limits
+   * @param {Object} channel - Notification channel
+   * @param {Object} notification - Notification with subject, message, summary, replyTo
    * @param {string} notificationType - Type of notification for logging
-   * @returns {Promise<Object>} EmailJS response
+   * @param {Array<string>} recipients - Recipients (defaults to the channel's own)
+   * @returns {Promise<Object>} { channel, success, results?, error?, rateLimited?, resetDate?, duration }
    */
-  async sendEmail(emailData, notificationType = 'unknown') {
+  async sendToChannel(channel, notification, notificationType = 'unknown', recipients = channel.recipients) {
     const startTime = Date.now();
+    const rateLimiter = this.rateLimiters.get(channel.name);
 
     try {
       // Check rate limits first
-      const rateLimitCheck = this.checkRateLimit();
+      const rateLimitCheck = await rateLimiter.check();
       if (!rateLimitCheck.allowed) {
-        this.logRateLimitExceeded(rateLimitCheck);
+        this.logRateLimitExceeded(channel.name, rateLimitCheck);
         return {
+          channel: channel.name,
           success: false,
           error: `Rate limit exceeded: ${rateLimitCheck.reason}`,
           rateLimited: true,
@@ -304,133 +277,193 @@ Powered by WareOnGo Notification System
       }
 
       // Validate configuration
-      if (!this.serviceId || !this.publicKey || !this.privateKey || !this.templateId) {
-        const error = 'EmailJS configuration is incomplete. Check environment variables.';
-        this.logEmail('error', 'Email sending failed - configuration error', {
+      const config = channel.validateConfiguration();
+      if (!config.isValid) {
+        const error = `${channel.name} configuration is incomplete. Check environment variables.`;
+        this.logEmail('error', 'Notification sending failed - configuration error', {
+          channel: channel.name,
           notificationType,
           error,
-          missingConfig: this.validateConfiguration().missingVariables
+          missingConfig: config.missingVariables
         });
         throw new Error(error);
       }
 
-      this.logEmail('info', 'Attempting to send emails to multiple recipients', {
+      // Nobody to deliver to: neither a routed database recipient nor an environment one
+      if (recipients.length === 0) {
+        throw new Error(`${channel.name} has no recipients for this notification`);
+      }
+
+      this.logEmail('info', 'Attempting to send notification', {
+        channel: channel.name,
         notificationType,
-        recipientCount: NOTIFICATION_RECIPIENTS.length,
-        recipients: NOTIFICATION_RECIPIENTS,
-        subject: emailData.subject
+        recipientCount: recipients.length,
+        recipients,
+        subject: notification.subject
       });
 
-      // Send email to each recipient individually
-      const results = [];
-      let allSuccessful = true;
-      let lastError = null;
-
-      for (const recipient of NOTIFICATION_RECIPIENTS) {
-        try {
-          const recipientEmailData = {
-            ...emailData,
-            to_email: recipient
-          };
-
-          const response = await emailjs.send(
-            this.serviceId,
-            this.templateId,
-            recipientEmailData,
-            {
-              publicKey: this.publicKey,
-              privateKey: this.privateKey,
-            }
-          );
-
-          // Increment rate limit counters on successful send
-          this.incrementEmailCounts();
-
-          results.push({
-            recipient,
-            success: true,
-            status: response.status
-          });
-
-          this.logEmail('info', 'Email sent successfully to recipient', {
-            notificationType,
-            recipient,
-            responseStatus: response.status
-          });
-
-        } catch (recipientError) {
-          allSuccessful = false;
-          lastError = recipientError;
-
-          results.push({
-            recipient,
-            success: false,
-            error: recipientError.message || recipientError.text || 'Unknown error'
-          });
-
-          this.logEmail('error', 'Email sending failed for recipient', {
-            notificationType,
-            recipient,
-            error: recipientError.message || recipientError.text || JSON.stringify(recipientError),
-            errorCode: recipientError.code || recipientError.status || 'unknown'
-          });
-        }
-      }
-
+      const results = await channel.send(notification, recipients);
+      const successCount = results.filter(result => result.success).length;
       const duration = Date.now() - startTime;
 
-      if (allSuccessful) {
-        this.logEmail('info', 'All emails sent successfully', {
+      // Count successful deliveries against the channel's limits
+      if (successCount > 0) {
+        await rateLimiter.record(successCount);
+        await this.logRateLimitStatus(channel.name);
+      }
+
+      results.filter(result => !result.success).forEach(result => {
+        this.logEmail('error', 'Notification sending failed for recipient', {
+          channel: channel.name,
           notificationType,
-          duration: `${duration}ms`,
-          recipientCount: NOTIFICATION_RECIPIENTS.length,
-          subject: emailData.subject
+          recipient: result.recipient,
+          error: result.error
         });
+      });
 
-        return {
-          success: true,
-          results,
-          duration,
-          recipientCount: NOTIFICATION_RECIPIENTS.length
-        };
-      } else {
-        const successCount = results.filter(r => r.success).length;
-        this.logEmail('warn', 'Some emails failed to send', {
+      if (successCount === results.length) {
+        this.logEmail('info', 'Notification sent to all recipients', {
+          channel: channel.name,
           notificationType,
           duration: `${duration}ms`,
-          successCount,
-          failureCount: NOTIFICATION_RECIPIENTS.length - successCount,
-          results
+          recipientCount: results.length,
+          subject: notification.subject
         });
-
-        // Return success if at least one email was sent
-        return {
-          success: successCount > 0,
-          partialSuccess: true,
-          results,
-          duration,
-          error: lastError ? (lastError.message || lastError.text || 'Some emails failed') : 'Some emails failed'
-        };
+        return { channel: channel.name, success: true, results, duration };
       }
+
+      this.logEmail('warn', 'Some notifications failed to send', {
+        channel: channel.name,
+        notificationType,
+        duration: `${duration}ms`,
+        successCount,
+        failureCount: results.length - successCount
+      });
+
+      // Count the channel as successful if at least one recipient was reached
+      return {
+        channel: channel.name,
+        success: successCount > 0,
+        partialSuccess: successCount > 0,
+        results,
+        duration,
+        error: results.find(result => !result.success).error
+      };
     } catch (error) {
       const duration = Date.now() - startTime;
-      this.logEmail('error', 'Email sending failed completely', {
+      this.logEmail('error', 'Notification sending failed completely', {
+        channel: channel.name,
         notificationType,
         duration: `${duration}ms`,
         error: error.message || error.text || JSON.stringify(error),
-        errorStack: error.stack,
-        errorCode: error.code || error.status || 'unknown'
+        errorStack: error.stack
       });
-      return { success: false, error: error.message || error.text || 'Unknown error', duration };
+      return { channel: channel.name, success: false, error: error.message || error.text || 'Unknown error', duration };
     }
   }
 
   /**
-   * Send enquiry notification email
+   * Send a notification through every enabled channel, to the recipients routed for the record
+   * @param {Object} notification - Notification with subject, message, summary, replyTo
+   * @param {string} notificationType - 'enquiry' or 'customer_request'
+   * @param {Object} record - The enquiry or customer request, matched against routing rules
+   * @param {Object} options
+   * @param {Array<Object>} options.channels - Channels to send through (defaults to every enabled channel)
+   * @param {Object} options.skipRecipients - Recipients that already received this notification, by channel name
+   * @returns {Promise<Object>} { success, channels, duration, error?, rateLimited? } where success
+   *   means at least one channel delivered and channels holds each channel's sendToChannel result
+   */
+  async dispatch(notification, notificationType, record = null, { channels: targets = this.channels, skipRecipients = {} } = {}) {
+    const startTime = Date.now();
+
+    if (targets.length === 0) {
+      return { success: false, error: 'No notification channels are enabled', channels: [], duration: 0 };
+    }
+
+    const { recipients } = await this.getSettings();
+    const channels = await Promise.all(targets.map(channel => {
+      const skipped = skipRecipients[channel.name] || [];
+      const routed = (routeRecipients(recipients, channel.name, notificationType, record) || channel.recipients)
+        .filter(recipient => !skipped.includes(recipient));
+
+      // Everyone routed to this channel was reached by an earlier attempt
+      if (skipped.length > 0 && routed.length === 0) {
+        return { channel: channel.name, success: true, results: [], duration: 0 };
+      }
+      return this.sendToChannel(channel, notification, notificationType, routed);
+    }));
+    const succeeded = channels.filter(result => result.success);
+
+    return {
+      success: succeeded.length > 0,
+      ...(succeeded.length > 0 && succeeded.length < channels.length && { partialSuccess: true }),
+      ...(succeeded.length === 0 && {
+        error: channels.map(result => `${result.channel}: ${result.error}`).join('; '),
+        rateLimited: channels.every(result => result.rateLimited)
+      }),
+      channels,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Send a test notification built from a sample record. It goes through routing
+   * and rate limits like any other notification, and counts against the limits.
+   * @param {Object} options
+   * @param {string} options.type - 'enquiry' or 'customer_request'
+   * @param {string} options.channelName - Only send through this channel (defaults to every channel)
+   * @returns {Promise<Object>} Result of the dispatch, see dispatch
+   */
+  async sendTestNotification({ type = 'enquiry', channelName = null } = {}) {
+    const record = { ...TEST_RECORDS[type], [type === 'enquiry' ? 'createdat' : 'created_at']: new Date() };
+    const formatted = type === 'enquiry'
+      ? this.formatEnquiryNotification(record)
+      : this.formatCustomerRequestNotification(record);
+    const notification = { ...formatted, subject: `[TEST] ${formatted.subject}` };
+
+    const channels = channelName ? this.channels.filter(channel => channel.name === channelName) : this.channels;
+    const result = await this.dispatch(notification, type, record, { channels });
+    this.logOutcome('Test', { notificationType: type, channel: channelName || 'all' }, result);
+
+    return result;
+  }
+
+  /**
+   * Log the outcome of a notification
+   * @param {string} label - Notification label, e.g. "Enquiry"
+   * @param {Object} context - Fields identifying the record
+   * @param {Object} result - dispatch result
+   */
+  logOutcome(label, context, result) {
+    const channels = Object.fromEntries(result.channels.map(channel => [
+      channel.channel,
+      channel.success ? 'sent' : channel.rateLimited ? 'rate limited' : 'failed'
+    ]));
+
+    if (result.success) {
+      this.logEmail('info', `${label} notification completed successfully`, {
+        ...context, channels, duration: result.duration
+      });
+    } else if (result.rateLimited) {
+      this.logEmail('warn', `${label} notification blocked by rate limit`, {
+        ...context, channels, error: result.error
+      });
+    } else {
+      this.logEmail('error', `${label} notification failed`, {
+        ...context, channels, error: result.error, duration: result.duration
+      });
+    }
+  }
+
+  /**
+   * Send enquiry notification to every enabled channel
    * @param {Object} enquiryData - The enquiry data from database
-   * @returns {Promise<Object>} Result of email sending operation
+   * @param {Object} options
+   * @param {Array<Object>} options.channels - Only send through these channels (defaults to every enabled channel)
+   * @param {Object} options.skipRecipients - Recipients already reached, by channel name (see dispatch)
+   * @returns {Promise<Object>} Result of the dispatch, see dispatch
    */
-  async sendEnquiryNotification(enquiryData) {
+  async sendEnquiryNotification(enquiryData, { channels = this.channels, skipRecipients = {} } = {}) {
     const notificationType = 'enquiry';
 
     try {
@@ -442,31 +475,9 @@ Powered by WareOnGo Notification System
         hasEmail: !!enquiryData.email
       });
 
-      const emailData = this.formatEnquiryEmail(enquiryData);
-      const result = await this.sendEmail(emailData, notificationType);
-
-      if (result.success) {
-        this.logEmail('info', 'Enquiry notification completed successfully', {
-          notificationType,
-          enquiryId: enquiryData.id,
-          duration: result.duration,
-          responseStatus: result.response?.status
-        });
-      } else if (result.rateLimited) {
-        this.logEmail('warn', 'Enquiry notification blocked by rate limit', {
-          notificationType,
-          enquiryId: enquiryData.id,
-          error: result.error,
-          resetDate: result.resetDate?.toISOString()
-        });
-      } else {
-        this.logEmail('error', 'Enquiry notification failed', {
-          notificationType,
-          enquiryId: enquiryData.id,
-          error: result.error,
-          duration: result.duration
-        });
-      }
+      const notification = this.formatEnquiryNotification(enquiryData);
+      const result = await this.dispatch(notification, notificationType, enquiryData, { channels, skipRecipients });
+      this.logOutcome('Enquiry', { notificationType, enquiryId: enquiryData.id }, result);
 
       return result;
     } catch (error) {
@@ -481,11 +492,14 @@ Powered by WareOnGo Notification System
   }
 
   /**
-   * Send customer request notification email
+   * Send customer request notification to every enabled channel
    * @param {Object} requestData - The customer request data from database
-   * @returns {Promise<Object>} Result of email sending operation
+   * @param {Object} options
+   * @param {Array<Object>} options.channels - Only send through these channels (defaults to every enabled channel)
+   * @param {Object} options.skipRecipients - Recipients already reached, by channel name (see dispatch)
+   * @returns {Promise<Object>} Result of the dispatch, see dispatch
    */
-  async sendCustomerRequestNotification(requestData) {
+  async sendCustomerRequestNotification(requestData, { channels = this.channels, skipRecipients = {} } = {}) {
     const notificationType = 'customer_request';
 
     try {
@@ -497,31 +511,9 @@ Powered by WareOnGo Notification System
         preferredLocation: requestData.preferred_location
       });
 
-      const emailData = this.formatCustomerRequestEmail(requestData);
-      const result = await this.sendEmail(emailData, notificationType);
-
-      if (result.success) {
-        this.logEmail('info', 'Customer request notification completed successfully', {
-          notificationType,
-          requestId: requestData.id,
-          duration: result.duration,
-          responseStatus: result.response?.status
-        });
-      } else if (result.rateLimited) {
-        this.logEmail('warn', 'Customer request notification blocked by rate limit', {
-          notificationType,
-          requestId: requestData.id,
-          error: result.error,
-          resetDate: result.resetDate?.toISOString()
-        });
-      } else {
-        this.logEmail('error', 'Customer request notification failed', {
-          notificationType,
-          requestId: requestData.id,
-          error: result.error,
-          duration: result.duration
-        });
-      }
+      const notification = this.formatCustomerRequestNotification(requestData);
+      const result = await this.dispatch(notification, notificationType, requestData, { channels, skipRecipients });
+      this.logOutcome('Customer request', { notificationType, requestId: requestData.id }, result);
 
       return result;
     } catch (error) {
@@ -536,106 +528,96 @@ Powered by WareOnGo Notification System
   }
 
   /**
-   * Get current recipient list
-   * @returns {Array<string>} Array of recipient email addresses
+   * Get enabled channel names
+   * @returns {Array<string>} Channel names
+   */
+  getChannelNames() {
+    return this.channels.map(channel => channel.name);
+  }
+
+  /**
+   * Get current recipient list across all channels
+   * @returns {Array<string>} Unique recipients (email addresses, phone numbers or webhook hosts)
    */
   getRecipients() {
-    return [...NOTIFICATION_RECIPIENTS];
+    return [...new Set(this.channels.flatMap(channel => channel.recipients))];
   }
 
   /**
-   * Validate service configuration
-   * @returns {Object} Configuration status
+   * Get the environment recipients plus the active database recipients of enabled channels.
+   * Recipients with a routing rule are included, although they only receive matching notifications.
+   * @returns {Promise<Array<string>>} Unique recipients
    */
-  validateConfiguration() {
-    const missing = [];
+  async getAllRecipients() {
+    const { recipients } = await this.getSettings();
+    const enabled = this.getChannelNames();
+    const stored = recipients
+      .filter(recipient => enabled.includes(recipient.channel))
+      .map(recipient => recipient.address);
+
+    return [...new Set([...this.getRecipients(), ...stored])];
+  }
 
-    if (!this.serviceId) missing.push('EMAILJS_SERVICE_ID');
-    if (!this.publicKey) missing.push('EMAILJS_PUBLIC_KEY');
-    if (!this.privateKey) missing.push('EMAILJS_PRIVATE_KEY');
-    if (!this.templateId) missing.push('EMAILJS_TEMPLATE_ID');
+  /**
+   * Validate every channel's configuration
+   * @returns {Object} { isValid, missingVariables, recipients, channels } where channels
+   *   holds { name, isValid, missingVariables, recipients } per channel
+   */
+  validateConfiguration() {
+    const channels = this.channels.map(channel => ({
+      name: channel.name,
+      ...channel.validateConfiguration(),
+      recipients: channel.recipients.length
+    }));
 
     return {
-      isValid: missing.length === 0,
-      missingVariables: missing,
-      recipients: NOTIFICATION_RECIPIENTS.length
+      isValid: channels.length > 0 && channels.every(channel => channel.isValid),
+      missingVariables: channels.flatMap(channel => channel.missingVariables),
+      recipients: this.getRecipients().length,
+      channels
     };
   }
 
   /**
    * Get current rate limit status
-   * @returns {Object} Current rate limit information
+   * @returns {Promise<Object>} Channel name to { monthly, daily, hourly } usage
    */
-  getRateLimitStatus() {
-    this.loadEmailCounts(); // Refresh counts
-
-    return {
-      monthly: {
-        current: this.emailCounts.monthly.count,
-        limit: RATE_LIMIT_CONFIG.MONTHLY_LIMIT,
-        remaining: RATE_LIMIT_CONFIG.MONTHLY_LIMIT - this.emailCounts.monthly.count,
-        resetDate: this.emailCounts.monthly.resetDate,
-        percentUsed: Math.round((this.emailCounts.monthly.count / RATE_LIMIT_CONFIG.MONTHLY_LIMIT) * 100)
-      },
-      daily: {
-        current: this.emailCounts.daily.count,
-        limit: RATE_LIMIT_CONFIG.DAILY_LIMIT,
-        remaining: RATE_LIMIT_CONFIG.DAILY_LIMIT - this.emailCounts.daily.count,
-        resetDate: this.emailCounts.daily.resetDate,
-        percentUsed: Math.round((this.emailCounts.daily.count / RATE_LIMIT_CONFIG.DAILY_LIMIT) * 100)
-      },
-      hourly: {
-        current: this.emailCounts.hourly.count,
-        limit: RATE_LIMIT_CONFIG.HOURLY_LIMIT,
-        remaining: RATE_LIMIT_CONFIG.HOURLY_LIMIT - this.emailCounts.hourly.count,
-        resetDate: this.emailCounts.hourly.resetDate,
-        percentUsed: Math.round((this.emailCounts.hourly.count / RATE_LIMIT_CONFIG.HOURLY_LIMIT) * 100)
-      }
-    };
+  async getRateLimitStatus() {
+    await this.getSettings();
+    const statuses = await Promise.all(
+      [...this.rateLimiters].map(async ([name, rateLimiter]) => [name, await rateLimiter.getStatus()])
+    );
+    return Object.fromEntries(statuses);
   }
 
   /**
    * Reset rate limit counts (for testing or manual reset)
    * @param {string} type - Type to reset ('monthly', 'daily', 'hourly', 'all')
+   * @param {string} channelName - Channel to reset (defaults to every channel)
    */
-  resetRateLimit(type = 'all') {
-    if (type === 'all' || type === 'monthly') {
-      this.emailCounts.monthly = { count: 0, resetDate: this.getNextMonthReset() };
-      this.logRateLimitReset('monthly');
-    }
-
-    if (type === 'all' || type === 'daily') {
-      this.emailCounts.daily = { count: 0, resetDate: this.getNextDayReset() };
-      this.logRateLimitReset('daily');
-    }
-
-    if (type === 'all' || type === 'hourly') {
-      this.emailCounts.hourly = { count: 0, resetDate: this.getNextHourReset() };
-      this.logRateLimitReset('hourly');
-    }
+  async resetRateLimit(type = 'all', channelName = null) {
+    await Promise.all([...this.rateLimiters]
+      .filter(([name]) => !channelName || channelName === name)
+      .map(([, rateLimiter]) => rateLimiter.reset(type)));
   }
 
   /**
    * Log service health check
    */
-  logHealthCheck() {
+  async logHealthCheck() {
     const config = this.validateConfiguration();
-    const rateLimits = this.getRateLimitStatus();
+    const rateLimits = await this.getRateLimitStatus();
 
     this.logEmail('info', 'Notification service health check', {
       configurationValid: config.isValid,
       missingConfig: config.missingVariables,
       recipientCount: config.recipients,
-      rateLimits: {
-        monthly: `${rateLimits.monthly.current}/${rateLimits.monthly.limit} (${rateLimits.monthly.percentUsed}%)`,
-        daily: `${rateLimits.daily.current}/${rateLimits.daily.limit} (${rateLimits.daily.percentUsed}%)`,
-        hourly: `${rateLimits.hourly.current}/${rateLimits.hourly.limit} (${rateLimits.hourly.percentUsed}%)`
-      },
-      nextResets: {
-        monthly: rateLimits.monthly.resetDate.toISOString(),
-        daily: rateLimits.daily.resetDate.toISOString(),
-        hourly: rateLimits.hourly.resetDate.toISOString()
-      }
+      rateLimits: Object.fromEntries(Object.entries(rateLimits).map(([name, status]) => [
+        name,
+        ['monthly', 'daily', 'hourly']
+          .map(period => `${period} ${status[period].current}/${status[period].limit} (${status[period].percentUsed}%)`)
+          .join(', ')
+      ]))
     });
   }
 }
@@ -0,0 +1,99 @@
+import prisma from '../models/prismaClient.js';
+import { normalizePhoneNumber } from './phone.js';
+import { RATE_LIMIT_PERIODS } from './notificationRateLimit.js';
+
+// Channels that deliver to individual addresses and so can have recipients configured
+export const RECIPIENT_CHANNELS = ['emailjs', 'smtp', 'sms', 'whatsapp', 'memory'];
+
+// Record fields a routing rule can match on, per notification type
+export const ROUTING_FIELDS = {
+  enquiry: ['source', 'name', 'email'],
+  customer_request: ['preferred_location', 'company_name', 'full_name']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalise a recipient address for its channel
+ * @param {string} channel - A RECIPIENT_CHANNELS name
+ * @param {string} address - Email address or phone number
+ * @returns {string|null} Normalised address (lower-case email or E.164 number), or null if invalid
+ */
+export function normalizeRecipientAddress(channel, address) {
+  if (typeof address !== 'string' || !address.trim()) return null;
+
+  switch (channel) {
+    case 'emailjs':
+    case 'smtp': {
+      const email = address.trim().toLowerCase();
+      return EMAIL_PATTERN.test(email) ? email : null;
+    }
+    case 'sms':
+    case 'whatsapp':
+      return normalizePhoneNumber(address);
+    case 'memory':
+      return address.trim();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Periods a notification_channel_limit row overrides
+ * @param {Object} row - notification_channel_limit row
+ * @returns {Object} Non-null { monthly?, daily?, hourly? }
+ */
+export function limitOverrides(row) {
+  return Object.fromEntries(RATE_LIMIT_PERIODS.filter(period => row[period] != null).map(period => [period, row[period]]));
+}
+
+/**
+ * Load active recipients and rate limit overrides
+ * @returns {Promise<Object>} { recipients, limits } where limits maps a channel name to its
+ *   non-null { monthly?, daily?, hourly? } overrides
+ */
+export async function loadNotificationSettings() {
+  const [recipients, limitRows] = await Promise.all([
+    prisma.notification_recipient.findMany({ where: { is_active: true }, orderBy: { id: 'asc' } }),
+    prisma.notification_channel_limit.findMany()
+  ]);
+
+  return {
+    recipients,
+    limits: Object.fromEntries(limitRows.map(row => [row.channel, limitOverrides(row)]))
+  };
+}
+
+/**
+ * Whether a recipient should receive a notification. Recipients without a
+ * notification_type receive every notification; a match_field rule matches when
+ * the record's field contains match_value, ignoring case.
+ * @param {Object} recipient - notification_recipient row
+ * @param {string} type - 'enquiry' or 'customer_request'
+ * @param {Object} record - The enquiry or customer request
+ * @returns {boolean}
+ */
+export function matchesRecipient(recipient, type, record) {
+  if (recipient.notification_type && recipient.notification_type !== type) return false;
+  if (!recipient.match_field) return true;
+
+  const value = record?.[recipient.match_field];
+  return typeof value === 'string' && value.toLowerCase().includes(recipient.match_value.toLowerCase());
+}
+
+/**
+ * Recipients for one channel and notification
+ * @param {Array<Object>} recipients - Active notification_recipient rows
+ * @param {string} channelName - Channel name
+ * @param {string} type - 'enquiry' or 'customer_request'
+ * @param {Object} record - The enquiry or customer request
+ * @returns {Array<string>|null} Unique matching addresses, or null when none are configured
+ *   or none match (the channel then uses its environment recipients)
+ */
+export function routeRecipients(recipients, channelName, type, record) {
+  const addresses = recipients
+    .filter(recipient => recipient.channel === channelName && matchesRecipient(recipient, type, record))
+    .map(recipient => recipient.address);
+
+  return addresses.length > 0 ? [...new Set(addresses)] : null;
+}
@@ -0,0 +1,52 @@
+// Parse free-form numeric strings such as "24", "22-25", "22 to 25 ft" or "₹1,200/sqft"
+
+/**
+ * Extract a numeric { min, max } range from a string column value
+ * @param {string|number|null} value - Raw value
+ * @returns {Object|null} { min, max }, or null if no number is present
+ */
+export function parseNumericRange(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { min: value, max: value } : null;
+  }
+
+  // Drop thousands separators so "1,200", "1,200,000" and Indian lakh/crore grouping
+  // such as "1,20,000" each parse as a single number
+  const cleaned = String(value).replace(/(?<!\d)\d{1,3}(?:,\d{2})*(?:,\d{3})+(?!\d)/g, number => number.replace(/,/g, ''));
+
+  // Two numbers joined by a dash or "to" form a range, e.g. "22-25" or "22 to 25"
+  const range = cleaned.match(/(\d+(?:\.\d+)?)\s*(?:-|–|—|to)\s*(\d+(?:\.\d+)?)/i);
+  if (range) {
+    const [first, second] = [Number(range[1]), Number(range[2])];
+    return { min: Math.min(first, second), max: Math.max(first, second) };
+  }
+
+  // Otherwise the first number wins; anything after is usually units or notes
+  const single = cleaned.match(/\d+(?:\.\d+)?/);
+  return single ? { min: Number(single[0]), max: Number(single[0]) } : null;
+}
+
+// String columns with numeric <field>Min/<field>Max companions, per model
+export const WAREHOUSE_NUMERIC_FIELDS = ['ratePerSqft', 'clearHeightFt'];
+export const WAREHOUSE_DATA_NUMERIC_FIELDS = ['powerKva'];
+
+/**
+ * Derive the numeric range columns (e.g. ratePerSqftMin/Max) for string fields.
+ * Only fields present in the input are returned, so partial updates stay partial.
+ * @param {Object} record - Fields being written
+ * @param {Array<string>} fields - String fields to derive from (defaults to the Warehouse ones)
+ * @returns {Object} <field>Min and <field>Max values
+ */
+export function deriveNumericColumns(record, fields = WAREHOUSE_NUMERIC_FIELDS) {
+  const derived = {};
+
+  for (const field of fields) {
+    if (record[field] === undefined) continue;
+    const range = parseNumericRange(record[field]);
+    derived[`${field}Min`] = range ? range.min : null;
+    derived[`${field}Max`] = range ? range.max : null;
+  }
+
+  return derived;
+}
@@ -7,3 +7,28 @@ export function isValidPhoneNumber(phone) {
   const regex = /^\+?[0-9()\-\s]{7,20}$/;
   return regex.test(cleaned);
 }
+
+// Country code assumed for local numbers written without one (10-digit Indian mobiles)
+const DEFAULT_COUNTRY_CODE = '91';
+
+/**
+ * Normalise a phone number to E.164 (e.g. "+919876543210").
+ * Strips separators and a "whatsapp:" prefix, turns a leading 00 into +, and
+ * prefixes 10-digit local numbers (after dropping a trunk 0) with the default country code.
+ * @param {string} phone - Phone number as typed or as sent by a messaging provider
+ * @param {string} defaultCountryCode - Country code for numbers without one
+ * @returns {string|null} E.164 number, or null if it cannot be one
+ */
+export function normalizePhoneNumber(phone, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  if (!phone || typeof phone !== 'string') return null;
+
+  let cleaned = phone.trim().replace(/^whatsapp:/i, '').replace(/[\s().-]/g, '');
+  if (cleaned.startsWith('00')) cleaned = `+${cleaned.slice(2)}`;
+
+  if (!cleaned.startsWith('+')) {
+    const local = cleaned.replace(/^0+/, '');
+    cleaned = local.length === 10 ? `+${defaultCountryCode}${local}` : `+${local}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(cleaned) ? cleaned : null;
+}
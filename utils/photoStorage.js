@@ -0,0 +1,95 @@
+import { mkdir, writeFile, rm } from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_UPLOAD_DIR = 'uploads';
+const DEFAULT_PUBLIC_PATH = '/uploads';
+
+/**
+ * Reject keys that could escape the storage root
+ * @param {string} key - Storage key such as "warehouses/7/<uuid>/original.jpg"
+ * @returns {string} The key
+ */
+function assertSafeKey(key) {
+  if (typeof key !== 'string' || key === '' || key.startsWith('/') || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return key;
+}
+
+/**
+ * Stores photos on the local filesystem and serves them through express.static.
+ * Meant for development and tests; production can plug in an object storage
+ * adapter with the same save/deletePrefix interface.
+ */
+export class LocalPhotoStorage {
+  constructor({ rootDir = DEFAULT_UPLOAD_DIR, publicPath = DEFAULT_PUBLIC_PATH } = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+    this.publicPath = publicPath.replace(/\/+$/, '');
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key (relative path)
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type (unused locally; express.static derives it)
+   * @returns {Promise<Object>} { key, url }
+   */
+  async save(key, buffer, contentType) {
+    const filePath = path.join(this.rootDir, assertSafeKey(key));
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, buffer);
+    return { key, url: `${this.publicPath}/${key}` };
+  }
+
+  /**
+   * Delete every file stored under a key prefix
+   * @param {string} prefix - Key prefix (directory)
+   */
+  async deletePrefix(prefix) {
+    await rm(path.join(this.rootDir, assertSafeKey(prefix)), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Create the photo storage adapter selected by environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {LocalPhotoStorage} Storage with save/deletePrefix
+ */
+export function createPhotoStorage(env = process.env) {
+  switch (env.PHOTO_STORAGE || 'local') {
+    case 'local':
+      return new LocalPhotoStorage({
+        rootDir: env.PHOTO_UPLOAD_DIR || DEFAULT_UPLOAD_DIR,
+        publicPath: env.PHOTO_PUBLIC_PATH || DEFAULT_PUBLIC_PATH
+      });
+    default:
+      throw new Error(`Unknown PHOTO_STORAGE "${env.PHOTO_STORAGE}" (expected "local")`);
+  }
+}
+
+let storage = null;
+
+/**
+ * Get the shared photo storage, created lazily on first use
+ * @returns {LocalPhotoStorage} Storage
+ */
+export function getPhotoStorage() {
+  if (!storage) storage = createPhotoStorage();
+  return storage;
+}
+
+/**
+ * Remove stored files of uploaded photos; failures are logged, not thrown,
+ * since the database rows are already gone or were never written
+ * @param {Array<string|null>} storageKeys - WarehousePhoto.storageKey values
+ */
+export async function deleteStoredPhotos(storageKeys) {
+  for (const key of storageKeys.filter(Boolean)) {
+    try {
+      await getPhotoStorage().deletePrefix(key);
+    } catch (error) {
+      console.error(`Failed to delete stored photo files under ${key}:`, error);
+    }
+  }
+}
@@ -0,0 +1,72 @@
+// Shared query-string parsing helpers for list endpoints
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse multiple values (comma-separated or repeated query params)
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>|null} Trimmed values, or null if absent
+ */
+export function parseMultiValue(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return value;
+  return value.includes(',') ? value.split(',').map(v => v.trim()) : [value];
+}
+
+/**
+ * Parse page/pageSize query params
+ * @param {Object} query - Express req.query
+ * @returns {Object} { page, pageSize, skip }
+ */
+export function parsePagination(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, skip: (page - 1) * pageSize };
+}
+
+/**
+ * Build the pagination block returned alongside list data
+ * @param {number} totalItems - Total matching rows
+ * @param {number} page - Current page
+ * @param {number} pageSize - Page size
+ * @returns {Object} Pagination metadata
+ */
+export function buildPagination(totalItems, page, pageSize) {
+  return {
+    totalItems,
+    totalPages: Math.ceil(totalItems / pageSize),
+    currentPage: page,
+    pageSize,
+  };
+}
+
+/**
+ * Parse a from/to date range into a Prisma DateTime filter
+ * @param {string} from - Inclusive lower bound (ISO date)
+ * @param {string} to - Inclusive upper bound (ISO date)
+ * @returns {Object} { filter, invalid } where filter is null when no bound is given
+ */
+export function parseDateRange(from, to) {
+  const filter = {};
+  const invalid = [];
+
+  if (from) {
+    const date = new Date(from);
+    if (isNaN(date.getTime())) invalid.push('from');
+    else filter.gte = date;
+  }
+
+  if (to) {
+    const date = new Date(to);
+    if (isNaN(date.getTime())) {
+      invalid.push('to');
+    } else {
+      // A bare date means "until the end of that day"
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) date.setUTCHours(23, 59, 59, 999);
+      filter.lte = date;
+    }
+  }
+
+  return { filter: Object.keys(filter).length > 0 ? filter : null, invalid };
+}
@@ -2,6 +2,8 @@
 export function sanitizeForJSON(value) {
   if (value === null || value === undefined) return value;
   if (typeof value === 'bigint') return value.toString();
+  // Dates have no own enumerable keys and would otherwise become {}
+  if (value instanceof Date) return value;
   if (Array.isArray(value)) return value.map(sanitizeForJSON);
   if (typeof value === 'object') {
     const out = {};
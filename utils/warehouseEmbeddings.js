@@ -0,0 +1,177 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../models/prismaClient.js';
+import { getEmbeddingProvider } from './embeddingProvider.js';
+import { toVectorLiteral } from './warehouseSearch.js';
+
+const DEFAULT_BATCH_SIZE = 50;
+
+const EMBEDDING_SOURCE_SELECT = {
+  id: true,
+  warehouseType: true,
+  address: true,
+  city: true,
+  state: true,
+  postalCode: true,
+  zone: true,
+  totalSpaceSqft: true,
+  offeredSpaceSqft: true,
+  numberOfDocks: true,
+  clearHeightFt: true,
+  compliances: true,
+  otherSpecifications: true,
+  ratePerSqft: true,
+  availability: true,
+  warehouseData: {
+    select: {
+      fireNocAvailable: true,
+      fireSafetyMeasures: true,
+      landType: true,
+      approachRoadWidth: true,
+      dimensions: true,
+      parkingDockingSpace: true,
+      pollutionZone: true,
+      powerKva: true,
+      vaastuCompliance: true,
+    },
+  },
+};
+
+/**
+ * Build the text that represents a warehouse for embedding.
+ * Contact details are deliberately left out; they carry no search meaning.
+ * @param {Object} warehouse - Warehouse selected with EMBEDDING_SOURCE_SELECT
+ * @returns {string} One "Label: value" line per known attribute
+ */
+export function buildWarehouseText(warehouse) {
+  const data = warehouse.warehouseData || {};
+  const spaces = (warehouse.totalSpaceSqft || []).map(space => `${space} sqft`).join(', ');
+  const fireNoc = data.fireNocAvailable === true ? 'available'
+    : data.fireNocAvailable === false ? 'not available' : null;
+
+  const lines = [
+    ['Warehouse type', warehouse.warehouseType],
+    ['Address', warehouse.address],
+    ['City', warehouse.city],
+    ['State', warehouse.state],
+    ['Postal code', warehouse.postalCode],
+    ['Zone', warehouse.zone],
+    ['Total space', spaces],
+    ['Offered space', warehouse.offeredSpaceSqft],
+    ['Clear height (ft)', warehouse.clearHeightFt],
+    ['Docks', warehouse.numberOfDocks],
+    ['Rate per sqft', warehouse.ratePerSqft],
+    ['Availability', warehouse.availability],
+    ['Compliances', warehouse.compliances],
+    ['Fire NOC', fireNoc],
+    ['Fire safety measures', data.fireSafetyMeasures],
+    ['Land type', data.landType],
+    ['Approach road width', data.approachRoadWidth],
+    ['Dimensions', data.dimensions],
+    ['Parking and docking space', data.parkingDockingSpace],
+    ['Pollution zone', data.pollutionZone],
+    ['Power (kVA)', data.powerKva],
+    ['Vaastu compliance', data.vaastuCompliance],
+    ['Other specifications', warehouse.otherSpecifications],
+  ];
+
+  return lines
+    .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+    .map(([label, value]) => `${label}: ${String(value).trim()}`)
+    .join('\n');
+}
+
+/**
+ * Find the next batch of warehouses whose embedding is missing or older than their last update
+ * @param {number} afterId - Only consider ids greater than this (keyset pagination)
+ * @param {number} limit - Batch size
+ * @param {boolean} force - Return every warehouse regardless of staleness
+ * @returns {Promise<Array<number>>} Warehouse ids
+ */
+async function findStaleWarehouseIds(afterId, limit, force) {
+  const stale = force ? Prisma.empty : Prisma.sql`AND (
+    wd.id IS NULL
+    OR wd."embedding" IS NULL
+    OR wd."embeddingUpdatedAt" IS NULL
+    OR wd."embeddingUpdatedAt" < w."status_updated_at"
+  )`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT w.id
+    FROM "Warehouse" w
+    LEFT JOIN "WarehouseData" wd ON wd."warehouseId" = w.id
+    WHERE w.id > ${afterId} ${stale}
+    ORDER BY w.id ASC
+    LIMIT ${limit}
+  `;
+  return rows.map(row => row.id);
+}
+
+/**
+ * Store an embedding, creating the WarehouseData row if the warehouse has none.
+ * A raw upsert keeps Prisma's @updatedAt on Warehouse untouched.
+ * @param {number} warehouseId - Warehouse id
+ * @param {Array<number>} embedding - Embedding vector
+ * @param {Date} readAt - When the warehouse was read to build the embedded text
+ */
+async function saveEmbedding(warehouseId, embedding, readAt) {
+  // status_updated_at holds the app's UTC time without a zone, so embeddingUpdatedAt is written
+  // the same way (a zone in the input is ignored by ::timestamp) rather than with the database's NOW().
+  // Using the read time means an update made while the batch was embedding still looks stale.
+  await prisma.$executeRaw`
+    INSERT INTO "WarehouseData" ("warehouseId", "embedding", "embeddingUpdatedAt")
+    VALUES (${warehouseId}, ${toVectorLiteral(embedding)}::vector, ${readAt.toISOString()}::timestamp)
+    ON CONFLICT ("warehouseId") DO UPDATE
+    SET "embedding" = EXCLUDED."embedding", "embeddingUpdatedAt" = EXCLUDED."embeddingUpdatedAt"
+  `;
+}
+
+/**
+ * Compute and store embeddings for warehouses changed since their last embedding
+ * @param {Object} options - Refresh options
+ * @param {Object} options.provider - Embedding provider (defaults to the configured one)
+ * @param {number} options.batchSize - Warehouses embedded per provider call
+ * @param {boolean} options.force - Re-embed every warehouse, e.g. after switching provider
+ * @param {Function} options.log - Progress logger
+ * @returns {Promise<Object>} { processed, failed }
+ */
+export async function refreshWarehouseEmbeddings({
+  provider = getEmbeddingProvider(),
+  batchSize = DEFAULT_BATCH_SIZE,
+  force = false,
+  log = console.log,
+} = {}) {
+  let cursor = 0;
+  let processed = 0;
+  const failed = [];
+
+  while (true) {
+    const ids = await findStaleWarehouseIds(cursor, batchSize, force);
+    if (ids.length === 0) break;
+    cursor = ids[ids.length - 1];
+
+    const readAt = new Date();
+    const warehouses = await prisma.warehouse.findMany({
+      where: { id: { in: ids } },
+      orderBy: { id: 'asc' },
+      select: EMBEDDING_SOURCE_SELECT,
+    });
+
+    try {
+      const embeddings = await provider.embedMany(warehouses.map(buildWarehouseText));
+
+      for (let i = 0; i < warehouses.length; i++) {
+        await saveEmbedding(warehouses[i].id, embeddings[i], readAt);
+        processed++;
+      }
+    } catch (error) {
+      // Skip the batch and carry on; it stays stale and is retried on the next run
+      failed.push(...warehouses.map(w => w.id));
+      log(`Embedding batch ending at warehouse ${cursor} failed: ${error.message}`);
+      continue;
+    }
+
+    log(`Embedded ${processed} warehouses (up to id ${cursor}) using ${provider.name} provider`);
+  }
+
+  return { processed, failed };
+}
@@ -0,0 +1,124 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../models/prismaClient.js';
+import { buildWarehouseWhereSql, COMPLIANCE_ENTRIES_SQL } from './warehouseSearch.js';
+
+// Maximum distinct values returned per facet, most common first
+const FACET_VALUE_LIMIT = 50;
+
+// Facets over text columns. `compliances` holds a comma-separated list, so each
+// entry is counted separately, matching how the list filter reads it.
+const TEXT_FACETS = {
+  city: Prisma.sql`w."city"`,
+  state: Prisma.sql`w."state"`,
+  zone: Prisma.sql`w."zone"`,
+  warehouseType: Prisma.sql`w."warehouseType"`,
+  compliances: COMPLIANCE_ENTRIES_SQL,
+  pollutionZone: Prisma.sql`wd."pollutionZone"`,
+  landType: Prisma.sql`wd."landType"`,
+};
+
+export const FACET_FIELDS = [...Object.keys(TEXT_FACETS), 'fireNocAvailable'];
+
+const FROM = Prisma.sql`FROM "Warehouse" w LEFT JOIN "WarehouseData" wd ON wd."warehouseId" = w.id`;
+
+/**
+ * Copy of the filters without the given field, so a facet's counts are not
+ * narrowed by its own selection (selecting one city still lists the others)
+ * @param {Object} filters - Output of parseWarehouseFilters
+ * @param {string} field - Facet field
+ * @returns {Object} Filters without that field
+ */
+function withoutField(filters, field) {
+  const { [field]: _omitted, ...rest } = filters;
+  return rest;
+}
+
+/**
+ * Distinct values with counts for a text column, grouped case-insensitively
+ * @param {string} field - Key of TEXT_FACETS
+ * @param {Object} filters - Output of parseWarehouseFilters
+ * @returns {Prisma.PrismaPromise} Rows of { value, count }
+ */
+function textFacetQuery(field, filters) {
+  return prisma.$queryRaw`
+    SELECT min(f.value) AS value, COUNT(DISTINCT f.id)::int AS count
+    FROM (
+      SELECT w.id, trim(${TEXT_FACETS[field]}) AS value
+      ${FROM}
+      ${buildWarehouseWhereSql(withoutField(filters, field))}
+    ) f
+    WHERE f.value <> ''
+    GROUP BY lower(f.value)
+    ORDER BY count DESC, value ASC
+    LIMIT ${FACET_VALUE_LIMIT}
+  `;
+}
+
+/**
+ * Count matching warehouses per fire NOC value; warehouses without WarehouseData are left out
+ * @param {Object} filters - Output of parseWarehouseFilters
+ * @returns {Prisma.PrismaPromise} Rows of { value, count }
+ */
+function fireNocFacetQuery(filters) {
+  return prisma.$queryRaw`
+    SELECT wd."fireNocAvailable" AS value, COUNT(*)::int AS count
+    ${FROM}
+    ${buildWarehouseWhereSql(withoutField(filters, 'fireNocAvailable'))} AND wd."fireNocAvailable" IS NOT NULL
+    GROUP BY wd."fireNocAvailable"
+    ORDER BY value DESC
+  `;
+}
+
+/**
+ * Total and numeric bounds of the warehouses matching every filter
+ * @param {Object} filters - Output of parseWarehouseFilters
+ * @returns {Prisma.PrismaPromise} A single row
+ */
+function rangesQuery(filters) {
+  return prisma.$queryRaw`
+    SELECT
+      COUNT(*)::int AS total,
+      min(w."ratePerSqftMin") AS "rateMin",
+      max(w."ratePerSqftMax") AS "rateMax",
+      min(w."clearHeightFtMin") AS "clearHeightMin",
+      max(w."clearHeightFtMax") AS "clearHeightMax",
+      min((SELECT min(s) FROM unnest(w."totalSpaceSqft") AS s)) AS "spaceMin",
+      max((SELECT max(s) FROM unnest(w."totalSpaceSqft") AS s)) AS "spaceMax",
+      min(wd."powerKvaMin") AS "powerKvaMin",
+      max(wd."powerKvaMax") AS "powerKvaMax"
+    ${FROM}
+    ${buildWarehouseWhereSql(filters)}
+  `;
+}
+
+/**
+ * Facet counts and numeric ranges for the public filter builder
+ * @param {Object} filters - Output of parseWarehouseFilters
+ * @returns {Promise<Object>} { totalItems, facets, ranges }
+ */
+export async function getWarehouseFacets(filters) {
+  const textFields = Object.keys(TEXT_FACETS);
+
+  const [[range], fireNocRows, ...textRows] = await prisma.$transaction([
+    rangesQuery(filters),
+    fireNocFacetQuery(filters),
+    ...textFields.map(field => textFacetQuery(field, filters)),
+  ]);
+
+  const facets = {};
+  textFields.forEach((field, i) => {
+    facets[field] = textRows[i];
+  });
+  facets.fireNocAvailable = fireNocRows;
+
+  return {
+    totalItems: range.total,
+    facets,
+    ranges: {
+      ratePerSqft: { min: range.rateMin, max: range.rateMax },
+      clearHeightFt: { min: range.clearHeightMin, max: range.clearHeightMax },
+      totalSpaceSqft: { min: range.spaceMin, max: range.spaceMax },
+      powerKva: { min: range.powerKvaMin, max: range.powerKvaMax },
+    },
+  };
+}
@@ -0,0 +1,161 @@
+// Normalised warehouse photos: WarehousePhoto rows, with the legacy `Warehouse.photos`
+// string as a fallback for warehouses that have not been migrated yet
+
+const MAX_CAPTION_LENGTH = 300;
+
+// Fields loaded for each photo, in display order
+export const PHOTO_SELECT = {
+  select: { id: true, url: true, caption: true, sortOrder: true, isCover: true, thumbnails: true },
+  orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+};
+
+/**
+ * Parse the legacy `photos` column: a JSON array, a JSON value or a bare URL
+ * @param {string|null} value - Raw column value
+ * @returns {Array<Object>} Photos as { url, caption }, in stored order
+ */
+export function parseLegacyPhotos(value) {
+  if (!value || typeof value !== 'string' || value.trim() === '') return [];
+
+  let items = [value.trim()];
+  if (value.trim().startsWith('[') || value.trim().startsWith('{')) {
+    try {
+      const parsed = JSON.parse(value);
+      items = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      // Not JSON after all: treat the whole string as one URL
+    }
+  }
+
+  return items
+    .map(item => (typeof item === 'string' ? { url: item, caption: null } : { url: item?.url, caption: item?.caption ?? null }))
+    .filter(photo => typeof photo.url === 'string' && photo.url.trim() !== '')
+    .map(photo => ({ url: photo.url.trim(), caption: photo.caption }));
+}
+
+/**
+ * WarehousePhoto create inputs for a legacy `photos` value; the first photo is the cover
+ * @param {string|null} value - Raw column value
+ * @returns {Array<Object>} { url, caption, sortOrder, isCover } in stored order
+ */
+export function legacyPhotoRows(value) {
+  return parseLegacyPhotos(value).map((photo, index) => ({ ...photo, sortOrder: index, isCover: index === 0 }));
+}
+
+/**
+ * Shape a WarehousePhoto row for API responses
+ * @param {Object} photo - Row selected with PHOTO_SELECT
+ * @returns {Object} { id, url, caption, order, isCover, thumbnails }
+ */
+export function formatPhotoRecord(photo) {
+  return {
+    id: photo.id,
+    url: photo.url,
+    caption: photo.caption,
+    order: photo.sortOrder,
+    isCover: photo.isCover,
+    // Resized variant URLs by name (e.g. { thumb, medium }) for uploaded photos
+    thumbnails: photo.thumbnails ?? null,
+  };
+}
+
+/**
+ * Build the public photo list and cover for a warehouse.
+ * The cover is the photo flagged `isCover`, otherwise the first one.
+ * @param {Object} warehouse - Warehouse with `warehousePhotos` rows and/or legacy `photos`
+ * @returns {Object} { photos, coverPhoto } where each photo is shaped by formatPhotoRecord
+ */
+export function formatPhotos(warehouse) {
+  // Legacy photos have no row yet, hence no id
+  const photos = warehouse.warehousePhotos?.length > 0
+    ? warehouse.warehousePhotos.map(formatPhotoRecord)
+    : legacyPhotoRows(warehouse.photos).map(photo => formatPhotoRecord({ id: null, ...photo }));
+
+  const cover = photos.find(photo => photo.isCover) || photos[0] || null;
+  if (cover) cover.isCover = true;
+
+  return { photos, coverPhoto: cover };
+}
+
+/**
+ * Check a photo URL: absolute http(s) or a path served by this API (e.g. "/uploads/...")
+ * @param {*} url - Candidate URL
+ * @returns {boolean} Whether the URL is acceptable
+ */
+export function isValidPhotoUrl(url) {
+  if (typeof url !== 'string' || url.trim() === '') return false;
+  if (url.startsWith('/') && !url.startsWith('//')) return true;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a single photo payload, pushing invalid names onto fields
+ * @param {Object} body - { url, caption?, isCover? }
+ * @param {Array<string>} fields - Accumulator for invalid field names
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate fields present (PATCH)
+ * @param {string} options.prefix - Prefix for reported field names
+ * @returns {Object} Normalised { url?, caption?, isCover? }
+ */
+export function validatePhotoPayload(body, fields, { partial = false, prefix = '' } = {}) {
+  const photo = {};
+
+  if (body.url !== undefined || !partial) {
+    if (isValidPhotoUrl(body.url)) photo.url = body.url.trim();
+    else fields.push(`${prefix}url`);
+  }
+
+  if (body.caption !== undefined) {
+    if (body.caption === null) photo.caption = null;
+    else if (typeof body.caption === 'string' && body.caption.length <= MAX_CAPTION_LENGTH) photo.caption = body.caption.trim();
+    else fields.push(`${prefix}caption`);
+  }
+
+  if (body.isCover !== undefined) {
+    if (typeof body.isCover === 'boolean') photo.isCover = body.isCover;
+    else fields.push(`${prefix}isCover`);
+  }
+
+  return photo;
+}
+
+/**
+ * Validate the `photos` field of a warehouse write: an array of URLs or
+ * { url, caption, isCover } objects, or a legacy photos string
+ * @param {*} value - Raw `photos` value
+ * @param {Array<string>} fields - Accumulator for invalid field names
+ * @returns {Array<Object>} WarehousePhoto create inputs in display order
+ */
+export function validatePhotoList(value, fields) {
+  if (value === null) return [];
+
+  const items = typeof value === 'string' ? parseLegacyPhotos(value) : value;
+  if (!Array.isArray(items)) {
+    fields.push('photos');
+    return [];
+  }
+
+  const photos = items.map((item, index) => {
+    const body = typeof item === 'string' ? { url: item } : item;
+    if (!body || typeof body !== 'object') {
+      fields.push(`photos[${index}]`);
+      return null;
+    }
+    return { ...validatePhotoPayload(body, fields, { prefix: `photos[${index}].` }), sortOrder: index };
+  });
+
+  // At most one cover; without one the first photo is shown as the cover
+  let coverSeen = false;
+  for (const photo of photos) {
+    if (!photo?.isCover) continue;
+    if (coverSeen) photo.isCover = false;
+    coverSeen = true;
+  }
+
+  return photos.filter(Boolean);
+}
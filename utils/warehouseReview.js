@@ -0,0 +1,71 @@
+// Moderation of new and edited warehouses: review statuses, snapshots and diffs
+
+// Warehouse.reviewStatus values; null means the warehouse predates moderation
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// WarehouseReview.action values: a submission for review, or a reviewer's decision
+export const REVIEW_ACTION = {
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const MAX_REASON_LENGTH = 1000;
+
+// Listing fields captured in review snapshots, by model. Derived range columns,
+// timestamps and visibility are left out: they follow from these or from the review itself.
+const WAREHOUSE_FIELDS = [
+  'warehouseOwnerType', 'warehouseType', 'address', 'googleLocation', 'city', 'state',
+  'postalCode', 'zone', 'contactPerson', 'contactNumber', 'totalSpaceSqft', 'offeredSpaceSqft',
+  'numberOfDocks', 'clearHeightFt', 'compliances', 'otherSpecifications', 'ratePerSqft',
+  'availability', 'uploadedBy', 'isBroker'
+];
+
+const WAREHOUSE_DATA_FIELDS = [
+  'latitude', 'longitude', 'fireNocAvailable', 'fireSafetyMeasures', 'landType',
+  'approachRoadWidth', 'dimensions', 'parkingDockingSpace', 'pollutionZone', 'powerKva',
+  'vaastuCompliance'
+];
+
+// Relations loaded to build a snapshot
+export const REVIEW_INCLUDE = {
+  warehouseData: true,
+  warehousePhotos: { select: { url: true }, orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }] }
+};
+
+/**
+ * Capture the reviewable content of a warehouse as flat, JSON-safe values
+ * @param {Object} warehouse - Warehouse with warehouseData and warehousePhotos ({ url }) loaded,
+ *   or a validated write payload of the same shape
+ * @returns {Object} Field name (WarehouseData fields prefixed with "warehouseData.") to value,
+ *   plus `photos` as the list of photo URLs
+ */
+export function reviewSnapshot(warehouse) {
+  const snapshot = {};
+
+  for (const field of WAREHOUSE_FIELDS) {
+    snapshot[field] = warehouse[field] ?? null;
+  }
+  for (const field of WAREHOUSE_DATA_FIELDS) {
+    snapshot[`warehouseData.${field}`] = warehouse.warehouseData?.[field] ?? null;
+  }
+  snapshot.photos = (warehouse.warehousePhotos || []).map(photo => photo.url);
+
+  return snapshot;
+}
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Array<Object>} { field, before, after } for every changed field, in snapshot order
+ */
+export function diffSnapshots(before, after) {
+  return Object.keys(after)
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] }));
+}
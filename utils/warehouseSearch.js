@@ -0,0 +1,388 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../models/prismaClient.js';
+import { parseMultiValue } from './query.js';
+import { PHOTO_SELECT } from './warehousePhotos.js';
+
+// String filters supporting multiple values (OR logic within same field)
+const MULTI_VALUE_FIELDS = [
+  'city', 'state', 'warehouseType', 'zone', 'contactPerson', 'compliances'
+];
+
+// `compliances` holds a comma-separated list ("FDA, ISO 9001"). Filters and facets both
+// work on its individual entries.
+export const COMPLIANCE_ENTRIES_SQL = Prisma.sql`regexp_split_to_table(w."compliances", ',')`;
+
+// WarehouseData string filters supporting multiple values, matched like MULTI_VALUE_FIELDS
+const WAREHOUSE_DATA_MULTI_VALUE_FIELDS = ['pollutionZone', 'landType'];
+
+// Text fields searched by the fuzzy `q` parameter (trigram indexed)
+const SEARCH_FIELDS = [
+  'address', 'city', 'zone', 'warehouseType', 'compliances', 'otherSpecifications'
+];
+
+// Bounds for the fuzzy `q` parameter
+const MAX_SEARCH_LENGTH = 100;
+const MAX_SEARCH_TERMS = 6;
+const MIN_TERM_LENGTH = 2;
+
+// Fields selected for each warehouse in the public list
+const LIST_SELECT = {
+  id: true,
+  address: true,
+  city: true,
+  state: true,
+  totalSpaceSqft: true,
+  clearHeightFt: true,
+  compliances: true,
+  otherSpecifications: true,
+  ratePerSqft: true,
+  photos: true,
+  warehousePhotos: PHOTO_SELECT,
+  warehouseType: true,
+  zone: true,
+  contactPerson: true,
+  warehouseData: {
+    select: {
+      fireNocAvailable: true,
+      fireSafetyMeasures: true,
+    },
+  },
+};
+
+// Allowed `sort` values mapped to ORDER BY expressions. Every option falls back to
+// newest id first so pagination stays stable when the sort key ties or is NULL.
+const SORT_OPTIONS = {
+  default: 'w.id DESC',
+  price_asc: 'w."ratePerSqftMin" ASC NULLS LAST, w.id DESC',
+  price_desc: 'w."ratePerSqftMax" DESC NULLS LAST, w.id DESC',
+  space_desc: '(SELECT max(s) FROM unnest(w."totalSpaceSqft") AS s) DESC NULLS LAST, w.id DESC',
+  space_asc: '(SELECT min(s) FROM unnest(w."totalSpaceSqft") AS s) ASC NULLS LAST, w.id DESC',
+  clear_height_desc: 'w."clearHeightFtMax" DESC NULLS LAST, w.id DESC',
+  clear_height_asc: 'w."clearHeightFtMin" ASC NULLS LAST, w.id DESC',
+  newest: 'w."createdAt" DESC NULLS LAST, w.id DESC',
+  recently_updated: 'w."status_updated_at" DESC NULLS LAST, w.id DESC',
+  distance: '"distanceKm" ASC NULLS LAST, w.id DESC',
+  relevance: '"relevance" DESC, w.id DESC',
+};
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.045;
+const MAX_RADIUS_KM = 500;
+
+export const SORT_VALUES = Object.keys(SORT_OPTIONS);
+
+// Escape LIKE wildcards so user input is matched literally
+const likePattern = (value) => `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+
+const column = (name, alias = 'w') => Prisma.raw(`${alias}."${name}"`);
+
+/**
+ * Great-circle (haversine) distance in km from a point to WarehouseData coordinates
+ * @param {Object} near - { lat, lng }
+ * @returns {Prisma.Sql} Distance expression
+ */
+function distanceSql({ lat, lng }) {
+  return Prisma.sql`(${EARTH_RADIUS_KM} * 2 * asin(sqrt(
+    power(sin(radians(wd."latitude" - ${lat}) / 2), 2) +
+    cos(radians(${lat})) * cos(radians(wd."latitude")) *
+    power(sin(radians(wd."longitude" - ${lng}) / 2), 2)
+  )))`;
+}
+
+/**
+ * Split a normalised search string into the terms that are matched
+ * @param {string} q - Lower-cased search text
+ * @returns {Array<string>} Terms, short words dropped
+ */
+function searchTerms(q) {
+  return q.split(' ').filter(term => term.length >= MIN_TERM_LENGTH).slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * Trigram relevance of a search: for each term, its best word similarity over
+ * SEARCH_FIELDS, summed over the terms
+ * @param {string} q - Normalised search text
+ * @returns {Prisma.Sql} Relevance expression
+ */
+function relevanceSql(q) {
+  const perTerm = searchTerms(q).map(term =>
+    Prisma.sql`GREATEST(${Prisma.join(SEARCH_FIELDS.map(field => Prisma.sql`word_similarity(${term}, ${column(field)})`), ', ')})`
+  );
+  return Prisma.sql`(${Prisma.join(perTerm, ' + ')})`;
+}
+
+/**
+ * Parse lat/lng/radiusKm into a `near` filter, pushing invalid names onto invalid
+ * @param {Object} query - Express req.query
+ * @param {Array<string>} invalid - Accumulator for invalid parameter names
+ * @returns {Object|null} { lat, lng, radiusKm? }, or null when no location is given
+ */
+function parseNearFilter(query, invalid) {
+  const present = ['lat', 'lng', 'radiusKm'].filter(field => query[field] !== undefined && query[field] !== '');
+  if (present.length === 0) return null;
+
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  const near = {};
+
+  if (isNaN(lat) || Math.abs(lat) > 90) invalid.push('lat');
+  else near.lat = lat;
+
+  if (isNaN(lng) || Math.abs(lng) > 180) invalid.push('lng');
+  else near.lng = lng;
+
+  if (present.includes('radiusKm')) {
+    const radiusKm = parseFloat(query.radiusKm);
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) invalid.push('radiusKm');
+    else near.radiusKm = radiusKm;
+  }
+
+  return near;
+}
+
+/**
+ * Parse the public list query string into a normalised filter object.
+ * The result is plain JSON so it can double as the cache key.
+ * @param {Object} query - Express req.query
+ * @returns {Object} { filters, invalid } where invalid lists unparseable parameters
+ */
+export function parseWarehouseFilters(query) {
+  const filters = {};
+  const invalid = [];
+
+  for (const field of [...MULTI_VALUE_FIELDS, ...WAREHOUSE_DATA_MULTI_VALUE_FIELDS]) {
+    const values = parseMultiValue(query[field]);
+    if (values && values.length > 0) filters[field] = values;
+  }
+
+  // Address is always a partial match on a single value
+  if (query.address) filters.address = String(query.address);
+
+  // Fuzzy search text, normalised so equivalent queries share a cache entry
+  if (query.q !== undefined) {
+    const q = String(query.q).trim().toLowerCase().replace(/\s+/g, ' ');
+    if (q.length > MAX_SEARCH_LENGTH) invalid.push('q');
+    else if (q !== '') {
+      if (searchTerms(q).length === 0) invalid.push('q');
+      else filters.q = q;
+    }
+  }
+
+  for (const field of ['minBudget', 'maxBudget', 'minClearHeight', 'maxClearHeight', 'minPowerKva']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    const value = parseFloat(query[field]);
+    if (isNaN(value)) invalid.push(field);
+    else filters[field] = value;
+  }
+
+  for (const field of ['minSpace', 'maxSpace']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    const value = parseInt(query[field]);
+    if (isNaN(value)) invalid.push(field);
+    else filters[field] = value;
+  }
+
+  if (query.fireNocAvailable !== undefined) {
+    filters.fireNocAvailable = query.fireNocAvailable === 'true' || query.fireNocAvailable === true;
+  }
+
+  const near = parseNearFilter(query, invalid);
+  if (near) filters.near = near;
+
+  return { filters, invalid };
+}
+
+/**
+ * Validate the `sort` query parameter against the allowlist.
+ * A search without an explicit sort is ordered by relevance.
+ * @param {Object} query - Express req.query
+ * @param {Object} filters - Parsed filters (`distance` needs a `near` point, `relevance` needs `q`)
+ * @returns {Object} { sort, invalid } where invalid is true for unknown or unusable values
+ */
+export function parseWarehouseSort(query, filters = {}) {
+  if (query.sort === undefined || query.sort === '') {
+    return { sort: filters.q ? 'relevance' : 'default', invalid: false };
+  }
+  const sort = String(query.sort);
+  if (!Object.hasOwn(SORT_OPTIONS, sort) || (sort === 'distance' && !filters.near) || (sort === 'relevance' && !filters.q)) {
+    return { sort: null, invalid: true };
+  }
+  return { sort, invalid: false };
+}
+
+/**
+ * Build the SQL WHERE clause for a parsed filter object.
+ * Expects "Warehouse" aliased as `w` and "WarehouseData" LEFT JOINed as `wd`.
+ * @param {Object} filters - Output of parseWarehouseFilters
+ * @returns {Prisma.Sql} WHERE clause
+ */
+export function buildWarehouseWhereSql(filters) {
+  // Always filter out warehouses with visibility set to false
+  const conditions = [Prisma.sql`w."visibility" = true`];
+
+  const multiValueColumns = [
+    ...MULTI_VALUE_FIELDS.map(field => [field, column(field)]),
+    ...WAREHOUSE_DATA_MULTI_VALUE_FIELDS.map(field => [field, column(field, 'wd')]),
+  ];
+
+  for (const [field, fieldColumn] of multiValueColumns) {
+    const values = filters[field];
+    if (!values) continue;
+    if (values.length > 1 && field === 'compliances') {
+      // Multiple compliances: case-insensitive exact match of any one entry, as counted by the facet
+      conditions.push(Prisma.sql`EXISTS (SELECT 1 FROM ${COMPLIANCE_ENTRIES_SQL} AS c(entry) WHERE lower(trim(c.entry)) = ANY(${values.map(v => v.toLowerCase())}))`);
+    } else if (values.length > 1) {
+      // Multiple values: case-insensitive exact match on any of them
+      conditions.push(Prisma.sql`lower(${fieldColumn}) = ANY(${values.map(v => v.toLowerCase())})`);
+    } else {
+      // Single value: use partial match
+      conditions.push(Prisma.sql`${fieldColumn} ILIKE ${likePattern(values[0])}`);
+    }
+  }
+
+  if (filters.address) {
+    conditions.push(Prisma.sql`w."address" ILIKE ${likePattern(filters.address)}`);
+  }
+
+  // Every search term must appear in some field, either as a substring or as a
+  // close trigram match of one of its words (tolerates typos like "bhiwandy").
+  // Both operators are served by the gin_trgm_ops indexes.
+  if (filters.q) {
+    for (const term of searchTerms(filters.q)) {
+      const matches = SEARCH_FIELDS.map(field =>
+        Prisma.sql`${column(field)} ILIKE ${likePattern(term)} OR ${term} <% ${column(field)}`
+      );
+      conditions.push(Prisma.sql`(${Prisma.join(matches, ' OR ')})`);
+    }
+  }
+
+  // Rates and clear heights may be ranges ("22-25"), stored as numeric min/max columns.
+  // A warehouse matches when its range overlaps the requested one.
+  if (filters.minBudget !== undefined) conditions.push(Prisma.sql`w."ratePerSqftMax" >= ${filters.minBudget}`);
+  if (filters.maxBudget !== undefined) conditions.push(Prisma.sql`w."ratePerSqftMin" <= ${filters.maxBudget}`);
+  if (filters.minClearHeight !== undefined) conditions.push(Prisma.sql`w."clearHeightFtMax" >= ${filters.minClearHeight}`);
+  if (filters.maxClearHeight !== undefined) conditions.push(Prisma.sql`w."clearHeightFtMin" <= ${filters.maxClearHeight}`);
+  if (filters.minPowerKva !== undefined) conditions.push(Prisma.sql`wd."powerKvaMax" >= ${filters.minPowerKva}`);
+
+  // totalSpaceSqft is an array of space configurations: match if ANY element is in range.
+  // The GIN index only serves containment/overlap operators, so the range check runs
+  // per candidate row after the other (indexed) predicates have narrowed the set.
+  if (filters.minSpace !== undefined || filters.maxSpace !== undefined) {
+    const bounds = [];
+    if (filters.minSpace !== undefined) bounds.push(Prisma.sql`s.space >= ${filters.minSpace}`);
+    if (filters.maxSpace !== undefined) bounds.push(Prisma.sql`s.space <= ${filters.maxSpace}`);
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM unnest(w."totalSpaceSqft") AS s(space)
+      WHERE ${Prisma.join(bounds, ' AND ')}
+    )`);
+  }
+
+  if (filters.fireNocAvailable !== undefined) {
+    conditions.push(Prisma.sql`wd."fireNocAvailable" = ${filters.fireNocAvailable}`);
+  }
+
+  if (filters.near?.radiusKm !== undefined) {
+    const { lat, radiusKm } = filters.near;
+    // Cheap latitude band first so most rows are discarded before the trigonometry runs
+    const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+    conditions.push(Prisma.sql`wd."latitude" BETWEEN ${lat - latDelta} AND ${lat + latDelta}`);
+    conditions.push(Prisma.sql`${distanceSql(filters.near)} <= ${radiusKm}`);
+  }
+
+  return Prisma.sql`WHERE ${Prisma.join(conditions, ' AND ')}`;
+}
+
+/**
+ * Format an embedding as a pgvector literal, e.g. "[0.1,0.2]"
+ * @param {Array<number>} embedding - Embedding vector
+ * @returns {string} Vector literal to be cast with ::vector
+ */
+export function toVectorLiteral(embedding) {
+  if (!Array.isArray(embedding) || embedding.length === 0 || !embedding.every(Number.isFinite)) {
+    throw new Error('Embedding must be a non-empty array of finite numbers');
+  }
+  return `[${embedding.join(',')}]`;
+}
+
+/**
+ * Load list fields for rows returned by a raw query, keeping the query's ordering
+ * @param {Array<Object>} rows - Raw rows with at least an `id`
+ * @param {Function} annotate - Optional (warehouse, row) => warehouse to copy computed columns
+ * @returns {Promise<Array<Object>>} Warehouses selected with the list fields
+ */
+export async function loadWarehouseRows(rows, annotate = warehouse => warehouse) {
+  if (rows.length === 0) return [];
+
+  const records = await prisma.warehouse.findMany({
+    where: { id: { in: rows.map(row => row.id) } },
+    select: LIST_SELECT,
+  });
+
+  // Preserve the ordering decided by the SQL query
+  const byId = new Map(records.map(record => [record.id, record]));
+  return rows
+    .filter(row => byId.has(row.id))
+    .map(row => annotate({ ...byId.get(row.id) }, row));
+}
+
+/**
+ * Search visible warehouses with all filtering and pagination done in PostgreSQL
+ * @param {Object} filters - Output of parseWarehouseFilters
+ * @param {Object} options - Pagination and ordering
+ * @param {number} options.skip - Rows to skip
+ * @param {number} options.take - Rows to return
+ * @param {string} options.sort - One of SORT_VALUES (defaults to newest id first)
+ * @param {Array<number>} options.embedding - Rank by pgvector cosine distance to this
+ *   embedding instead of `sort`; warehouses without an embedding are excluded
+ * @returns {Promise<Object>} { warehouses, totalItems }
+ */
+export async function searchWarehouses(filters, { skip, take, sort = 'default', embedding = null }) {
+  // ORDER BY is raw SQL, so only ever take it from the allowlist's own keys
+  if (!Object.hasOwn(SORT_OPTIONS, sort)) {
+    throw new Error(`Unknown warehouse sort "${sort}"`);
+  }
+
+  let where = buildWarehouseWhereSql(filters);
+  const columns = [Prisma.sql`w.id`];
+  let orderBy = Prisma.raw(SORT_OPTIONS[sort]);
+
+  // Annotate each row with its distance when a location is given
+  if (filters.near) {
+    columns.push(Prisma.sql`${distanceSql(filters.near)} AS "distanceKm"`);
+  }
+
+  if (filters.q) {
+    columns.push(Prisma.sql`${relevanceSql(filters.q)} AS "relevance"`);
+  }
+
+  if (embedding) {
+    columns.push(Prisma.sql`wd."embedding" <=> ${toVectorLiteral(embedding)}::vector AS "semanticDistance"`);
+    where = Prisma.sql`${where} AND wd."embedding" IS NOT NULL`;
+    orderBy = Prisma.raw('"semanticDistance" ASC, w.id DESC');
+  }
+
+  const from = Prisma.sql`
+    FROM "Warehouse" w
+    LEFT JOIN "WarehouseData" wd ON wd."warehouseId" = w.id
+    ${where}
+  `;
+
+  const [rows, [{ total }]] = await prisma.$transaction([
+    prisma.$queryRaw`SELECT ${Prisma.join(columns)} ${from} ORDER BY ${orderBy} LIMIT ${take} OFFSET ${skip}`,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS total ${from}`,
+  ]);
+
+  const warehouses = await loadWarehouseRows(rows, (warehouse, row) => {
+    if (filters.near) {
+      // Warehouses without coordinates have no distance
+      warehouse.distanceKm = row.distanceKm === null ? null : Math.round(row.distanceKm * 100) / 100;
+    }
+    if (embedding) {
+      // Cosine distance is 0..2; report similarity where 1 means identical direction
+      warehouse.similarity = Math.round((1 - row.semanticDistance) * 1000) / 1000;
+    }
+    return warehouse;
+  });
+
+  return { warehouses, totalItems: total };
+}
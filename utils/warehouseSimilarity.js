@@ -0,0 +1,70 @@
+import prisma from '../models/prismaClient.js';
+import { loadWarehouseRows } from './warehouseSearch.js';
+
+// Weights of each similarity signal; the maximum total score is their sum
+const SIMILARITY_WEIGHTS = {
+  city: 3,
+  zone: 1,
+  warehouseType: 2,
+  rate: 1.5,
+  space: 1.5,
+  embedding: 3,
+};
+
+// Rate and space score fall linearly to zero at this relative difference (50%)
+const BAND_WIDTH = 0.5;
+
+/**
+ * Find visible warehouses most similar to a given one.
+ * Scores city/zone/type matches, closeness of rate and largest space, and
+ * embedding cosine similarity when both warehouses have an embedding.
+ * @param {number} warehouseId - Warehouse to compare against
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array<Object>>} Warehouses with list fields and `similarityScore` (0..1)
+ */
+export async function findSimilarWarehouses(warehouseId, limit) {
+  const w = SIMILARITY_WEIGHTS;
+  const maxScore = Object.values(w).reduce((sum, weight) => sum + weight, 0);
+
+  const rows = await prisma.$queryRaw`
+    WITH target AS (
+      SELECT
+        tw.id,
+        lower(tw."city") AS city,
+        lower(tw."zone") AS zone,
+        lower(tw."warehouseType") AS "warehouseType",
+        tw."ratePerSqftMin" AS rate,
+        (SELECT max(s) FROM unnest(tw."totalSpaceSqft") AS s) AS space,
+        twd."embedding" AS embedding
+      FROM "Warehouse" tw
+      LEFT JOIN "WarehouseData" twd ON twd."warehouseId" = tw.id
+      WHERE tw.id = ${warehouseId}
+    ),
+    candidates AS (
+      SELECT
+        w.id,
+        (CASE WHEN lower(w."city") = t.city THEN ${w.city} ELSE 0 END)
+        + (CASE WHEN lower(w."zone") = t.zone THEN ${w.zone} ELSE 0 END)
+        + (CASE WHEN lower(w."warehouseType") = t."warehouseType" THEN ${w.warehouseType} ELSE 0 END)
+        + COALESCE(${w.rate} * GREATEST(0, 1 - abs(w."ratePerSqftMin" - t.rate) / NULLIF(t.rate, 0) / ${BAND_WIDTH}), 0)
+        + COALESCE(${w.space} * GREATEST(0, 1 - abs(
+            (SELECT max(s) FROM unnest(w."totalSpaceSqft") AS s) - t.space
+          )::float / NULLIF(t.space, 0) / ${BAND_WIDTH}), 0)
+        + COALESCE(${w.embedding} * (1 - (wd."embedding" <=> t.embedding)), 0)
+        AS score
+      FROM "Warehouse" w
+      LEFT JOIN "WarehouseData" wd ON wd."warehouseId" = w.id
+      CROSS JOIN target t
+      WHERE w."visibility" = true AND w.id <> t.id
+    )
+    SELECT id, score FROM candidates
+    WHERE score > 0
+    ORDER BY score DESC, id DESC
+    LIMIT ${limit}
+  `;
+
+  return loadWarehouseRows(rows, (warehouse, row) => {
+    warehouse.similarityScore = Math.round((Number(row.score) / maxScore) * 1000) / 1000;
+    return warehouse;
+  });
+}
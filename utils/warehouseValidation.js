@@ -0,0 +1,154 @@
+import { isValidPhoneNumber } from './phone.js';
+import { deriveNumericColumns, WAREHOUSE_DATA_NUMERIC_FIELDS } from './numericRange.js';
+import { validatePhotoList } from './warehousePhotos.js';
+
+// Required string columns on the Warehouse model (uploadedBy defaults to the admin's email)
+const REQUIRED_STRING_FIELDS = [
+  'warehouseType', 'address', 'city', 'state', 'zone',
+  'contactPerson', 'contactNumber', 'compliances', 'ratePerSqft'
+];
+
+// Optional string columns on the Warehouse model
+const OPTIONAL_STRING_FIELDS = [
+  'warehouseOwnerType', 'googleLocation', 'postalCode', 'offeredSpaceSqft',
+  'numberOfDocks', 'clearHeightFt', 'otherSpecifications', 'availability',
+  'uploadedBy', 'isBroker'
+];
+
+// Optional string columns on the WarehouseData model
+const WAREHOUSE_DATA_STRING_FIELDS = [
+  'fireSafetyMeasures', 'landType', 'approachRoadWidth', 'dimensions',
+  'parkingDockingSpace', 'pollutionZone', 'powerKva', 'vaastuCompliance'
+];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Some string columns hold numeric-looking values, so accept numbers and store them as strings
+const toStringValue = (value) => (typeof value === 'number' ? String(value) : value);
+
+/**
+ * Normalise totalSpaceSqft into an array of positive integers
+ * @param {*} value - Single number, numeric string or array of those
+ * @returns {Array<number>|null} Parsed array, or null if invalid
+ */
+function parseSpaceArray(value) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0) return null;
+
+  const parsed = values.map(v => Number(v));
+  if (parsed.some(v => !Number.isInteger(v) || v <= 0)) return null;
+  return parsed;
+}
+
+/**
+ * Validate and normalise a warehouse write payload from the admin API
+ * @param {Object} body - Request body
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate fields present in the body (PATCH)
+ * @returns {Object} { fields, warehouse, warehouseData, photos } where fields lists invalid field
+ *   names and photos is null unless the body replaces the photo list
+ */
+export function validateWarehousePayload(body, { partial = false } = {}) {
+  const fields = [];
+  const warehouse = {};
+  let warehouseData = null;
+  let photos = null;
+
+  for (const field of REQUIRED_STRING_FIELDS) {
+    const value = toStringValue(body[field]);
+    if (value === undefined && partial) continue;
+    if (!isNonEmptyString(value)) {
+      fields.push(field);
+      continue;
+    }
+    warehouse[field] = value.trim();
+  }
+
+  if (warehouse.contactNumber && !isValidPhoneNumber(warehouse.contactNumber)) {
+    fields.push('contactNumber');
+  }
+
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    const value = toStringValue(body[field]);
+    if (value === undefined) continue;
+    if (value === null) {
+      warehouse[field] = null;
+    } else if (typeof value === 'string') {
+      warehouse[field] = value.trim();
+    } else {
+      fields.push(field);
+    }
+  }
+
+  // Keep the numeric range columns used by the list filters in sync with the raw strings
+  Object.assign(warehouse, deriveNumericColumns(warehouse));
+
+  if (body.totalSpaceSqft !== undefined || !partial) {
+    const spaces = body.totalSpaceSqft === undefined ? null : parseSpaceArray(body.totalSpaceSqft);
+    if (spaces) warehouse.totalSpaceSqft = spaces;
+    else fields.push('totalSpaceSqft');
+  }
+
+  // Photos are stored as WarehousePhoto rows; the legacy string column is cleared so it
+  // cannot resurface as a fallback once the list is replaced
+  if (body.photos !== undefined) {
+    photos = validatePhotoList(body.photos, fields);
+    warehouse.photos = null;
+  }
+
+  if (body.visibility !== undefined) {
+    if (typeof body.visibility === 'boolean') warehouse.visibility = body.visibility;
+    else fields.push('visibility');
+  }
+
+  if (body.warehouseData !== undefined && body.warehouseData !== null) {
+    if (typeof body.warehouseData !== 'object' || Array.isArray(body.warehouseData)) {
+      fields.push('warehouseData');
+    } else {
+      warehouseData = validateWarehouseDataPayload(body.warehouseData, fields);
+    }
+  }
+
+  return { fields, warehouse, warehouseData, photos };
+}
+
+/**
+ * Validate the nested WarehouseData payload, pushing invalid names onto fields
+ * @param {Object} data - warehouseData object from the request body
+ * @param {Array<string>} fields - Accumulator for invalid field names
+ * @returns {Object} Normalised WarehouseData fields
+ */
+function validateWarehouseDataPayload(data, fields) {
+  const out = {};
+
+  for (const field of ['latitude', 'longitude']) {
+    if (data[field] === undefined) continue;
+    if (data[field] === null) {
+      out[field] = null;
+      continue;
+    }
+    const value = Number(data[field]);
+    const limit = field === 'latitude' ? 90 : 180;
+    if (Number.isFinite(value) && Math.abs(value) <= limit) out[field] = value;
+    else fields.push(`warehouseData.${field}`);
+  }
+
+  if (data.fireNocAvailable !== undefined) {
+    if (data.fireNocAvailable === null || typeof data.fireNocAvailable === 'boolean') {
+      out.fireNocAvailable = data.fireNocAvailable;
+    } else {
+      fields.push('warehouseData.fireNocAvailable');
+    }
+  }
+
+  for (const field of WAREHOUSE_DATA_STRING_FIELDS) {
+    const value = toStringValue(data[field]);
+    if (value === undefined) continue;
+    if (value === null || typeof value === 'string') out[field] = value;
+    else fields.push(`warehouseData.${field}`);
+  }
+
+  Object.assign(out, deriveNumericColumns(out, WAREHOUSE_DATA_NUMERIC_FIELDS));
+
+  return out;
+}
@@ -0,0 +1,168 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Escape text for an XML element body
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+  })[char]);
+}
+
+/**
+ * WhatsApp provider for local development and tests. Accepts a plain JSON body
+ * `{ messages: [{ id, from, text, imageUrls }] }` so inbound traffic can be
+ * simulated with curl. Requests must carry the secret in the `X-Fake-Signature`
+ * header; unsigned requests are only accepted when `allowUnsigned` is set.
+ * Replies are returned in the JSON response.
+ */
+export class FakeWhatsAppProvider {
+  constructor({ secret, allowUnsigned = false } = {}) {
+    this.name = 'fake';
+    this.secret = secret;
+    this.allowUnsigned = allowUnsigned;
+  }
+
+  verifyRequest(req) {
+    if (!this.secret) return this.allowUnsigned;
+    return safeEqual(req.get('x-fake-signature') || '', this.secret);
+  }
+
+  parseInbound(body) {
+    const messages = Array.isArray(body?.messages) ? body.messages : [];
+    return messages
+      .filter(message => message && typeof message.from === 'string')
+      .map(message => ({
+        providerMessageId: message.id ? String(message.id) : null,
+        from: message.from,
+        text: typeof message.text === 'string' ? message.text : '',
+        imageUrls: Array.isArray(message.imageUrls) ? message.imageUrls.filter(url => typeof url === 'string') : []
+      }));
+  }
+
+  acknowledge(res, results) {
+    res.status(200).json({ received: results.length, results });
+  }
+}
+
+/**
+ * WhatsApp provider for Twilio's messaging webhooks (form-encoded, one message
+ * per request, media as MediaUrl0..N). Requests are authenticated with the
+ * X-Twilio-Signature HMAC, computed over the public webhook URL Twilio calls.
+ */
+export class TwilioWhatsAppProvider {
+  constructor({ authToken, webhookUrl } = {}) {
+    if (!authToken || !webhookUrl) {
+      throw new Error('TWILIO_AUTH_TOKEN and WHATSAPP_WEBHOOK_URL are required for the Twilio WhatsApp provider');
+    }
+
+    this.name = 'twilio';
+    this.authToken = authToken;
+    this.webhookUrl = webhookUrl;
+  }
+
+  /**
+   * Compute Twilio's request signature: the URL followed by every POST
+   * parameter name and value, sorted by name, HMAC-SHA1 signed and base64 encoded
+   * @param {Object} params - Form parameters
+   * @returns {string} Expected signature
+   */
+  sign(params) {
+    const payload = Object.keys(params)
+      .sort()
+      .reduce((acc, key) => acc + key + params[key], this.webhookUrl);
+    return createHmac('sha1', this.authToken).update(payload).digest('base64');
+  }
+
+  verifyRequest(req) {
+    const signature = req.get('x-twilio-signature');
+    return Boolean(signature) && safeEqual(signature, this.sign(req.body || {}));
+  }
+
+  parseInbound(body) {
+    if (!body?.From) return [];
+
+    const mediaCount = parseInt(body.NumMedia, 10) || 0;
+    const imageUrls = [];
+    for (let i = 0; i < mediaCount; i++) {
+      const contentType = body[`MediaContentType${i}`] || '';
+      if (body[`MediaUrl${i}`] && contentType.startsWith('image/')) {
+        imageUrls.push(body[`MediaUrl${i}`]);
+      }
+    }
+
+    return [{
+      providerMessageId: body.MessageSid || null,
+      from: body.From,
+      text: body.Body || '',
+      imageUrls
+    }];
+  }
+
+  acknowledge(res, results) {
+    // Twilio expects TwiML: each <Message> is sent back to the sender as a reply
+    const messages = results
+      .filter(result => result.reply)
+      .map(result => `<Message>${escapeXml(result.reply)}</Message>`)
+      .join('');
+    res.status(200).type('text/xml').send(`<Response>${messages}</Response>`);
+  }
+}
+
+// NODE_ENV values in which the fake provider may run without a secret
+const UNSIGNED_FAKE_ENVIRONMENTS = ['test', 'development'];
+
+/**
+ * Create the WhatsApp provider selected by environment variables. There is no
+ * default provider: WHATSAPP_PROVIDER must be set.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {FakeWhatsAppProvider|TwilioWhatsAppProvider} Provider with
+ *   verifyRequest/parseInbound/acknowledge
+ */
+export function createWhatsAppProvider(env = process.env) {
+  switch (env.WHATSAPP_PROVIDER) {
+    case 'fake': {
+      // The fake provider trusts its payload, so it fails closed unless the environment opts in
+      const allowUnsigned = UNSIGNED_FAKE_ENVIRONMENTS.includes(env.NODE_ENV);
+      if (!env.WHATSAPP_FAKE_SECRET && !allowUnsigned) {
+        throw new Error('WHATSAPP_PROVIDER=fake requires WHATSAPP_FAKE_SECRET unless NODE_ENV is test or development');
+      }
+      return new FakeWhatsAppProvider({ secret: env.WHATSAPP_FAKE_SECRET, allowUnsigned });
+    }
+    case 'twilio':
+      return new TwilioWhatsAppProvider({
+        authToken: env.TWILIO_AUTH_TOKEN,
+        webhookUrl: env.WHATSAPP_WEBHOOK_URL
+      });
+    case undefined:
+    case '':
+      throw new Error('WHATSAPP_PROVIDER is not set (expected "fake" or "twilio")');
+    default:
+      throw new Error(`Unknown WHATSAPP_PROVIDER "${env.WHATSAPP_PROVIDER}" (expected "fake" or "twilio")`);
+  }
+}
+
+let provider = null;
+
+/**
+ * Get the shared WhatsApp provider, created lazily on first use
+ * @returns {FakeWhatsAppProvider|TwilioWhatsAppProvider} Provider
+ */
+export function getWhatsAppProvider() {
+  if (!provider) provider = createWhatsAppProvider();
+  return provider;
+}